@@ -1,10 +1,24 @@
 import express from "express";
 import session from "express-session";
-import { InitializeDatabase } from "./db.js";
+import { InitializeDatabase, DATABASE_PATH } from "./db.js";
 import authRoutes from "./routes/auth.js";
 import recipeRoutes from "./routes/recipes.js";
 import favoriteRoutes from "./routes/favorites.js";
+import tagRoutes from "./routes/tags.js";
+import mealPlanRoutes from "./routes/mealplan.js";
+import shoppingListRoutes from "./routes/shopping-list.js";
+import householdRoutes from "./routes/household.js";
+import pantryRoutes from "./routes/pantry.js";
 import { Recipe } from "./models/Recipe.js";
+import { User } from "./models/User.js";
+import { ShoppingList } from "./models/ShoppingList.js";
+import { RecipeShare } from "./models/RecipeShare.js";
+import { Board } from "./models/Board.js";
+import { CookingSession } from "./models/CookingSession.js";
+import { NutritionMatch } from "./models/NutritionMatch.js";
+import { convertRecipe } from "./services/unitConverter.js";
+import { scaleRecipe } from "./services/ingredientScaler.js";
+import { estimateNutrition } from "./services/nutrition.js";
 
 /**
  * Main Express Application
@@ -13,8 +27,15 @@ import { Recipe } from "./models/Recipe.js";
  * This application provides:
  * - User authentication (register, login, logout)
  * - Recipe management (CRUD operations)
- * - Favorite recipes functionality
+ * - Favorite recipes and boards (shareable)
+ * - Tags (many per recipe) with rename/merge
+ * - Public share links for recipes
+ * - Households sharing one cookbook (owner, editor and viewer roles)
  * - Cook mode for step-by-step cooking
+ * - Weekly meal planner
+ * - Shopping list (shareable)
+ * - Pantry with "what can I cook now" matching
+ * - Nutrition estimates per recipe and per serving
  * - Server-side session management
  * - RESTful API architecture
  */
@@ -26,12 +47,35 @@ const port = process.env.PORT || 8080;
 // Creates tables if they don't exist
 InitializeDatabase();
 
+// Permanently delete recipes that have been in the trash for 30 days
+// Runs on startup and then every hour
+function purgeTrash() {
+  const purged = Recipe.purgeExpired();
+  if (purged > 0) {
+    console.log(`✅ Purged ${purged} recipe(s) from the trash`);
+  }
+}
+purgeTrash();
+setInterval(purgeTrash, 60 * 60 * 1000).unref();
+
 /**
  * VIEW ENGINE SETUP
  * Using EJS for server-side templating
  */
 app.set("view engine", "ejs");
 
+/**
+ * Serialize data for an inline <script> in a view (<%- scriptJSON(value) %>)
+ * Escapes "<" so user content cannot close the script tag ("</script>"), and the line and
+ * paragraph separators that older browsers do not accept in JavaScript strings
+ * @param {*} value - JSON-serializable value
+ * @returns {string} - JavaScript literal of the value
+ */
+app.locals.scriptJSON = (value) => JSON.stringify(value ?? null)
+  .replace(/</g, "\\u003c")
+  .replace(/\u2028/g, "\\u2028")
+  .replace(/\u2029/g, "\\u2029");
+
 /**
  * MIDDLEWARE CONFIGURATION
  */
@@ -40,6 +84,14 @@ app.set("view engine", "ejs");
 // This includes CSS, JavaScript, images, etc.
 app.use(express.static("public"));
 
+// Serve uploaded recipe images and thumbnails from the data volume
+// File names are random UUIDs that never change, so they can be cached forever
+app.use("/uploads", express.static("data/uploads", {
+  maxAge: "1y",
+  immutable: true,
+  index: false
+}));
+
 // Parse JSON request bodies
 // Required for API endpoints that receive JSON data
 app.use(express.json());
@@ -102,6 +154,21 @@ app.use("/api/recipes", recipeRoutes);
 // Favorite routes: /api/favorites/*
 app.use("/api/favorites", favoriteRoutes);
 
+// Tag routes: /api/tags/*
+app.use("/api/tags", tagRoutes);
+
+// Meal planner routes: /api/mealplan/*
+app.use("/api/mealplan", mealPlanRoutes);
+
+// Shopping list routes: /api/shopping-list/*
+app.use("/api/shopping-list", shoppingListRoutes);
+
+// Household routes: /api/household/*
+app.use("/api/household", householdRoutes);
+
+// Pantry routes: /api/pantry/*
+app.use("/api/pantry", pantryRoutes);
+
 /**
  * FRONTEND PAGE ROUTES
  * Serve HTML pages using EJS templates
@@ -138,7 +205,8 @@ app.get("/recipes", (req, res) => {
     user: {
       id: req.session.userId,
       name: req.session.name,
-      email: req.session.email
+      email: req.session.email,
+      unit_system: User.getUnitSystem(req.session.userId)
     },
     title: "SeMoRecepts – Mijn recepten"
   });
@@ -158,13 +226,173 @@ app.get("/recipes/:id/cook", (req, res) => {
     return res.status(404).send("Recipe not found");
   }
 
+  // Show ingredients and temperatures in the user's preferred units
+  const unitSystem = User.getUnitSystem(req.session.userId);
+
   res.render("cook", {
+    user: {
+      id: req.session.userId,
+      name: req.session.name,
+      email: req.session.email,
+      unit_system: unitSystem
+    },
+    recipe: convertRecipe(recipe, unitSystem),
+    // Unfinished session (from this or another device) that cook mode offers to resume
+    cookingSession: CookingSession.findOpen(req.session.userId, recipe.id) || null,
+    nutrition: estimateNutrition(recipe, NutritionMatch.findByRecipe(recipe.id)),
+    title: `SeMoRecepts – ${recipe.title}`
+  });
+});
+
+// Printable recipe card (requires authentication)
+// Optional ?servings=N prints the ingredients scaled to N servings
+app.get("/recipes/:id/print", (req, res) => {
+  // If not logged in, redirect to login page
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+
+  let recipe = Recipe.findById(req.params.id, req.session.userId);
+
+  if (!recipe) {
+    return res.status(404).send("Recipe not found");
+  }
+
+  const servings = Number(req.query.servings);
+  if (Number.isInteger(servings) && servings >= 1 && servings <= 100) {
+    recipe = scaleRecipe(recipe, servings);
+  }
+
+  res.render("print", {
+    recipe: convertRecipe(recipe, User.getUnitSystem(req.session.userId)),
+    title: `SeMoRecepts – ${recipe.title}`
+  });
+});
+
+// Weekly meal planner page (requires authentication)
+app.get("/mealplan", (req, res) => {
+  // If not logged in, redirect to login page
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+  res.render("mealplan", {
+    user: {
+      id: req.session.userId,
+      name: req.session.name,
+      email: req.session.email
+    },
+    title: "SeMoRecepts – Weekmenu"
+  });
+});
+
+// Shopping list page (requires authentication)
+app.get("/shopping-list", (req, res) => {
+  // If not logged in, redirect to login page
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+  res.render("shopping-list", {
+    user: {
+      id: req.session.userId,
+      name: req.session.name,
+      email: req.session.email
+    },
+    shareToken: null,
+    title: "SeMoRecepts – Boodschappenlijst"
+  });
+});
+
+// Pantry page (requires authentication)
+app.get("/pantry", (req, res) => {
+  // If not logged in, redirect to login page
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+  res.render("pantry", {
+    user: {
+      id: req.session.userId,
+      name: req.session.name,
+      email: req.session.email
+    },
+    title: "SeMoRecepts – Voorraad"
+  });
+});
+
+// Boards page (requires authentication)
+app.get("/boards", (req, res) => {
+  // If not logged in, redirect to login page
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+  res.render("boards", {
+    user: {
+      id: req.session.userId,
+      name: req.session.name,
+      email: req.session.email
+    },
+    shareToken: null,
+    title: "SeMoRecepts – Borden"
+  });
+});
+
+// Household page (requires authentication)
+app.get("/household", (req, res) => {
+  // If not logged in, redirect to login page
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+  res.render("household", {
     user: {
       id: req.session.userId,
       name: req.session.name,
       email: req.session.email
     },
+    title: "SeMoRecepts – Huishouden"
+  });
+});
+
+// Shared shopping list page (no login required, the token is the key)
+app.get("/shopping-list/shared/:token", (req, res) => {
+  const list = ShoppingList.findByShareToken(req.params.token);
+
+  if (!list) {
+    return res.status(404).send("Shopping list not found");
+  }
+
+  res.render("shopping-list", {
+    user: null,
+    shareToken: list.share_token,
+    title: "SeMoRecepts – Gedeelde boodschappenlijst"
+  });
+});
+
+// Shared board page (no login required, the token is the key)
+app.get("/boards/shared/:token", (req, res) => {
+  const board = Board.findByShareToken(req.params.token);
+
+  if (!board) {
+    return res.status(404).send("Board not found");
+  }
+
+  res.render("boards", {
+    user: null,
+    shareToken: req.params.token,
+    title: `SeMoRecepts – ${board.name}`
+  });
+});
+
+// Shared recipe page (no login required, the token is the key)
+app.get("/share/:token", (req, res) => {
+  const recipe = RecipeShare.findRecipeByToken(req.params.token);
+
+  if (!recipe) {
+    return res.status(404).send("Recipe not found");
+  }
+
+  res.render("share", {
+    user: req.session.userId ? { id: req.session.userId, email: req.session.email } : null,
     recipe: recipe,
+    shareToken: req.params.token,
     title: `SeMoRecepts – ${recipe.title}`
   });
 });
@@ -195,6 +423,6 @@ app.use((error, req, res, next) => {
  */
 app.listen(port, () => {
   console.log(`✅ Server running on http://localhost:${port}`);
-  console.log(`📁 Database: ./data/database.db`);
+  console.log(`📁 Database: ${DATABASE_PATH}`);
   console.log(`🔐 Session secret: ${process.env.SESSION_SECRET ? "✓ (from env)" : "⚠ (using default)"}`);
 });
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { User } from "../models/User.js";
 import { body, validationResult } from "express-validator";
+import { UNIT_SYSTEMS } from "../services/unitConverter.js";
 
 /**
  * Authentication Controller
@@ -198,7 +199,57 @@ export const getCurrentUser = (req, res) => {
     user: {
       id: user.id,
       name: user.name,
-      email: user.email
+      email: user.email,
+      unit_system: user.unit_system
     }
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Update current user's preferences
+ * PUT /api/auth/preferences
+ * Body: { unit_system }
+ */
+export const updatePreferences = [
+  body("unit_system")
+    .isIn(UNIT_SYSTEMS)
+    .withMessage(`Unit system must be one of: ${UNIT_SYSTEMS.join(", ")}`),
+
+  // Controller logic
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: "Validation failed",
+        errors: errors.array() 
+      });
+    }
+
+    try {
+      const updated = User.updatePreferences(req.session.userId, {
+        unit_system: req.body.unit_system
+      });
+
+      if (!updated) {
+        return res.status(404).json({ 
+          error: "User not found",
+          message: "Session user no longer exists" 
+        });
+      }
+
+      console.log(`✅ Preferences updated for user ${req.session.userId}: ${req.body.unit_system}`);
+
+      res.json({
+        success: true,
+        message: "Preferences updated successfully",
+        preferences: { unit_system: req.body.unit_system }
+      });
+    } catch (error) {
+      console.error("Update preferences error:", error);
+      res.status(500).json({ 
+        error: "Failed to update preferences",
+        message: "An error occurred while updating preferences" 
+      });
+    }
+  }
+];
\ No newline at end of file
@@ -0,0 +1,541 @@
+import { Board, MAX_BOARD_NAME_LENGTH, MAX_BOARDS } from "../models/Board.js";
+import { Recipe } from "../models/Recipe.js";
+import { body, query, validationResult } from "express-validator";
+
+/**
+ * Board Controller
+ * Handles boards: named collections of favorite recipes with their own order, cover and share link
+ * The default board holds the favorites of POST /api/favorites/toggle; it can be renamed but not deleted
+ */
+
+/**
+ * Get the boards of the current user in their order
+ * GET /api/favorites/boards
+ * GET /api/favorites/boards?recipeId=... - Also tells per board whether the recipe is on it (has_recipe)
+ */
+export const getBoards = [
+  query("recipeId")
+    .optional()
+    .isString()
+    .withMessage("Recipe ID must be text"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      res.json({
+        success: true,
+        boards: Board.findByUserId(req.session.userId, req.query.recipeId || null)
+      });
+    } catch (error) {
+      console.error("Get boards error:", error);
+      res.status(500).json({
+        error: "Failed to fetch boards",
+        message: "An error occurred while fetching boards"
+      });
+    }
+  }
+];
+
+/**
+ * Get a board with its recipes in the board's order
+ * GET /api/favorites/boards/:id
+ */
+export const getBoard = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const board = Board.findById(Number(req.params.id), userId);
+
+    if (!board) {
+      return res.status(404).json({
+        error: "Board not found",
+        message: "Board does not exist or you don't have permission to view it"
+      });
+    }
+
+    res.json({
+      success: true,
+      board: { ...board, recipes: Board.findRecipes(board.id, userId) }
+    });
+  } catch (error) {
+    console.error("Get board error:", error);
+    res.status(500).json({
+      error: "Failed to fetch board",
+      message: "An error occurred while fetching the board"
+    });
+  }
+};
+
+/**
+ * Create a board, optionally with a first recipe on it
+ * POST /api/favorites/boards
+ * Body: { name, recipeId? }
+ */
+export const createBoard = [
+  nameValidator(),
+
+  body("recipeId")
+    .optional()
+    .isString()
+    .withMessage("Recipe ID must be text"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const { name, recipeId } = req.body;
+
+      if (Board.nameExists(userId, name)) {
+        return res.status(409).json({
+          error: "Board already exists",
+          message: `You already have a board named "${name}"`
+        });
+      }
+
+      if (Board.count(userId) >= MAX_BOARDS) {
+        return res.status(409).json({
+          error: "Too many boards",
+          message: `You can have at most ${MAX_BOARDS} boards`
+        });
+      }
+
+      if (recipeId && !Recipe.findById(recipeId, userId)) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
+      const boardId = Board.create(userId, name);
+      if (recipeId) Board.pin(boardId, recipeId);
+
+      console.log(`✅ Board created: ${name} (ID: ${boardId}, user ${userId})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Board created successfully",
+        board: Board.findById(boardId, userId)
+      });
+    } catch (error) {
+      console.error("Create board error:", error);
+      res.status(500).json({
+        error: "Failed to create board",
+        message: "An error occurred while creating the board"
+      });
+    }
+  }
+];
+
+/**
+ * Rename a board and/or choose its cover
+ * PUT /api/favorites/boards/:id
+ * Body: { name?, coverRecipeId? } (coverRecipeId null: the first recipe with an image)
+ */
+export const updateBoard = [
+  nameValidator().optional(),
+
+  body("coverRecipeId")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Cover recipe ID must be text or null"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const board = Board.findById(Number(req.params.id), userId);
+      const { name, coverRecipeId } = req.body;
+
+      if (!board) {
+        return res.status(404).json({
+          error: "Board not found",
+          message: "Board does not exist or you don't have permission to update it"
+        });
+      }
+
+      if (name !== undefined && Board.nameExists(userId, name, board.id)) {
+        return res.status(409).json({
+          error: "Board already exists",
+          message: `You already have a board named "${name}"`
+        });
+      }
+
+      if (coverRecipeId && !Board.findRecipeIds(board.id).includes(coverRecipeId)) {
+        return res.status(400).json({
+          error: "Invalid cover",
+          message: "The cover must be a recipe on the board"
+        });
+      }
+
+      Board.update(board.id, userId, { name, coverRecipeId });
+
+      res.json({
+        success: true,
+        message: "Board updated successfully",
+        board: Board.findById(board.id, userId)
+      });
+    } catch (error) {
+      console.error("Update board error:", error);
+      res.status(500).json({
+        error: "Failed to update board",
+        message: "An error occurred while updating the board"
+      });
+    }
+  }
+];
+
+/**
+ * Delete a board (the recipes themselves are kept)
+ * DELETE /api/favorites/boards/:id
+ */
+export const deleteBoard = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const board = Board.findById(Number(req.params.id), userId);
+
+    if (!board) {
+      return res.status(404).json({
+        error: "Board not found",
+        message: "Board does not exist or you don't have permission to delete it"
+      });
+    }
+
+    if (board.is_default) {
+      return res.status(400).json({
+        error: "Cannot delete default board",
+        message: "The favorites board cannot be deleted"
+      });
+    }
+
+    Board.delete(board.id, userId);
+
+    console.log(`✅ Board deleted: ${board.name} (ID: ${board.id}, user ${userId})`);
+
+    res.json({
+      success: true,
+      message: "Board deleted successfully"
+    });
+  } catch (error) {
+    console.error("Delete board error:", error);
+    res.status(500).json({
+      error: "Failed to delete board",
+      message: "An error occurred while deleting the board"
+    });
+  }
+};
+
+/**
+ * Put the boards in a new order
+ * PUT /api/favorites/boards/order
+ * Body: { boardIds } (boards missing from the list follow in their current order)
+ */
+export const reorderBoards = [
+  body("boardIds")
+    .isArray({ min: 1, max: MAX_BOARDS })
+    .withMessage("Board IDs must be a non-empty array")
+    .custom(ids => ids.every(id => Number.isInteger(Number(id))))
+    .withMessage("Every board ID must be a number"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      Board.reorder(userId, req.body.boardIds.map(Number));
+
+      res.json({
+        success: true,
+        message: "Boards reordered",
+        boards: Board.findByUserId(userId)
+      });
+    } catch (error) {
+      console.error("Reorder boards error:", error);
+      res.status(500).json({
+        error: "Failed to reorder boards",
+        message: "An error occurred while reordering boards"
+      });
+    }
+  }
+];
+
+/**
+ * Pin a recipe to a board (in front of the others)
+ * POST /api/favorites/boards/:id/recipes
+ * Body: { recipeId }
+ */
+export const pinRecipe = [
+  body("recipeId")
+    .isString()
+    .notEmpty()
+    .withMessage("Recipe ID is required"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const board = Board.findById(Number(req.params.id), userId);
+
+      if (!board) {
+        return res.status(404).json({
+          error: "Board not found",
+          message: "Board does not exist or you don't have permission to change it"
+        });
+      }
+
+      const recipe = Recipe.findById(req.body.recipeId, userId);
+
+      if (!recipe) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
+      if (!Board.pin(board.id, recipe.id)) {
+        return res.status(409).json({
+          error: "Already pinned",
+          message: "The recipe is already on this board"
+        });
+      }
+
+      console.log(`✅ Recipe pinned: ${recipe.title} on ${board.name} (user ${userId})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Recipe added to board",
+        board: Board.findById(board.id, userId)
+      });
+    } catch (error) {
+      console.error("Pin recipe error:", error);
+      res.status(500).json({
+        error: "Failed to pin recipe",
+        message: "An error occurred while adding the recipe to the board"
+      });
+    }
+  }
+];
+
+/**
+ * Remove a recipe from a board
+ * DELETE /api/favorites/boards/:id/recipes/:recipeId
+ */
+export const unpinRecipe = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const board = Board.findById(Number(req.params.id), userId);
+
+    if (!board) {
+      return res.status(404).json({
+        error: "Board not found",
+        message: "Board does not exist or you don't have permission to change it"
+      });
+    }
+
+    if (!Board.unpin(board.id, req.params.recipeId)) {
+      return res.status(404).json({
+        error: "Recipe not on board",
+        message: "The recipe is not on this board"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Recipe removed from board",
+      board: Board.findById(board.id, userId)
+    });
+  } catch (error) {
+    console.error("Unpin recipe error:", error);
+    res.status(500).json({
+      error: "Failed to unpin recipe",
+      message: "An error occurred while removing the recipe from the board"
+    });
+  }
+};
+
+/**
+ * Put the recipes of a board in a new order
+ * PUT /api/favorites/boards/:id/recipes/order
+ * Body: { recipeIds } (recipes missing from the list follow in their current order)
+ */
+export const reorderBoardRecipes = [
+  body("recipeIds")
+    .isArray({ min: 1, max: 1000 })
+    .withMessage("Recipe IDs must be a non-empty array")
+    .custom(ids => ids.every(id => typeof id === "string"))
+    .withMessage("Every recipe ID must be text"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const board = Board.findById(Number(req.params.id), userId);
+
+      if (!board) {
+        return res.status(404).json({
+          error: "Board not found",
+          message: "Board does not exist or you don't have permission to change it"
+        });
+      }
+
+      Board.reorderRecipes(board.id, req.body.recipeIds);
+
+      res.json({
+        success: true,
+        message: "Board reordered",
+        recipeIds: Board.findRecipeIds(board.id)
+      });
+    } catch (error) {
+      console.error("Reorder board recipes error:", error);
+      res.status(500).json({
+        error: "Failed to reorder board",
+        message: "An error occurred while reordering the board"
+      });
+    }
+  }
+];
+
+/**
+ * Share a board through a secret link
+ * POST /api/favorites/boards/:id/share
+ */
+export const shareBoard = async (req, res) => {
+  try {
+    const board = Board.findById(Number(req.params.id), req.session.userId);
+
+    if (!board) {
+      return res.status(404).json({
+        error: "Board not found",
+        message: "Board does not exist or you don't have permission to share it"
+      });
+    }
+
+    const token = Board.share(board.id);
+
+    res.json({
+      success: true,
+      message: "Board shared",
+      share_token: token,
+      share_url: `/boards/shared/${token}`
+    });
+  } catch (error) {
+    console.error("Share board error:", error);
+    res.status(500).json({
+      error: "Failed to share board",
+      message: "An error occurred while creating the share link"
+    });
+  }
+};
+
+/**
+ * Stop sharing a board, the old link stops working
+ * DELETE /api/favorites/boards/:id/share
+ */
+export const unshareBoard = async (req, res) => {
+  try {
+    const board = Board.findById(Number(req.params.id), req.session.userId);
+
+    if (!board) {
+      return res.status(404).json({
+        error: "Board not found",
+        message: "Board does not exist or you don't have permission to share it"
+      });
+    }
+
+    Board.unshare(board.id);
+
+    res.json({
+      success: true,
+      message: "Board is no longer shared"
+    });
+  } catch (error) {
+    console.error("Unshare board error:", error);
+    res.status(500).json({
+      error: "Failed to unshare board",
+      message: "An error occurred while revoking the share link"
+    });
+  }
+};
+
+/**
+ * Get a shared board with its recipes (no login required)
+ * GET /api/favorites/boards/shared/:token
+ */
+export const getSharedBoard = async (req, res) => {
+  try {
+    const board = Board.findByShareToken(req.params.token);
+
+    if (!board) {
+      return res.status(404).json({
+        error: "Board not found",
+        message: "This link is invalid or the board is no longer shared"
+      });
+    }
+
+    // Viewers only need the content, not the owner's board settings
+    const { id, share_token, cover_recipe_id, ...shared } = board;
+
+    res.json({
+      success: true,
+      board: shared
+    });
+  } catch (error) {
+    console.error("Get shared board error:", error);
+    res.status(500).json({
+      error: "Failed to fetch board",
+      message: "An error occurred while fetching the board"
+    });
+  }
+};
+
+/**
+ * Validator for board names
+ */
+function nameValidator() {
+  return body("name")
+    .trim()
+    .customSanitizer(name => String(name).replace(/\s+/g, " "))
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: MAX_BOARD_NAME_LENGTH })
+    .withMessage(`Name must be at most ${MAX_BOARD_NAME_LENGTH} characters`);
+}
@@ -0,0 +1,240 @@
+import { Recipe } from "../models/Recipe.js";
+import { CookingSession } from "../models/CookingSession.js";
+import { body, validationResult } from "express-validator";
+
+/**
+ * Cooking Session Controller
+ * Handles cook mode progress (resumable on any device) and the history of when recipes were cooked
+ * Sessions are personal: household members each have their own
+ */
+
+/**
+ * Get the unfinished session and the cooking history of a recipe
+ * GET /api/recipes/:id/cooking-session
+ */
+export const getCookingSession = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const recipe = Recipe.findById(req.params.id, userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    res.json({
+      success: true,
+      session: CookingSession.findOpen(userId, recipe.id) || null,
+      cooked_count: recipe.cooked_count,
+      last_cooked_at: recipe.last_cooked_at,
+      history: CookingSession.findHistory(userId, recipe.id)
+    });
+  } catch (error) {
+    console.error("Get cooking session error:", error);
+    res.status(500).json({
+      error: "Failed to fetch cooking session",
+      message: "An error occurred while fetching the cooking session"
+    });
+  }
+};
+
+/**
+ * Start cooking a recipe (from the first step)
+ * POST /api/recipes/:id/cooking-session
+ * Body: { servings? }
+ * An unfinished session of the recipe is replaced
+ */
+export const startCookingSession = [
+  body("servings")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const recipe = Recipe.findById(req.params.id, userId);
+
+      if (!recipe) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
+      const session = CookingSession.start(userId, recipe.id, req.body.servings ? Number(req.body.servings) : null);
+
+      console.log(`✅ Cooking started: ${recipe.title} (user ${userId})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Cooking session started",
+        session: session
+      });
+    } catch (error) {
+      console.error("Start cooking session error:", error);
+      res.status(500).json({
+        error: "Failed to start cooking session",
+        message: "An error occurred while starting the cooking session"
+      });
+    }
+  }
+];
+
+/**
+ * Save the progress of the unfinished session
+ * PUT /api/recipes/:id/cooking-session
+ * Body: { step?, servings? } (step is 0-based)
+ */
+export const updateCookingSession = [
+  body("step")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Step must be a step number (0-based)"),
+
+  body("servings")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const recipe = Recipe.findById(req.params.id, userId);
+
+      if (!recipe) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
+      const step = req.body.step !== undefined ? Number(req.body.step) : null;
+      if (step !== null && step >= recipe.steps.length) {
+        return res.status(400).json({
+          error: "Invalid step",
+          message: `This recipe has ${recipe.steps.length} steps`
+        });
+      }
+
+      const updated = CookingSession.updateProgress(userId, recipe.id, {
+        step: step,
+        servings: req.body.servings ? Number(req.body.servings) : null
+      });
+
+      if (!updated) {
+        return res.status(404).json({
+          error: "Cooking session not found",
+          message: "You are not cooking this recipe"
+        });
+      }
+
+      res.json({
+        success: true,
+        session: CookingSession.findOpen(userId, recipe.id)
+      });
+    } catch (error) {
+      console.error("Update cooking session error:", error);
+      res.status(500).json({
+        error: "Failed to update cooking session",
+        message: "An error occurred while saving your progress"
+      });
+    }
+  }
+];
+
+/**
+ * Finish the unfinished session: the recipe counts as cooked
+ * POST /api/recipes/:id/cooking-session/complete
+ */
+export const completeCookingSession = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const recipe = Recipe.findById(req.params.id, userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    if (!CookingSession.complete(userId, recipe.id)) {
+      return res.status(404).json({
+        error: "Cooking session not found",
+        message: "You are not cooking this recipe"
+      });
+    }
+
+    const cooked = Recipe.findById(recipe.id, userId);
+
+    console.log(`✅ Recipe cooked: ${recipe.title} (${cooked.cooked_count}x, user ${userId})`);
+
+    res.json({
+      success: true,
+      message: "Recipe marked as cooked",
+      cooked_count: cooked.cooked_count,
+      last_cooked_at: cooked.last_cooked_at
+    });
+  } catch (error) {
+    console.error("Complete cooking session error:", error);
+    res.status(500).json({
+      error: "Failed to complete cooking session",
+      message: "An error occurred while finishing the cooking session"
+    });
+  }
+};
+
+/**
+ * Stop the unfinished session without counting it as cooked
+ * DELETE /api/recipes/:id/cooking-session
+ */
+export const discardCookingSession = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const recipe = Recipe.findById(req.params.id, userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    if (!CookingSession.discard(userId, recipe.id)) {
+      return res.status(404).json({
+        error: "Cooking session not found",
+        message: "You are not cooking this recipe"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Cooking session discarded"
+    });
+  } catch (error) {
+    console.error("Discard cooking session error:", error);
+    res.status(500).json({
+      error: "Failed to discard cooking session",
+      message: "An error occurred while stopping the cooking session"
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import { Favorite } from "../models/Favorite.js";
+import { Recipe } from "../models/Recipe.js";
 
 /**
  * Favorite Controller
@@ -34,6 +35,14 @@ export const toggleFavorite = async (req, res) => {
         message: "Recipe removed from favorites"
       });
     } else {
+      // Only recipes the user can see may be favorited (removing always works, e.g. after leaving a household)
+      if (!Recipe.findById(recipeId, req.session.userId)) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
       // Add to favorites
       Favorite.add(req.session.userId, recipeId);
       console.log(`✅ Recipe favorited: ${recipeId} by user ${req.session.userId}`);
@@ -0,0 +1,399 @@
+import { Household, HOUSEHOLD_ROLES, INVITATION_ROLES } from "../models/Household.js";
+import { body, validationResult } from "express-validator";
+
+/**
+ * Household Controller
+ * Handles households (shared cookbooks), their members and invitations
+ * req.membership is set by requireAuth; owner-only routes use requireHouseholdRole("owner")
+ */
+
+/**
+ * Get the household of the current user and the invitations waiting for them
+ * GET /api/household
+ * household is null when the user is not in a household; its invitations are only listed for owners
+ */
+export const getHousehold = async (req, res) => {
+  try {
+    const membership = req.membership;
+    let household = null;
+
+    if (membership) {
+      household = {
+        id: membership.household_id,
+        name: membership.name,
+        role: membership.role,
+        members: Household.getMembers(membership.household_id),
+        invitations: membership.role === "owner" ? Household.getInvitations(membership.household_id) : []
+      };
+    }
+
+    res.json({
+      success: true,
+      household: household,
+      invitations: Household.findInvitationsForEmail(req.session.email)
+    });
+  } catch (error) {
+    console.error("Get household error:", error);
+    res.status(500).json({
+      error: "Failed to fetch household",
+      message: "An error occurred while fetching the household"
+    });
+  }
+};
+
+/**
+ * Create a household, the current user becomes its owner
+ * POST /api/household
+ * Body: { name }
+ */
+export const createHousehold = [
+  nameValidator(),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    if (req.membership) {
+      return res.status(409).json({
+        error: "Already in a household",
+        message: "Leave your current household before creating a new one"
+      });
+    }
+
+    try {
+      const householdId = Household.create(req.session.userId, req.body.name);
+
+      console.log(`✅ Household created: ${req.body.name} (ID: ${householdId})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Household created successfully",
+        householdId: householdId
+      });
+    } catch (error) {
+      console.error("Create household error:", error);
+      res.status(500).json({
+        error: "Failed to create household",
+        message: "An error occurred while creating the household"
+      });
+    }
+  }
+];
+
+/**
+ * Rename the household (owner only)
+ * PUT /api/household
+ * Body: { name }
+ */
+export const renameHousehold = [
+  nameValidator(),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      Household.rename(req.membership.household_id, req.body.name);
+
+      console.log(`✅ Household renamed: ${req.body.name} (ID: ${req.membership.household_id})`);
+
+      res.json({
+        success: true,
+        message: "Household renamed successfully"
+      });
+    } catch (error) {
+      console.error("Rename household error:", error);
+      res.status(500).json({
+        error: "Failed to rename household",
+        message: "An error occurred while renaming the household"
+      });
+    }
+  }
+];
+
+/**
+ * Invite someone to the household by email address (owner only)
+ * POST /api/household/invitations
+ * Body: { email, role } - role is "editor" or "viewer"
+ * The invited user sees the invitation after logging in with that address; it expires after 7 days
+ */
+export const inviteMember = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Valid email is required")
+    .normalizeEmail()
+    .toLowerCase(),
+
+  body("role")
+    .isIn(INVITATION_ROLES)
+    .withMessage(`Role must be one of: ${INVITATION_ROLES.join(", ")}`),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const householdId = req.membership.household_id;
+      const isMember = Household.getMembers(householdId).some(member => member.email === req.body.email);
+
+      if (isMember) {
+        return res.status(409).json({
+          error: "Already a member",
+          message: "This person is already a member of your household"
+        });
+      }
+
+      const invitation = Household.invite(householdId, req.body.email, req.body.role, req.session.userId);
+
+      console.log(`✅ Household invitation sent: ${invitation.email} as ${invitation.role} (household ID: ${householdId})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Invitation created successfully",
+        invitation: invitation
+      });
+    } catch (error) {
+      console.error("Invite member error:", error);
+      res.status(500).json({
+        error: "Failed to invite member",
+        message: "An error occurred while creating the invitation"
+      });
+    }
+  }
+];
+
+/**
+ * Withdraw an invitation (owner only)
+ * DELETE /api/household/invitations/:id
+ */
+export const deleteInvitation = async (req, res) => {
+  try {
+    const deleted = Household.deleteInvitation(Number(req.params.id), req.membership.household_id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Invitation not found",
+        message: "Invitation does not exist or was already answered"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invitation withdrawn"
+    });
+  } catch (error) {
+    console.error("Delete invitation error:", error);
+    res.status(500).json({
+      error: "Failed to withdraw invitation",
+      message: "An error occurred while withdrawing the invitation"
+    });
+  }
+};
+
+/**
+ * Accept an invitation for the current user's email address
+ * POST /api/household/invitations/:id/accept
+ */
+export const acceptInvitation = async (req, res) => {
+  if (req.membership) {
+    return res.status(409).json({
+      error: "Already in a household",
+      message: "Leave your current household before joining another one"
+    });
+  }
+
+  try {
+    const joined = Household.acceptInvitation(Number(req.params.id), req.session.userId, req.session.email);
+
+    if (!joined) {
+      return res.status(404).json({
+        error: "Invitation not found",
+        message: "Invitation does not exist, has expired or is not addressed to you"
+      });
+    }
+
+    console.log(`✅ User ${req.session.userId} joined household ${joined.household_id} as ${joined.role}`);
+
+    res.json({
+      success: true,
+      message: "You joined the household",
+      householdId: joined.household_id,
+      role: joined.role
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(500).json({
+      error: "Failed to accept invitation",
+      message: "An error occurred while joining the household"
+    });
+  }
+};
+
+/**
+ * Decline an invitation for the current user's email address
+ * POST /api/household/invitations/:id/decline
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const declined = Household.declineInvitation(Number(req.params.id), req.session.email);
+
+    if (!declined) {
+      return res.status(404).json({
+        error: "Invitation not found",
+        message: "Invitation does not exist or is not addressed to you"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invitation declined"
+    });
+  } catch (error) {
+    console.error("Decline invitation error:", error);
+    res.status(500).json({
+      error: "Failed to decline invitation",
+      message: "An error occurred while declining the invitation"
+    });
+  }
+};
+
+/**
+ * Change the role of a member (owner only)
+ * PUT /api/household/members/:userId
+ * Body: { role } - "owner", "editor" or "viewer"; the household always keeps an owner
+ */
+export const updateMemberRole = [
+  body("role")
+    .isIn(HOUSEHOLD_ROLES)
+    .withMessage(`Role must be one of: ${HOUSEHOLD_ROLES.join(", ")}`),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const householdId = req.membership.household_id;
+      const memberId = Number(req.params.userId);
+      const currentRole = Household.getRole(householdId, memberId);
+
+      if (!currentRole) {
+        return res.status(404).json({
+          error: "Member not found",
+          message: "This user is not a member of your household"
+        });
+      }
+
+      if (currentRole === "owner" && req.body.role !== "owner" && Household.countOwners(householdId) === 1) {
+        return res.status(409).json({
+          error: "Last owner",
+          message: "Make another member owner first"
+        });
+      }
+
+      Household.setRole(householdId, memberId, req.body.role);
+
+      console.log(`✅ Household member ${memberId} is now ${req.body.role} (household ID: ${householdId})`);
+
+      res.json({
+        success: true,
+        message: "Role updated successfully"
+      });
+    } catch (error) {
+      console.error("Update member role error:", error);
+      res.status(500).json({
+        error: "Failed to update role",
+        message: "An error occurred while updating the role"
+      });
+    }
+  }
+];
+
+/**
+ * Remove a member from the household, or leave it
+ * DELETE /api/household/members/:userId
+ * Owners can remove anyone; every member can remove themselves (leave)
+ * The last owner can only leave when no other members remain; members keep their own recipes
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const householdId = req.membership.household_id;
+    const memberId = Number(req.params.userId);
+    const leaving = memberId === req.session.userId;
+
+    if (!leaving && req.membership.role !== "owner") {
+      return res.status(403).json({
+        error: "Permission denied",
+        message: "Only a household owner can remove other members"
+      });
+    }
+
+    const role = Household.getRole(householdId, memberId);
+
+    if (!role) {
+      return res.status(404).json({
+        error: "Member not found",
+        message: "This user is not a member of your household"
+      });
+    }
+
+    const isLastOwner = role === "owner" && Household.countOwners(householdId) === 1;
+    if (isLastOwner && Household.getMembers(householdId).length > 1) {
+      return res.status(409).json({
+        error: "Last owner",
+        message: "Make another member owner before leaving the household"
+      });
+    }
+
+    Household.removeMember(householdId, memberId);
+
+    console.log(`✅ User ${memberId} ${leaving ? "left" : "was removed from"} household ${householdId}`);
+
+    res.json({
+      success: true,
+      message: leaving ? "You left the household" : "Member removed successfully"
+    });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    res.status(500).json({
+      error: "Failed to remove member",
+      message: "An error occurred while removing the member"
+    });
+  }
+};
+
+/**
+ * Validate the household name of a request body
+ */
+function nameValidator() {
+  return body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name must be at most 100 characters");
+}
@@ -0,0 +1,285 @@
+import { MealPlan, MEAL_SLOTS } from "../models/MealPlan.js";
+import { Recipe } from "../models/Recipe.js";
+import { body, query, validationResult } from "express-validator";
+
+/**
+ * Meal Plan Controller
+ * Handles scheduling recipes in the weekly meal planner
+ */
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the Monday of the current week as YYYY-MM-DD (server local time)
+ */
+function currentMonday() {
+  const now = new Date();
+  const daysSinceMonday = (now.getDay() + 6) % 7;
+  const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysSinceMonday);
+  const pad = n => String(n).padStart(2, "0");
+  return `${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+}
+
+/**
+ * Get planned meals for a period
+ * GET /api/mealplan?start=YYYY-MM-DD&days=7
+ * Defaults to the current week (Monday to Sunday)
+ */
+export const getMealPlan = [
+  query("start")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Start must be a date (YYYY-MM-DD)"),
+
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage("Days must be between 1 and 31"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const start = req.query.start || currentMonday();
+      const end = addDays(start, Number(req.query.days || 7) - 1);
+      const entries = MealPlan.findByDateRange(req.session.userId, start, end);
+
+      res.json({
+        success: true,
+        start: start,
+        end: end,
+        slots: MEAL_SLOTS,
+        entries: entries
+      });
+    } catch (error) {
+      console.error("Get meal plan error:", error);
+      res.status(500).json({
+        error: "Failed to fetch meal plan",
+        message: "An error occurred while fetching the meal plan"
+      });
+    }
+  }
+];
+
+/**
+ * Schedule a recipe
+ * POST /api/mealplan
+ * Body: { recipeId, date, slot, servings? }
+ */
+export const addMealPlanEntry = [
+  body("recipeId")
+    .trim()
+    .notEmpty()
+    .withMessage("Recipe ID is required"),
+
+  body("date")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Date must be a date (YYYY-MM-DD)"),
+
+  body("slot")
+    .isIn(MEAL_SLOTS)
+    .withMessage(`Slot must be one of: ${MEAL_SLOTS.join(", ")}`),
+
+  body("servings")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const recipe = Recipe.findById(req.body.recipeId, req.session.userId);
+
+      if (!recipe) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to plan it"
+        });
+      }
+
+      const entryId = MealPlan.create(req.session.userId, {
+        recipeId: recipe.id,
+        date: req.body.date,
+        slot: req.body.slot,
+        servings: req.body.servings ? Number(req.body.servings) : null
+      });
+
+      console.log(`✅ Recipe planned: ${recipe.title} on ${req.body.date} (${req.body.slot})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Recipe added to meal plan",
+        entryId: entryId
+      });
+    } catch (error) {
+      console.error("Add meal plan entry error:", error);
+      res.status(500).json({
+        error: "Failed to add to meal plan",
+        message: "An error occurred while adding the recipe to the meal plan"
+      });
+    }
+  }
+];
+
+/**
+ * Move an entry or change its servings
+ * PUT /api/mealplan/:id
+ * Body: { date?, slot?, servings? }
+ */
+export const updateMealPlanEntry = [
+  body("date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Date must be a date (YYYY-MM-DD)"),
+
+  body("slot")
+    .optional()
+    .isIn(MEAL_SLOTS)
+    .withMessage(`Slot must be one of: ${MEAL_SLOTS.join(", ")}`),
+
+  body("servings")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const updated = MealPlan.update(req.params.id, req.session.userId, {
+        date: req.body.date,
+        slot: req.body.slot,
+        servings: req.body.servings ? Number(req.body.servings) : null
+      });
+
+      if (!updated) {
+        return res.status(404).json({
+          error: "Entry not found",
+          message: "Meal plan entry does not exist or you don't have permission to update it"
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Meal plan entry updated"
+      });
+    } catch (error) {
+      console.error("Update meal plan entry error:", error);
+      res.status(500).json({
+        error: "Failed to update meal plan",
+        message: "An error occurred while updating the meal plan"
+      });
+    }
+  }
+];
+
+/**
+ * Copy an entry to another date/slot
+ * POST /api/mealplan/:id/copy
+ * Body: { date?, slot? }
+ */
+export const copyMealPlanEntry = [
+  body("date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Date must be a date (YYYY-MM-DD)"),
+
+  body("slot")
+    .optional()
+    .isIn(MEAL_SLOTS)
+    .withMessage(`Slot must be one of: ${MEAL_SLOTS.join(", ")}`),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const entryId = MealPlan.copy(req.params.id, req.session.userId, {
+        date: req.body.date,
+        slot: req.body.slot
+      });
+
+      if (!entryId) {
+        return res.status(404).json({
+          error: "Entry not found",
+          message: "Meal plan entry does not exist or you don't have permission to copy it"
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Meal plan entry copied",
+        entryId: entryId
+      });
+    } catch (error) {
+      console.error("Copy meal plan entry error:", error);
+      res.status(500).json({
+        error: "Failed to copy meal plan entry",
+        message: "An error occurred while copying the meal plan entry"
+      });
+    }
+  }
+];
+
+/**
+ * Remove an entry
+ * DELETE /api/mealplan/:id
+ */
+export const deleteMealPlanEntry = async (req, res) => {
+  try {
+    const deleted = MealPlan.delete(req.params.id, req.session.userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Entry not found",
+        message: "Meal plan entry does not exist or you don't have permission to delete it"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Meal plan entry removed"
+    });
+  } catch (error) {
+    console.error("Delete meal plan entry error:", error);
+    res.status(500).json({
+      error: "Failed to remove meal plan entry",
+      message: "An error occurred while removing the meal plan entry"
+    });
+  }
+};
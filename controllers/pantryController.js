@@ -0,0 +1,347 @@
+import { Pantry } from "../models/Pantry.js";
+import { Recipe } from "../models/Recipe.js";
+import { ShoppingList } from "../models/ShoppingList.js";
+import { body, query, validationResult } from "express-validator";
+import { parseIngredient } from "../services/ingredientParser.js";
+import { formatItem } from "../services/shoppingList.js";
+import { EXPIRING_DAYS, localDate, matchRecipe } from "../services/pantry.js";
+
+/**
+ * Pantry Controller
+ * Handles the pantry (what a user has at home) and finding recipes to cook with it
+ */
+
+/**
+ * Mark an item as expired or expiring soon
+ * @returns {object} - Item with status "expired", "expiring" or null
+ */
+function withStatus(item) {
+  let status = null;
+  if (item.expires_on && item.expires_on < localDate()) status = "expired";
+  else if (item.expires_on && item.expires_on <= localDate(EXPIRING_DAYS)) status = "expiring";
+  return { ...item, status };
+}
+
+/**
+ * Parse the text of an item ("500 g bloem") into name and amount
+ * @returns {object} - { name, quantity, unit }
+ */
+function parseItemText(text) {
+  const parsed = parseIngredient(text);
+  return {
+    name: parsed.name || text,
+    quantity: parsed.quantity_max ?? parsed.quantity,
+    unit: parsed.unit
+  };
+}
+
+// Validators shared by adding and editing an item
+const textValidator = () => body("text")
+  .trim()
+  .notEmpty()
+  .withMessage("Text is required")
+  .isLength({ max: 200 })
+  .withMessage("Text must be at most 200 characters");
+
+const expiresOnValidator = () => body("expiresOn")
+  .optional({ values: "null" })
+  .isDate({ format: "YYYY-MM-DD", strictMode: true })
+  .withMessage("Expiry date must be a date (YYYY-MM-DD)");
+
+/**
+ * Get the pantry of the current user
+ * GET /api/pantry
+ */
+export const getPantry = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      expiring_days: EXPIRING_DAYS,
+      items: Pantry.findByUserId(req.session.userId).map(withStatus)
+    });
+  } catch (error) {
+    console.error("Get pantry error:", error);
+    res.status(500).json({
+      error: "Failed to fetch pantry",
+      message: "An error occurred while fetching the pantry"
+    });
+  }
+};
+
+/**
+ * Add an item
+ * POST /api/pantry/items
+ * Body: { text, expiresOn? } - e.g. "500 g bloem", "2024-06-30"
+ */
+export const addPantryItem = [
+  textValidator(),
+  expiresOnValidator(),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const itemId = Pantry.addItem(userId, {
+        ...parseItemText(req.body.text),
+        expiresOn: req.body.expiresOn
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Item added to pantry",
+        item: withStatus(Pantry.findItem(itemId, userId))
+      });
+    } catch (error) {
+      console.error("Add pantry item error:", error);
+      res.status(500).json({
+        error: "Failed to add item",
+        message: "An error occurred while adding the item"
+      });
+    }
+  }
+];
+
+/**
+ * Change an item
+ * PUT /api/pantry/items/:id
+ * Body: { text?, expiresOn? } (expiresOn null removes the expiry date)
+ */
+export const updatePantryItem = [
+  textValidator().optional(),
+  expiresOnValidator(),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const changes = req.body.text !== undefined ? parseItemText(req.body.text) : {};
+      const updated = Pantry.updateItem(req.params.id, userId, {
+        ...changes,
+        expiresOn: req.body.expiresOn
+      });
+
+      if (!updated) {
+        return res.status(404).json({
+          error: "Item not found",
+          message: "Item does not exist in your pantry"
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Pantry item updated",
+        item: withStatus(Pantry.findItem(req.params.id, userId))
+      });
+    } catch (error) {
+      console.error("Update pantry item error:", error);
+      res.status(500).json({
+        error: "Failed to update item",
+        message: "An error occurred while updating the item"
+      });
+    }
+  }
+];
+
+/**
+ * Remove an item
+ * DELETE /api/pantry/items/:id
+ */
+export const deletePantryItem = async (req, res) => {
+  try {
+    const deleted = Pantry.deleteItem(req.params.id, req.session.userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Item not found",
+        message: "Item does not exist in your pantry"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Item removed from pantry"
+    });
+  } catch (error) {
+    console.error("Delete pantry item error:", error);
+    res.status(500).json({
+      error: "Failed to remove item",
+      message: "An error occurred while removing the item"
+    });
+  }
+};
+
+/**
+ * Remove expired items
+ * DELETE /api/pantry/expired
+ */
+export const clearExpiredItems = async (req, res) => {
+  try {
+    const removed = Pantry.clearExpired(req.session.userId, localDate());
+
+    res.json({
+      success: true,
+      message: "Expired items removed",
+      removed: removed
+    });
+  } catch (error) {
+    console.error("Clear expired items error:", error);
+    res.status(500).json({
+      error: "Failed to remove expired items",
+      message: "An error occurred while removing the expired items"
+    });
+  }
+};
+
+/**
+ * Rank the recipes of the user by how many ingredients are in the pantry
+ * GET /api/pantry/matches?limit=N&maxMissing=N
+ * Best match first; ties go to recipes using items that expire soon
+ */
+export const getPantryMatches = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("maxMissing")
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage("Max missing must be between 0 and 100"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const limit = req.query.limit ? Number(req.query.limit) : 20;
+      const maxMissing = req.query.maxMissing !== undefined ? Number(req.query.maxMissing) : null;
+      const pantry = Pantry.findUsable(userId, localDate());
+
+      const matches = Recipe.findByUserId(userId)
+        .map(recipe => ({ recipe, ...matchRecipe(recipe, pantry) }))
+        .filter(match => match.total > 0 && (maxMissing === null || match.missing.length <= maxMissing))
+        .sort((a, b) =>
+          b.in_stock / b.total - a.in_stock / a.total ||
+          a.missing.length - b.missing.length ||
+          b.expiring.length - a.expiring.length ||
+          a.recipe.title.localeCompare(b.recipe.title, "nl")
+        )
+        .slice(0, limit);
+
+      res.json({
+        success: true,
+        pantry_items: pantry.length,
+        matches: matches.map(({ recipe, ...match }) => ({
+          recipe: {
+            id: recipe.id,
+            title: recipe.title,
+            time: recipe.time,
+            servings: recipe.servings,
+            image_url: recipe.image_url,
+            image_path: recipe.image_path
+          },
+          total: match.total,
+          in_stock: match.in_stock,
+          score: Math.round(match.in_stock / match.total * 100) / 100,
+          missing: match.missing.map(item => ({ ...item, text: formatItem(item) })),
+          expiring: match.expiring
+        }))
+      });
+    } catch (error) {
+      console.error("Get pantry matches error:", error);
+      res.status(500).json({
+        error: "Failed to match recipes",
+        message: "An error occurred while matching recipes with the pantry"
+      });
+    }
+  }
+];
+
+/**
+ * Add the ingredients that are not in the pantry to the shopping list
+ * POST /api/pantry/missing
+ * Body: { recipeIds: [...], servings? }
+ */
+export const addMissingToShoppingList = [
+  body("recipeIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Recipe IDs must be a non-empty array"),
+
+  body("servings")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const servings = req.body.servings ? Number(req.body.servings) : null;
+      const pantry = Pantry.findUsable(userId, localDate());
+
+      const entries = [];
+      for (const recipeId of req.body.recipeIds) {
+        const recipe = Recipe.findById(String(recipeId), userId);
+
+        if (!recipe) {
+          return res.status(404).json({
+            error: "Recipe not found",
+            message: "Recipe does not exist or you don't have permission to view it"
+          });
+        }
+
+        entries.push(...matchRecipe(recipe, pantry, servings).missing
+          .map(({ name, quantity, unit, recipes }) => ({ name, quantity, unit, recipes })));
+      }
+
+      const list = ShoppingList.findOrCreate(userId);
+      if (entries.length) ShoppingList.addEntries(list.id, entries);
+
+      console.log(`✅ ${entries.length} missing ingredient(s) added to shopping list for user ${userId}`);
+
+      res.json({
+        success: true,
+        message: entries.length ? "Missing ingredients added to shopping list" : "Everything is in the pantry",
+        added: entries.length,
+        items: ShoppingList.getItems(list.id)
+      });
+    } catch (error) {
+      console.error("Add missing ingredients error:", error);
+      res.status(500).json({
+        error: "Failed to update shopping list",
+        message: "An error occurred while adding the missing ingredients to the shopping list"
+      });
+    }
+  }
+];
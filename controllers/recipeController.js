@@ -1,5 +1,13 @@
-import { Recipe } from "../models/Recipe.js";
-import { body, validationResult } from "express-validator";
+import { Recipe, RECIPE_SORTS, TRASH_RETENTION_DAYS } from "../models/Recipe.js";
+import { MAX_TAG_LENGTH, MAX_TAGS_PER_RECIPE } from "../models/Tag.js";
+import { User } from "../models/User.js";
+import { body, query, validationResult } from "express-validator";
+import { scrapeRecipe } from "../services/recipeScraper.js";
+import { saveRecipeImage } from "../services/imageStorage.js";
+import { scaleRecipe } from "../services/ingredientScaler.js";
+import { convertRecipe, UNIT_SYSTEMS } from "../services/unitConverter.js";
+import { SEARCH_FIELDS } from "../services/searchQuery.js";
+import { decodeCursor } from "../services/cursor.js";
 
 /**
  * Recipe Controller
@@ -7,53 +15,181 @@ import { body, validationResult } from "express-validator";
  */
 
 /**
- * Get all recipes for current user
+ * Validators for the recipe list filters (query parameters), also used by the PDF cookbook
+ * - tags: only recipes with these tags (comma separated or repeated)
+ * - match=all|any: recipes need all tags (default) or at least one of them
+ * - maxTime: cooking time at most this many minutes
+ * - minRating: average rating of at least this many stars (1-5)
+ * - favorites=true: only favorites
+ * - source=scraped|own: only imported or only own recipes
+ * - sort=created|updated|title|time|rating (default: created, newest first; rating: best rated first)
+ */
+export const recipeFilterValidators = [
+  query("tags")
+    .optional()
+    .custom(value => [].concat(value).every(tags => typeof tags === "string" && tags.length <= 1000))
+    .withMessage("Tags must be a comma separated list"),
+
+  query("match")
+    .optional()
+    .isIn(["all", "any"])
+    .withMessage("Match must be all or any"),
+
+  query("maxTime")
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage("Max time must be a number of minutes"),
+
+  query("minRating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Min rating must be between 1 and 5"),
+
+  query("favorites")
+    .optional()
+    .isBoolean()
+    .withMessage("Favorites must be true or false"),
+
+  query("source")
+    .optional()
+    .isIn(["scraped", "own"])
+    .withMessage("Source must be scraped or own"),
+
+  query("sort")
+    .optional()
+    .isIn(RECIPE_SORTS)
+    .withMessage(`Sort must be one of: ${RECIPE_SORTS.join(", ")}`)
+];
+
+/**
+ * Read the (validated) recipe list filters into options for Recipe.findPage
+ * @param {object} query - req.query
+ * @returns {object} - { tags, tagMatch, maxMinutes, minRating, favoritesOnly, source, sort }
+ */
+export function recipeFilterOptions(query) {
+  return {
+    tags: query.tags ? [].concat(query.tags) : [],
+    tagMatch: query.match,
+    maxMinutes: query.maxTime ? Number(query.maxTime) : null,
+    minRating: query.minRating ? Number(query.minRating) : null,
+    favoritesOnly: query.favorites === "true",
+    source: query.source,
+    sort: query.sort
+  };
+}
+
+/**
+ * Get the recipes of the current user
  * GET /api/recipes
+ * Optional query parameters: the filters of recipeFilterValidators, and
+ * - limit + cursor: pagination, pass nextCursor of the previous page as cursor
+ * Without limit all matching recipes are returned
  */
-export const getAllRecipes = async (req, res) => {
-  try {
-    const recipes = Recipe.findByUserId(req.session.userId);
-    
-    res.json({
-      success: true,
-      recipes: recipes
-    });
-  } catch (error) {
-    console.error("Get recipes error:", error);
-    res.status(500).json({ 
-      error: "Failed to fetch recipes",
-      message: "An error occurred while fetching recipes" 
-    });
+export const getAllRecipes = [
+  ...recipeFilterValidators,
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("cursor")
+    .optional()
+    .custom(value => decodeCursor(value) !== null)
+    .withMessage("Invalid cursor"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: "Validation failed",
+        errors: errors.array() 
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const options = {
+        ...recipeFilterOptions(req.query),
+        limit: req.query.limit ? Number(req.query.limit) : null,
+        cursor: req.query.cursor
+      };
+
+      const page = Recipe.findPage(userId, options);
+      
+      res.json({
+        success: true,
+        recipes: page.recipes,
+        nextCursor: page.nextCursor
+      });
+    } catch (error) {
+      console.error("Get recipes error:", error);
+      res.status(500).json({ 
+        error: "Failed to fetch recipes",
+        message: "An error occurred while fetching recipes" 
+      });
+    }
   }
-};
+];
 
 /**
  * Get a single recipe by ID
  * GET /api/recipes/:id
+ * GET /api/recipes/:id?servings=N - Ingredients scaled to N servings
+ * GET /api/recipes/:id?units=metric|imperial|original - Converted units
+ *   (defaults to the user's preferred unit system)
  */
-export const getRecipeById = async (req, res) => {
-  try {
-    const recipe = Recipe.findById(req.params.id, req.session.userId);
-    
-    if (!recipe) {
-      return res.status(404).json({ 
-        error: "Recipe not found",
-        message: "Recipe does not exist or you don't have permission to view it" 
+export const getRecipeById = [
+  query("servings")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  query("units")
+    .optional()
+    .isIn(UNIT_SYSTEMS)
+    .withMessage(`Units must be one of: ${UNIT_SYSTEMS.join(", ")}`),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: "Validation failed",
+        errors: errors.array() 
       });
     }
 
-    res.json({
-      success: true,
-      recipe: recipe
-    });
-  } catch (error) {
-    console.error("Get recipe error:", error);
-    res.status(500).json({ 
-      error: "Failed to fetch recipe",
-      message: "An error occurred while fetching the recipe" 
-    });
+    try {
+      let recipe = Recipe.findById(req.params.id, req.session.userId);
+      
+      if (!recipe) {
+        return res.status(404).json({ 
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it" 
+        });
+      }
+
+      if (req.query.servings) {
+        recipe = scaleRecipe(recipe, Number(req.query.servings));
+      }
+
+      recipe = convertRecipe(recipe, req.query.units || User.getUnitSystem(req.session.userId));
+
+      res.json({
+        success: true,
+        recipe: recipe
+      });
+    } catch (error) {
+      console.error("Get recipe error:", error);
+      res.status(500).json({ 
+        error: "Failed to fetch recipe",
+        message: "An error occurred while fetching the recipe" 
+      });
+    }
   }
-};
+];
 
 /**
  * Create a new recipe
@@ -78,9 +214,7 @@ export const createRecipe = [
     .isInt({ min: 1, max: 100 })
     .withMessage("Servings must be between 1 and 100"),
   
-  body("category")
-    .optional({ checkFalsy: true })
-    .trim(),
+  tagsValidator(),
   
   body("source_url")
     .optional({ checkFalsy: true })
@@ -123,10 +257,9 @@ export const createRecipe = [
         title: req.body.title,
         time: req.body.time || null,
         servings: req.body.servings || 2,
-        category: req.body.category || null,
+        tags: req.body.tags || [],
         source_url: req.body.source_url || null,
         image_url: req.body.image_url || null,
-        image_path: req.body.image_path || null,
         ingredients: req.body.ingredients || [],
         steps: req.body.steps || [],
         notes: req.body.notes || null,
@@ -156,6 +289,7 @@ export const createRecipe = [
  * Update an existing recipe
  * PUT /api/recipes/:id
  * ONLY TITLE IS MANDATORY - all other fields are optional
+ * Tags are kept when the body has no tags array
  */
 export const updateRecipe = [
   // Validation middleware - ONLY title is required
@@ -175,9 +309,7 @@ export const updateRecipe = [
     .isInt({ min: 1, max: 100 })
     .withMessage("Servings must be between 1 and 100"),
   
-  body("category")
-    .optional({ checkFalsy: true })
-    .trim(),
+  tagsValidator(),
   
   body("source_url")
     .optional({ checkFalsy: true })
@@ -220,10 +352,9 @@ export const updateRecipe = [
         title: req.body.title,
         time: req.body.time || null,
         servings: req.body.servings || 2,
-        category: req.body.category || null,
+        tags: req.body.tags,
         source_url: req.body.source_url || null,
         image_url: req.body.image_url || null,
-        image_path: req.body.image_path || null,
         ingredients: req.body.ingredients || [],
         steps: req.body.steps || [],
         notes: req.body.notes || null
@@ -255,8 +386,9 @@ export const updateRecipe = [
 ];
 
 /**
- * Delete a recipe
+ * Delete a recipe: move it to the trash
  * DELETE /api/recipes/:id
+ * Undo with POST /api/recipes/trash/:id/restore; purged automatically after 30 days
  */
 export const deleteRecipe = async (req, res) => {
   try {
@@ -269,11 +401,11 @@ export const deleteRecipe = async (req, res) => {
       });
     }
 
-    console.log(`✅ Recipe deleted: ID ${req.params.id}`);
+    console.log(`✅ Recipe moved to trash: ID ${req.params.id}`);
 
     res.json({
       success: true,
-      message: "Recipe deleted successfully"
+      message: "Recipe moved to trash"
     });
   } catch (error) {
     console.error("Delete recipe error:", error);
@@ -284,24 +416,330 @@ export const deleteRecipe = async (req, res) => {
   }
 };
 
+/**
+ * Get the recipes in the trash
+ * GET /api/recipes/trash
+ * Each recipe has deleted_at and purge_at (when it is deleted permanently)
+ */
+export const getTrash = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      recipes: Recipe.findDeleted(req.session.userId)
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    res.status(500).json({
+      error: "Failed to fetch trash",
+      message: "An error occurred while fetching the deleted recipes"
+    });
+  }
+};
+
+/**
+ * Restore a recipe from the trash
+ * POST /api/recipes/trash/:id/restore
+ * Favorites, meal plan entries and share links of the recipe work again
+ */
+export const restoreRecipe = async (req, res) => {
+  try {
+    const restored = Recipe.restore(req.params.id, req.session.userId);
+
+    if (!restored) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe is not in the trash or you don't have permission to restore it"
+      });
+    }
+
+    console.log(`✅ Recipe restored from trash: ID ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: "Recipe restored",
+      recipe: Recipe.findById(req.params.id, req.session.userId)
+    });
+  } catch (error) {
+    console.error("Restore recipe error:", error);
+    res.status(500).json({
+      error: "Failed to restore recipe",
+      message: "An error occurred while restoring the recipe"
+    });
+  }
+};
+
+/**
+ * Permanently delete a recipe from the trash
+ * DELETE /api/recipes/trash/:id
+ */
+export const purgeRecipe = async (req, res) => {
+  try {
+    const purged = Recipe.purge(req.session.userId, req.params.id);
+
+    if (!purged) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe is not in the trash or you don't have permission to delete it"
+      });
+    }
+
+    console.log(`✅ Recipe permanently deleted: ID ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: "Recipe permanently deleted"
+    });
+  } catch (error) {
+    console.error("Purge recipe error:", error);
+    res.status(500).json({
+      error: "Failed to delete recipe",
+      message: "An error occurred while permanently deleting the recipe"
+    });
+  }
+};
+
+/**
+ * Empty the trash: permanently delete all recipes in it
+ * DELETE /api/recipes/trash
+ */
+export const emptyTrash = async (req, res) => {
+  try {
+    const purged = Recipe.purge(req.session.userId);
+
+    console.log(`✅ Trash emptied: ${purged} recipe(s) permanently deleted`);
+
+    res.json({
+      success: true,
+      message: "Trash emptied",
+      purged: purged
+    });
+  } catch (error) {
+    console.error("Empty trash error:", error);
+    res.status(500).json({
+      error: "Failed to empty trash",
+      message: "An error occurred while emptying the trash"
+    });
+  }
+};
+
 /**
  * Search recipes
- * GET /api/recipes/search?q=query
+ * GET /api/recipes/search?q=query&in=field&limit=N
+ * Full-text search over title, ingredients, steps and notes (prefix and diacritic-insensitive)
+ * in=ingredients finds recipes with any of the comma separated ingredients ("courgette, feta")
+ * Each result has title_html and snippet with the matches in <mark> elements
+ */
+export const searchRecipes = [
+  query("q")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Search query must be at most 200 characters"),
+
+  query("in")
+    .optional()
+    .isIn(SEARCH_FIELDS)
+    .withMessage(`Search field must be one of: ${SEARCH_FIELDS.join(", ")}`),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: "Validation failed",
+        errors: errors.array() 
+      });
+    }
+
+    try {
+      const searchText = (req.query.q || "").trim();
+
+      // An empty search shows all recipes, as before
+      const recipes = searchText
+        ? Recipe.search(req.session.userId, searchText, {
+            field: req.query.in || null,
+            limit: req.query.limit ? Number(req.query.limit) : undefined
+          })
+        : Recipe.findByUserId(req.session.userId);
+
+      res.json({
+        success: true,
+        recipes: recipes
+      });
+    } catch (error) {
+      console.error("Search recipes error:", error);
+      res.status(500).json({ 
+        error: "Failed to search recipes",
+        message: "An error occurred while searching recipes" 
+      });
+    }
+  }
+];
+
+/**
+ * Import a recipe from a URL
+ * POST /api/recipes/import
+ * Body: { url }
+ * Fetches the page, extracts the recipe and saves it as a scraped recipe
+ */
+export const importRecipe = [
+  body("url")
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })
+    .withMessage("A valid http(s) URL is required"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: "Validation failed",
+        errors: errors.array() 
+      });
+    }
+
+    let recipeData;
+    try {
+      recipeData = await scrapeRecipe(req.body.url);
+    } catch (error) {
+      console.error("Import fetch error:", error);
+
+      if (error.code === "URL_NOT_ALLOWED") {
+        return res.status(400).json({ 
+          error: "URL not allowed",
+          message: error.message 
+        });
+      }
+
+      return res.status(502).json({ 
+        error: "Failed to fetch page",
+        message: `The recipe page could not be fetched: ${error.message}` 
+      });
+    }
+
+    if (!recipeData) {
+      return res.status(422).json({ 
+        error: "No recipe found",
+        message: "No recipe could be found on this page" 
+      });
+    }
+
+    try {
+      const recipeId = Recipe.create(req.session.userId, recipeData);
+
+      console.log(`✅ Recipe imported: ${recipeData.title} (ID: ${recipeId}) from ${recipeData.source_url}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Recipe imported successfully",
+        recipeId: recipeId,
+        recipe: Recipe.findById(recipeId, req.session.userId)
+      });
+    } catch (error) {
+      console.error("Import recipe error:", error);
+      res.status(500).json({ 
+        error: "Failed to import recipe",
+        message: "An error occurred while saving the imported recipe" 
+      });
+    }
+  }
+];
+
+/**
+ * Upload an image for a recipe
+ * POST /api/recipes/:id/image
+ * Multipart body: image (JPEG, PNG, WebP or GIF, max 5 MB)
+ * Replaces (and deletes) any previously uploaded image
+ */
+export const uploadRecipeImage = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ 
+      error: "No image uploaded",
+      message: "Send the image as multipart field \"image\"" 
+    });
+  }
+
+  try {
+    const recipe = Recipe.findById(req.params.id, req.session.userId);
+
+    if (!recipe || !recipe.can_edit) {
+      return res.status(404).json({ 
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to update it" 
+      });
+    }
+
+    let imagePath;
+    try {
+      imagePath = await saveRecipeImage(req.file.buffer, req.file.mimetype);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: "Invalid image",
+        message: "The uploaded file is not a valid image" 
+      });
+    }
+
+    Recipe.setImagePath(req.params.id, req.session.userId, imagePath);
+
+    console.log(`✅ Recipe image uploaded: ${imagePath} (recipe ID: ${req.params.id})`);
+
+    res.status(201).json({
+      success: true,
+      message: "Image uploaded successfully",
+      image_path: imagePath
+    });
+  } catch (error) {
+    console.error("Upload image error:", error);
+    res.status(500).json({ 
+      error: "Failed to upload image",
+      message: "An error occurred while uploading the image" 
+    });
+  }
+};
+
+/**
+ * Remove the uploaded image of a recipe
+ * DELETE /api/recipes/:id/image
  */
-export const searchRecipes = async (req, res) => {
+export const deleteRecipeImage = async (req, res) => {
   try {
-    const query = req.query.q || "";
-    const recipes = Recipe.search(req.session.userId, query);
+    const updated = Recipe.setImagePath(req.params.id, req.session.userId, null);
+
+    if (!updated) {
+      return res.status(404).json({ 
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to update it" 
+      });
+    }
+
+    console.log(`✅ Recipe image removed (recipe ID: ${req.params.id})`);
 
     res.json({
       success: true,
-      recipes: recipes
+      message: "Image removed successfully"
     });
   } catch (error) {
-    console.error("Search recipes error:", error);
+    console.error("Delete image error:", error);
     res.status(500).json({ 
-      error: "Failed to search recipes",
-      message: "An error occurred while searching recipes" 
+      error: "Failed to remove image",
+      message: "An error occurred while removing the image" 
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Validate the tags of a recipe body: an array of tag names
+ */
+function tagsValidator() {
+  return body("tags")
+    .optional()
+    .isArray({ max: MAX_TAGS_PER_RECIPE })
+    .withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_RECIPE} names`)
+    .custom(tags => tags.every(tag => typeof tag === "string" && tag.trim().length <= MAX_TAG_LENGTH))
+    .withMessage(`Every tag must be text of at most ${MAX_TAG_LENGTH} characters`);
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+import { Recipe } from "../models/Recipe.js";
+import { Favorite } from "../models/Favorite.js";
+import { User } from "../models/User.js";
+import { query, validationResult } from "express-validator";
+import { recipeFilterOptions, recipeFilterValidators } from "./recipeController.js";
+import { EXPORT_FORMATS, buildExport, toMarkdown, toZip } from "../services/recipeExport.js";
+import { MAX_COOKBOOK_RECIPES, renderCookbook } from "../services/pdfCookbook.js";
+import { convertRecipe } from "../services/unitConverter.js";
+
+/**
+ * Recipe Export Controller
+ * Handles downloading all recipes of the user as JSON, Markdown or ZIP (see services/recipeExport.js)
+ * and PDF cookbooks of a selection of recipes (see services/pdfCookbook.js)
+ */
+
+/**
+ * Export the user's own recipes (household recipes of other members and the trash are left out)
+ * GET /api/recipes/export?format=json|markdown|zip (default json)
+ */
+export const exportRecipes = [
+  query("format")
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.session.userId;
+      const format = req.query.format || "json";
+      const recipes = Recipe.findByUserId(userId).filter(recipe => recipe.user_id === userId);
+      const favoriteIds = Favorite.getFavoriteIds(userId);
+      const filename = `semorecepts-${new Date().toISOString().slice(0, 10)}`;
+
+      console.log(`✅ Recipes exported: ${recipes.length} (${format}, user ${userId})`);
+
+      if (format === "zip") {
+        const zip = await toZip(recipes, favoriteIds);
+        res.attachment(`${filename}.zip`);
+        return res.type("application/zip").send(zip);
+      }
+
+      const data = buildExport(recipes, favoriteIds);
+
+      if (format === "markdown") {
+        res.attachment(`${filename}.md`);
+        return res.type("text/markdown; charset=utf-8").send(toMarkdown(data));
+      }
+
+      res.attachment(`${filename}.json`);
+      res.type("application/json").send(JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error("Export recipes error:", error);
+      res.status(500).json({
+        error: "Failed to export recipes",
+        message: "An error occurred while exporting your recipes"
+      });
+    }
+  }
+];
+
+/**
+ * Download a selection of recipes as a PDF cookbook
+ * GET /api/recipes/export/pdf
+ * Selects recipes with the filters of GET /api/recipes (e.g. favorites=true or tags=Dessert),
+ * optionally narrowed down to ids (comma separated); sorted by title unless sort is given
+ * Optional title: title on the cover (default "Mijn kookboek")
+ */
+export const exportCookbookPdf = [
+  ...recipeFilterValidators,
+
+  query("ids")
+    .optional()
+    .custom(value => [].concat(value).every(ids => typeof ids === "string" && ids.length <= 10000))
+    .withMessage("Ids must be a comma separated list of recipe IDs"),
+
+  query("title")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Title must be at most 100 characters"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const options = recipeFilterOptions(req.query);
+      let recipes = Recipe.findPage(userId, { ...options, sort: options.sort || "title" }).recipes;
+
+      if (req.query.ids) {
+        const ids = new Set([].concat(req.query.ids).flatMap(value => value.split(",")).map(id => id.trim()));
+        recipes = recipes.filter(recipe => ids.has(recipe.id));
+      }
+
+      if (recipes.length === 0) {
+        return res.status(404).json({
+          error: "No recipes found",
+          message: "No recipes match this selection"
+        });
+      }
+
+      if (recipes.length > MAX_COOKBOOK_RECIPES) {
+        return res.status(400).json({
+          error: "Too many recipes",
+          message: `A cookbook can hold at most ${MAX_COOKBOOK_RECIPES} recipes, narrow down the selection`
+        });
+      }
+
+      // Show ingredients and temperatures in the user's preferred units, like cook mode
+      const unitSystem = User.getUnitSystem(userId);
+      const pdf = await renderCookbook(recipes.map(recipe => convertRecipe(recipe, unitSystem)), {
+        title: (req.query.title || "").trim()
+      });
+
+      console.log(`✅ Cookbook exported: ${recipes.length} recipes (user ${userId})`);
+
+      res.attachment(`semorecepts-kookboek-${new Date().toISOString().slice(0, 10)}.pdf`);
+      res.type("application/pdf").send(pdf);
+    } catch (error) {
+      console.error("Export cookbook error:", error);
+      res.status(500).json({
+        error: "Failed to export cookbook",
+        message: "An error occurred while creating the PDF cookbook"
+      });
+    }
+  }
+];
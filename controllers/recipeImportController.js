@@ -0,0 +1,112 @@
+import { Recipe } from "../models/Recipe.js";
+import { Favorite } from "../models/Favorite.js";
+import { MAX_TAG_LENGTH, MAX_TAGS_PER_RECIPE } from "../models/Tag.js";
+import { DuplicateIndex, readImportFile } from "../services/recipeImport.js";
+import { MAX_IMAGE_BYTES, deleteRecipeImage, detectImageType, saveRecipeImage } from "../services/imageStorage.js";
+
+/**
+ * Recipe Import Controller
+ * Handles importing many recipes at once from export files (see services/recipeImport.js)
+ */
+
+/**
+ * Import all recipes of an export file
+ * POST /api/recipes/import/bulk
+ * Multipart body: file (SeMoRecepts JSON/ZIP, Paprika, Mealie, Tandoor or schema.org JSON-LD)
+ * Recipes the user already has (same source URL, or same title) are skipped;
+ * recipes that cannot be read or saved are reported without stopping the import
+ */
+export const bulkImportRecipes = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: "No file uploaded",
+      message: "Send the export file as multipart field \"file\""
+    });
+  }
+
+  let items;
+  try {
+    items = readImportFile(req.file.buffer);
+  } catch (error) {
+    return res.status(422).json({
+      error: "Unsupported file",
+      message: error.message
+    });
+  }
+
+  try {
+    const userId = req.session.userId;
+    const duplicates = new DuplicateIndex(Recipe.findTitlesAndSources(userId));
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+      const result = { index: index, title: item.title, format: item.format };
+      results.push(result);
+
+      if (item.error) {
+        Object.assign(result, { status: "failed", error: item.error });
+        continue;
+      }
+
+      if (duplicates.has(item.recipe)) {
+        result.status = "duplicate";
+        continue;
+      }
+
+      let imagePath = null;
+      try {
+        imagePath = await saveImportedImage(item.image);
+
+        const recipeId = Recipe.create(userId, {
+          ...item.recipe,
+          tags: item.recipe.tags.slice(0, MAX_TAGS_PER_RECIPE).map(tag => tag.slice(0, MAX_TAG_LENGTH)),
+          image_path: imagePath
+        });
+        if (item.favorite) Favorite.add(userId, recipeId);
+
+        duplicates.add(item.recipe);
+        Object.assign(result, { status: "imported", recipeId: recipeId });
+      } catch (error) {
+        console.error("Bulk import recipe error:", error);
+        deleteRecipeImage(imagePath);
+        Object.assign(result, { status: "failed", error: "The recipe could not be saved" });
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = { imported: count("imported"), duplicates: count("duplicate"), failed: count("failed") };
+
+    console.log(`✅ Bulk import: ${summary.imported} imported, ${summary.duplicates} duplicates, ${summary.failed} failed (user ${userId})`);
+
+    res.json({
+      success: true,
+      message: `${summary.imported} of ${results.length} recipes imported`,
+      ...summary,
+      results: results
+    });
+  } catch (error) {
+    console.error("Bulk import error:", error);
+    res.status(500).json({
+      error: "Failed to import recipes",
+      message: "An error occurred while importing the recipes"
+    });
+  }
+};
+
+/**
+ * Store the photo that came with an imported recipe
+ * Photos that are too large or not a supported image are left out, without failing the recipe
+ * @param {Buffer|null} image - Image file contents
+ * @returns {Promise<string|null>} - File name for recipes.image_path, or null
+ */
+async function saveImportedImage(image) {
+  const mimeType = image && image.length <= MAX_IMAGE_BYTES && detectImageType(image);
+  if (!mimeType) return null;
+
+  try {
+    return await saveRecipeImage(image, mimeType);
+  } catch (error) {
+    console.error("Import image error:", error);
+    return null;
+  }
+}
@@ -0,0 +1,174 @@
+import { Recipe } from "../models/Recipe.js";
+import { NutritionMatch } from "../models/NutritionMatch.js";
+import { body, validationResult } from "express-validator";
+import { FOODS, getFood } from "../services/foods.js";
+import { estimateNutrition } from "../services/nutrition.js";
+
+/**
+ * Recipe Nutrition Controller
+ * Handles the nutrition estimate of recipes and the manual matches of ingredients to foods
+ * Everyone who can see a recipe sees the estimate; only users who can edit it change the matches
+ */
+
+/**
+ * Get the estimate of a recipe with its manual matches applied
+ */
+function recipeNutrition(recipe) {
+  return estimateNutrition(recipe, NutritionMatch.findByRecipe(recipe.id));
+}
+
+/**
+ * Find the ingredient at an index for changing its match
+ * Sends the error response and returns null if the recipe or ingredient does not exist
+ */
+function findEditableIngredient(req, res) {
+  const recipe = Recipe.findById(req.params.id, req.session.userId);
+
+  if (!recipe || !recipe.can_edit) {
+    res.status(404).json({
+      error: "Recipe not found",
+      message: "Recipe does not exist or you don't have permission to update it"
+    });
+    return null;
+  }
+
+  const ingredient = recipeNutrition(recipe).ingredients[Number(req.params.index)];
+
+  if (!ingredient) {
+    res.status(404).json({
+      error: "Ingredient not found",
+      message: "This recipe has no ingredient at that position"
+    });
+    return null;
+  }
+
+  return { recipe, ingredient };
+}
+
+/**
+ * Get the foods of the nutrient table, to match an ingredient by hand
+ * GET /api/recipes/nutrition/foods
+ */
+export const getFoods = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      foods: FOODS
+        .map(food => ({ id: food.id, name: food.name, kcal: food.kcal }))
+        .sort((a, b) => a.name.localeCompare(b.name, "nl"))
+    });
+  } catch (error) {
+    console.error("Get foods error:", error);
+    res.status(500).json({
+      error: "Failed to fetch foods",
+      message: "An error occurred while fetching the foods"
+    });
+  }
+};
+
+/**
+ * Get the nutrition estimate of a recipe, in total and per serving
+ * GET /api/recipes/:id/nutrition
+ */
+export const getRecipeNutrition = async (req, res) => {
+  try {
+    const recipe = Recipe.findById(req.params.id, req.session.userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    res.json({
+      success: true,
+      nutrition: recipeNutrition(recipe)
+    });
+  } catch (error) {
+    console.error("Get recipe nutrition error:", error);
+    res.status(500).json({
+      error: "Failed to estimate nutrition",
+      message: "An error occurred while estimating the nutrition"
+    });
+  }
+};
+
+/**
+ * Match an ingredient by hand
+ * PUT /api/recipes/:id/nutrition/ingredients/:index
+ * Body: { foodId, grams? } (foodId null leaves the ingredient out, grams overrides the weight
+ * computed from the amount, for all servings of the recipe)
+ */
+export const setNutritionMatch = [
+  body("foodId")
+    .custom(value => value === null || (typeof value === "string" && getFood(value) !== null))
+    .withMessage("Food ID must be a known food, or null to leave the ingredient out"),
+
+  body("grams")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage("Grams must be between 0 and 100000"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const found = findEditableIngredient(req, res);
+      if (!found) return;
+
+      const grams = req.body.grams !== undefined && req.body.grams !== null ? Number(req.body.grams) : null;
+      NutritionMatch.set(found.recipe.id, found.ingredient.key, { foodId: req.body.foodId, grams });
+
+      console.log(`✅ Nutrition match saved: "${found.ingredient.key}" → ${req.body.foodId ?? "left out"} (${found.recipe.title})`);
+
+      res.json({
+        success: true,
+        message: "Ingredient match saved",
+        nutrition: recipeNutrition(found.recipe)
+      });
+    } catch (error) {
+      console.error("Set nutrition match error:", error);
+      res.status(500).json({
+        error: "Failed to save match",
+        message: "An error occurred while saving the ingredient match"
+      });
+    }
+  }
+];
+
+/**
+ * Go back to the automatic match of an ingredient
+ * DELETE /api/recipes/:id/nutrition/ingredients/:index
+ */
+export const resetNutritionMatch = async (req, res) => {
+  try {
+    const found = findEditableIngredient(req, res);
+    if (!found) return;
+
+    if (!NutritionMatch.remove(found.recipe.id, found.ingredient.key)) {
+      return res.status(404).json({
+        error: "Match not found",
+        message: "This ingredient is matched automatically"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Ingredient match reset",
+      nutrition: recipeNutrition(found.recipe)
+    });
+  } catch (error) {
+    console.error("Reset nutrition match error:", error);
+    res.status(500).json({
+      error: "Failed to reset match",
+      message: "An error occurred while resetting the ingredient match"
+    });
+  }
+};
@@ -0,0 +1,262 @@
+import { Recipe } from "../models/Recipe.js";
+import { RecipeRating } from "../models/RecipeRating.js";
+import { MAX_REVIEW_LENGTH, RecipeReview } from "../models/RecipeReview.js";
+import { body, validationResult } from "express-validator";
+
+/**
+ * Recipe Review Controller
+ * Handles star ratings (averaged over everyone who rated a recipe) and personal dated reviews
+ * Every user who can see a recipe may rate and review it, also household viewers
+ */
+
+/**
+ * Rate a recipe, or change the rating
+ * PUT /api/recipes/:id/rating
+ * Body: { rating: 1-5 }
+ */
+export const setRecipeRating = [
+  body("rating")
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be between 1 and 5"),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const recipe = Recipe.findById(req.params.id, userId);
+
+      if (!recipe) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
+      RecipeRating.set(userId, recipe.id, Number(req.body.rating));
+
+      console.log(`✅ Recipe rated: ${recipe.title} (${req.body.rating} stars, user ${userId})`);
+
+      res.json({
+        success: true,
+        message: "Rating saved",
+        ...ratingSummary(recipe.id, userId)
+      });
+    } catch (error) {
+      console.error("Set recipe rating error:", error);
+      res.status(500).json({
+        error: "Failed to save rating",
+        message: "An error occurred while saving your rating"
+      });
+    }
+  }
+];
+
+/**
+ * Remove the rating of the user
+ * DELETE /api/recipes/:id/rating
+ */
+export const removeRecipeRating = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const recipe = Recipe.findById(req.params.id, userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    if (!RecipeRating.remove(userId, recipe.id)) {
+      return res.status(404).json({
+        error: "Rating not found",
+        message: "You have not rated this recipe"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Rating removed",
+      ...ratingSummary(recipe.id, userId)
+    });
+  } catch (error) {
+    console.error("Remove recipe rating error:", error);
+    res.status(500).json({
+      error: "Failed to remove rating",
+      message: "An error occurred while removing your rating"
+    });
+  }
+};
+
+/**
+ * Get the user's reviews of a recipe, newest first
+ * GET /api/recipes/:id/reviews
+ */
+export const getRecipeReviews = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const recipe = Recipe.findById(req.params.id, userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    res.json({
+      success: true,
+      reviews: RecipeReview.findByRecipe(userId, recipe.id)
+    });
+  } catch (error) {
+    console.error("Get recipe reviews error:", error);
+    res.status(500).json({
+      error: "Failed to fetch reviews",
+      message: "An error occurred while fetching your reviews"
+    });
+  }
+};
+
+/**
+ * Add a review
+ * POST /api/recipes/:id/reviews
+ * Body: { text }
+ */
+export const addRecipeReview = [
+  body("text")
+    .trim()
+    .isLength({ min: 1, max: MAX_REVIEW_LENGTH })
+    .withMessage(`Text is required and must be at most ${MAX_REVIEW_LENGTH} characters`),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const recipe = Recipe.findById(req.params.id, userId);
+
+      if (!recipe) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to view it"
+        });
+      }
+
+      const review = RecipeReview.create(userId, recipe.id, req.body.text);
+
+      console.log(`✅ Review added: ${recipe.title} (user ${userId})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Review added",
+        review: review
+      });
+    } catch (error) {
+      console.error("Add recipe review error:", error);
+      res.status(500).json({
+        error: "Failed to add review",
+        message: "An error occurred while adding your review"
+      });
+    }
+  }
+];
+
+/**
+ * Change the text of a review
+ * PUT /api/recipes/:id/reviews/:reviewId
+ * Body: { text }
+ */
+export const updateRecipeReview = [
+  body("text")
+    .trim()
+    .isLength({ min: 1, max: MAX_REVIEW_LENGTH })
+    .withMessage(`Text is required and must be at most ${MAX_REVIEW_LENGTH} characters`),
+
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const reviewId = Number(req.params.reviewId);
+
+      if (!RecipeReview.update(reviewId, userId, req.params.id, req.body.text)) {
+        return res.status(404).json({
+          error: "Review not found",
+          message: "Review does not exist or you don't have permission to update it"
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Review updated",
+        review: RecipeReview.findById(reviewId, userId, req.params.id)
+      });
+    } catch (error) {
+      console.error("Update recipe review error:", error);
+      res.status(500).json({
+        error: "Failed to update review",
+        message: "An error occurred while updating your review"
+      });
+    }
+  }
+];
+
+/**
+ * Delete a review
+ * DELETE /api/recipes/:id/reviews/:reviewId
+ */
+export const deleteRecipeReview = async (req, res) => {
+  try {
+    const deleted = RecipeReview.delete(Number(req.params.reviewId), req.session.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Review not found",
+        message: "Review does not exist or you don't have permission to delete it"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Review deleted"
+    });
+  } catch (error) {
+    console.error("Delete recipe review error:", error);
+    res.status(500).json({
+      error: "Failed to delete review",
+      message: "An error occurred while deleting your review"
+    });
+  }
+};
+
+/**
+ * Rating fields of a recipe after a change
+ * @returns {object} - { rating_average, rating_count, my_rating }
+ */
+function ratingSummary(recipeId, userId) {
+  const recipe = Recipe.findById(recipeId, userId);
+  return {
+    rating_average: recipe.rating_average,
+    rating_count: recipe.rating_count,
+    my_rating: recipe.my_rating
+  };
+}
@@ -0,0 +1,96 @@
+import { Recipe } from "../models/Recipe.js";
+import { RecipeRevision } from "../models/RecipeRevision.js";
+import { diffRecipes } from "../services/recipeDiff.js";
+
+/**
+ * Recipe Revision Controller
+ * Handles the version history of recipes: listing earlier versions with their changes and restoring them
+ */
+
+/**
+ * Get the earlier versions of a recipe, newest first
+ * GET /api/recipes/:id/revisions
+ * Each revision has changes: what the edit after it changed (see diffRecipes),
+ * compared with the next revision or, for the newest one, with the current recipe
+ */
+export const getRecipeRevisions = async (req, res) => {
+  try {
+    const recipe = Recipe.findById(req.params.id, req.session.userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    const revisions = RecipeRevision.findByRecipe(recipe.id);
+
+    res.json({
+      success: true,
+      revisions: revisions.map((revision, i) => ({
+        ...revision,
+        changes: diffRecipes(revision, i === 0 ? recipe : revisions[i - 1])
+      }))
+    });
+  } catch (error) {
+    console.error("Get recipe revisions error:", error);
+    res.status(500).json({
+      error: "Failed to fetch revisions",
+      message: "An error occurred while fetching the version history"
+    });
+  }
+};
+
+/**
+ * Restore an earlier version of a recipe
+ * POST /api/recipes/:id/revisions/:revisionId/restore
+ * The current version is kept as a new revision, so a restore can be undone
+ */
+export const restoreRecipeRevision = async (req, res) => {
+  try {
+    const recipe = Recipe.findById(req.params.id, req.session.userId);
+
+    if (!recipe || !recipe.can_edit) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to update it"
+      });
+    }
+
+    const revision = RecipeRevision.findById(Number(req.params.revisionId), recipe.id);
+
+    if (!revision) {
+      return res.status(404).json({
+        error: "Revision not found",
+        message: "This version does not exist for this recipe"
+      });
+    }
+
+    Recipe.update(recipe.id, req.session.userId, {
+      title: revision.title,
+      time: revision.time,
+      servings: revision.servings,
+      tags: revision.tags,
+      source_url: revision.source_url,
+      image_url: revision.image_url,
+      ingredients: revision.ingredients,
+      steps: revision.steps,
+      notes: revision.notes
+    });
+
+    console.log(`✅ Recipe restored: ${revision.title} (ID: ${recipe.id}, revision ${revision.id})`);
+
+    res.json({
+      success: true,
+      message: "Recipe restored successfully",
+      recipe: Recipe.findById(recipe.id, req.session.userId)
+    });
+  } catch (error) {
+    console.error("Restore recipe revision error:", error);
+    res.status(500).json({
+      error: "Failed to restore recipe",
+      message: "An error occurred while restoring the recipe"
+    });
+  }
+};
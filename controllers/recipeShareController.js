@@ -0,0 +1,213 @@
+import { Recipe } from "../models/Recipe.js";
+import { RecipeShare } from "../models/RecipeShare.js";
+import { body, validationResult } from "express-validator";
+import { copyRecipeImage } from "../services/imageStorage.js";
+
+/**
+ * Recipe Share Controller
+ * Handles public share links of recipes and saving shared recipes
+ */
+
+/**
+ * Add the public URL to a share link
+ */
+function shareResponse(share) {
+  return {
+    share_token: share.token,
+    share_url: `/share/${share.token}`,
+    expires_at: share.expires_at,
+    expired: share.expired
+  };
+}
+
+/**
+ * Leave out the fields that identify the owner's account and records
+ */
+function publicRecipe(recipe) {
+  const { id, user_id, ...rest } = recipe;
+  return rest;
+}
+
+/**
+ * Get the share link of a recipe
+ * GET /api/recipes/:id/share
+ * share is null when the recipe is not shared
+ */
+export const getRecipeShare = async (req, res) => {
+  try {
+    const recipe = Recipe.findById(req.params.id, req.session.userId);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "Recipe does not exist or you don't have permission to view it"
+      });
+    }
+
+    const share = RecipeShare.findByRecipe(recipe.id, req.session.userId);
+
+    res.json({
+      success: true,
+      share: share ? shareResponse(share) : null
+    });
+  } catch (error) {
+    console.error("Get recipe share error:", error);
+    res.status(500).json({
+      error: "Failed to fetch share link",
+      message: "An error occurred while fetching the share link"
+    });
+  }
+};
+
+/**
+ * Share a recipe (or change when its link expires)
+ * POST /api/recipes/:id/share
+ * Body: { expiresInDays? } - 1 to 365 days, omit or null for a link that does not expire
+ * Sharing again keeps the same link
+ */
+export const shareRecipe = [
+  body("expiresInDays")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Expiry must be between 1 and 365 days"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const days = req.body.expiresInDays ? Number(req.body.expiresInDays) : null;
+      const expiresAt = days ? Math.floor(Date.now() / 1000) + days * 24 * 60 * 60 : null;
+      const share = RecipeShare.share(req.params.id, req.session.userId, expiresAt);
+
+      if (!share) {
+        return res.status(404).json({
+          error: "Recipe not found",
+          message: "Recipe does not exist or you don't have permission to share it"
+        });
+      }
+
+      console.log(`✅ Recipe shared: ${req.params.id}${days ? ` for ${days} day(s)` : ""}`);
+
+      res.json({
+        success: true,
+        message: "Recipe shared",
+        ...shareResponse(share)
+      });
+    } catch (error) {
+      console.error("Share recipe error:", error);
+      res.status(500).json({
+        error: "Failed to share recipe",
+        message: "An error occurred while sharing the recipe"
+      });
+    }
+  }
+];
+
+/**
+ * Stop sharing a recipe, the old link stops working
+ * DELETE /api/recipes/:id/share
+ */
+export const unshareRecipe = async (req, res) => {
+  try {
+    const revoked = RecipeShare.unshare(req.params.id, req.session.userId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: "Share link not found",
+        message: "Recipe does not exist or is not shared"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Recipe is no longer shared"
+    });
+  } catch (error) {
+    console.error("Unshare recipe error:", error);
+    res.status(500).json({
+      error: "Failed to stop sharing",
+      message: "An error occurred while revoking the share link"
+    });
+  }
+};
+
+/**
+ * Get a shared recipe (no login required)
+ * GET /api/recipes/shared/:token
+ */
+export const getSharedRecipe = async (req, res) => {
+  try {
+    const recipe = RecipeShare.findRecipeByToken(req.params.token);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "This link is invalid, has expired or the recipe is no longer shared"
+      });
+    }
+
+    res.json({
+      success: true,
+      recipe: publicRecipe(recipe)
+    });
+  } catch (error) {
+    console.error("Get shared recipe error:", error);
+    res.status(500).json({
+      error: "Failed to fetch recipe",
+      message: "An error occurred while fetching the shared recipe"
+    });
+  }
+};
+
+/**
+ * Save a copy of a shared recipe in the current user's collection
+ * POST /api/recipes/shared/:token/save
+ * The copy is independent: later changes to the original are not copied
+ */
+export const saveSharedRecipe = async (req, res) => {
+  try {
+    const recipe = RecipeShare.findRecipeByToken(req.params.token);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: "Recipe not found",
+        message: "This link is invalid, has expired or the recipe is no longer shared"
+      });
+    }
+
+    const recipeId = Recipe.create(req.session.userId, {
+      title: recipe.title,
+      time: recipe.time,
+      servings: recipe.servings,
+      tags: recipe.tags,
+      source_url: recipe.source_url,
+      image_url: recipe.image_url,
+      image_path: await copyRecipeImage(recipe.image_path),
+      ingredients: recipe.ingredients,
+      steps: recipe.steps,
+      notes: recipe.notes,
+      is_scraped: recipe.is_scraped
+    });
+
+    console.log(`✅ Shared recipe saved: ${recipe.title} (ID: ${recipeId})`);
+
+    res.status(201).json({
+      success: true,
+      message: "Recipe saved to your recipes",
+      recipeId: recipeId
+    });
+  } catch (error) {
+    console.error("Save shared recipe error:", error);
+    res.status(500).json({
+      error: "Failed to save recipe",
+      message: "An error occurred while saving the shared recipe"
+    });
+  }
+};
@@ -0,0 +1,435 @@
+import { ShoppingList } from "../models/ShoppingList.js";
+import { Recipe } from "../models/Recipe.js";
+import { MealPlan } from "../models/MealPlan.js";
+import { body, validationResult } from "express-validator";
+import { AISLES, categorize } from "../services/aisles.js";
+import { recipeToEntries } from "../services/shoppingList.js";
+import { parseIngredient } from "../services/ingredientParser.js";
+
+/**
+ * Shopping List Controller
+ * Handles generating, ticking off, editing and sharing the shopping list
+ */
+
+// Aisle categories in display order
+const CATEGORIES = AISLES.map(aisle => ({ key: aisle.key, label: aisle.label }));
+
+/**
+ * Get the shopping list of the current user
+ * GET /api/shopping-list
+ */
+export const getShoppingList = async (req, res) => {
+  try {
+    const list = ShoppingList.findOrCreate(req.session.userId);
+
+    res.json({
+      success: true,
+      categories: CATEGORIES,
+      items: ShoppingList.getItems(list.id),
+      share_token: list.share_token
+    });
+  } catch (error) {
+    console.error("Get shopping list error:", error);
+    res.status(500).json({
+      error: "Failed to fetch shopping list",
+      message: "An error occurred while fetching the shopping list"
+    });
+  }
+};
+
+/**
+ * Add the ingredients of recipes to the shopping list
+ * POST /api/shopping-list/generate
+ * Body: { recipeIds: [...], servings? } or { start, end } (planned meals, YYYY-MM-DD), replace?
+ */
+export const generateShoppingList = [
+  body("recipeIds")
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Recipe IDs must be a non-empty array"),
+
+  body("servings")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100"),
+
+  body("start")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Start must be a date (YYYY-MM-DD)"),
+
+  body("end")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("End must be a date (YYYY-MM-DD)"),
+
+  body("replace")
+    .optional()
+    .isBoolean()
+    .withMessage("Replace must be true or false"),
+
+  body()
+    .custom(value => value.recipeIds || (value.start && value.end))
+    .withMessage("Provide recipeIds or a start and end date"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+
+      // Recipes to shop for, with the number of servings
+      let selections;
+      if (req.body.recipeIds) {
+        const servings = req.body.servings ? Number(req.body.servings) : null;
+        selections = req.body.recipeIds.map(id => ({ recipeId: String(id), servings }));
+      } else {
+        selections = MealPlan.findByDateRange(userId, req.body.start, req.body.end)
+          .map(entry => ({ recipeId: entry.recipe_id, servings: entry.servings }));
+      }
+
+      if (!selections.length) {
+        return res.status(422).json({
+          error: "No recipes",
+          message: "No meals are planned in this period"
+        });
+      }
+
+      const entries = [];
+      for (const selection of selections) {
+        const recipe = Recipe.findById(selection.recipeId, userId);
+
+        if (!recipe) {
+          return res.status(404).json({
+            error: "Recipe not found",
+            message: "Recipe does not exist or you don't have permission to view it"
+          });
+        }
+
+        entries.push(...recipeToEntries(recipe, selection.servings));
+      }
+
+      const list = ShoppingList.findOrCreate(userId);
+      ShoppingList.addEntries(list.id, entries, req.body.replace === true || req.body.replace === "true");
+
+      console.log(`✅ Shopping list updated with ${selections.length} recipe(s) for user ${userId}`);
+
+      res.json({
+        success: true,
+        message: "Ingredients added to shopping list",
+        recipes: selections.length,
+        items: ShoppingList.getItems(list.id)
+      });
+    } catch (error) {
+      console.error("Generate shopping list error:", error);
+      res.status(500).json({
+        error: "Failed to update shopping list",
+        message: "An error occurred while adding ingredients to the shopping list"
+      });
+    }
+  }
+];
+
+/**
+ * Add a manual item
+ * POST /api/shopping-list/items
+ * Body: { text } - e.g. "2 l melk" or "wc-papier"
+ */
+export const addShoppingListItem = [
+  body("text")
+    .trim()
+    .notEmpty()
+    .withMessage("Text is required")
+    .isLength({ max: 200 })
+    .withMessage("Text must be at most 200 characters"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const parsed = parseIngredient(req.body.text);
+      const name = parsed.name || req.body.text;
+
+      const list = ShoppingList.findOrCreate(req.session.userId);
+      const itemId = ShoppingList.addManualItem(list.id, {
+        name: name,
+        quantity: parsed.quantity_max ?? parsed.quantity,
+        unit: parsed.unit,
+        category: categorize(name)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Item added to shopping list",
+        itemId: itemId
+      });
+    } catch (error) {
+      console.error("Add shopping list item error:", error);
+      res.status(500).json({
+        error: "Failed to add item",
+        message: "An error occurred while adding the item"
+      });
+    }
+  }
+];
+
+// Validator shared by the owner and shared-link tick off routes
+const checkedValidator = body("checked")
+  .isBoolean()
+  .withMessage("Checked must be true or false");
+
+/**
+ * Tick an item off (or back on)
+ * PUT /api/shopping-list/items/:id
+ * Body: { checked }
+ */
+export const updateShoppingListItem = [
+  checkedValidator,
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const list = ShoppingList.findOrCreate(req.session.userId);
+      sendCheckedResult(res, list, req.params.id, req.body.checked);
+    } catch (error) {
+      console.error("Update shopping list item error:", error);
+      res.status(500).json({
+        error: "Failed to update item",
+        message: "An error occurred while updating the item"
+      });
+    }
+  }
+];
+
+/**
+ * Remove an item
+ * DELETE /api/shopping-list/items/:id
+ */
+export const deleteShoppingListItem = async (req, res) => {
+  try {
+    const list = ShoppingList.findOrCreate(req.session.userId);
+    const deleted = ShoppingList.deleteItem(req.params.id, list.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Item not found",
+        message: "Item does not exist on your shopping list"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Item removed from shopping list"
+    });
+  } catch (error) {
+    console.error("Delete shopping list item error:", error);
+    res.status(500).json({
+      error: "Failed to remove item",
+      message: "An error occurred while removing the item"
+    });
+  }
+};
+
+/**
+ * Remove ticked items
+ * DELETE /api/shopping-list/checked
+ */
+export const clearCheckedItems = async (req, res) => {
+  try {
+    const list = ShoppingList.findOrCreate(req.session.userId);
+    const removed = ShoppingList.clear(list.id, true);
+
+    res.json({
+      success: true,
+      message: "Ticked items removed",
+      removed: removed
+    });
+  } catch (error) {
+    console.error("Clear ticked items error:", error);
+    res.status(500).json({
+      error: "Failed to remove ticked items",
+      message: "An error occurred while removing the ticked items"
+    });
+  }
+};
+
+/**
+ * Empty the list
+ * DELETE /api/shopping-list
+ */
+export const clearShoppingList = async (req, res) => {
+  try {
+    const list = ShoppingList.findOrCreate(req.session.userId);
+    const removed = ShoppingList.clear(list.id);
+
+    res.json({
+      success: true,
+      message: "Shopping list emptied",
+      removed: removed
+    });
+  } catch (error) {
+    console.error("Clear shopping list error:", error);
+    res.status(500).json({
+      error: "Failed to clear shopping list",
+      message: "An error occurred while clearing the shopping list"
+    });
+  }
+};
+
+/**
+ * Share the list through a secret link
+ * POST /api/shopping-list/share
+ * Anyone with the link can view the list and tick items off
+ */
+export const shareShoppingList = async (req, res) => {
+  try {
+    const list = ShoppingList.findOrCreate(req.session.userId);
+    const token = ShoppingList.share(list.id);
+
+    res.json({
+      success: true,
+      message: "Shopping list shared",
+      share_token: token,
+      share_url: `/shopping-list/shared/${token}`
+    });
+  } catch (error) {
+    console.error("Share shopping list error:", error);
+    res.status(500).json({
+      error: "Failed to share shopping list",
+      message: "An error occurred while sharing the shopping list"
+    });
+  }
+};
+
+/**
+ * Stop sharing the list, the old link stops working
+ * DELETE /api/shopping-list/share
+ */
+export const unshareShoppingList = async (req, res) => {
+  try {
+    const list = ShoppingList.findOrCreate(req.session.userId);
+    ShoppingList.unshare(list.id);
+
+    res.json({
+      success: true,
+      message: "Shopping list is no longer shared"
+    });
+  } catch (error) {
+    console.error("Unshare shopping list error:", error);
+    res.status(500).json({
+      error: "Failed to stop sharing",
+      message: "An error occurred while revoking the share link"
+    });
+  }
+};
+
+/**
+ * Get a shared list (no login required)
+ * GET /api/shopping-list/shared/:token
+ */
+export const getSharedShoppingList = async (req, res) => {
+  try {
+    const list = ShoppingList.findByShareToken(req.params.token);
+
+    if (!list) {
+      return res.status(404).json({
+        error: "Shopping list not found",
+        message: "This link is invalid or the list is no longer shared"
+      });
+    }
+
+    res.json({
+      success: true,
+      categories: CATEGORIES,
+      items: ShoppingList.getItems(list.id)
+    });
+  } catch (error) {
+    console.error("Get shared shopping list error:", error);
+    res.status(500).json({
+      error: "Failed to fetch shopping list",
+      message: "An error occurred while fetching the shopping list"
+    });
+  }
+};
+
+/**
+ * Tick an item off on a shared list (no login required)
+ * PUT /api/shopping-list/shared/:token/items/:id
+ * Body: { checked }
+ */
+export const updateSharedShoppingListItem = [
+  checkedValidator,
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const list = ShoppingList.findByShareToken(req.params.token);
+
+      if (!list) {
+        return res.status(404).json({
+          error: "Shopping list not found",
+          message: "This link is invalid or the list is no longer shared"
+        });
+      }
+
+      sendCheckedResult(res, list, req.params.id, req.body.checked);
+    } catch (error) {
+      console.error("Update shared shopping list item error:", error);
+      res.status(500).json({
+        error: "Failed to update item",
+        message: "An error occurred while updating the item"
+      });
+    }
+  }
+];
+
+/**
+ * Update the ticked state of an item and send the response
+ */
+function sendCheckedResult(res, list, itemId, checked) {
+  const isChecked = checked === true || checked === "true";
+  const updated = ShoppingList.setChecked(itemId, list.id, isChecked);
+
+  if (!updated) {
+    return res.status(404).json({
+      error: "Item not found",
+      message: "Item does not exist on this shopping list"
+    });
+  }
+
+  res.json({
+    success: true,
+    message: isChecked ? "Item ticked off" : "Item unticked",
+    checked: isChecked
+  });
+}
@@ -0,0 +1,196 @@
+import { Tag, MAX_TAG_LENGTH } from "../models/Tag.js";
+import { body, query, validationResult } from "express-validator";
+
+/**
+ * Tag Controller
+ * Handles listing (autocomplete), renaming, merging and deleting tags
+ * Tags are added to recipes through the tags array of POST/PUT /api/recipes
+ */
+
+/**
+ * Get the tags of the current user with recipe counts
+ * GET /api/tags
+ * GET /api/tags?q=veg&limit=10 - Autocomplete: tags starting with q, most used first
+ */
+export const getTags = [
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage(`Query must be at most ${MAX_TAG_LENGTH} characters`),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const tags = Tag.findByUserId(req.session.userId, {
+        query: req.query.q,
+        limit: req.query.limit ? Number(req.query.limit) : null
+      });
+
+      res.json({
+        success: true,
+        tags: tags
+      });
+    } catch (error) {
+      console.error("Get tags error:", error);
+      res.status(500).json({
+        error: "Failed to fetch tags",
+        message: "An error occurred while fetching tags"
+      });
+    }
+  }
+];
+
+/**
+ * Rename a tag on all recipes
+ * PUT /api/tags/:id
+ * Body: { name }
+ * Renaming to the name of another tag merges both tags (merged: true in the response)
+ */
+export const renameTag = [
+  nameValidator(),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const result = Tag.rename(Number(req.params.id), req.session.userId, req.body.name);
+
+      if (!result) {
+        return res.status(404).json({
+          error: "Tag not found",
+          message: "Tag does not exist or you don't have permission to rename it"
+        });
+      }
+
+      console.log(`✅ Tag ${result.merged ? "merged into" : "renamed to"}: ${result.tag.name}`);
+
+      res.json({
+        success: true,
+        message: result.merged ? "Tags merged successfully" : "Tag renamed successfully",
+        tag: result.tag,
+        merged: result.merged
+      });
+    } catch (error) {
+      console.error("Rename tag error:", error);
+      res.status(500).json({
+        error: "Failed to rename tag",
+        message: "An error occurred while renaming the tag"
+      });
+    }
+  }
+];
+
+/**
+ * Merge several tags into one
+ * POST /api/tags/merge
+ * Body: { tagIds: [1, 2], name } - The tag with this name is kept (or created)
+ */
+export const mergeTags = [
+  body("tagIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Tag IDs must be a non-empty array"),
+
+  body("tagIds.*")
+    .isInt({ min: 1 })
+    .withMessage("Tag IDs must be numbers"),
+
+  nameValidator(),
+
+  // Controller logic
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = req.session.userId;
+      const targetId = Tag.findOrCreate(userId, req.body.name);
+      const merged = Tag.mergeInto(targetId, req.body.tagIds.map(Number), userId);
+
+      console.log(`✅ ${merged} tag(s) merged into: ${req.body.name}`);
+
+      res.json({
+        success: true,
+        message: "Tags merged successfully",
+        tag: Tag.findById(targetId, userId),
+        merged: merged
+      });
+    } catch (error) {
+      console.error("Merge tags error:", error);
+      res.status(500).json({
+        error: "Failed to merge tags",
+        message: "An error occurred while merging the tags"
+      });
+    }
+  }
+];
+
+/**
+ * Delete a tag (removes it from all recipes, the recipes themselves are kept)
+ * DELETE /api/tags/:id
+ */
+export const deleteTag = async (req, res) => {
+  try {
+    const deleted = Tag.delete(Number(req.params.id), req.session.userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Tag not found",
+        message: "Tag does not exist or you don't have permission to delete it"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Tag deleted successfully"
+    });
+  } catch (error) {
+    console.error("Delete tag error:", error);
+    res.status(500).json({
+      error: "Failed to delete tag",
+      message: "An error occurred while deleting the tag"
+    });
+  }
+};
+
+/**
+ * Validate and clean up the tag name in the body
+ * Commas are not allowed: they separate tags when entering them
+ */
+function nameValidator() {
+  return body("name")
+    .trim()
+    .customSanitizer(name => String(name).replace(/\s+/g, " "))
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage(`Name must be at most ${MAX_TAG_LENGTH} characters`)
+    .not()
+    .contains(",")
+    .withMessage("Name cannot contain a comma");
+}
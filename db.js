@@ -1,5 +1,6 @@
 import Database from "better-sqlite3";
 import { existsSync, mkdirSync } from "fs";
+import { parseMinutes } from "./services/duration.js";
 
 // Ensure data directory exists for persistent storage
 const dataDir = "./data";
@@ -9,14 +10,27 @@ if (!existsSync(dataDir)) {
 
 // Create database connection
 // Using WAL mode for better concurrency and performance
-const db = new Database("./data/database.db", { verbose: console.log });
+// DATABASE_PATH can point to another file, or to ":memory:" for the tests (without the statement log)
+export const DATABASE_PATH = process.env.DATABASE_PATH || "./data/database.db";
+const db = new Database(DATABASE_PATH, { verbose: DATABASE_PATH === ":memory:" ? undefined : console.log });
 
 /**
  * Initialize database with required tables and indexes
  * This function creates:
  * - users table: stores user authentication data
- * - recipes table: stores recipe information with JSON fields for ingredients/steps
- * - favorites table: stores user's favorited recipes
+ * - recipes table: stores recipe information with JSON fields for ingredients/steps (soft-deleted with deleted_at)
+ * - boards / board_recipes tables: named collections of favorite recipes, the default board holds the favorites
+ * - tags / recipe_tags tables: store each user's tags and which recipes have them
+ * - recipe_shares table: stores public share links of recipes
+ * - recipe_revisions table: stores earlier versions of edited recipes
+ * - recipe_ratings / recipe_reviews tables: store each user's star rating and dated notes of a recipe
+ * - households / household_members / household_invitations tables: shared cookbooks
+ * - meal_plans table: stores recipes scheduled in the weekly meal planner
+ * - shopping_lists / shopping_list_items tables: store each user's shopping list
+ * - cooking_sessions table: stores cook mode progress and when each recipe was cooked
+ * - recipe_nutrition_matches table: stores manual matches of recipe ingredients to foods of the nutrient table
+ * - pantry_items table: stores the ingredients each user has at home
+ * - recipes_fts: full-text search index over recipes (FTS5)
  * - sessions table: stores express-session data
  */
 export function InitializeDatabase() {
@@ -36,6 +50,7 @@ export function InitializeDatabase() {
       name TEXT NOT NULL,
       email TEXT NOT NULL UNIQUE,
       password_hash TEXT NOT NULL,
+      unit_system TEXT NOT NULL DEFAULT 'original' CHECK (unit_system IN ('original', 'metric', 'imperial')),
       created_at INTEGER NOT NULL DEFAULT (unixepoch()),
       updated_at INTEGER NOT NULL DEFAULT (unixepoch())
     ) STRICT;
@@ -49,39 +64,311 @@ export function InitializeDatabase() {
       user_id INTEGER NOT NULL,
       title TEXT NOT NULL,
       time TEXT,
+      time_minutes INTEGER,
       servings INTEGER DEFAULT 2,
-      category TEXT,
       source_url TEXT,
       image_url TEXT,
       image_path TEXT,
       ingredients TEXT NOT NULL,
+      ingredients_parsed TEXT,
       steps TEXT NOT NULL,
       notes TEXT,
       is_scraped INTEGER DEFAULT 0,
       created_at INTEGER NOT NULL DEFAULT (unixepoch()),
       updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      deleted_at INTEGER,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     ) STRICT;
 
     -- Indexes for efficient recipe queries
     CREATE INDEX IF NOT EXISTS idx_recipes_user_id ON recipes(user_id);
-    CREATE INDEX IF NOT EXISTS idx_recipes_category ON recipes(category);
     CREATE INDEX IF NOT EXISTS idx_recipes_created_at ON recipes(created_at DESC);
 
-    -- Favorites table: stores user's favorited recipes
-    CREATE TABLE IF NOT EXISTS favorites (
+    -- Boards table: each user's named collections of recipes ("Kerst", "Snel doordeweeks")
+    -- Every user has one default board (is_default) that holds the recipes favorited with the heart
+    -- The cover is the chosen recipe (cover_recipe_id) or else the first pinned recipe with an image
+    CREATE TABLE IF NOT EXISTS boards (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      position INTEGER NOT NULL DEFAULT 0,
+      cover_recipe_id TEXT,
+      share_token TEXT UNIQUE,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (cover_recipe_id) REFERENCES recipes(id) ON DELETE SET NULL,
+      UNIQUE(user_id, name)
+    ) STRICT;
+
+    -- A user has at most one default board
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_boards_default ON boards(user_id) WHERE is_default = 1;
+
+    -- Board recipes table: the recipes pinned to a board, in the user's order (a recipe can be on several boards)
+    CREATE TABLE IF NOT EXISTS board_recipes (
+      board_id INTEGER NOT NULL,
       recipe_id TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (board_id, recipe_id),
+      FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+    ) STRICT, WITHOUT ROWID;
+
+    -- Index for finding the boards of a recipe
+    CREATE INDEX IF NOT EXISTS idx_board_recipes_recipe_id ON board_recipes(recipe_id);
+
+    -- Tags table: each user's tags, names are unique per user regardless of case
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
       created_at INTEGER NOT NULL DEFAULT (unixepoch()),
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, name)
+    ) STRICT;
+
+    -- Recipe tags table: links recipes to tags (many-to-many)
+    CREATE TABLE IF NOT EXISTS recipe_tags (
+      recipe_id TEXT NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (recipe_id, tag_id),
       FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
-      UNIQUE(user_id, recipe_id)
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    ) STRICT, WITHOUT ROWID;
+
+    -- Index for finding the recipes of a tag
+    CREATE INDEX IF NOT EXISTS idx_recipe_tags_tag_id ON recipe_tags(tag_id);
+
+    -- Recipe shares table: one public link per shared recipe, optionally expiring
+    CREATE TABLE IF NOT EXISTS recipe_shares (
+      recipe_id TEXT PRIMARY KEY,
+      token TEXT NOT NULL UNIQUE,
+      expires_at INTEGER,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- Recipe revisions table: the content of a recipe before each edit
+    -- edited_by and created_at describe the edit that replaced this version
+    CREATE TABLE IF NOT EXISTS recipe_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipe_id TEXT NOT NULL,
+      edited_by INTEGER,
+      title TEXT NOT NULL,
+      time TEXT,
+      servings INTEGER,
+      source_url TEXT,
+      image_url TEXT,
+      ingredients TEXT NOT NULL,
+      steps TEXT NOT NULL,
+      notes TEXT,
+      tags TEXT NOT NULL DEFAULT '[]',
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+      FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL
+    ) STRICT;
+
+    -- Index for listing the revisions of a recipe, newest first
+    CREATE INDEX IF NOT EXISTS idx_recipe_revisions_recipe_id ON recipe_revisions(recipe_id, id);
+
+    -- Recipe ratings table: one 1-5 star rating per user and recipe
+    CREATE TABLE IF NOT EXISTS recipe_ratings (
+      recipe_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (recipe_id, user_id),
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) STRICT, WITHOUT ROWID;
+
+    -- Recipe reviews table: dated personal notes on a recipe ("te zout, volgende keer minder")
+    CREATE TABLE IF NOT EXISTS recipe_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipe_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- Index for listing a user's reviews of a recipe
+    CREATE INDEX IF NOT EXISTS idx_recipe_reviews_recipe_user ON recipe_reviews(recipe_id, user_id);
+
+    -- Households table: a group of users sharing one cookbook
+    CREATE TABLE IF NOT EXISTS households (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    ) STRICT;
+
+    -- Household members table: a user belongs to at most one household
+    CREATE TABLE IF NOT EXISTS household_members (
+      household_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (household_id, user_id),
+      FOREIGN KEY (household_id) REFERENCES households(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- Household invitations table: pending invitations for an email address
+    CREATE TABLE IF NOT EXISTS household_invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      household_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+      invited_by INTEGER,
+      expires_at INTEGER NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (household_id) REFERENCES households(id) ON DELETE CASCADE,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(household_id, email)
+    ) STRICT;
+
+    -- Index for finding the invitations of a user
+    CREATE INDEX IF NOT EXISTS idx_household_invitations_email ON household_invitations(email);
+
+    -- Meal plans table: recipes scheduled on a date and meal slot
+    CREATE TABLE IF NOT EXISTS meal_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      recipe_id TEXT NOT NULL,
+      plan_date TEXT NOT NULL,
+      meal_slot TEXT NOT NULL CHECK (meal_slot IN ('breakfast', 'lunch', 'dinner', 'snack')),
+      servings INTEGER,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- Index for loading a user's week
+    CREATE INDEX IF NOT EXISTS idx_meal_plans_user_date ON meal_plans(user_id, plan_date);
+    CREATE INDEX IF NOT EXISTS idx_meal_plans_recipe_id ON meal_plans(recipe_id);
+
+    -- Shopping lists table: one list per user, optionally shared through a secret token
+    CREATE TABLE IF NOT EXISTS shopping_lists (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL UNIQUE,
+      share_token TEXT UNIQUE,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     ) STRICT;
 
-    -- Indexes for efficient favorite queries
-    CREATE INDEX IF NOT EXISTS idx_favorites_user_id ON favorites(user_id);
-    CREATE INDEX IF NOT EXISTS idx_favorites_recipe_id ON favorites(recipe_id);
+    -- Shopping list items table: aggregated recipe ingredients and manual items
+    CREATE TABLE IF NOT EXISTS shopping_list_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      list_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      quantity REAL,
+      unit TEXT,
+      category TEXT NOT NULL,
+      recipes TEXT NOT NULL DEFAULT '[]',
+      is_manual INTEGER NOT NULL DEFAULT 0,
+      checked INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- Index for loading a list
+    CREATE INDEX IF NOT EXISTS idx_shopping_list_items_list_id ON shopping_list_items(list_id);
+
+    -- Cooking sessions table: a run through cook mode; completed_at is set when the last step is done
+    CREATE TABLE IF NOT EXISTS cooking_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      recipe_id TEXT NOT NULL,
+      current_step INTEGER NOT NULL DEFAULT 0,
+      servings INTEGER,
+      started_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      completed_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- A user has at most one unfinished session per recipe
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_cooking_sessions_open ON cooking_sessions(user_id, recipe_id) WHERE completed_at IS NULL;
+
+    -- Index for the cooking history of a recipe
+    CREATE INDEX IF NOT EXISTS idx_cooking_sessions_recipe ON cooking_sessions(recipe_id, user_id, completed_at);
+
+    -- Nutrition matches table: manual choice of food and/or grams for an ingredient of a recipe
+    -- food_id NULL leaves the ingredient out; grams NULL computes the weight from the amount
+    CREATE TABLE IF NOT EXISTS recipe_nutrition_matches (
+      recipe_id TEXT NOT NULL,
+      ingredient_key TEXT NOT NULL,
+      food_id TEXT,
+      grams REAL,
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (recipe_id, ingredient_key),
+      FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+    ) STRICT, WITHOUT ROWID;
+
+    -- Pantry items table: what a user has at home, optionally with an amount and expiry date (YYYY-MM-DD)
+    CREATE TABLE IF NOT EXISTS pantry_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      quantity REAL,
+      unit TEXT,
+      expires_on TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) STRICT;
+
+    -- Index for loading a pantry
+    CREATE INDEX IF NOT EXISTS idx_pantry_items_user_id ON pantry_items(user_id);
+
+    -- Full-text search index over recipes (kept in sync by the triggers below)
+    -- remove_diacritics 2: "creme" finds "crème", "ingredienten" finds "ingrediënten"
+    -- Ingredients and steps are stored as text lines instead of JSON so snippets read naturally
+    CREATE VIRTUAL TABLE IF NOT EXISTS recipes_fts USING fts5(
+      recipe_id UNINDEXED,
+      title,
+      ingredients,
+      steps,
+      notes,
+      tokenize = "unicode61 remove_diacritics 2"
+    );
+
+    CREATE TRIGGER IF NOT EXISTS recipes_fts_insert AFTER INSERT ON recipes BEGIN
+      INSERT INTO recipes_fts (recipe_id, title, ingredients, steps, notes)
+      VALUES (
+        new.id,
+        new.title,
+        (SELECT group_concat(value, ' • ') FROM json_each(new.ingredients)),
+        (SELECT group_concat(value, ' • ') FROM json_each(new.steps)),
+        new.notes
+      );
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS recipes_fts_update AFTER UPDATE OF title, ingredients, steps, notes ON recipes BEGIN
+      DELETE FROM recipes_fts WHERE recipe_id = old.id;
+      INSERT INTO recipes_fts (recipe_id, title, ingredients, steps, notes)
+      VALUES (
+        new.id,
+        new.title,
+        (SELECT group_concat(value, ' • ') FROM json_each(new.ingredients)),
+        (SELECT group_concat(value, ' • ') FROM json_each(new.steps)),
+        new.notes
+      );
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS recipes_fts_delete AFTER DELETE ON recipes BEGIN
+      DELETE FROM recipes_fts WHERE recipe_id = old.id;
+    END;
 
     -- Sessions table: stores express-session data
     CREATE TABLE IF NOT EXISTS sessions (
@@ -94,7 +381,126 @@ export function InitializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_sessions_expired ON sessions(expired);
   `);
 
+  // Add columns introduced after the first release to existing databases
+  addColumnIfMissing("recipes", "ingredients_parsed", "TEXT");
+  addColumnIfMissing("recipes", "time_minutes", "INTEGER");
+  addColumnIfMissing("recipes", "deleted_at", "INTEGER");
+  addColumnIfMissing("users", "unit_system", "TEXT NOT NULL DEFAULT 'original' CHECK (unit_system IN ('original', 'metric', 'imperial'))");
+
+  // Turn the single category of older recipes into a tag
+  migrateCategoriesToTags();
+
+  // Move the favorites of older versions to the default board
+  migrateFavoritesToBoards();
+
+  // Indexes for filtering and sorting the recipe grid
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_recipes_user_title ON recipes(user_id, title COLLATE NOCASE, id);
+    CREATE INDEX IF NOT EXISTS idx_recipes_user_time ON recipes(user_id, time_minutes, id);
+    CREATE INDEX IF NOT EXISTS idx_recipes_user_updated ON recipes(user_id, updated_at, id);
+
+    -- Index for the trash bin and purging recipes deleted more than 30 days ago
+    CREATE INDEX IF NOT EXISTS idx_recipes_deleted_at ON recipes(deleted_at) WHERE deleted_at IS NOT NULL;
+  `);
+
+  // Read cooking times of recipes saved before time_minutes existed
+  const untimed = db.prepare("SELECT id, time FROM recipes WHERE time IS NOT NULL AND time_minutes IS NULL").all();
+  const setMinutes = db.prepare("UPDATE recipes SET time_minutes = ? WHERE id = ?");
+  for (const recipe of untimed) {
+    setMinutes.run(parseMinutes(recipe.time), recipe.id);
+  }
+
+  // Index recipes created before full-text search existed
+  const indexed = db.prepare("SELECT COUNT(*) AS count FROM recipes_fts").get().count;
+  const total = db.prepare("SELECT COUNT(*) AS count FROM recipes").get().count;
+  if (indexed === 0 && total > 0) {
+    db.exec(`
+      INSERT INTO recipes_fts (recipe_id, title, ingredients, steps, notes)
+      SELECT
+        id,
+        title,
+        (SELECT group_concat(value, ' • ') FROM json_each(recipes.ingredients)),
+        (SELECT group_concat(value, ' • ') FROM json_each(recipes.steps)),
+        notes
+      FROM recipes
+    `);
+    console.log(`✅ Search index built for ${total} existing recipe(s)`);
+  }
+
   console.log("✅ Database initialized successfully");
 }
 
+/**
+ * Add a column to an existing table if it is not there yet
+ * CREATE TABLE IF NOT EXISTS does not change tables created by older versions
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints (e.g. "TEXT")
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added column ${table}.${column}`);
+  }
+}
+
+/**
+ * Move recipes.category (one free-text category per recipe) to tags
+ * Runs once: the column is dropped afterwards
+ */
+function migrateCategoriesToTags() {
+  const columns = db.prepare("PRAGMA table_info(recipes)").all();
+  if (!columns.some(c => c.name === "category")) return;
+
+  const migrate = db.transaction(() => {
+    db.exec(`
+      INSERT OR IGNORE INTO tags (user_id, name)
+      SELECT DISTINCT user_id, trim(category) FROM recipes
+      WHERE trim(coalesce(category, '')) != '';
+
+      INSERT OR IGNORE INTO recipe_tags (recipe_id, tag_id)
+      SELECT recipes.id, tags.id FROM recipes
+      INNER JOIN tags ON tags.user_id = recipes.user_id AND tags.name = trim(recipes.category);
+
+      DROP INDEX IF EXISTS idx_recipes_category;
+      ALTER TABLE recipes DROP COLUMN category;
+    `);
+  });
+
+  migrate();
+  console.log("✅ Moved recipe categories to tags");
+}
+
+/**
+ * Move the favorites table of older versions to each user's default board
+ * The newest favorite comes first, like the old favorites list
+ * Runs once: the table is dropped afterwards
+ */
+function migrateFavoritesToBoards() {
+  const table = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'favorites'").get();
+  if (!table) return;
+
+  const migrate = db.transaction(() => {
+    db.exec(`
+      INSERT OR IGNORE INTO boards (user_id, name, is_default)
+      SELECT DISTINCT user_id, 'Favorieten', 1 FROM favorites;
+
+      INSERT OR IGNORE INTO board_recipes (board_id, recipe_id, position, created_at)
+      SELECT
+        boards.id,
+        favorites.recipe_id,
+        ROW_NUMBER() OVER (PARTITION BY favorites.user_id ORDER BY favorites.created_at DESC, favorites.id DESC),
+        favorites.created_at
+      FROM favorites
+      INNER JOIN boards ON boards.user_id = favorites.user_id AND boards.is_default = 1;
+
+      DROP TABLE favorites;
+    `);
+  });
+
+  migrate();
+  console.log("✅ Moved favorites to boards");
+}
+
 export default db;
\ No newline at end of file
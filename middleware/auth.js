@@ -1,3 +1,5 @@
+import { Household } from "../models/Household.js";
+
 /**
  * Authentication Middleware
  * Protects routes by checking if user is logged in
@@ -7,6 +9,7 @@
  * Require authentication for a route
  * Checks if req.session.userId exists
  * If not, returns 401 Unauthorized
+ * Adds req.membership: { household_id, name, role } of the user's household, or null
  */
 export function requireAuth(req, res, next) {
   if (!req.session.userId) {
@@ -15,9 +18,33 @@ export function requireAuth(req, res, next) {
       message: "You must be logged in to access this resource" 
     });
   }
+  req.membership = Household.findByUserId(req.session.userId) || null;
   next();
 }
 
+/**
+ * Require one of the given household roles (use after requireAuth)
+ * Returns 404 if the user has no household, 403 if their role is not allowed
+ * @param {...string} roles - Allowed roles ("owner", "editor", "viewer")
+ */
+export function requireHouseholdRole(...roles) {
+  return (req, res, next) => {
+    if (!req.membership) {
+      return res.status(404).json({
+        error: "Household not found",
+        message: "You are not a member of a household"
+      });
+    }
+    if (!roles.includes(req.membership.role)) {
+      return res.status(403).json({
+        error: "Permission denied",
+        message: `Only a household ${roles.join(" or ")} can do this`
+      });
+    }
+    next();
+  };
+}
+
 /**
  * Optional authentication
  * Adds user info to req if logged in, but doesn't block the request
@@ -0,0 +1,68 @@
+import multer from "multer";
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES } from "../services/imageStorage.js";
+import { MAX_IMPORT_BYTES } from "../services/recipeImport.js";
+
+/**
+ * Upload Middleware
+ * Parses multipart uploads (images, import files) into memory so they can be validated before storing
+ */
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+      return cb(new Error("Only JPEG, PNG, WebP and GIF images are allowed"));
+    }
+    cb(null, true);
+  }
+});
+
+// Import files are recognised by their contents, not by MIME type or extension
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_BYTES,
+    files: 1
+  }
+});
+
+/**
+ * Accept a single image in the "image" field
+ * Responds with 400/413 JSON errors instead of passing multer errors to the global handler
+ */
+export function uploadImage(req, res, next) {
+  imageUpload.single("image")(req, res, uploadErrorHandler(res, next, `Images may be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`));
+}
+
+/**
+ * Accept a single recipe import file in the "file" field
+ * Responds with 400/413 JSON errors like uploadImage
+ */
+export function uploadImportFile(req, res, next) {
+  importUpload.single("file")(req, res, uploadErrorHandler(res, next, `Import files may be at most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`));
+}
+
+/**
+ * Turn multer errors into JSON responses
+ */
+function uploadErrorHandler(res, next, sizeMessage) {
+  return (error) => {
+    if (!error) return next();
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: "File too large",
+        message: sizeMessage
+      });
+    }
+
+    res.status(400).json({
+      error: "Upload failed",
+      message: error.message
+    });
+  };
+}
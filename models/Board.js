@@ -0,0 +1,388 @@
+import db from "../db.js";
+import { randomBytes } from "crypto";
+import { Recipe, TAGS_COLUMN, ACCESS_COLUMNS, READABLE_RECIPES, WRITABLE_RECIPES } from "./Recipe.js";
+
+// Name of the default board that is created for every user (holds the favorites)
+export const DEFAULT_BOARD_NAME = "Favorieten";
+
+// Limits for board names and the number of boards per user
+export const MAX_BOARD_NAME_LENGTH = 50;
+export const MAX_BOARDS = 100;
+
+/**
+ * Columns of a board: the number of recipes and the cover image, counting only the given recipes
+ * The cover is the chosen recipe while it is on the board, else the first pinned recipe with an image
+ * @param {string} visibleRecipes - Condition on recipes (READABLE_RECIPES or WRITABLE_RECIPES with @userId)
+ * @returns {string} - SQL columns for a query on boards
+ */
+function boardColumns(visibleRecipes) {
+  return `boards.id, boards.name, boards.is_default, boards.position, boards.cover_recipe_id, boards.share_token,
+    boards.created_at, boards.updated_at,
+    (
+      SELECT COUNT(*) FROM board_recipes
+      INNER JOIN recipes ON recipes.id = board_recipes.recipe_id
+      WHERE board_recipes.board_id = boards.id AND ${visibleRecipes}
+    ) AS recipe_count,
+    covers.id AS cover_id, covers.image_path AS cover_image_path, covers.image_url AS cover_image_url`;
+}
+
+/**
+ * Join the cover recipe of a board as covers (see boardColumns)
+ * @param {string} visibleRecipes - Condition on recipes (READABLE_RECIPES or WRITABLE_RECIPES with @userId)
+ * @returns {string} - SQL join for a query on boards
+ */
+function coverJoin(visibleRecipes) {
+  return `LEFT JOIN recipes covers ON covers.id = COALESCE(
+    (
+      SELECT recipes.id FROM board_recipes
+      INNER JOIN recipes ON recipes.id = board_recipes.recipe_id
+      WHERE board_recipes.board_id = boards.id AND recipes.id = boards.cover_recipe_id AND ${visibleRecipes}
+    ),
+    (
+      SELECT recipes.id FROM board_recipes
+      INNER JOIN recipes ON recipes.id = board_recipes.recipe_id
+      WHERE board_recipes.board_id = boards.id AND ${visibleRecipes}
+        AND (recipes.image_path IS NOT NULL OR recipes.image_url IS NOT NULL)
+      ORDER BY board_recipes.position, board_recipes.created_at DESC
+      LIMIT 1
+    )
+  )`;
+}
+
+/**
+ * Board Model
+ * Handles all database operations related to boards
+ * A board is a named, ordered collection of recipes ("Kerst", "Snel doordeweeks"); a recipe can be pinned
+ * to several boards. Boards are personal, also for recipes shared within a household
+ * Every user has a default board that cannot be deleted: the favorites (see Favorite)
+ * A board can be shared through a secret link; the link only shows the recipes the owner may share
+ */
+export class Board {
+  /**
+   * Convert a database row to a board object
+   * @param {object} row - Row selected with boardColumns
+   * @returns {object} - Board with is_default as boolean and cover { recipe_id, image_path, image_url } or null
+   */
+  static fromRow(row) {
+    const { cover_id, cover_image_path, cover_image_url, ...board } = row;
+
+    return {
+      ...board,
+      is_default: Boolean(board.is_default),
+      cover: cover_id ? { recipe_id: cover_id, image_path: cover_image_path, image_url: cover_image_url } : null,
+      ...("has_recipe" in row && { has_recipe: Boolean(row.has_recipe) })
+    };
+  }
+
+  /**
+   * Get the ID of the default board of a user, creating the board on first use
+   * @param {number} userId - User ID
+   * @returns {number} - Board ID
+   */
+  static defaultId(userId) {
+    db.prepare(`
+      INSERT INTO boards (user_id, name, is_default, position)
+      SELECT ?, ?, 1, 0
+      WHERE NOT EXISTS (SELECT 1 FROM boards WHERE user_id = ? AND is_default = 1)
+    `).run(userId, DEFAULT_BOARD_NAME, userId);
+
+    return db.prepare("SELECT id FROM boards WHERE user_id = ? AND is_default = 1").get(userId).id;
+  }
+
+  /**
+   * Get all boards of a user in their order, the default board is created on first use
+   * @param {number} userId - User ID
+   * @param {string|null} recipeId - Recipe UUID to get has_recipe (whether it is pinned) per board
+   * @returns {array} - Array of board objects
+   */
+  static findByUserId(userId, recipeId = null) {
+    Board.defaultId(userId);
+
+    const stmt = db.prepare(`
+      SELECT ${boardColumns(READABLE_RECIPES)}
+        ${recipeId ? ", EXISTS (SELECT 1 FROM board_recipes WHERE board_id = boards.id AND recipe_id = @recipeId) AS has_recipe" : ""}
+      FROM boards
+      ${coverJoin(READABLE_RECIPES)}
+      WHERE boards.user_id = @userId
+      ORDER BY boards.position, boards.id
+    `);
+
+    return stmt.all(recipeId ? { userId, recipeId } : { userId }).map(Board.fromRow);
+  }
+
+  /**
+   * Get a single board
+   * @param {number} id - Board ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {object|undefined} - Board object or undefined if not found
+   */
+  static findById(id, userId) {
+    const stmt = db.prepare(`
+      SELECT ${boardColumns(READABLE_RECIPES)}
+      FROM boards
+      ${coverJoin(READABLE_RECIPES)}
+      WHERE boards.id = @id AND boards.user_id = @userId
+    `);
+
+    const row = stmt.get({ id, userId });
+    return row && Board.fromRow(row);
+  }
+
+  /**
+   * Get the recipes pinned to a board in the board's order
+   * Recipes of a household the user has left are skipped
+   * @param {number} id - Board ID
+   * @param {number} userId - User ID of the board owner
+   * @returns {array} - Array of recipe objects
+   */
+  static findRecipes(id, userId) {
+    const stmt = db.prepare(`
+      SELECT recipes.*, ${TAGS_COLUMN}, ${ACCESS_COLUMNS} FROM recipes
+      INNER JOIN board_recipes ON board_recipes.recipe_id = recipes.id
+      WHERE board_recipes.board_id = @id AND ${READABLE_RECIPES}
+      ORDER BY board_recipes.position, board_recipes.created_at DESC
+    `);
+
+    return stmt.all({ id, userId }).map(Recipe.fromRow);
+  }
+
+  /**
+   * Get the IDs of the recipes pinned to a board in the board's order
+   * @param {number} id - Board ID
+   * @returns {array} - Array of recipe IDs
+   */
+  static findRecipeIds(id) {
+    const stmt = db.prepare(`
+      SELECT recipe_id FROM board_recipes
+      WHERE board_id = ?
+      ORDER BY position, created_at DESC
+    `);
+
+    return stmt.all(id).map(row => row.recipe_id);
+  }
+
+  /**
+   * Check whether a user already has a board with this name (regardless of case)
+   * @param {number} userId - User ID
+   * @param {string} name - Board name
+   * @param {number|null} exceptId - Board ID to ignore (the board being renamed)
+   * @returns {boolean} - True if the name is taken
+   */
+  static nameExists(userId, name, exceptId = null) {
+    const stmt = db.prepare("SELECT 1 FROM boards WHERE user_id = ? AND name = ? AND id IS NOT ?");
+    return !!stmt.get(userId, name, exceptId);
+  }
+
+  /**
+   * Count the boards of a user
+   * @param {number} userId - User ID
+   * @returns {number} - Number of boards
+   */
+  static count(userId) {
+    return db.prepare("SELECT COUNT(*) AS count FROM boards WHERE user_id = ?").get(userId).count;
+  }
+
+  /**
+   * Create a board after the other boards of the user
+   * @param {number} userId - User ID
+   * @param {string} name - Board name
+   * @returns {number} - The ID of the new board
+   */
+  static create(userId, name) {
+    Board.defaultId(userId);
+
+    const result = db.prepare(`
+      INSERT INTO boards (user_id, name, position)
+      VALUES (?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM boards WHERE user_id = ?))
+    `).run(userId, name, userId);
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Rename a board and/or choose its cover
+   * @param {number} id - Board ID
+   * @param {number} userId - User ID (for authorization check)
+   * @param {object} changes - { name, coverRecipeId } (omitted fields stay the same, coverRecipeId null picks the cover automatically)
+   * @returns {boolean} - True if updated, false if not found
+   */
+  static update(id, userId, changes) {
+    const stmt = db.prepare(`
+      UPDATE boards SET
+        name = COALESCE(@name, name),
+        cover_recipe_id = CASE WHEN @setCover THEN @coverRecipeId ELSE cover_recipe_id END,
+        updated_at = unixepoch()
+      WHERE id = @id AND user_id = @userId
+    `);
+
+    const result = stmt.run({
+      id,
+      userId,
+      name: changes.name ?? null,
+      setCover: changes.coverRecipeId !== undefined ? 1 : 0,
+      coverRecipeId: changes.coverRecipeId ?? null
+    });
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete a board; the default board cannot be deleted
+   * @param {number} id - Board ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {boolean} - True if deleted, false if not found or the default board
+   */
+  static delete(id, userId) {
+    const stmt = db.prepare("DELETE FROM boards WHERE id = ? AND user_id = ? AND is_default = 0");
+    return stmt.run(id, userId).changes > 0;
+  }
+
+  /**
+   * Put the boards of a user in a new order
+   * Boards missing from the list keep their order after the listed ones
+   * @param {number} userId - User ID
+   * @param {array} boardIds - Board IDs in the new order
+   */
+  static reorder(userId, boardIds) {
+    const current = db.prepare("SELECT id FROM boards WHERE user_id = ? ORDER BY position, id").all(userId).map(row => row.id);
+    const setPosition = db.prepare("UPDATE boards SET position = ? WHERE id = ? AND user_id = ?");
+
+    const reorder = db.transaction(() => {
+      orderAfter(current, boardIds).forEach((id, position) => setPosition.run(position, id, userId));
+    });
+
+    reorder();
+  }
+
+  /**
+   * Pin a recipe to a board, in front of the recipes already on it
+   * @param {number} id - Board ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {boolean} - True if pinned, false if the recipe was already on the board
+   */
+  static pin(id, recipeId) {
+    const result = db.prepare(`
+      INSERT INTO board_recipes (board_id, recipe_id, position)
+      VALUES (?, ?, (SELECT COALESCE(MIN(position), 1) - 1 FROM board_recipes WHERE board_id = ?))
+      ON CONFLICT (board_id, recipe_id) DO NOTHING
+    `).run(id, recipeId, id);
+
+    if (result.changes > 0) Board.touch(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove a recipe from a board (if it was the cover, the cover is picked automatically again)
+   * @param {number} id - Board ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {boolean} - True if removed, false if the recipe was not on the board
+   */
+  static unpin(id, recipeId) {
+    const result = db.prepare("DELETE FROM board_recipes WHERE board_id = ? AND recipe_id = ?").run(id, recipeId);
+    if (!result.changes) return false;
+
+    // A removed cover recipe no longer is the cover, also not when it is pinned again later
+    db.prepare(`
+      UPDATE boards SET
+        cover_recipe_id = CASE WHEN cover_recipe_id = ? THEN NULL ELSE cover_recipe_id END,
+        updated_at = unixepoch()
+      WHERE id = ?
+    `).run(recipeId, id);
+
+    return true;
+  }
+
+  /**
+   * Put the recipes of a board in a new order
+   * Recipes missing from the list keep their order after the listed ones
+   * @param {number} id - Board ID
+   * @param {array} recipeIds - Recipe UUIDs in the new order
+   */
+  static reorderRecipes(id, recipeIds) {
+    const setPosition = db.prepare("UPDATE board_recipes SET position = ? WHERE board_id = ? AND recipe_id = ?");
+
+    const reorder = db.transaction(() => {
+      orderAfter(Board.findRecipeIds(id), recipeIds).forEach((recipeId, position) => setPosition.run(position, id, recipeId));
+      Board.touch(id);
+    });
+
+    reorder();
+  }
+
+  /**
+   * Create a share token for a board (an existing token is kept)
+   * @param {number} id - Board ID
+   * @returns {string} - Share token
+   */
+  static share(id) {
+    const token = randomBytes(24).toString("base64url");
+
+    db.prepare(`
+      UPDATE boards SET share_token = COALESCE(share_token, ?), updated_at = unixepoch()
+      WHERE id = ?
+    `).run(token, id);
+
+    return db.prepare("SELECT share_token FROM boards WHERE id = ?").get(id).share_token;
+  }
+
+  /**
+   * Revoke the share token of a board, old links stop working
+   * @param {number} id - Board ID
+   */
+  static unshare(id) {
+    db.prepare("UPDATE boards SET share_token = NULL, updated_at = unixepoch() WHERE id = ?").run(id);
+  }
+
+  /**
+   * Find a shared board with its recipes (no user check: the token is the key)
+   * Like a recipe share link, only recipes the owner may change are shown:
+   * read-only recipes of other household members stay private
+   * @param {string} token - Share token
+   * @returns {object|undefined} - Board object with owner_name and recipes, or undefined if the token is unknown
+   */
+  static findByShareToken(token) {
+    const board = db.prepare("SELECT id, user_id FROM boards WHERE share_token = ?").get(token);
+    if (!board) return undefined;
+
+    const params = { id: board.id, userId: board.user_id };
+
+    const row = db.prepare(`
+      SELECT ${boardColumns(WRITABLE_RECIPES)}, users.name AS owner_name
+      FROM boards
+      INNER JOIN users ON users.id = boards.user_id
+      ${coverJoin(WRITABLE_RECIPES)}
+      WHERE boards.id = @id
+    `).get(params);
+
+    const recipes = db.prepare(`
+      SELECT recipes.*, ${TAGS_COLUMN} FROM recipes
+      INNER JOIN board_recipes ON board_recipes.recipe_id = recipes.id
+      WHERE board_recipes.board_id = @id AND ${WRITABLE_RECIPES}
+      ORDER BY board_recipes.position, board_recipes.created_at DESC
+    `).all(params);
+
+    return { ...Board.fromRow(row), recipes: recipes.map(Recipe.fromRow) };
+  }
+
+  /**
+   * Update the modification time of a board
+   * @param {number} id - Board ID
+   */
+  static touch(id) {
+    db.prepare("UPDATE boards SET updated_at = unixepoch() WHERE id = ?").run(id);
+  }
+}
+
+/**
+ * Put the listed IDs first (in their order), followed by the other current IDs in their current order
+ * IDs that are not current are ignored
+ * @param {array} current - IDs in the current order
+ * @param {array} listed - IDs in the requested order
+ * @returns {array} - IDs in the new order
+ */
+function orderAfter(current, listed) {
+  const known = new Set(current);
+  const first = [...new Set(listed)].filter(id => known.has(id));
+  const chosen = new Set(first);
+  return [...first, ...current.filter(id => !chosen.has(id))];
+}
@@ -0,0 +1,117 @@
+import db from "../db.js";
+
+// Number of finished sessions returned as the cooking history of a recipe
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Cooking Session Model
+ * Handles all database operations related to cooking sessions
+ * A session is one run through cook mode: it keeps the current step (0-based) and servings,
+ * so cooking can be resumed after a reload or on another device. A user has at most one
+ * unfinished session per recipe; finished sessions (completed_at) are the cooking history
+ */
+export class CookingSession {
+  /**
+   * Get the unfinished session of a recipe
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {object|undefined} - Session or undefined if there is none
+   */
+  static findOpen(userId, recipeId) {
+    const stmt = db.prepare(`
+      SELECT id, recipe_id, current_step, servings, started_at, updated_at
+      FROM cooking_sessions
+      WHERE user_id = ? AND recipe_id = ? AND completed_at IS NULL
+    `);
+    return stmt.get(userId, recipeId);
+  }
+
+  /**
+   * Start cooking a recipe; an unfinished session of the recipe is discarded
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @param {number|null} servings - Servings being cooked
+   * @returns {object} - The new session
+   */
+  static start(userId, recipeId, servings) {
+    const start = db.transaction(() => {
+      CookingSession.discard(userId, recipeId);
+      db.prepare(`
+        INSERT INTO cooking_sessions (user_id, recipe_id, servings)
+        VALUES (?, ?, ?)
+      `).run(userId, recipeId, servings || null);
+    });
+
+    start();
+    return CookingSession.findOpen(userId, recipeId);
+  }
+
+  /**
+   * Save the progress of the unfinished session of a recipe
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @param {object} progress - { step, servings } (omitted fields stay the same)
+   * @returns {boolean} - True if updated, false if there is no unfinished session
+   */
+  static updateProgress(userId, recipeId, progress) {
+    const stmt = db.prepare(`
+      UPDATE cooking_sessions SET
+        current_step = COALESCE(?, current_step),
+        servings = COALESCE(?, servings),
+        updated_at = unixepoch()
+      WHERE user_id = ? AND recipe_id = ? AND completed_at IS NULL
+    `);
+
+    const result = stmt.run(progress.step ?? null, progress.servings || null, userId, recipeId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Mark the unfinished session of a recipe as cooked
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {boolean} - True if completed, false if there is no unfinished session
+   */
+  static complete(userId, recipeId) {
+    const stmt = db.prepare(`
+      UPDATE cooking_sessions SET completed_at = unixepoch(), updated_at = unixepoch()
+      WHERE user_id = ? AND recipe_id = ? AND completed_at IS NULL
+    `);
+
+    const result = stmt.run(userId, recipeId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove the unfinished session of a recipe (the history is kept)
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {boolean} - True if deleted, false if there is no unfinished session
+   */
+  static discard(userId, recipeId) {
+    const stmt = db.prepare(`
+      DELETE FROM cooking_sessions
+      WHERE user_id = ? AND recipe_id = ? AND completed_at IS NULL
+    `);
+
+    const result = stmt.run(userId, recipeId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get when a user cooked a recipe, newest first
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {array} - Array of { id, servings, started_at, completed_at }
+   */
+  static findHistory(userId, recipeId) {
+    const stmt = db.prepare(`
+      SELECT id, servings, started_at, completed_at
+      FROM cooking_sessions
+      WHERE user_id = ? AND recipe_id = ? AND completed_at IS NOT NULL
+      ORDER BY completed_at DESC, id DESC
+      LIMIT ?
+    `);
+    return stmt.all(userId, recipeId, HISTORY_LIMIT);
+  }
+}
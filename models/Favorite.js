@@ -1,8 +1,11 @@
 import db from "../db.js";
+import { Board } from "./Board.js";
 
 /**
  * Favorite Model
  * Handles all database operations related to favorited recipes
+ * Favorites are the recipes on the user's default board (see Board), newest first unless reordered
+ * Favorites are personal, also for recipes shared within a household
  */
 export class Favorite {
   /**
@@ -12,20 +15,7 @@ export class Favorite {
    * @returns {boolean} - True if added, false if already favorited
    */
   static add(userId, recipeId) {
-    try {
-      const stmt = db.prepare(`
-        INSERT INTO favorites (user_id, recipe_id)
-        VALUES (?, ?)
-      `);
-      stmt.run(userId, recipeId);
-      return true;
-    } catch (error) {
-      // If unique constraint fails, recipe is already favorited
-      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-        return false;
-      }
-      throw error;
-    }
+    return Board.pin(Board.defaultId(userId), recipeId);
   }
 
   /**
@@ -35,12 +25,7 @@ export class Favorite {
    * @returns {boolean} - True if removed, false if not found
    */
   static remove(userId, recipeId) {
-    const stmt = db.prepare(`
-      DELETE FROM favorites 
-      WHERE user_id = ? AND recipe_id = ?
-    `);
-    const result = stmt.run(userId, recipeId);
-    return result.changes > 0;
+    return Board.unpin(Board.defaultId(userId), recipeId);
   }
 
   /**
@@ -51,8 +36,9 @@ export class Favorite {
    */
   static isFavorited(userId, recipeId) {
     const stmt = db.prepare(`
-      SELECT 1 FROM favorites 
-      WHERE user_id = ? AND recipe_id = ?
+      SELECT 1 FROM board_recipes
+      INNER JOIN boards ON boards.id = board_recipes.board_id
+      WHERE boards.user_id = ? AND boards.is_default = 1 AND board_recipes.recipe_id = ?
     `);
     return !!stmt.get(userId, recipeId);
   }
@@ -63,36 +49,16 @@ export class Favorite {
    * @returns {array} - Array of recipe IDs
    */
   static getFavoriteIds(userId) {
-    const stmt = db.prepare(`
-      SELECT recipe_id FROM favorites 
-      WHERE user_id = ?
-      ORDER BY created_at DESC
-    `);
-    const rows = stmt.all(userId);
-    return rows.map(row => row.recipe_id);
+    return Board.findRecipeIds(Board.defaultId(userId));
   }
 
   /**
    * Get all favorited recipes with full details for a user
+   * Recipes of a household the user has left are skipped
    * @param {number} userId - User ID
    * @returns {array} - Array of recipe objects
    */
   static getFavoriteRecipes(userId) {
-    const stmt = db.prepare(`
-      SELECT r.* FROM recipes r
-      INNER JOIN favorites f ON r.id = f.recipe_id
-      WHERE f.user_id = ?
-      ORDER BY f.created_at DESC
-    `);
-    
-    const recipes = stmt.all(userId);
-    
-    // Parse JSON fields
-    return recipes.map(r => ({
-      ...r,
-      ingredients: JSON.parse(r.ingredients),
-      steps: JSON.parse(r.steps),
-      is_scraped: Boolean(r.is_scraped)
-    }));
+    return Board.findRecipes(Board.defaultId(userId), userId);
   }
-}
\ No newline at end of file
+}
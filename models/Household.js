@@ -0,0 +1,275 @@
+import db from "../db.js";
+
+// Roles of household members: owners manage the household, editors change recipes, viewers only read
+export const HOUSEHOLD_ROLES = ["owner", "editor", "viewer"];
+
+// Roles that can be given with an invitation (owners are promoted afterwards)
+export const INVITATION_ROLES = ["editor", "viewer"];
+
+// Invitations expire after 7 days
+const INVITATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Household Model
+ * Handles all database operations related to households, their members and invitations
+ * A household shares one cookbook: members see each other's recipes
+ * A user belongs to at most one household; recipes keep belonging to the member who added them
+ */
+export class Household {
+  /**
+   * Get the household membership of a user
+   * @param {number} userId - User ID
+   * @returns {object|undefined} - { household_id, name, role } or undefined if the user has no household
+   */
+  static findByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT households.id AS household_id, households.name, household_members.role
+      FROM household_members
+      INNER JOIN households ON households.id = household_members.household_id
+      WHERE household_members.user_id = ?
+    `);
+
+    return stmt.get(userId);
+  }
+
+  /**
+   * Create a household with the user as its owner
+   * @param {number} userId - User ID (must not be in a household yet)
+   * @param {string} name - Household name
+   * @returns {number} - The ID of the new household
+   */
+  static create(userId, name) {
+    const create = db.transaction(() => {
+      const householdId = db.prepare("INSERT INTO households (name) VALUES (?)").run(name).lastInsertRowid;
+
+      db.prepare(`
+        INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, 'owner')
+      `).run(householdId, userId);
+
+      // Invitations to other households are no longer useful
+      db.prepare(`
+        DELETE FROM household_invitations
+        WHERE email = (SELECT email FROM users WHERE id = ?)
+      `).run(userId);
+
+      return householdId;
+    });
+
+    return Number(create());
+  }
+
+  /**
+   * Rename a household
+   * @param {number} householdId - Household ID
+   * @param {string} name - New name
+   * @returns {boolean} - True if renamed, false if not found
+   */
+  static rename(householdId, name) {
+    const result = db.prepare(`
+      UPDATE households SET name = ?, updated_at = unixepoch() WHERE id = ?
+    `).run(name, householdId);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the members of a household, owners first
+   * @param {number} householdId - Household ID
+   * @returns {array} - Array of { user_id, name, email, role, joined_at }
+   */
+  static getMembers(householdId) {
+    const stmt = db.prepare(`
+      SELECT users.id AS user_id, users.name, users.email, household_members.role,
+        household_members.created_at AS joined_at
+      FROM household_members
+      INNER JOIN users ON users.id = household_members.user_id
+      WHERE household_members.household_id = ?
+      ORDER BY CASE household_members.role WHEN 'owner' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END,
+        users.name COLLATE NOCASE
+    `);
+
+    return stmt.all(householdId);
+  }
+
+  /**
+   * Get the role of a member
+   * @param {number} householdId - Household ID
+   * @param {number} userId - User ID
+   * @returns {string|undefined} - Role, or undefined if the user is not a member
+   */
+  static getRole(householdId, userId) {
+    const member = db.prepare(`
+      SELECT role FROM household_members WHERE household_id = ? AND user_id = ?
+    `).get(householdId, userId);
+
+    return member?.role;
+  }
+
+  /**
+   * Count the owners of a household (a household with other members always keeps one)
+   * @param {number} householdId - Household ID
+   * @returns {number} - Number of owners
+   */
+  static countOwners(householdId) {
+    return db.prepare(`
+      SELECT COUNT(*) AS count FROM household_members WHERE household_id = ? AND role = 'owner'
+    `).get(householdId).count;
+  }
+
+  /**
+   * Change the role of a member
+   * @param {number} householdId - Household ID
+   * @param {number} userId - User ID of the member
+   * @param {string} role - New role (see HOUSEHOLD_ROLES)
+   * @returns {boolean} - True if changed, false if the user is not a member
+   */
+  static setRole(householdId, userId, role) {
+    const result = db.prepare(`
+      UPDATE household_members SET role = ? WHERE household_id = ? AND user_id = ?
+    `).run(role, householdId, userId);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove a member from a household
+   * The member keeps their own recipes; the household is deleted when its last member leaves
+   * @param {number} householdId - Household ID
+   * @param {number} userId - User ID of the member
+   * @returns {boolean} - True if removed, false if the user is not a member
+   */
+  static removeMember(householdId, userId) {
+    const remove = db.transaction(() => {
+      const result = db.prepare(`
+        DELETE FROM household_members WHERE household_id = ? AND user_id = ?
+      `).run(householdId, userId);
+
+      if (result.changes === 0) return false;
+
+      db.prepare(`
+        DELETE FROM households
+        WHERE id = ? AND NOT EXISTS (SELECT 1 FROM household_members WHERE household_id = households.id)
+      `).run(householdId);
+
+      return true;
+    });
+
+    return remove();
+  }
+
+  /**
+   * Invite someone to a household by email address
+   * Inviting the same address again replaces the role and restarts the expiry
+   * @param {number} householdId - Household ID
+   * @param {string} email - Email address (normalized)
+   * @param {string} role - Role after accepting (see INVITATION_ROLES)
+   * @param {number} invitedBy - User ID of the member who invites
+   * @returns {object} - The invitation { id, email, role, expires_at, created_at }
+   */
+  static invite(householdId, email, role, invitedBy) {
+    const stmt = db.prepare(`
+      INSERT INTO household_invitations (household_id, email, role, invited_by, expires_at)
+      VALUES (@householdId, @email, @role, @invitedBy, unixepoch() + @ttl)
+      ON CONFLICT (household_id, email) DO UPDATE SET
+        role = excluded.role,
+        invited_by = excluded.invited_by,
+        expires_at = excluded.expires_at,
+        created_at = unixepoch()
+      RETURNING id, email, role, expires_at, created_at
+    `);
+
+    return stmt.get({ householdId, email, role, invitedBy, ttl: INVITATION_TTL_SECONDS });
+  }
+
+  /**
+   * Get the pending invitations of a household
+   * @param {number} householdId - Household ID
+   * @returns {array} - Array of { id, email, role, expires_at, created_at }
+   */
+  static getInvitations(householdId) {
+    const stmt = db.prepare(`
+      SELECT id, email, role, expires_at, created_at FROM household_invitations
+      WHERE household_id = ? AND expires_at > unixepoch()
+      ORDER BY created_at DESC
+    `);
+
+    return stmt.all(householdId);
+  }
+
+  /**
+   * Get the pending invitations for an email address
+   * @param {string} email - Email address of the invited user
+   * @returns {array} - Array of { id, household_id, household_name, role, invited_by_name, expires_at }
+   */
+  static findInvitationsForEmail(email) {
+    const stmt = db.prepare(`
+      SELECT household_invitations.id, household_invitations.household_id,
+        households.name AS household_name, household_invitations.role,
+        users.name AS invited_by_name, household_invitations.expires_at
+      FROM household_invitations
+      INNER JOIN households ON households.id = household_invitations.household_id
+      LEFT JOIN users ON users.id = household_invitations.invited_by
+      WHERE household_invitations.email = ? AND household_invitations.expires_at > unixepoch()
+      ORDER BY household_invitations.created_at DESC
+    `);
+
+    return stmt.all(email);
+  }
+
+  /**
+   * Withdraw an invitation
+   * @param {number} id - Invitation ID
+   * @param {number} householdId - Household ID (for authorization check)
+   * @returns {boolean} - True if deleted, false if not found
+   */
+  static deleteInvitation(id, householdId) {
+    const result = db.prepare(`
+      DELETE FROM household_invitations WHERE id = ? AND household_id = ?
+    `).run(id, householdId);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Decline an invitation
+   * @param {number} id - Invitation ID
+   * @param {string} email - Email address of the invited user (for authorization check)
+   * @returns {boolean} - True if declined, false if not found
+   */
+  static declineInvitation(id, email) {
+    const result = db.prepare(`
+      DELETE FROM household_invitations WHERE id = ? AND email = ?
+    `).run(id, email);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Accept an invitation: the user joins the household with the invited role
+   * Other invitations for the user are removed
+   * @param {number} id - Invitation ID
+   * @param {number} userId - User ID of the invited user (must not be in a household yet)
+   * @param {string} email - Email address of the invited user (for authorization check)
+   * @returns {object|null} - { household_id, role }, or null if the invitation was not found or expired
+   */
+  static acceptInvitation(id, userId, email) {
+    const accept = db.transaction(() => {
+      const invitation = db.prepare(`
+        SELECT household_id, role FROM household_invitations
+        WHERE id = ? AND email = ? AND expires_at > unixepoch()
+      `).get(id, email);
+
+      if (!invitation) return null;
+
+      db.prepare(`
+        INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, ?)
+      `).run(invitation.household_id, userId, invitation.role);
+
+      db.prepare("DELETE FROM household_invitations WHERE email = ?").run(email);
+
+      return invitation;
+    });
+
+    return accept();
+  }
+}
@@ -0,0 +1,119 @@
+import db from "../db.js";
+
+// Meal slots in the order they are shown in the planner
+export const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+
+/**
+ * Meal Plan Model
+ * Handles all database operations related to the weekly meal planner
+ * Each entry schedules one recipe on a date (YYYY-MM-DD) and meal slot
+ */
+export class MealPlan {
+  /**
+   * Schedule a recipe
+   * @param {number} userId - User ID
+   * @param {object} entry - { recipeId, date, slot, servings }
+   * @returns {number} - ID of the new entry
+   */
+  static create(userId, entry) {
+    const stmt = db.prepare(`
+      INSERT INTO meal_plans (user_id, recipe_id, plan_date, meal_slot, servings)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(userId, entry.recipeId, entry.date, entry.slot, entry.servings || null);
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Get all entries between two dates (inclusive) with recipe details
+   * Entries of recipes in the trash are left out (they return when the recipe is restored)
+   * @param {number} userId - User ID
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {array} - Array of entries ordered by date and slot
+   */
+  static findByDateRange(userId, from, to) {
+    const stmt = db.prepare(`
+      SELECT
+        m.id, m.recipe_id, m.plan_date AS date, m.meal_slot AS slot,
+        COALESCE(m.servings, r.servings) AS servings,
+        r.title, r.time, r.image_url, r.image_path
+      FROM meal_plans m
+      INNER JOIN recipes r ON r.id = m.recipe_id AND r.deleted_at IS NULL
+      WHERE m.user_id = ? AND m.plan_date BETWEEN ? AND ?
+      ORDER BY m.plan_date,
+        CASE m.meal_slot ${MEAL_SLOTS.map((slot, i) => `WHEN '${slot}' THEN ${i}`).join(" ")} END,
+        m.created_at
+    `);
+
+    return stmt.all(userId, from, to);
+  }
+
+  /**
+   * Get a single entry
+   * @param {number} id - Entry ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {object|undefined} - Entry or undefined if not found
+   */
+  static findById(id, userId) {
+    const stmt = db.prepare(`
+      SELECT id, recipe_id, plan_date AS date, meal_slot AS slot, servings
+      FROM meal_plans
+      WHERE id = ? AND user_id = ?
+    `);
+    return stmt.get(id, userId);
+  }
+
+  /**
+   * Move an entry to another date/slot or change its servings
+   * @param {number} id - Entry ID
+   * @param {number} userId - User ID (for authorization check)
+   * @param {object} changes - { date, slot, servings } (omitted fields stay the same)
+   * @returns {boolean} - True if updated, false if not found
+   */
+  static update(id, userId, changes) {
+    const stmt = db.prepare(`
+      UPDATE meal_plans SET
+        plan_date = COALESCE(?, plan_date),
+        meal_slot = COALESCE(?, meal_slot),
+        servings = COALESCE(?, servings),
+        updated_at = unixepoch()
+      WHERE id = ? AND user_id = ?
+    `);
+
+    const result = stmt.run(changes.date || null, changes.slot || null, changes.servings || null, id, userId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Copy an entry to another date/slot
+   * @param {number} id - Entry ID
+   * @param {number} userId - User ID (for authorization check)
+   * @param {object} target - { date, slot } (omitted fields are copied from the entry)
+   * @returns {number|null} - ID of the copy, or null if the entry was not found
+   */
+  static copy(id, userId, target) {
+    const entry = MealPlan.findById(id, userId);
+    if (!entry) return null;
+
+    return MealPlan.create(userId, {
+      recipeId: entry.recipe_id,
+      date: target.date || entry.date,
+      slot: target.slot || entry.slot,
+      servings: entry.servings
+    });
+  }
+
+  /**
+   * Remove an entry
+   * @param {number} id - Entry ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {boolean} - True if deleted, false if not found
+   */
+  static delete(id, userId) {
+    const stmt = db.prepare("DELETE FROM meal_plans WHERE id = ? AND user_id = ?");
+    const result = stmt.run(id, userId);
+    return result.changes > 0;
+  }
+}
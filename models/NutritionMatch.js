@@ -0,0 +1,49 @@
+import db from "../db.js";
+
+/**
+ * Nutrition Match Model
+ * Handles all database operations related to manual nutrition matches: which food of the nutrient
+ * table an ingredient of a recipe is, and/or how many grams it weighs
+ * Matches are stored per ingredient name, so they survive reordering and editing other lines
+ * and are shared by everyone who can see the recipe
+ */
+export class NutritionMatch {
+  /**
+   * Get the manual matches of a recipe
+   * @param {string} recipeId - Recipe UUID
+   * @returns {array} - Array of { ingredient_key, food_id, grams }
+   */
+  static findByRecipe(recipeId) {
+    const stmt = db.prepare(`
+      SELECT ingredient_key, food_id, grams FROM recipe_nutrition_matches
+      WHERE recipe_id = ?
+    `);
+    return stmt.all(recipeId);
+  }
+
+  /**
+   * Set the manual match of an ingredient
+   * @param {string} recipeId - Recipe UUID
+   * @param {string} ingredientKey - Ingredient name normalised with nameKey
+   * @param {object} match - { foodId, grams } (foodId null leaves the ingredient out, grams null computes it)
+   */
+  static set(recipeId, ingredientKey, match) {
+    db.prepare(`
+      INSERT INTO recipe_nutrition_matches (recipe_id, ingredient_key, food_id, grams)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (recipe_id, ingredient_key) DO UPDATE SET
+        food_id = excluded.food_id, grams = excluded.grams, updated_at = unixepoch()
+    `).run(recipeId, ingredientKey, match.foodId ?? null, match.grams ?? null);
+  }
+
+  /**
+   * Remove the manual match of an ingredient (back to the automatic match)
+   * @param {string} recipeId - Recipe UUID
+   * @param {string} ingredientKey - Ingredient name normalised with nameKey
+   * @returns {boolean} - True if removed, false if the ingredient had no manual match
+   */
+  static remove(recipeId, ingredientKey) {
+    const stmt = db.prepare("DELETE FROM recipe_nutrition_matches WHERE recipe_id = ? AND ingredient_key = ?");
+    return stmt.run(recipeId, ingredientKey).changes > 0;
+  }
+}
@@ -0,0 +1,140 @@
+import db from "../db.js";
+import { categorize } from "../services/aisles.js";
+import { formatItem } from "../services/shoppingList.js";
+
+/**
+ * Pantry Model
+ * Handles all database operations related to pantry items: what a user has at home
+ * Items can have an amount and an expiry date (YYYY-MM-DD); the same ingredient may be stored
+ * more than once, e.g. two packs with different expiry dates
+ */
+export class Pantry {
+  /**
+   * Convert a database row to a pantry item
+   * @param {object} row - Row from the pantry_items table
+   * @returns {object} - Item with display text and aisle category
+   */
+  static itemFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      quantity: row.quantity,
+      unit: row.unit,
+      text: formatItem(row),
+      category: categorize(row.name),
+      expires_on: row.expires_on
+    };
+  }
+
+  /**
+   * Get all items of a user, soonest expiry first (items without a date last)
+   * @param {number} userId - User ID
+   * @returns {array} - Array of items
+   */
+  static findByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT * FROM pantry_items
+      WHERE user_id = ?
+      ORDER BY expires_on IS NULL, expires_on, name COLLATE NOCASE
+    `);
+
+    return stmt.all(userId).map(Pantry.itemFromRow);
+  }
+
+  /**
+   * Get the items of a user that have not expired
+   * @param {number} userId - User ID
+   * @param {string} today - Today's date (YYYY-MM-DD)
+   * @returns {array} - Array of items
+   */
+  static findUsable(userId, today) {
+    const stmt = db.prepare(`
+      SELECT * FROM pantry_items
+      WHERE user_id = ? AND (expires_on IS NULL OR expires_on >= ?)
+    `);
+
+    return stmt.all(userId, today).map(Pantry.itemFromRow);
+  }
+
+  /**
+   * Get a single item
+   * @param {number} id - Item ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {object|null} - Item or null if not found
+   */
+  static findItem(id, userId) {
+    const row = db.prepare("SELECT * FROM pantry_items WHERE id = ? AND user_id = ?").get(id, userId);
+    return row ? Pantry.itemFromRow(row) : null;
+  }
+
+  /**
+   * Add an item
+   * @param {number} userId - User ID
+   * @param {object} item - { name, quantity, unit, expiresOn }
+   * @returns {number} - ID of the new item
+   */
+  static addItem(userId, item) {
+    const stmt = db.prepare(`
+      INSERT INTO pantry_items (user_id, name, quantity, unit, expires_on)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(userId, item.name, item.quantity ?? null, item.unit || null, item.expiresOn || null);
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Change the name and amount and/or the expiry date of an item
+   * @param {number} id - Item ID
+   * @param {number} userId - User ID (for authorization check)
+   * @param {object} changes - { name, quantity, unit, expiresOn } (name undefined keeps the amount,
+   *   expiresOn undefined keeps the date, null removes it)
+   * @returns {boolean} - True if updated, false if not found
+   */
+  static updateItem(id, userId, changes) {
+    const stmt = db.prepare(`
+      UPDATE pantry_items SET
+        name = CASE WHEN @setName THEN @name ELSE name END,
+        quantity = CASE WHEN @setName THEN @quantity ELSE quantity END,
+        unit = CASE WHEN @setName THEN @unit ELSE unit END,
+        expires_on = CASE WHEN @setExpiry THEN @expiresOn ELSE expires_on END,
+        updated_at = unixepoch()
+      WHERE id = @id AND user_id = @userId
+    `);
+
+    const result = stmt.run({
+      id,
+      userId,
+      setName: changes.name !== undefined ? 1 : 0,
+      name: changes.name ?? null,
+      quantity: changes.quantity ?? null,
+      unit: changes.unit || null,
+      setExpiry: changes.expiresOn !== undefined ? 1 : 0,
+      expiresOn: changes.expiresOn ?? null
+    });
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove an item
+   * @param {number} id - Item ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {boolean} - True if removed, false if not found
+   */
+  static deleteItem(id, userId) {
+    const stmt = db.prepare("DELETE FROM pantry_items WHERE id = ? AND user_id = ?");
+    return stmt.run(id, userId).changes > 0;
+  }
+
+  /**
+   * Remove all expired items of a user
+   * @param {number} userId - User ID
+   * @param {string} today - Today's date (YYYY-MM-DD)
+   * @returns {number} - Number of removed items
+   */
+  static clearExpired(userId, today) {
+    const stmt = db.prepare("DELETE FROM pantry_items WHERE user_id = ? AND expires_on < ?");
+    return stmt.run(userId, today).changes;
+  }
+}
@@ -1,16 +1,129 @@
 import db from "../db.js";
 import { randomUUID } from "crypto";
+import { deleteRecipeImage } from "../services/imageStorage.js";
+import { parseIngredients } from "../services/ingredientParser.js";
+import { parseMinutes } from "../services/duration.js";
+import { encodeCursor, decodeCursor } from "../services/cursor.js";
+import { buildMatchQuery, snippetToHTML, SEARCH_FIELDS, MARK_START, MARK_END } from "../services/searchQuery.js";
+import { diffRecipes } from "../services/recipeDiff.js";
+import { Tag, normalizeTagNames } from "./Tag.js";
+import { RecipeRevision } from "./RecipeRevision.js";
+
+// Average star rating of a recipe (all users who rated it), NULL when it has no ratings
+const AVERAGE_RATING = "(SELECT AVG(recipe_ratings.rating) FROM recipe_ratings WHERE recipe_ratings.recipe_id = recipes.id)";
+
+// Sort orders of the recipe grid: SQL expression and direction
+// Recipes without a (readable) time or without ratings sort last
+const SORT_ORDERS = {
+  created: { expression: "created_at", direction: "DESC" },
+  updated: { expression: "updated_at", direction: "DESC" },
+  title: { expression: "title COLLATE NOCASE", direction: "ASC" },
+  time: { expression: "COALESCE(time_minutes, 2147483647)", direction: "ASC" },
+  rating: { expression: `COALESCE(${AVERAGE_RATING}, 0)`, direction: "DESC" }
+};
+
+export const RECIPE_SORTS = Object.keys(SORT_ORDERS);
+
+// Select this column with recipes.* to get the tag names of each recipe (JSON array, by name)
+export const TAGS_COLUMN = `(
+  SELECT json_group_array(tags.name ORDER BY tags.name) FROM recipe_tags
+  INNER JOIN tags ON tags.id = recipe_tags.tag_id
+  WHERE recipe_tags.recipe_id = recipes.id
+) AS tags`;
+
+// Deleted recipes stay in the trash for 30 days, then they are purged
+export const TRASH_RETENTION_DAYS = 30;
+
+// Recipes a user may manage: their own, and those of their household as owner or editor
+// Also matches recipes in the trash; use with the named parameter @userId
+const MANAGEABLE_RECIPES = `(recipes.user_id = @userId OR recipes.user_id IN (
+  SELECT others.user_id FROM household_members me
+  INNER JOIN household_members others ON others.household_id = me.household_id
+  WHERE me.user_id = @userId AND me.role IN ('owner', 'editor')
+))`;
+
+// Recipes a user may see: their own and those of the members of their household, not in the trash
+// Use with the named parameter @userId
+export const READABLE_RECIPES = `(recipes.deleted_at IS NULL AND (recipes.user_id = @userId OR recipes.user_id IN (
+  SELECT others.user_id FROM household_members me
+  INNER JOIN household_members others ON others.household_id = me.household_id
+  WHERE me.user_id = @userId
+)))`;
+
+// Recipes a user may change: their own, and those of their household as owner or editor, not in the trash
+// Use with the named parameter @userId
+export const WRITABLE_RECIPES = `(recipes.deleted_at IS NULL AND ${MANAGEABLE_RECIPES})`;
+
+// Recipes in the trash that a user may restore or purge
+const TRASHED_RECIPES = `(recipes.deleted_at IS NOT NULL AND ${MANAGEABLE_RECIPES})`;
+
+// Select these columns with recipes.* to know whether the user may change a recipe and who added it
+export const ACCESS_COLUMNS = `${WRITABLE_RECIPES} AS can_edit,
+  (SELECT users.name FROM users WHERE users.id = recipes.user_id) AS author_name`;
+
+// Select these columns with recipes.* to know how often and when the user cooked a recipe (see CookingSession),
+// and at which step (0-based) an unfinished session is; use with the named parameter @userId
+const COOKED_COLUMNS = `(
+  SELECT COUNT(*) FROM cooking_sessions
+  WHERE cooking_sessions.recipe_id = recipes.id AND cooking_sessions.user_id = @userId
+    AND cooking_sessions.completed_at IS NOT NULL
+) AS cooked_count,
+(
+  SELECT MAX(cooking_sessions.completed_at) FROM cooking_sessions
+  WHERE cooking_sessions.recipe_id = recipes.id AND cooking_sessions.user_id = @userId
+) AS last_cooked_at,
+(
+  SELECT cooking_sessions.current_step FROM cooking_sessions
+  WHERE cooking_sessions.recipe_id = recipes.id AND cooking_sessions.user_id = @userId
+    AND cooking_sessions.completed_at IS NULL
+) AS cooking_step`;
+
+// Select these columns with recipes.* to get the average rating (rounded to 0.1, NULL when unrated),
+// the number of ratings and the rating of the user; use with the named parameter @userId
+const RATING_COLUMNS = `ROUND(${AVERAGE_RATING}, 1) AS rating_average,
+  (SELECT COUNT(*) FROM recipe_ratings WHERE recipe_ratings.recipe_id = recipes.id) AS rating_count,
+  (
+    SELECT recipe_ratings.rating FROM recipe_ratings
+    WHERE recipe_ratings.recipe_id = recipes.id AND recipe_ratings.user_id = @userId
+  ) AS my_rating`;
 
 /**
  * Recipe Model
  * Handles all database operations related to recipes
  * Stores ingredients and steps as JSON strings
+ * Ingredients are also stored parsed ({ quantity, unit, name, note }) in ingredients_parsed
+ * Tags are stored in the tags table and returned as an array of names
+ * Members of a household see each other's recipes; owners and editors may also change them
+ * Every edit keeps the previous version in recipe_revisions
+ * Deleting moves a recipe to the trash (deleted_at); favorites and history survive until it is purged
  */
 export class Recipe {
+  /**
+   * Convert a database row to a recipe object
+   * Parses the JSON fields; rows saved before ingredient parsing existed are parsed on the fly
+   * @param {object} row - Row from the recipes table, with TAGS_COLUMN
+   * @returns {object} - Recipe object
+   */
+  static fromRow(row) {
+    const ingredients = JSON.parse(row.ingredients);
+
+    return {
+      ...row,
+      ingredients: ingredients,
+      ingredients_parsed: row.ingredients_parsed
+        ? JSON.parse(row.ingredients_parsed)
+        : parseIngredients(ingredients),
+      steps: JSON.parse(row.steps),
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      is_scraped: Boolean(row.is_scraped),
+      ...("can_edit" in row && { can_edit: Boolean(row.can_edit) })
+    };
+  }
+
   /**
    * Create a new recipe
    * @param {number} userId - ID of the user creating the recipe
-   * @param {object} recipeData - Recipe data object
+   * @param {object} recipeData - Recipe data object (tags: array of tag names)
    * @returns {string} - The UUID of the newly created recipe
    */
   static create(userId, recipeData) {
@@ -18,10 +131,10 @@ export class Recipe {
     
     const stmt = db.prepare(`
       INSERT INTO recipes (
-        id, user_id, title, time, servings, category,
+        id, user_id, title, time, time_minutes, servings,
         source_url, image_url, image_path, ingredients,
-        steps, notes, is_scraped
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ingredients_parsed, steps, notes, is_scraped
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -29,165 +142,376 @@ export class Recipe {
       userId,
       recipeData.title,
       recipeData.time || null,
+      parseMinutes(recipeData.time),
       recipeData.servings || 2,
-      recipeData.category || null,
       recipeData.source_url || null,
       recipeData.image_url || null,
       recipeData.image_path || null,
       JSON.stringify(recipeData.ingredients || []),
+      JSON.stringify(parseIngredients(recipeData.ingredients)),
       JSON.stringify(recipeData.steps || []),
       recipeData.notes || null,
       recipeData.is_scraped ? 1 : 0
     );
 
+    Tag.setRecipeTags(id, userId, recipeData.tags || []);
+
     return id;
   }
 
   /**
-   * Get all recipes for a specific user
+   * Get all recipes a user can see: their own and their household's
    * @param {number} userId - User ID
    * @returns {array} - Array of recipe objects
    */
   static findByUserId(userId) {
     const stmt = db.prepare(`
-      SELECT * FROM recipes 
-      WHERE user_id = ? 
+      SELECT *, ${TAGS_COLUMN}, ${ACCESS_COLUMNS}, ${COOKED_COLUMNS}, ${RATING_COLUMNS} FROM recipes 
+      WHERE ${READABLE_RECIPES} 
       ORDER BY created_at DESC
     `);
     
-    const recipes = stmt.all(userId);
+    const recipes = stmt.all({ userId });
     
     // Parse JSON fields back to arrays
-    return recipes.map(r => ({
-      ...r,
-      ingredients: JSON.parse(r.ingredients),
-      steps: JSON.parse(r.steps),
-      is_scraped: Boolean(r.is_scraped)
-    }));
+    return recipes.map(Recipe.fromRow);
+  }
+
+  /**
+   * Get the title and source URL of all recipes a user can see (to find duplicates when importing)
+   * @param {number} userId - User ID
+   * @returns {array} - Array of { title, source_url }
+   */
+  static findTitlesAndSources(userId) {
+    return db.prepare(`
+      SELECT title, source_url FROM recipes WHERE ${READABLE_RECIPES}
+    `).all({ userId });
+  }
+
+  /**
+   * Get one page of the recipes a user can see, filtered and sorted
+   * Uses keyset pagination: pass the returned nextCursor to get the following page
+   * @param {number} userId - User ID
+   * @param {object} options - Filters and paging:
+   *   tags (array of names), tagMatch ("all" tags, default, or "any" of them),
+   *   maxMinutes, minRating (average of at least 1-5 stars), favoritesOnly, source ("scraped" or "own"),
+   *   sort (see RECIPE_SORTS, default "created"), limit (omit for all recipes), cursor
+   * @returns {object} - { recipes, nextCursor } (nextCursor is null on the last page)
+   */
+  static findPage(userId, options = {}) {
+    const sort = SORT_ORDERS[options.sort] || SORT_ORDERS.created;
+    const conditions = [READABLE_RECIPES];
+    const params = { userId };
+
+    const tags = normalizeTagNames(options.tags);
+    if (tags.length) {
+      // Count the requested tags a recipe has: all of them, or at least one
+      const placeholders = tags.map((tag, i) => {
+        params[`tag${i}`] = tag;
+        return `@tag${i}`;
+      });
+      conditions.push(`(
+        SELECT COUNT(*) FROM recipe_tags
+        INNER JOIN tags ON tags.id = recipe_tags.tag_id
+        WHERE recipe_tags.recipe_id = recipes.id AND tags.name IN (${placeholders.join(", ")})
+      ) ${options.tagMatch === "any" ? ">= 1" : `= ${tags.length}`}`);
+    }
+
+    if (options.maxMinutes) {
+      conditions.push("time_minutes <= @maxMinutes");
+      params.maxMinutes = options.maxMinutes;
+    }
+
+    if (options.minRating) {
+      conditions.push(`${AVERAGE_RATING} >= @minRating`);
+      params.minRating = options.minRating;
+    }
+
+    if (options.favoritesOnly) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM board_recipes
+        INNER JOIN boards ON boards.id = board_recipes.board_id
+        WHERE board_recipes.recipe_id = recipes.id AND boards.user_id = @userId AND boards.is_default = 1
+      )`);
+    }
+
+    if (options.source === "scraped" || options.source === "own") {
+      conditions.push(`is_scraped = ${options.source === "scraped" ? 1 : 0}`);
+    }
+
+    // Continue after the last recipe of the previous page
+    const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+    if (cursor) {
+      conditions.push(`(${sort.expression}, id) ${sort.direction === "ASC" ? ">" : "<"} (@cursorValue, @cursorId)`);
+      params.cursorValue = cursor.value;
+      params.cursorId = cursor.id;
+    }
+
+    // Fetch one extra recipe to know whether there is a next page
+    let limitClause = "";
+    if (options.limit) {
+      limitClause = "LIMIT @limit";
+      params.limit = options.limit + 1;
+    }
+
+    const stmt = db.prepare(`
+      SELECT *, ${TAGS_COLUMN}, ${ACCESS_COLUMNS}, ${COOKED_COLUMNS}, ${RATING_COLUMNS}, ${sort.expression} AS sort_value FROM recipes
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${sort.expression} ${sort.direction}, id ${sort.direction}
+      ${limitClause}
+    `);
+
+    const rows = stmt.all(params);
+    const hasMore = Boolean(options.limit) && rows.length > options.limit;
+    const page = hasMore ? rows.slice(0, options.limit) : rows;
+    const last = page[page.length - 1];
+
+    return {
+      recipes: page.map(({ sort_value, ...row }) => Recipe.fromRow(row)),
+      nextCursor: hasMore ? encodeCursor(last.sort_value, last.id) : null
+    };
   }
 
   /**
    * Get a single recipe by ID
    * @param {string} id - Recipe UUID
-   * @param {number} userId - User ID (for authorization check)
-   * @returns {object|undefined} - Recipe object or undefined if not found
+   * @param {number} userId - User ID (for authorization check: own or household recipe)
+   * @returns {object|undefined} - Recipe object (with can_edit and author_name) or undefined if not found
    */
   static findById(id, userId) {
     const stmt = db.prepare(`
-      SELECT * FROM recipes 
-      WHERE id = ? AND user_id = ?
+      SELECT *, ${TAGS_COLUMN}, ${ACCESS_COLUMNS}, ${COOKED_COLUMNS}, ${RATING_COLUMNS} FROM recipes 
+      WHERE id = @id AND ${READABLE_RECIPES}
     `);
     
-    const recipe = stmt.get(id, userId);
+    const recipe = stmt.get({ id, userId });
     
     if (!recipe) return undefined;
     
     // Parse JSON fields
-    return {
-      ...recipe,
-      ingredients: JSON.parse(recipe.ingredients),
-      steps: JSON.parse(recipe.steps),
-      is_scraped: Boolean(recipe.is_scraped)
-    };
+    return Recipe.fromRow(recipe);
   }
 
   /**
    * Update an existing recipe
+   * The uploaded image is managed separately via setImagePath
+   * Tags are only replaced when recipeData.tags is given; they stay tags of the recipe's owner
+   * When the content changes, the previous version is saved as a revision
    * @param {string} id - Recipe UUID
-   * @param {number} userId - User ID (for authorization check)
+   * @param {number} userId - User ID (for authorization check: own recipe, or household owner/editor)
    * @param {object} recipeData - Updated recipe data
-   * @returns {boolean} - True if updated, false if not found
+   * @returns {boolean} - True if updated, false if not found or not allowed
    */
   static update(id, userId, recipeData) {
-    const stmt = db.prepare(`
-      UPDATE recipes SET
-        title = ?,
-        time = ?,
-        servings = ?,
-        category = ?,
-        source_url = ?,
-        image_url = ?,
-        image_path = ?,
-        ingredients = ?,
-        steps = ?,
-        notes = ?,
-        updated_at = unixepoch()
-      WHERE id = ? AND user_id = ?
-    `);
+    const save = db.transaction(() => {
+      const current = db.prepare(`
+        SELECT *, ${TAGS_COLUMN} FROM recipes
+        WHERE id = @id AND ${WRITABLE_RECIPES}
+      `).get({ id, userId });
 
-    const result = stmt.run(
-      recipeData.title,
-      recipeData.time || null,
-      recipeData.servings || 2,
-      recipeData.category || null,
-      recipeData.source_url || null,
-      recipeData.image_url || null,
-      recipeData.image_path || null,
-      JSON.stringify(recipeData.ingredients || []),
-      JSON.stringify(recipeData.steps || []),
-      recipeData.notes || null,
-      id,
-      userId
-    );
+      if (!current) return false;
 
-    return result.changes > 0;
+      const updated = {
+        title: recipeData.title,
+        time: recipeData.time || null,
+        servings: Number(recipeData.servings) || 2,
+        source_url: recipeData.source_url || null,
+        image_url: recipeData.image_url || null,
+        ingredients: recipeData.ingredients || [],
+        steps: recipeData.steps || [],
+        notes: recipeData.notes || null,
+        tags: recipeData.tags ? normalizeTagNames(recipeData.tags) : JSON.parse(current.tags)
+      };
+
+      if (diffRecipes(Recipe.fromRow(current), updated).length > 0) {
+        RecipeRevision.record(current, userId);
+      }
+
+      db.prepare(`
+        UPDATE recipes SET
+          title = @title,
+          time = @time,
+          time_minutes = @timeMinutes,
+          servings = @servings,
+          source_url = @source_url,
+          image_url = @image_url,
+          ingredients = @ingredients,
+          ingredients_parsed = @ingredientsParsed,
+          steps = @steps,
+          notes = @notes,
+          updated_at = unixepoch()
+        WHERE id = @id
+      `).run({
+        ...updated,
+        timeMinutes: parseMinutes(updated.time),
+        ingredients: JSON.stringify(updated.ingredients),
+        ingredientsParsed: JSON.stringify(parseIngredients(updated.ingredients)),
+        steps: JSON.stringify(updated.steps),
+        id: id
+      });
+
+      if (recipeData.tags) {
+        Tag.setRecipeTags(id, current.user_id, updated.tags);
+      }
+
+      return true;
+    });
+
+    return save();
   }
 
   /**
-   * Delete a recipe
+   * Set or clear the uploaded image of a recipe
+   * The previous image files are deleted from disk
    * @param {string} id - Recipe UUID
-   * @param {number} userId - User ID (for authorization check)
-   * @returns {boolean} - True if deleted, false if not found
+   * @param {number} userId - User ID (for authorization check: own recipe, or household owner/editor)
+   * @param {string|null} imagePath - Stored image file name, or null to remove the image
+   * @returns {boolean} - True if updated, false if not found or not allowed
+   */
+  static setImagePath(id, userId, imagePath) {
+    const current = db.prepare(`
+      SELECT image_path FROM recipes 
+      WHERE id = @id AND ${WRITABLE_RECIPES}
+    `).get({ id, userId });
+
+    if (!current) return false;
+
+    db.prepare(`
+      UPDATE recipes SET image_path = ?, updated_at = unixepoch()
+      WHERE id = ?
+    `).run(imagePath, id);
+
+    if (current.image_path && current.image_path !== imagePath) {
+      deleteRecipeImage(current.image_path);
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete a recipe: move it to the trash
+   * It can be restored until it is purged (see purge and purgeExpired)
+   * @param {string} id - Recipe UUID
+   * @param {number} userId - User ID (for authorization check: own recipe, or household owner/editor)
+   * @returns {boolean} - True if deleted, false if not found or not allowed
    */
   static delete(id, userId) {
-    const stmt = db.prepare("DELETE FROM recipes WHERE id = ? AND user_id = ?");
-    const result = stmt.run(id, userId);
+    const result = db.prepare(`
+      UPDATE recipes SET deleted_at = unixepoch()
+      WHERE id = @id AND ${WRITABLE_RECIPES}
+    `).run({ id, userId });
+
     return result.changes > 0;
   }
 
   /**
-   * Search recipes by title
-   * @param {number} userId - User ID
-   * @param {string} query - Search query
-   * @returns {array} - Array of matching recipe objects
+   * Get the recipes in the trash, last deleted first
+   * @param {number} userId - User ID (own recipes, and the household's as owner or editor)
+   * @returns {array} - Array of recipe objects with deleted_at and purge_at (Unix time of automatic purge)
    */
-  static search(userId, query) {
+  static findDeleted(userId) {
     const stmt = db.prepare(`
-      SELECT * FROM recipes 
-      WHERE user_id = ? AND title LIKE ?
-      ORDER BY created_at DESC
+      SELECT *, ${TAGS_COLUMN}, ${ACCESS_COLUMNS}, deleted_at + @retention AS purge_at FROM recipes
+      WHERE ${TRASHED_RECIPES}
+      ORDER BY deleted_at DESC
     `);
-    
-    const recipes = stmt.all(userId, `%${query}%`);
-    
-    return recipes.map(r => ({
-      ...r,
-      ingredients: JSON.parse(r.ingredients),
-      steps: JSON.parse(r.steps),
-      is_scraped: Boolean(r.is_scraped)
-    }));
+
+    return stmt.all({ userId, retention: TRASH_RETENTION_DAYS * 24 * 60 * 60 }).map(Recipe.fromRow);
   }
 
   /**
-   * Filter recipes by category
-   * @param {number} userId - User ID
-   * @param {string} category - Category name
-   * @returns {array} - Array of recipe objects in that category
+   * Restore a recipe from the trash
+   * @param {string} id - Recipe UUID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {boolean} - True if restored, false if not in the trash or not allowed
+   */
+  static restore(id, userId) {
+    const result = db.prepare(`
+      UPDATE recipes SET deleted_at = NULL
+      WHERE id = @id AND ${TRASHED_RECIPES}
+    `).run({ id, userId });
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Permanently delete recipes from the trash
+   * Also removes their uploaded image files; favorites, shares and history cascade
+   * @param {number} userId - User ID (for authorization check)
+   * @param {string|null} id - Recipe UUID, or null to empty the whole trash
+   * @returns {number} - Number of purged recipes
+   */
+  static purge(userId, id = null) {
+    const purged = db.prepare(`
+      DELETE FROM recipes
+      WHERE (@id IS NULL OR id = @id) AND ${TRASHED_RECIPES}
+      RETURNING image_path
+    `).all({ id, userId });
+
+    purged.forEach(recipe => deleteRecipeImage(recipe.image_path));
+    return purged.length;
+  }
+
+  /**
+   * Permanently delete all recipes that have been in the trash for TRASH_RETENTION_DAYS
+   * @returns {number} - Number of purged recipes
+   */
+  static purgeExpired() {
+    const purged = db.prepare(`
+      DELETE FROM recipes
+      WHERE deleted_at IS NOT NULL AND deleted_at <= unixepoch() - ?
+      RETURNING image_path
+    `).all(TRASH_RETENTION_DAYS * 24 * 60 * 60);
+
+    purged.forEach(recipe => deleteRecipeImage(recipe.image_path));
+    return purged.length;
+  }
+
+  /**
+   * Full-text search over title, ingredients, steps and notes
+   * Words match as prefixes and without diacritics ("creme" finds "crème")
+   * Results are ranked by relevance, title matches count most
+   * @param {number} userId - User ID (searches their own and their household's recipes)
+   * @param {string} query - Search text as typed by the user
+   * @param {object} options - { field: search only "title", "ingredients", "steps" or "notes", limit }
+   * @returns {array} - Array of recipe objects with title_html and snippet (HTML with <mark> elements)
    */
-  static findByCategory(userId, category) {
+  static search(userId, query, options = {}) {
+    const match = buildMatchQuery(query, options.field);
+    if (!match) return [];
+
+    // Show the snippet of the searched column, or let FTS5 pick the best one (-1)
+    const snippetColumn = options.field ? SEARCH_FIELDS.indexOf(options.field) + 1 : -1;
+
     const stmt = db.prepare(`
-      SELECT * FROM recipes 
-      WHERE user_id = ? AND category = ?
-      ORDER BY created_at DESC
+      SELECT
+        recipes.*,
+        ${TAGS_COLUMN},
+        ${ACCESS_COLUMNS},
+        ${COOKED_COLUMNS},
+        ${RATING_COLUMNS},
+        highlight(recipes_fts, 1, @markStart, @markEnd) AS title_html,
+        snippet(recipes_fts, @snippetColumn, @markStart, @markEnd, '…', 12) AS snippet
+      FROM recipes_fts
+      INNER JOIN recipes ON recipes.id = recipes_fts.recipe_id
+      WHERE recipes_fts MATCH @match AND ${READABLE_RECIPES}
+      ORDER BY bm25(recipes_fts, 0, 10.0, 4.0, 1.0, 2.0)
+      LIMIT @limit
     `);
-    
-    const recipes = stmt.all(userId, category);
-    
-    return recipes.map(r => ({
-      ...r,
-      ingredients: JSON.parse(r.ingredients),
-      steps: JSON.parse(r.steps),
-      is_scraped: Boolean(r.is_scraped)
+
+    const recipes = stmt.all({
+      markStart: MARK_START,
+      markEnd: MARK_END,
+      snippetColumn: snippetColumn,
+      match: match,
+      userId: userId,
+      limit: options.limit || 50
+    });
+
+    return recipes.map(row => ({
+      ...Recipe.fromRow(row),
+      title_html: snippetToHTML(row.title_html),
+      snippet: snippetToHTML(row.snippet)
     }));
   }
 }
\ No newline at end of file
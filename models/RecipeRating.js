@@ -0,0 +1,34 @@
+import db from "../db.js";
+
+/**
+ * Recipe Rating Model
+ * Handles the 1-5 star ratings of recipes: one rating per user and recipe
+ * The average shown on recipes (rating_average) is computed by the Recipe model
+ */
+export class RecipeRating {
+  /**
+   * Rate a recipe, or change the rating
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @param {number} rating - 1 to 5 stars
+   */
+  static set(userId, recipeId, rating) {
+    db.prepare(`
+      INSERT INTO recipe_ratings (recipe_id, user_id, rating)
+      VALUES (?, ?, ?)
+      ON CONFLICT (recipe_id, user_id) DO UPDATE SET rating = excluded.rating, updated_at = unixepoch()
+    `).run(recipeId, userId, rating);
+  }
+
+  /**
+   * Remove the rating of a user
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {boolean} - True if removed, false if the user had not rated the recipe
+   */
+  static remove(userId, recipeId) {
+    const stmt = db.prepare("DELETE FROM recipe_ratings WHERE recipe_id = ? AND user_id = ?");
+    const result = stmt.run(recipeId, userId);
+    return result.changes > 0;
+  }
+}
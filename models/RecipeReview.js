@@ -0,0 +1,89 @@
+import db from "../db.js";
+
+// Maximum length of a review
+export const MAX_REVIEW_LENGTH = 1000;
+
+/**
+ * Recipe Review Model
+ * Handles reviews: dated notes a user keeps about a recipe ("te zout, volgende keer minder")
+ * Reviews are personal, only their author sees them
+ */
+export class RecipeReview {
+  /**
+   * Get the reviews of a user on a recipe, newest first
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {array} - Array of { id, text, created_at, updated_at }
+   */
+  static findByRecipe(userId, recipeId) {
+    const stmt = db.prepare(`
+      SELECT id, text, created_at, updated_at
+      FROM recipe_reviews
+      WHERE recipe_id = ? AND user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `);
+    return stmt.all(recipeId, userId);
+  }
+
+  /**
+   * Get a single review
+   * @param {number} id - Review ID
+   * @param {number} userId - User ID (for authorization check: own review)
+   * @param {string} recipeId - Recipe UUID
+   * @returns {object|undefined} - Review or undefined if not found
+   */
+  static findById(id, userId, recipeId) {
+    const stmt = db.prepare(`
+      SELECT id, text, created_at, updated_at
+      FROM recipe_reviews
+      WHERE id = ? AND user_id = ? AND recipe_id = ?
+    `);
+    return stmt.get(id, userId, recipeId);
+  }
+
+  /**
+   * Add a review
+   * @param {number} userId - User ID
+   * @param {string} recipeId - Recipe UUID
+   * @param {string} text - Review text
+   * @returns {object} - The new review
+   */
+  static create(userId, recipeId, text) {
+    const result = db.prepare(`
+      INSERT INTO recipe_reviews (recipe_id, user_id, text)
+      VALUES (?, ?, ?)
+    `).run(recipeId, userId, text);
+
+    return RecipeReview.findById(Number(result.lastInsertRowid), userId, recipeId);
+  }
+
+  /**
+   * Change the text of a review (it keeps its date)
+   * @param {number} id - Review ID
+   * @param {number} userId - User ID (for authorization check: own review)
+   * @param {string} recipeId - Recipe UUID
+   * @param {string} text - New text
+   * @returns {boolean} - True if updated, false if not found
+   */
+  static update(id, userId, recipeId, text) {
+    const stmt = db.prepare(`
+      UPDATE recipe_reviews SET text = ?, updated_at = unixepoch()
+      WHERE id = ? AND user_id = ? AND recipe_id = ?
+    `);
+    const result = stmt.run(text, id, userId, recipeId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete a review
+   * @param {number} id - Review ID
+   * @param {number} userId - User ID (for authorization check: own review)
+   * @param {string} recipeId - Recipe UUID
+   * @returns {boolean} - True if deleted, false if not found
+   */
+  static delete(id, userId, recipeId) {
+    const stmt = db.prepare("DELETE FROM recipe_reviews WHERE id = ? AND user_id = ? AND recipe_id = ?");
+    const result = stmt.run(id, userId, recipeId);
+    return result.changes > 0;
+  }
+}
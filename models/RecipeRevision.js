@@ -0,0 +1,99 @@
+import db from "../db.js";
+
+// Number of revisions kept per recipe, older ones are removed
+export const MAX_REVISIONS_PER_RECIPE = 50;
+
+/**
+ * Recipe Revision Model
+ * Handles the version history of recipes
+ * A revision holds the content of a recipe before an edit; edited_by and created_at
+ * describe the edit that replaced it. The uploaded image is not part of the history
+ */
+export class RecipeRevision {
+  /**
+   * Convert a database row to a revision object (parses the JSON fields)
+   * @param {object} row - Row from the recipe_revisions table
+   * @returns {object} - Revision object
+   */
+  static fromRow(row) {
+    return {
+      ...row,
+      ingredients: JSON.parse(row.ingredients),
+      steps: JSON.parse(row.steps),
+      tags: JSON.parse(row.tags)
+    };
+  }
+
+  /**
+   * Save the current content of a recipe as a revision
+   * Call this right before the recipe is changed
+   * @param {object} row - Current row from the recipes table, with TAGS_COLUMN
+   * @param {number} editedBy - User ID of the member who changes the recipe
+   * @returns {number} - The ID of the new revision
+   */
+  static record(row, editedBy) {
+    const result = db.prepare(`
+      INSERT INTO recipe_revisions (
+        recipe_id, edited_by, title, time, servings, source_url,
+        image_url, ingredients, steps, notes, tags
+      ) VALUES (
+        @id, @editedBy, @title, @time, @servings, @source_url,
+        @image_url, @ingredients, @steps, @notes, @tags
+      )
+    `).run({
+      id: row.id,
+      editedBy: editedBy,
+      title: row.title,
+      time: row.time,
+      servings: row.servings,
+      source_url: row.source_url,
+      image_url: row.image_url,
+      ingredients: row.ingredients,
+      steps: row.steps,
+      notes: row.notes,
+      tags: row.tags || "[]"
+    });
+
+    db.prepare(`
+      DELETE FROM recipe_revisions
+      WHERE recipe_id = @recipeId AND id NOT IN (
+        SELECT id FROM recipe_revisions WHERE recipe_id = @recipeId ORDER BY id DESC LIMIT @keep
+      )
+    `).run({ recipeId: row.id, keep: MAX_REVISIONS_PER_RECIPE });
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Get the revisions of a recipe, newest first
+   * (no user check: check access to the recipe first)
+   * @param {string} recipeId - Recipe UUID
+   * @returns {array} - Array of revision objects with edited_by_name
+   */
+  static findByRecipe(recipeId) {
+    const stmt = db.prepare(`
+      SELECT recipe_revisions.*, users.name AS edited_by_name
+      FROM recipe_revisions
+      LEFT JOIN users ON users.id = recipe_revisions.edited_by
+      WHERE recipe_revisions.recipe_id = ?
+      ORDER BY recipe_revisions.id DESC
+    `);
+
+    return stmt.all(recipeId).map(RecipeRevision.fromRow);
+  }
+
+  /**
+   * Get a single revision of a recipe
+   * (no user check: check access to the recipe first)
+   * @param {number} id - Revision ID
+   * @param {string} recipeId - Recipe UUID
+   * @returns {object|undefined} - Revision object or undefined if not found
+   */
+  static findById(id, recipeId) {
+    const row = db.prepare(`
+      SELECT * FROM recipe_revisions WHERE id = ? AND recipe_id = ?
+    `).get(id, recipeId);
+
+    return row && RecipeRevision.fromRow(row);
+  }
+}
@@ -0,0 +1,89 @@
+import db from "../db.js";
+import { randomBytes } from "crypto";
+import { Recipe, TAGS_COLUMN, READABLE_RECIPES, WRITABLE_RECIPES } from "./Recipe.js";
+
+/**
+ * Recipe Share Model
+ * Handles the public share links of recipes
+ * A shared recipe has one unguessable token; anyone with the link can read the recipe,
+ * until the owner revokes the link or it expires
+ * Household members who may edit a recipe may also share it
+ */
+export class RecipeShare {
+  /**
+   * Get the share link of a recipe
+   * @param {string} recipeId - Recipe UUID
+   * @param {number} userId - User ID (for authorization check: own or household recipe)
+   * @returns {object|undefined} - { token, expires_at, expired } or undefined if the recipe is not shared
+   */
+  static findByRecipe(recipeId, userId) {
+    const stmt = db.prepare(`
+      SELECT recipe_shares.token, recipe_shares.expires_at,
+        recipe_shares.expires_at IS NOT NULL AND recipe_shares.expires_at <= unixepoch() AS expired
+      FROM recipe_shares
+      INNER JOIN recipes ON recipes.id = recipe_shares.recipe_id
+      WHERE recipe_shares.recipe_id = @recipeId AND ${READABLE_RECIPES}
+    `);
+
+    const share = stmt.get({ recipeId, userId });
+    return share && { ...share, expired: Boolean(share.expired) };
+  }
+
+  /**
+   * Share a recipe, or change the expiry of its link
+   * An existing link keeps its token, unless it has expired
+   * @param {string} recipeId - Recipe UUID
+   * @param {number} userId - User ID (for authorization check: may edit the recipe)
+   * @param {number|null} expiresAt - Unix time the link stops working, or null for no expiry
+   * @returns {object|null} - { token, expires_at, expired } or null if the recipe was not found or not allowed
+   */
+  static share(recipeId, userId, expiresAt) {
+    if (!Recipe.findById(recipeId, userId)?.can_edit) return null;
+
+    const token = randomBytes(24).toString("base64url");
+
+    db.prepare(`
+      INSERT INTO recipe_shares (recipe_id, token, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT (recipe_id) DO UPDATE SET
+        token = CASE WHEN expires_at IS NOT NULL AND expires_at <= unixepoch() THEN excluded.token ELSE token END,
+        expires_at = excluded.expires_at
+    `).run(recipeId, token, expiresAt);
+
+    return RecipeShare.findByRecipe(recipeId, userId);
+  }
+
+  /**
+   * Revoke the share link of a recipe, the old link stops working
+   * @param {string} recipeId - Recipe UUID
+   * @param {number} userId - User ID (for authorization check: may edit the recipe)
+   * @returns {boolean} - True if a link was revoked
+   */
+  static unshare(recipeId, userId) {
+    const result = db.prepare(`
+      DELETE FROM recipe_shares
+      WHERE recipe_id = @recipeId AND recipe_id IN (SELECT id FROM recipes WHERE ${WRITABLE_RECIPES})
+    `).run({ recipeId, userId });
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Find a shared recipe by its token (no user check: the token is the key)
+   * @param {string} token - Share token
+   * @returns {object|undefined} - Recipe object with shared_by (owner's name) and share_expires_at,
+   *   or undefined if the token is unknown, revoked or expired, or the recipe is in the trash
+   */
+  static findRecipeByToken(token) {
+    const stmt = db.prepare(`
+      SELECT recipes.*, ${TAGS_COLUMN}, users.name AS shared_by, recipe_shares.expires_at AS share_expires_at
+      FROM recipe_shares
+      INNER JOIN recipes ON recipes.id = recipe_shares.recipe_id
+      INNER JOIN users ON users.id = recipes.user_id
+      WHERE recipe_shares.token = ? AND recipes.deleted_at IS NULL
+        AND (recipe_shares.expires_at IS NULL OR recipe_shares.expires_at > unixepoch())
+    `);
+
+    const row = stmt.get(token);
+    return row && Recipe.fromRow(row);
+  }
+}
@@ -0,0 +1,201 @@
+import db from "../db.js";
+import { randomBytes } from "crypto";
+import { AISLES } from "../services/aisles.js";
+import { mergeEntries, formatItem } from "../services/shoppingList.js";
+
+/**
+ * Shopping List Model
+ * Handles all database operations related to shopping lists
+ * Every user has one list; items are either generated from recipes or added manually
+ */
+export class ShoppingList {
+  /**
+   * Convert a database row to a shopping list item
+   * @param {object} row - Row from the shopping_list_items table
+   * @returns {object} - Item with parsed recipes, booleans and display text
+   */
+  static itemFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      quantity: row.quantity,
+      unit: row.unit,
+      text: formatItem(row),
+      category: row.category,
+      recipes: JSON.parse(row.recipes),
+      is_manual: row.is_manual === 1,
+      checked: row.checked === 1
+    };
+  }
+
+  /**
+   * Get the list of a user, creating it on first use
+   * @param {number} userId - User ID
+   * @returns {object} - List { id, user_id, share_token }
+   */
+  static findOrCreate(userId) {
+    db.prepare("INSERT OR IGNORE INTO shopping_lists (user_id) VALUES (?)").run(userId);
+
+    const stmt = db.prepare("SELECT id, user_id, share_token FROM shopping_lists WHERE user_id = ?");
+    return stmt.get(userId);
+  }
+
+  /**
+   * Find a shared list
+   * @param {string} token - Share token
+   * @returns {object|undefined} - List or undefined if the token is unknown
+   */
+  static findByShareToken(token) {
+    const stmt = db.prepare("SELECT id, user_id, share_token FROM shopping_lists WHERE share_token = ?");
+    return stmt.get(token);
+  }
+
+  /**
+   * Get all items of a list, ordered by aisle and name (ticked items last)
+   * @param {number} listId - List ID
+   * @returns {array} - Array of items
+   */
+  static getItems(listId) {
+    const stmt = db.prepare(`
+      SELECT * FROM shopping_list_items
+      WHERE list_id = ?
+      ORDER BY
+        CASE category ${AISLES.map((aisle, i) => `WHEN '${aisle.key}' THEN ${i}`).join(" ")} ELSE ${AISLES.length} END,
+        checked,
+        name COLLATE NOCASE
+    `);
+
+    return stmt.all(listId).map(ShoppingList.itemFromRow);
+  }
+
+  /**
+   * Add recipe ingredients to a list
+   * New entries are merged with unticked generated items; ticked and manual items are left alone
+   * @param {number} listId - List ID
+   * @param {array} entries - Entries { name, quantity, unit, recipes } (see services/shoppingList.js)
+   * @param {boolean} replace - Remove all previously generated items first
+   * @returns {number} - Number of generated items on the list afterwards
+   */
+  static addEntries(listId, entries, replace = false) {
+    const merge = db.transaction(() => {
+      if (replace) {
+        db.prepare("DELETE FROM shopping_list_items WHERE list_id = ? AND is_manual = 0").run(listId);
+      }
+
+      const existing = db.prepare(`
+        SELECT * FROM shopping_list_items
+        WHERE list_id = ? AND is_manual = 0 AND checked = 0
+      `).all(listId).map(row => ({ ...row, recipes: JSON.parse(row.recipes) }));
+
+      const items = mergeEntries([...existing, ...entries]);
+
+      db.prepare("DELETE FROM shopping_list_items WHERE list_id = ? AND is_manual = 0 AND checked = 0").run(listId);
+
+      const insert = db.prepare(`
+        INSERT INTO shopping_list_items (list_id, name, quantity, unit, category, recipes)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      for (const item of items) {
+        insert.run(listId, item.name, item.quantity, item.unit, item.category, JSON.stringify(item.recipes));
+      }
+
+      ShoppingList.touch(listId);
+      return items.length;
+    });
+
+    return merge();
+  }
+
+  /**
+   * Add a manual item
+   * @param {number} listId - List ID
+   * @param {object} item - { name, quantity, unit, category }
+   * @returns {number} - ID of the new item
+   */
+  static addManualItem(listId, item) {
+    const stmt = db.prepare(`
+      INSERT INTO shopping_list_items (list_id, name, quantity, unit, category, is_manual)
+      VALUES (?, ?, ?, ?, ?, 1)
+    `);
+
+    const result = stmt.run(listId, item.name, item.quantity ?? null, item.unit || null, item.category);
+    ShoppingList.touch(listId);
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Tick an item off (or back on)
+   * @param {number} id - Item ID
+   * @param {number} listId - List ID (for authorization check)
+   * @param {boolean} checked - New state
+   * @returns {boolean} - True if updated, false if not found
+   */
+  static setChecked(id, listId, checked) {
+    const stmt = db.prepare(`
+      UPDATE shopping_list_items SET checked = ?, updated_at = unixepoch()
+      WHERE id = ? AND list_id = ?
+    `);
+
+    const result = stmt.run(checked ? 1 : 0, id, listId);
+    if (result.changes > 0) ShoppingList.touch(listId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove an item
+   * @param {number} id - Item ID
+   * @param {number} listId - List ID (for authorization check)
+   * @returns {boolean} - True if deleted, false if not found
+   */
+  static deleteItem(id, listId) {
+    const stmt = db.prepare("DELETE FROM shopping_list_items WHERE id = ? AND list_id = ?");
+    const result = stmt.run(id, listId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove items from a list
+   * @param {number} listId - List ID
+   * @param {boolean} onlyChecked - Only remove ticked items
+   * @returns {number} - Number of removed items
+   */
+  static clear(listId, onlyChecked = false) {
+    const stmt = db.prepare(`
+      DELETE FROM shopping_list_items
+      WHERE list_id = ? ${onlyChecked ? "AND checked = 1" : ""}
+    `);
+    return stmt.run(listId).changes;
+  }
+
+  /**
+   * Create a share token for a list (an existing token is kept)
+   * @param {number} listId - List ID
+   * @returns {string} - Share token
+   */
+  static share(listId) {
+    const token = randomBytes(24).toString("base64url");
+
+    db.prepare(`
+      UPDATE shopping_lists SET share_token = COALESCE(share_token, ?), updated_at = unixepoch()
+      WHERE id = ?
+    `).run(token, listId);
+
+    return db.prepare("SELECT share_token FROM shopping_lists WHERE id = ?").get(listId).share_token;
+  }
+
+  /**
+   * Revoke the share token of a list, old links stop working
+   * @param {number} listId - List ID
+   */
+  static unshare(listId) {
+    db.prepare("UPDATE shopping_lists SET share_token = NULL, updated_at = unixepoch() WHERE id = ?").run(listId);
+  }
+
+  /**
+   * Update the modification time of a list
+   * @param {number} listId - List ID
+   */
+  static touch(listId) {
+    db.prepare("UPDATE shopping_lists SET updated_at = unixepoch() WHERE id = ?").run(listId);
+  }
+}
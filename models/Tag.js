@@ -0,0 +1,176 @@
+import db from "../db.js";
+
+// Limits for tag names and the number of tags per recipe
+export const MAX_TAG_LENGTH = 50;
+export const MAX_TAGS_PER_RECIPE = 20;
+
+/**
+ * Clean up a list of tag names
+ * Splits on commas, trims and collapses whitespace, drops empty names and case-insensitive duplicates
+ * @param {array|string} names - Tag names as entered ("Diner, Vegan" is two tags)
+ * @returns {array} - Unique tag names
+ */
+export function normalizeTagNames(names) {
+  const unique = new Map();
+  const list = Array.isArray(names) ? names : [names ?? ""];
+
+  for (const name of list.flatMap(value => String(value).split(","))) {
+    const cleaned = String(name).replace(/\s+/g, " ").trim().slice(0, MAX_TAG_LENGTH);
+    if (cleaned && !unique.has(cleaned.toLowerCase())) {
+      unique.set(cleaned.toLowerCase(), cleaned);
+    }
+  }
+
+  return [...unique.values()].slice(0, MAX_TAGS_PER_RECIPE);
+}
+
+/**
+ * Tag Model
+ * Handles all database operations related to tags
+ * Tags belong to a user and are linked to recipes through recipe_tags
+ * Names are unique per user regardless of case ("vegan" and "Vegan" are the same tag)
+ */
+export class Tag {
+  /**
+   * Get the tags of a user that are in use, with the number of recipes per tag
+   * @param {number} userId - User ID
+   * @param {object} options - { query: only names starting with this text (autocomplete), limit }
+   * @returns {array} - Array of { id, name, recipe_count }; most used first when searching, else by name
+   */
+  static findByUserId(userId, options = {}) {
+    const query = (options.query || "").trim();
+
+    const stmt = db.prepare(`
+      SELECT tags.id, tags.name, COUNT(*) AS recipe_count
+      FROM tags
+      INNER JOIN recipe_tags ON recipe_tags.tag_id = tags.id
+      WHERE tags.user_id = @userId
+        AND (@prefix IS NULL OR tags.name LIKE @prefix ESCAPE '\\')
+      GROUP BY tags.id
+      ORDER BY ${query ? "recipe_count DESC, " : ""}tags.name
+      LIMIT @limit
+    `);
+
+    return stmt.all({
+      userId: userId,
+      prefix: query ? `${query.replace(/[\\%_]/g, "\\$&")}%` : null,
+      limit: options.limit || -1
+    });
+  }
+
+  /**
+   * Get a single tag
+   * @param {number} id - Tag ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {object|undefined} - { id, name, recipe_count } or undefined if not found
+   */
+  static findById(id, userId) {
+    const stmt = db.prepare(`
+      SELECT tags.id, tags.name, COUNT(recipe_tags.recipe_id) AS recipe_count
+      FROM tags
+      LEFT JOIN recipe_tags ON recipe_tags.tag_id = tags.id
+      WHERE tags.id = ? AND tags.user_id = ?
+      GROUP BY tags.id
+    `);
+
+    return stmt.get(id, userId);
+  }
+
+  /**
+   * Get the ID of a tag by name, creating the tag if it does not exist yet
+   * @param {number} userId - User ID
+   * @param {string} name - Tag name (already normalized)
+   * @returns {number} - Tag ID
+   */
+  static findOrCreate(userId, name) {
+    db.prepare("INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)").run(userId, name);
+    return db.prepare("SELECT id FROM tags WHERE user_id = ? AND name = ?").get(userId, name).id;
+  }
+
+  /**
+   * Replace the tags of a recipe
+   * Unknown names become new tags; existing tags are reused whatever their case
+   * @param {string} recipeId - Recipe UUID (must belong to the user)
+   * @param {number} userId - User ID
+   * @param {array} names - Tag names
+   */
+  static setRecipeTags(recipeId, userId, names) {
+    const replace = db.transaction(() => {
+      db.prepare("DELETE FROM recipe_tags WHERE recipe_id = ?").run(recipeId);
+
+      const link = db.prepare("INSERT OR IGNORE INTO recipe_tags (recipe_id, tag_id) VALUES (?, ?)");
+      for (const name of normalizeTagNames(names)) {
+        link.run(recipeId, Tag.findOrCreate(userId, name));
+      }
+    });
+
+    replace();
+  }
+
+  /**
+   * Rename a tag on all recipes of the user
+   * Renaming to the name of another tag merges both tags
+   * @param {number} id - Tag ID
+   * @param {number} userId - User ID (for authorization check)
+   * @param {string} name - New name
+   * @returns {object|null} - { tag, merged }, or null if the tag was not found
+   */
+  static rename(id, userId, name) {
+    const [newName] = normalizeTagNames([name]);
+
+    const rename = db.transaction(() => {
+      if (!Tag.findById(id, userId)) return null;
+
+      const existing = db.prepare("SELECT id FROM tags WHERE user_id = ? AND name = ? AND id != ?").get(userId, newName, id);
+      if (existing) {
+        Tag.mergeInto(existing.id, [id], userId);
+        return { tag: Tag.findById(existing.id, userId), merged: true };
+      }
+
+      // Also used to only change the case ("vegan" → "Vegan")
+      db.prepare("UPDATE tags SET name = ? WHERE id = ?").run(newName, id);
+      return { tag: Tag.findById(id, userId), merged: false };
+    });
+
+    return rename();
+  }
+
+  /**
+   * Merge tags into one tag
+   * Recipes of the merged tags get the target tag; the merged tags are deleted
+   * @param {number} targetId - Tag ID to keep
+   * @param {array} tagIds - Tag IDs to merge into the target
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {number} - Number of tags merged
+   */
+  static mergeInto(targetId, tagIds, userId) {
+    const merge = db.transaction(() => {
+      const relink = db.prepare(`
+        INSERT OR IGNORE INTO recipe_tags (recipe_id, tag_id)
+        SELECT recipe_id, ? FROM recipe_tags WHERE tag_id = ?
+      `);
+      const remove = db.prepare("DELETE FROM tags WHERE id = ? AND user_id = ?");
+
+      let merged = 0;
+      for (const tagId of new Set(tagIds)) {
+        if (tagId === targetId || !Tag.findById(tagId, userId)) continue;
+        relink.run(targetId, tagId);
+        merged += remove.run(tagId, userId).changes;
+      }
+      return merged;
+    });
+
+    return merge();
+  }
+
+  /**
+   * Delete a tag (removes it from all recipes)
+   * @param {number} id - Tag ID
+   * @param {number} userId - User ID (for authorization check)
+   * @returns {boolean} - True if deleted, false if not found
+   */
+  static delete(id, userId) {
+    const result = db.prepare("DELETE FROM tags WHERE id = ? AND user_id = ?").run(id, userId);
+    return result.changes > 0;
+  }
+}
@@ -57,6 +57,32 @@ export class User {
     return bcrypt.compareSync(password, user.password_hash);
   }
 
+  /**
+   * Update user's preferences
+   * @param {number} id - User ID
+   * @param {object} preferences - Preferences to update
+   * @param {string} preferences.unit_system - "original", "metric" or "imperial"
+   * @returns {boolean} - True if updated, false if user not found
+   */
+  static updatePreferences(id, preferences) {
+    const stmt = db.prepare(`
+      UPDATE users SET unit_system = ?, updated_at = unixepoch()
+      WHERE id = ?
+    `);
+    const result = stmt.run(preferences.unit_system, id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the preferred unit system of a user
+   * @param {number} id - User ID
+   * @returns {string} - "original", "metric" or "imperial"
+   */
+  static getUnitSystem(id) {
+    const row = db.prepare("SELECT unit_system FROM users WHERE id = ?").get(id);
+    return row ? row.unit_system : "original";
+  }
+
   /**
    * Update user's last activity timestamp
    * @param {number} id - User ID
@@ -64,7 +64,7 @@ fLogin.addEventListener('submit', async (e) => {
 
     if (response.ok && data.success) {
       // Login successful - redirect to recipes page
-      window.location.href = '/recipes';
+      window.location.href = nextPage();
     } else {
       // Show error message
       msgEl.textContent = data.message || data.error || 'Login failed';
@@ -103,7 +103,7 @@ fRegister.addEventListener('submit', async (e) => {
 
     if (response.ok && data.success) {
       // Registration successful - redirect to recipes page
-      window.location.href = '/recipes';
+      window.location.href = nextPage();
     } else {
       // Show error message
       if (data.errors && data.errors.length > 0) {
@@ -118,4 +118,12 @@ fRegister.addEventListener('submit', async (e) => {
     msgEl.textContent = 'Connection error. Please try again.';
     msgEl.style.color = '#dc3545';
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Page to open after logging in: ?next=/share/... (local paths only), else the recipes page
+ */
+function nextPage() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  return next && /^\/(?![\/\\])/.test(next) ? next : '/recipes';
+}
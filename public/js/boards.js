@@ -0,0 +1,383 @@
+/**
+ * Boards JavaScript
+ * Shows the boards of the user, creates, renames, reorders and shares them,
+ * and orders the recipes on a board and picks its cover
+ * The same page is used for shared boards (no login, read only)
+ * Uses Fetch API for all server communication
+ */
+
+// Share token of a shared board, empty on the owner's own page
+const shareToken = document.body.dataset.shareToken;
+
+// Global state
+let boards = [];
+let board = null; // The opened board with its recipes, null on the overview
+
+/**
+ * Fetch all boards of the user
+ * GET /api/favorites/boards
+ */
+async function loadBoards() {
+  try {
+    const response = await fetch('/api/favorites/boards');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      boards = data.boards;
+      renderBoards();
+    } else {
+      console.error('Failed to load boards:', data);
+    }
+  } catch (error) {
+    console.error('Error loading boards:', error);
+  }
+}
+
+/**
+ * Render the board cards: cover, name, number of recipes and buttons to move the board
+ */
+function renderBoards() {
+  document.getElementById('boardGrid').innerHTML = boards.map((b, i) => `
+    <article class="bd-card" data-open="${b.id}">
+      <div class="bd-cover">
+        ${coverHTML(b)}
+      </div>
+      <div class="bd-card-body">
+        <p class="bd-card-name">${b.is_default ? '❤️ ' : ''}${escapeHTML(b.name)}${b.share_token ? ' <span title="Gedeeld">🔗</span>' : ''}</p>
+        <p class="small">${b.recipe_count} ${b.recipe_count === 1 ? 'recept' : 'recepten'}</p>
+        <div class="bd-move">
+          <button class="p-icon-btn" data-move="${b.id}" data-delta="-1" title="Naar voren" aria-label="${escapeAttr(b.name)} naar voren" ${i === 0 ? 'disabled' : ''}>←</button>
+          <button class="p-icon-btn" data-move="${b.id}" data-delta="1" title="Naar achteren" aria-label="${escapeAttr(b.name)} naar achteren" ${i === boards.length - 1 ? 'disabled' : ''}>→</button>
+        </div>
+      </div>
+    </article>
+  `).join('');
+}
+
+/**
+ * Move a board one place forwards or backwards
+ * PUT /api/favorites/boards/order
+ */
+async function moveBoard(boardId, delta) {
+  const ids = boards.map(b => b.id);
+  const from = ids.indexOf(boardId);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= ids.length) return;
+
+  [ids[from], ids[to]] = [ids[to], ids[from]];
+
+  const data = await sendRequest('/api/favorites/boards/order', 'PUT', { boardIds: ids });
+  if (data && data.success) {
+    boards = data.boards;
+    renderBoards();
+  }
+}
+
+/**
+ * Open a board: its recipes in order, cover choice and share link
+ * GET /api/favorites/boards/:id
+ */
+async function openBoard(boardId) {
+  try {
+    const response = await fetch(`/api/favorites/boards/${boardId}`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      board = data.board;
+      renderBoard();
+    } else {
+      console.error('Failed to load board:', data);
+      closeBoard();
+    }
+  } catch (error) {
+    console.error('Error loading board:', error);
+  }
+}
+
+/**
+ * Back to the overview of all boards
+ */
+function closeBoard() {
+  board = null;
+  if (location.hash) history.replaceState(null, '', location.pathname);
+  document.getElementById('boardView').classList.add('hidden');
+  document.getElementById('boardsOverview').classList.remove('hidden');
+  loadBoards();
+}
+
+/**
+ * Render the opened board
+ */
+function renderBoard() {
+  document.getElementById('boardsOverview').classList.add('hidden');
+  document.getElementById('boardView').classList.remove('hidden');
+
+  document.getElementById('boardName').textContent = `${board.is_default ? '❤️ ' : ''}${board.name}`;
+  document.getElementById('renameBoardInput').value = board.name;
+  document.getElementById('deleteBoardBtn').classList.toggle('hidden', board.is_default);
+  showShareLink(board.share_token);
+
+  // Cover: automatic (first recipe with an image) or one of the recipes on the board
+  document.getElementById('coverSelect').innerHTML = `
+    <option value="">Omslag: eerste recept met foto</option>
+    ${board.recipes.map(r => `
+      <option value="${r.id}" ${r.id === board.cover_recipe_id ? 'selected' : ''}>Omslag: ${escapeHTML(r.title)}</option>
+    `).join('')}
+  `;
+
+  document.getElementById('boardEmpty').classList.toggle('hidden', board.recipes.length > 0);
+  document.getElementById('boardRecipes').innerHTML = board.recipes.map((r, i) => {
+    const src = recipeImageSrc(r);
+
+    return `
+      <li class="bd-recipe">
+        <span class="bd-thumb">${src ? `<img src="${escapeAttr(src)}" alt="" loading="lazy" onerror="this.remove()">` : ''}</span>
+        <a class="bd-recipe-title" href="/recipes/${r.id}/cook">${escapeHTML(r.title)}</a>
+        <span class="small">${escapeHTML(r.time || '')}</span>
+        <button class="p-icon-btn" data-move-recipe="${r.id}" data-delta="-1" title="Omhoog" aria-label="${escapeAttr(r.title)} omhoog" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button class="p-icon-btn" data-move-recipe="${r.id}" data-delta="1" title="Omlaag" aria-label="${escapeAttr(r.title)} omlaag" ${i === board.recipes.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="p-icon-btn" data-unpin="${r.id}" title="Van het bord halen" aria-label="${escapeAttr(r.title)} van het bord halen">×</button>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Move a recipe one place up or down on the opened board
+ * PUT /api/favorites/boards/:id/recipes/order
+ */
+async function moveRecipe(recipeId, delta) {
+  const ids = board.recipes.map(r => r.id);
+  const from = ids.indexOf(recipeId);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= ids.length) return;
+
+  [ids[from], ids[to]] = [ids[to], ids[from]];
+
+  const data = await sendRequest(`/api/favorites/boards/${board.id}/recipes/order`, 'PUT', { recipeIds: ids });
+  if (data && data.success) await openBoard(board.id);
+}
+
+/**
+ * Show or hide the share link of the opened board
+ */
+function showShareLink(token) {
+  const panel = document.getElementById('sharePanel');
+  if (token) {
+    document.getElementById('shareUrl').value = `${window.location.origin}/boards/shared/${token}`;
+    panel.classList.remove('hidden');
+  } else {
+    panel.classList.add('hidden');
+  }
+}
+
+/**
+ * Send a board change, alert on failure
+ */
+async function sendRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Board request failed:', data);
+      alert('Bord bijwerken mislukt: ' + (data.message || data.errors?.[0]?.msg || data.error));
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error updating board:', error);
+    alert('Connection error. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Fetch and render a shared board (read only)
+ * GET /api/favorites/boards/shared/:token
+ */
+async function loadSharedBoard() {
+  const container = document.getElementById('sharedRecipes');
+
+  try {
+    const response = await fetch(`/api/favorites/boards/shared/${encodeURIComponent(shareToken)}`);
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Failed to load shared board:', data);
+      container.innerHTML = `<p class="small">${escapeHTML(data.message || 'Bord niet gevonden.')}</p>`;
+      return;
+    }
+
+    const shared = data.board;
+    document.getElementById('sharedBoardName').textContent = `📌 ${shared.name}`;
+    document.getElementById('sharedBoardOwner').textContent =
+      `Gedeeld door ${shared.owner_name} • ${shared.recipe_count} ${shared.recipe_count === 1 ? 'recept' : 'recepten'}`;
+
+    container.innerHTML = shared.recipes.length
+      ? shared.recipes.map(sharedRecipeHTML).join('')
+      : `<p class="small">Dit bord is nog leeg.</p>`;
+  } catch (error) {
+    console.error('Error loading shared board:', error);
+  }
+}
+
+/**
+ * Generate HTML for a recipe on a shared board, ingredients and steps fold open
+ */
+function sharedRecipeHTML(r) {
+  const src = recipeImageSrc(r);
+  const meta = [r.time, r.servings ? `${r.servings} p` : null, r.tags.join(', ')].filter(Boolean).join(' • ');
+
+  return `
+    <details class="bd-shared-recipe">
+      <summary>
+        <span class="bd-thumb">${src ? `<img src="${escapeAttr(src)}" alt="" loading="lazy" onerror="this.remove()">` : ''}</span>
+        <span class="bd-recipe-title">${escapeHTML(r.title)}</span>
+        <span class="small">${escapeHTML(meta)}</span>
+      </summary>
+      <div class="bd-shared-body">
+        ${r.ingredients.length ? `<h3>Ingrediënten</h3><ul>${r.ingredients.map(x => `<li>${escapeHTML(x)}</li>`).join('')}</ul>` : ''}
+        ${r.steps.length ? `<h3>Stappen</h3><ol>${r.steps.map(x => `<li>${escapeHTML(x)}</li>`).join('')}</ol>` : ''}
+        ${r.notes ? `<h3>Notities</h3><p class="p-detail-notes">${escapeHTML(r.notes)}</p>` : ''}
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * Generate the cover image of a board card
+ */
+function coverHTML(b) {
+  const src = b.cover ? recipeImageSrc(b.cover) : null;
+  return src
+    ? `<img src="${escapeAttr(src)}" alt="" loading="lazy" onerror="this.remove()">`
+    : `<span class="bd-cover-empty">📌</span>`;
+}
+
+/**
+ * EVENT LISTENERS
+ */
+
+if (shareToken) {
+  loadSharedBoard();
+} else {
+  document.getElementById('createBoardForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('newBoardName');
+    const name = input.value.trim();
+    if (!name) return;
+
+    const data = await sendRequest('/api/favorites/boards', 'POST', { name });
+    if (data && data.success) {
+      input.value = '';
+      await loadBoards();
+    }
+  });
+
+  document.getElementById('boardGrid').addEventListener('click', (e) => {
+    const moveBtn = e.target.closest('[data-move]');
+    if (moveBtn) {
+      moveBoard(Number(moveBtn.dataset.move), Number(moveBtn.dataset.delta));
+      return;
+    }
+
+    const card = e.target.closest('[data-open]');
+    if (card) location.hash = card.dataset.open;
+  });
+
+  document.getElementById('backToBoardsBtn').addEventListener('click', closeBoard);
+
+  document.getElementById('renameBoardForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = document.getElementById('renameBoardInput').value.trim();
+    if (!name || name === board.name) return;
+
+    await sendRequest(`/api/favorites/boards/${board.id}`, 'PUT', { name });
+    await openBoard(board.id);
+  });
+
+  document.getElementById('coverSelect').addEventListener('change', async (e) => {
+    await sendRequest(`/api/favorites/boards/${board.id}`, 'PUT', { coverRecipeId: e.target.value || null });
+    await openBoard(board.id);
+  });
+
+  document.getElementById('deleteBoardBtn').addEventListener('click', async () => {
+    if (!confirm(`Bord "${board.name}" verwijderen? De recepten zelf blijven bewaard.`)) return;
+
+    const data = await sendRequest(`/api/favorites/boards/${board.id}`, 'DELETE');
+    if (data && data.success) closeBoard();
+  });
+
+  document.getElementById('boardRecipes').addEventListener('click', async (e) => {
+    const moveBtn = e.target.closest('[data-move-recipe]');
+    if (moveBtn) {
+      moveRecipe(moveBtn.dataset.moveRecipe, Number(moveBtn.dataset.delta));
+      return;
+    }
+
+    const unpinBtn = e.target.closest('[data-unpin]');
+    if (unpinBtn) {
+      await sendRequest(`/api/favorites/boards/${board.id}/recipes/${unpinBtn.dataset.unpin}`, 'DELETE');
+      await openBoard(board.id);
+    }
+  });
+
+  document.getElementById('shareBoardBtn').addEventListener('click', async () => {
+    await sendRequest(`/api/favorites/boards/${board.id}/share`, 'POST');
+    await openBoard(board.id);
+  });
+
+  document.getElementById('unshareBtn').addEventListener('click', async () => {
+    if (!confirm('De gedeelde link werkt daarna niet meer. Doorgaan?')) return;
+
+    await sendRequest(`/api/favorites/boards/${board.id}/share`, 'DELETE');
+    await openBoard(board.id);
+  });
+
+  document.getElementById('copyShareBtn').addEventListener('click', async () => {
+    const url = document.getElementById('shareUrl');
+    try {
+      await navigator.clipboard.writeText(url.value);
+    } catch {
+      url.select();
+    }
+  });
+
+  // The opened board is kept in the URL (#id), so reloading or going back works
+  window.addEventListener('hashchange', () => {
+    if (location.hash.length > 1) openBoard(location.hash.slice(1));
+    else closeBoard();
+  });
+
+  if (location.hash.length > 1) openBoard(location.hash.slice(1));
+  else loadBoards();
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+
+/**
+ * Get the image to show for a recipe or board cover
+ * Uploaded images (their small WebP thumbnail) take precedence over image URLs
+ */
+function recipeImageSrc(r) {
+  if (r.image_path) {
+    return `/uploads/thumbs/${r.image_path.replace(/\.[^.]+$/, '')}.webp`;
+  }
+  return (r.image_url && r.image_url.trim().length) ? r.image_url : null;
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/"/g, '&quot;');
+}
@@ -1,6 +1,8 @@
 /**
  * Cook Mode JavaScript
- * Handles step-by-step cooking interface
+ * Handles step-by-step cooking interface: a mise-en-place checklist, the ingredients of each step
+ * highlighted in its text, timers for the durations in the steps and hands-free cooking.
+ * Progress is saved as a cooking session on the server, so cooking can be resumed on any device (steps read aloud, voice commands, screen kept on)
  */
 
 // Get recipe data from window object (passed from EJS)
@@ -21,14 +23,39 @@ const stepNumber = document.getElementById('stepNumber');
 const stepText = document.getElementById('stepText');
 const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
+const servingsMinusBtn = document.getElementById('servingsMinusBtn');
+const servingsPlusBtn = document.getElementById('servingsPlusBtn');
+const servingsValue = document.getElementById('servingsValue');
+const cookIngredients = document.getElementById('cookIngredients');
+const checklistProgress = document.getElementById('checklistProgress');
+const checklistResetBtn = document.getElementById('checklistResetBtn');
+const unitSystemSelect = document.getElementById('unitSystemSelect');
+const cookTimers = document.getElementById('cookTimers');
+const cookTimerList = document.getElementById('cookTimerList');
+const readAloudBtn = document.getElementById('readAloudBtn');
+const voiceCommandsBtn = document.getElementById('voiceCommandsBtn');
+const speechLangSelect = document.getElementById('speechLangSelect');
+const voiceStatus = document.getElementById('voiceStatus');
+const cookHistory = document.getElementById('cookHistory');
+const resumeBanner = document.getElementById('resumeBanner');
+const resumeText = document.getElementById('resumeText');
+const resumeCookingBtn = document.getElementById('resumeCookingBtn');
+const discardSessionBtn = document.getElementById('discardSessionBtn');
 
 // Current step index (0-based)
 let currentStepIndex = 0;
 const totalSteps = recipe.steps ? recipe.steps.length : 0;
 
+// Servings currently shown (ingredients are scaled to this amount)
+let currentServings = recipe.servings || 2;
+
+// Unfinished cooking session of this recipe (passed from EJS), or null
+let cookingSession = window.cookingSession;
+
 /**
  * Start cooking mode
  * Validates that recipe has ingredients and steps before starting
+ * Starts a new cooking session (an unfinished one is replaced)
  */
 function startCooking() {
   // Validate recipe has required data
@@ -47,13 +74,42 @@ function startCooking() {
     return;
   }
 
+  startSession();
+  showSteps(0);
+}
+
+/**
+ * Continue the unfinished cooking session, at the step it is at now (also when it was saved on another device)
+ */
+async function resumeCooking() {
+  const session = await loadSession();
+  if (!session) {
+    renderResumeBanner();
+    return;
+  }
+
+  if (session.servings && session.servings !== currentServings) {
+    await changeServings(session.servings - currentServings);
+  }
+
+  showSteps(Math.min(session.current_step, totalSteps - 1));
+}
+
+/**
+ * Hide the overview and show a step
+ * @param {number} stepIndex - Index of the step to start at (0-based)
+ */
+function showSteps(stepIndex) {
   // Hide overview, show steps
   cookOverview.classList.add('hidden');
   cookSteps.classList.remove('hidden');
 
-  // Initialize to first step
-  currentStepIndex = 0;
+  currentStepIndex = stepIndex;
   displayStep(currentStepIndex);
+
+  // Hands-free: keep the screen on and listen for voice commands (if switched on)
+  requestWakeLock();
+  if (speechSettings.voiceCommands) startListening();
 }
 
 /**
@@ -65,8 +121,14 @@ function exitCooking() {
   cookSteps.classList.add('hidden');
   cookOverview.classList.remove('hidden');
 
-  // Reset to first step
+  // Reset to first step (the session keeps the step, to resume later)
   currentStepIndex = 0;
+  renderResumeBanner();
+
+  // Stop talking and listening, let the screen turn off again
+  stopListening();
+  window.speechSynthesis?.cancel();
+  releaseWakeLock();
 }
 
 /**
@@ -76,7 +138,7 @@ function exitCooking() {
 function displayStep(stepIndex) {
   // Update step number and text
   stepNumber.textContent = `Stap ${stepIndex + 1}`;
-  stepText.textContent = recipe.steps[stepIndex];
+  renderStepText(stepIndex);
 
   // Update progress bar
   const progressPercentage = ((stepIndex + 1) / totalSteps) * 100;
@@ -93,6 +155,9 @@ function displayStep(stepIndex) {
   } else {
     nextStepBtn.textContent = 'Volgende →';
   }
+
+  if (speechSettings.readAloud) readStep(stepIndex);
+  saveProgress();
 }
 
 /**
@@ -117,7 +182,1185 @@ function nextStep() {
     // Last step - finish cooking
     if (confirm('Gefeliciteerd! Je bent klaar met koken. Wil je terug naar het overzicht?')) {
       exitCooking();
+      completeSession();
+    }
+  }
+}
+
+/**
+ * Reload ingredients and steps for a number of servings
+ * GET /api/recipes/:id?servings=N (converted to the user's preferred units)
+ * @param {number} servings - Number of servings
+ * @returns {boolean} - True if the recipe was reloaded
+ */
+async function reloadRecipe(servings) {
+  try {
+    const response = await fetch(`/api/recipes/${recipe.id}?servings=${servings}`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      recipe.steps = data.recipe.steps;
+      recipe.ingredients = data.recipe.ingredients;
+      recipe.ingredients_parsed = data.recipe.ingredients_parsed;
+      renderIngredients(data.recipe.ingredients);
+      if (!cookSteps.classList.contains('hidden')) renderStepText(currentStepIndex);
+      return true;
+    } else {
+      console.error('Failed to load recipe:', data);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error loading recipe:', error);
+    return false;
+  }
+}
+
+/**
+ * Change the number of servings
+ * @param {number} delta - +1 or -1
+ */
+async function changeServings(delta) {
+  const servings = currentServings + delta;
+  if (servings < 1 || servings > 100) return;
+
+  if (await reloadRecipe(servings)) {
+    currentServings = servings;
+    servingsValue.textContent = `${servings} porties`;
+    renderNutritionTotals();
+    saveProgress();
+  }
+}
+
+/**
+ * Show the nutrition totals for the current number of servings
+ * (recipes without servings only have a total for the whole recipe)
+ */
+function renderNutritionTotals() {
+  const nutrition = window.nutritionData;
+  if (!nutrition || !nutrition.per_serving) return;
+
+  document.getElementById('nutritionTotalHead').textContent = `Totaal (${currentServings} p)`;
+  document.querySelectorAll('#cookNutrition [data-nutrient]').forEach(cell => {
+    const value = nutrition.per_serving[cell.dataset.nutrient] * currentServings;
+    const rounded = cell.dataset.unit === 'kcal' ? Math.round(value) : Math.round(value * 10) / 10;
+    cell.textContent = `${rounded.toLocaleString('nl-BE')} ${cell.dataset.unit}`;
+  });
+}
+
+/**
+ * Save the preferred unit system and show the recipe in it
+ * PUT /api/auth/preferences
+ * @param {string} unitSystem - "original", "metric" or "imperial"
+ */
+async function changeUnitSystem(unitSystem) {
+  try {
+    const response = await fetch('/api/auth/preferences', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ unit_system: unitSystem })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      await reloadRecipe(currentServings);
+    } else {
+      console.error('Failed to update preferences:', data);
     }
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+  }
+}
+
+/**
+ * COOKING SESSIONS
+ * The current step and servings are saved on the server while cooking; finishing the last step
+ * counts the recipe as cooked. Requests are sent one after the other, so progress is never saved
+ * before the session that it belongs to was started
+ */
+
+let sessionQueue = Promise.resolve();
+
+/**
+ * Send a session request after the ones before it
+ * @param {function} request - Async function doing the request
+ */
+function queueSessionRequest(request) {
+  sessionQueue = sessionQueue.then(request).catch(error => {
+    console.error('Error saving cooking session:', error);
+  });
+  return sessionQueue;
+}
+
+/**
+ * Start a new cooking session
+ * POST /api/recipes/:id/cooking-session
+ */
+function startSession() {
+  cookingSession = null;
+
+  queueSessionRequest(async () => {
+    const response = await fetch(`/api/recipes/${recipe.id}/cooking-session`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ servings: currentServings })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      cookingSession = data.session;
+    } else {
+      console.error('Failed to start cooking session:', data);
+    }
+  });
+}
+
+/**
+ * Get the latest state of the unfinished session
+ * GET /api/recipes/:id/cooking-session
+ * @returns {object|null} - Session, or null if there is none (anymore)
+ */
+async function loadSession() {
+  try {
+    const response = await fetch(`/api/recipes/${recipe.id}/cooking-session`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      cookingSession = data.session;
+      renderCookHistory(data.cooked_count, data.last_cooked_at);
+    } else {
+      console.error('Failed to load cooking session:', data);
+    }
+  } catch (error) {
+    console.error('Error loading cooking session:', error);
+  }
+
+  return cookingSession;
+}
+
+/**
+ * Save the current step and servings
+ * PUT /api/recipes/:id/cooking-session
+ */
+function saveProgress() {
+  if (cookSteps.classList.contains('hidden')) return;
+
+  const progress = { step: currentStepIndex, servings: currentServings };
+
+  queueSessionRequest(async () => {
+    if (!cookingSession) return;
+
+    const response = await fetch(`/api/recipes/${recipe.id}/cooking-session`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(progress)
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      cookingSession = data.session;
+    } else {
+      console.error('Failed to save cooking progress:', data);
+    }
+  });
+}
+
+/**
+ * Count the recipe as cooked
+ * POST /api/recipes/:id/cooking-session/complete
+ */
+function completeSession() {
+  resumeBanner.classList.add('hidden');
+
+  queueSessionRequest(async () => {
+    if (!cookingSession) return;
+
+    const response = await fetch(`/api/recipes/${recipe.id}/cooking-session/complete`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      cookingSession = null;
+      renderCookHistory(data.cooked_count, data.last_cooked_at);
+      renderResumeBanner();
+    } else {
+      console.error('Failed to complete cooking session:', data);
+    }
+  });
+}
+
+/**
+ * Forget the unfinished session (it does not count as cooked)
+ * DELETE /api/recipes/:id/cooking-session
+ */
+function discardSession() {
+  queueSessionRequest(async () => {
+    const response = await fetch(`/api/recipes/${recipe.id}/cooking-session`, {
+      method: 'DELETE'
+    });
+
+    // 404: already finished or forgotten, e.g. on another device
+    if (!response.ok && response.status !== 404) {
+      console.error('Failed to discard cooking session:', await response.json());
+      return;
+    }
+
+    cookingSession = null;
+    renderResumeBanner();
+  });
+}
+
+/**
+ * Show the unfinished session in the overview, with a button to continue it
+ */
+function renderResumeBanner() {
+  const show = Boolean(cookingSession) && hasSteps;
+  resumeBanner.classList.toggle('hidden', !show);
+  if (!show) return;
+
+  const step = Math.min(cookingSession.current_step, totalSteps - 1) + 1;
+  const startedAt = new Date(cookingSession.started_at * 1000).toLocaleString('nl-BE', {
+    weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit'
+  });
+  resumeText.textContent = `Je was dit recept aan het koken: stap ${step} van ${totalSteps}, begonnen op ${startedAt}.`;
+}
+
+/**
+ * Show how often and when the user cooked this recipe
+ * @param {number} count - Number of finished sessions
+ * @param {number|null} lastCookedAt - Unix time of the last one
+ */
+function renderCookHistory(count, lastCookedAt) {
+  cookHistory.classList.toggle('hidden', !count);
+  if (!count) return;
+
+  const date = new Date(lastCookedAt * 1000).toLocaleDateString('nl-BE', { day: 'numeric', month: 'long', year: 'numeric' });
+  cookHistory.textContent = `🍳 ${count} keer gekookt · laatst gekookt op ${date}`;
+}
+
+/**
+ * INGREDIENT CHECKLIST
+ * The ingredients of the overview can be checked off while getting them ready (mise en place).
+ * Checked ingredients are kept in localStorage by name, so they stay checked when the servings or units change
+ */
+
+// localStorage key of the checked ingredients of this recipe
+const CHECKLIST_STORAGE_KEY = `semorecepts.cookChecklist.${recipe.id}`;
+
+let checkedIngredients = loadChecklist();
+
+/**
+ * Render the ingredient checklist of the overview
+ * @param {array} ingredients - Ingredient lines
+ */
+function renderIngredients(ingredients) {
+  if (!cookIngredients) return;
+
+  cookIngredients.innerHTML = '';
+  ingredients.forEach((ingredient, i) => {
+    const checked = checkedIngredients.has(ingredientKey(i));
+
+    const li = document.createElement('li');
+    li.classList.toggle('checked', checked);
+
+    const label = document.createElement('label');
+    label.className = 'cook-check';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.index = i;
+    checkbox.checked = checked;
+
+    const text = document.createElement('span');
+    text.textContent = ingredient;
+
+    label.append(checkbox, text);
+    li.appendChild(label);
+    cookIngredients.appendChild(li);
+  });
+
+  updateChecklistProgress();
+}
+
+/**
+ * Check or uncheck an ingredient
+ * @param {number} index - Index of the ingredient
+ * @param {boolean} checked - New state
+ */
+function toggleIngredient(index, checked) {
+  const key = ingredientKey(index);
+  if (checked) {
+    checkedIngredients.add(key);
+  } else {
+    checkedIngredients.delete(key);
+  }
+
+  cookIngredients.children[index]?.classList.toggle('checked', checked);
+  saveChecklist();
+  updateChecklistProgress();
+}
+
+function resetChecklist() {
+  checkedIngredients.clear();
+  saveChecklist();
+  renderIngredients(recipe.ingredients);
+}
+
+function updateChecklistProgress() {
+  if (!checklistProgress) return;
+
+  const total = recipe.ingredients.length;
+  const checked = recipe.ingredients.filter((ingredient, i) => checkedIngredients.has(ingredientKey(i))).length;
+  checklistProgress.textContent = `${checked} / ${total} klaargezet`;
+  checklistProgress.classList.toggle('done', total > 0 && checked === total);
+}
+
+/**
+ * Name an ingredient is remembered by ("bloem" for "250 g bloem")
+ */
+function ingredientKey(index) {
+  const parsed = recipe.ingredients_parsed?.[index];
+  return (parsed?.name || recipe.ingredients[index] || '').toLowerCase();
+}
+
+function loadChecklist() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CHECKLIST_STORAGE_KEY));
+    return new Set(Array.isArray(stored) ? stored : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function saveChecklist() {
+  try {
+    if (checkedIngredients.size) {
+      localStorage.setItem(CHECKLIST_STORAGE_KEY, JSON.stringify([...checkedIngredients]));
+    } else {
+      localStorage.removeItem(CHECKLIST_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving checklist:', error);
+  }
+}
+
+/**
+ * STEP INGREDIENTS
+ * Ingredients mentioned in a step ("snipper de ui") are highlighted with their quantity ("ui 1 stuk"),
+ * so the overview is not needed while cooking
+ */
+
+// Endings of plurals and inflections: "ui" also matches "uien", "wortels" also "wortel"
+const INGREDIENT_ENDINGS = ['en', 'es', 's', 'n', 'e'];
+
+// Parts of a name that are listed separately: "zout en peper", "salt and pepper", "boter/margarine"
+const INGREDIENT_SEPARATOR = /\s+(?:en|and|of|or)\s+|\s*[\/&]\s*/i;
+
+/**
+ * Find the ingredients mentioned in a step
+ * The full name is tried first ("rode ui"), then its last word ("ui");
+ * the first ingredient to claim a word gets it
+ * @param {string} text - Step text
+ * @returns {array} - Array of { start, end, ingredient: index }
+ */
+function findIngredientMentions(text) {
+  const mentions = [];
+
+  ingredientTerms().forEach(({ pattern, ingredient }) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (mentions.some(mention => start < mention.end && mention.start < end)) continue;
+      mentions.push({ start: start, end: end, ingredient: ingredient });
+    }
+  });
+
+  return mentions;
+}
+
+/**
+ * Search patterns for the ingredient names, longest first
+ */
+function ingredientTerms() {
+  const terms = [];
+
+  (recipe.ingredients_parsed || []).forEach((parsed, ingredient) => {
+    const names = parsed.name.toLowerCase().split(INGREDIENT_SEPARATOR);
+
+    names.forEach(name => {
+      const words = name.trim().split(/\s+/).filter(word => /\p{L}/u.test(word));
+      if (!words.length) return;
+
+      new Set([words.join(' '), words[words.length - 1]]).forEach(term => {
+        if (term.length < 2) return;
+        terms.push({ term: term, pattern: ingredientPattern(term), ingredient: ingredient });
+      });
+    });
+  });
+
+  return terms.sort((a, b) => b.term.length - a.term.length);
+}
+
+function ingredientPattern(term) {
+  const ending = INGREDIENT_ENDINGS.find(candidate => term.endsWith(candidate) && term.length - candidate.length >= 2);
+  const stem = ending ? term.slice(0, -ending.length) : term;
+  const escaped = stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return new RegExp(`(?<![\\p{L}\\d])${escaped}(?:${INGREDIENT_ENDINGS.join('|')})?(?![\\p{L}\\d])`, 'giu');
+}
+
+/**
+ * Quantity of an ingredient as written, without its name ("250 g" for "250 g bloem, gezeefd")
+ */
+function ingredientAmount(parsed) {
+  if (parsed.quantity === null) return '';
+
+  const position = parsed.text.toLowerCase().indexOf(parsed.name.toLowerCase());
+  return position > 0 ? parsed.text.slice(0, position).trim() : '';
+}
+
+/**
+ * Highlighted ingredient in the step text, with its quantity and the full line as tooltip
+ */
+function ingredientMark(text, mention) {
+  const parsed = recipe.ingredients_parsed[mention.ingredient];
+
+  const mark = document.createElement('mark');
+  mark.className = 'cook-ingredient-mark';
+  mark.title = parsed.text;
+  mark.textContent = text.slice(mention.start, mention.end);
+
+  const amount = ingredientAmount(parsed);
+  if (amount) {
+    const quantity = document.createElement('span');
+    quantity.className = 'cook-ingredient-amount';
+    quantity.textContent = amount;
+    mark.append(' ', quantity);
+  }
+
+  return mark;
+}
+
+/**
+ * TIMERS
+ * Durations in the step text ("bak 25 minuten", "laat 1 uur rusten") become buttons that start a timer.
+ * Several timers can run at once; they are kept in localStorage, so they survive step navigation and reloads
+ */
+
+// localStorage key of the timers of this recipe
+const TIMER_STORAGE_KEY = `semorecepts.cookTimers.${recipe.id}`;
+
+// Number words that can stand for an amount ("een half uur", "drie kwartier")
+const DURATION_WORDS = {
+  'anderhalf': 1.5, 'een half': 0.5, 'half': 0.5, 'een': 1, 'één': 1,
+  'twee': 2, 'drie': 3, 'vier': 4, 'vijf': 5, 'zes': 6, 'zeven': 7, 'acht': 8, 'negen': 9, 'tien': 10,
+  'twintig': 20, 'dertig': 30, 'veertig': 40, 'vijftig': 50,
+  'an': 1, 'a': 1, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'ten': 10
+};
+
+// Unit words and their length in seconds
+const DURATION_UNITS = [
+  { pattern: /^(?:u|uur|uren|h|hr|hrs|hour|hours)$/, seconds: 3600 },
+  { pattern: /^kwartier$/, seconds: 900 },
+  { pattern: /^(?:min|mins|minuut|minuten|minute|minutes)$/, seconds: 60 },
+  { pattern: /^(?:sec|secs|seconde|seconden|second|seconds)$/, seconds: 1 }
+];
+
+const DURATION_NUMBER = `(\\d+(?:[.,]\\d+)?|${Object.keys(DURATION_WORDS).join('|')})`;
+const DURATION_PATTERN = new RegExp(
+  `(?<![\\p{L}\\d])${DURATION_NUMBER}(?:\\s*(?:-|–|à|tot|to|of|or)\\s*${DURATION_NUMBER})?\\s*` +
+  `(uren|uur|u|hours|hour|hrs|hr|h|kwartier|minuten|minuut|minutes|minute|mins|min|seconden|seconde|seconds|second|secs|sec)(?![\\p{L}\\d])`,
+  'giu'
+);
+
+// Longest timer: 24 hours
+const MAX_TIMER_SECONDS = 24 * 3600;
+
+// An alarm rings for at most one minute
+const ALARM_SECONDS = 60;
+
+let timers = loadTimers();
+let audioContext = null;
+let alarmInterval = null;
+let alarmStartedAt = 0;
+
+/**
+ * Find the durations in a step
+ * Ranges count with the upper end ("10-12 min" → 12 minutes), like the recipe time;
+ * "1 uur en 15 minuten" is one duration
+ * @param {string} text - Step text
+ * @returns {array} - Array of { start, end, seconds }, in reading order
+ */
+function findDurations(text) {
+  const durations = [];
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    const [matched, from, to, unitWord] = match;
+    const unit = DURATION_UNITS.find(candidate => candidate.pattern.test(unitWord.toLowerCase()));
+    const amount = durationAmount(to || from);
+    const seconds = Math.round(amount * unit.seconds);
+    if (!seconds) continue;
+
+    const previous = durations[durations.length - 1];
+    const gap = previous ? text.slice(previous.end, match.index) : null;
+    if (previous && /^\s*(?:en|and|,)?\s*$/i.test(gap)) {
+      previous.end = match.index + matched.length;
+      previous.seconds += seconds;
+    } else {
+      durations.push({ start: match.index, end: match.index + matched.length, seconds: seconds });
+    }
+  }
+
+  return durations.filter(duration => duration.seconds <= MAX_TIMER_SECONDS);
+}
+
+/**
+ * Read an amount: a number ("1,5") or a number word ("anderhalf")
+ */
+function durationAmount(value) {
+  const word = value.toLowerCase().replace(/\s+/g, ' ');
+  if (word in DURATION_WORDS) return DURATION_WORDS[word];
+  return Number(word.replace(',', '.')) || 0;
+}
+
+/**
+ * Show the text of a step with a timer button for every duration and its ingredients highlighted
+ * @param {number} stepIndex - Index of the step (0-based)
+ */
+function renderStepText(stepIndex) {
+  const text = recipe.steps[stepIndex];
+  const durations = findDurations(text).map((duration, i) => ({ ...duration, timer: i }));
+  const mentions = findIngredientMentions(text)
+    .filter(mention => !durations.some(duration => mention.start < duration.end && duration.start < mention.end));
+  let position = 0;
+
+  stepText.innerHTML = '';
+  [...durations, ...mentions].sort((a, b) => a.start - b.start).forEach(part => {
+    stepText.append(text.slice(position, part.start));
+    stepText.append(part.timer === undefined ? ingredientMark(text, part) : timerChip(text, stepIndex, part));
+    position = part.end;
+  });
+  stepText.append(text.slice(position));
+
+  updateTimerChips();
+}
+
+/**
+ * Button in the step text that starts a timer for a duration
+ */
+function timerChip(text, stepIndex, duration) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'cook-timer-chip';
+  button.dataset.timerKey = `${stepIndex}:${duration.timer}`;
+  button.title = 'Start een timer';
+  button.textContent = `⏱️ ${text.slice(duration.start, duration.end)}`;
+  button.addEventListener('click', () => startTimer({
+    key: button.dataset.timerKey,
+    name: timerName(text, duration),
+    step: stepIndex,
+    seconds: duration.seconds
+  }));
+
+  return button;
+}
+
+/**
+ * Name a timer after the sentence its duration is in ("Laat het deeg 1 uur rusten")
+ */
+function timerName(text, duration) {
+  const before = text.slice(0, duration.start);
+  const sentenceStart = Math.max(...['. ', '! ', '? ', '; '].map(mark => before.lastIndexOf(mark) + 1), 0);
+  const after = text.slice(duration.end).search(/[.!?;]/);
+  const sentenceEnd = after === -1 ? text.length : duration.end + after;
+
+  const sentence = text.slice(sentenceStart, sentenceEnd).trim();
+  return sentence.length > 48 ? `${sentence.slice(0, 47)}…` : sentence;
+}
+
+/**
+ * Start a timer; a timer that is already running for the same duration is shown instead
+ * @param {object} options - { key, name, step, seconds }
+ */
+function startTimer({ key, name, step, seconds }) {
+  const existing = timers.find(timer => timer.key === key && timer.state !== 'done');
+  if (existing) {
+    highlightTimer(existing.id);
+    return;
+  }
+
+  unlockAlarm();
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+
+  timers.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    key: key,
+    name: name || `Stap ${step + 1}`,
+    step: step,
+    duration: seconds,
+    state: 'running',
+    endsAt: Date.now() + seconds * 1000,
+    remaining: seconds
+  });
+
+  saveTimers();
+  renderTimers();
+}
+
+/**
+ * Seconds left on a timer
+ */
+function timerRemaining(timer) {
+  if (timer.state === 'running') return Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+  if (timer.state === 'paused') return timer.remaining;
+  return 0;
+}
+
+function pauseTimer(timer) {
+  timer.remaining = timerRemaining(timer);
+  timer.state = 'paused';
+}
+
+function resumeTimer(timer) {
+  timer.endsAt = Date.now() + timer.remaining * 1000;
+  timer.state = 'running';
+}
+
+/**
+ * Add a minute to a timer (a finished timer starts again with one minute)
+ */
+function addMinute(timer) {
+  if (timer.state === 'done') {
+    timer.state = 'running';
+    timer.endsAt = Date.now() + 60 * 1000;
+  } else if (timer.state === 'running') {
+    timer.endsAt += 60 * 1000;
+  } else {
+    timer.remaining += 60;
+  }
+  timer.duration += 60;
+}
+
+/**
+ * Handle a click on one of the buttons of a timer in the panel
+ */
+function handleTimerAction(id, action) {
+  const timer = timers.find(candidate => candidate.id === id);
+  if (!timer) return;
+
+  unlockAlarm();
+
+  if (action === 'pause') pauseTimer(timer);
+  if (action === 'resume') resumeTimer(timer);
+  if (action === 'add') addMinute(timer);
+  if (action === 'remove') timers = timers.filter(candidate => candidate.id !== id);
+
+  saveTimers();
+  renderTimers();
+}
+
+/**
+ * Mark running timers that reached zero as done, and ring
+ * Runs every second (and right away, for timers that ended while the page was closed)
+ */
+function tickTimers() {
+  const finished = timers.filter(timer => timer.state === 'running' && timer.endsAt <= Date.now());
+
+  finished.forEach(timer => {
+    timer.state = 'done';
+    notifyTimerDone(timer);
+  });
+
+  if (finished.length) {
+    saveTimers();
+    renderTimers();
+    startAlarm();
+  } else {
+    updateTimerDisplays();
+  }
+
+  if (!timers.some(timer => timer.state === 'done')) stopAlarm();
+}
+
+/**
+ * Render the timer panel
+ */
+function renderTimers() {
+  cookTimers.classList.toggle('hidden', timers.length === 0);
+
+  cookTimerList.innerHTML = '';
+  timers.forEach(timer => {
+    const li = document.createElement('li');
+    li.className = `cook-timer ${timer.state}`;
+    li.dataset.timerId = timer.id;
+
+    const info = document.createElement('div');
+    info.className = 'cook-timer-info';
+
+    const name = document.createElement('span');
+    name.className = 'cook-timer-name';
+    name.textContent = timer.name;
+
+    const step = document.createElement('span');
+    step.className = 'cook-timer-step';
+    step.textContent = `Stap ${timer.step + 1}`;
+
+    info.append(name, step);
+
+    const time = document.createElement('span');
+    time.className = 'cook-timer-time';
+
+    const actions = document.createElement('div');
+    actions.className = 'cook-timer-actions';
+    const buttons = [
+      timer.state === 'running' && { action: 'pause', label: '⏸', title: 'Pauzeren' },
+      timer.state === 'paused' && { action: 'resume', label: '▶', title: 'Verder' },
+      { action: 'add', label: '+1 min', title: 'Eén minuut erbij' },
+      { action: 'remove', label: '✕', title: timer.state === 'done' ? 'Alarm stoppen' : 'Timer verwijderen' }
+    ].filter(Boolean);
+
+    buttons.forEach(({ action, label, title }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'p-icon-btn';
+      button.textContent = label;
+      button.title = title;
+      button.setAttribute('aria-label', `${title}: ${timer.name}`);
+      button.addEventListener('click', () => handleTimerAction(timer.id, action));
+      actions.appendChild(button);
+    });
+
+    li.append(info, time, actions);
+    cookTimerList.appendChild(li);
+  });
+
+  updateTimerDisplays();
+}
+
+/**
+ * Update the remaining times in the panel and on the buttons in the step text
+ */
+function updateTimerDisplays() {
+  timers.forEach(timer => {
+    const time = cookTimerList.querySelector(`[data-timer-id="${timer.id}"] .cook-timer-time`);
+    if (time) time.textContent = timer.state === 'done' ? 'Klaar!' : formatTimer(timerRemaining(timer));
+  });
+
+  updateTimerChips();
+}
+
+/**
+ * Show a running timer on its button in the step text
+ */
+function updateTimerChips() {
+  stepText.querySelectorAll('.cook-timer-chip').forEach(button => {
+    const timer = timers.find(candidate => candidate.key === button.dataset.timerKey && candidate.state !== 'done');
+    button.classList.toggle('active', Boolean(timer));
+    button.dataset.remaining = timer ? formatTimer(timerRemaining(timer)) : '';
+  });
+}
+
+function highlightTimer(id) {
+  const item = cookTimerList.querySelector(`[data-timer-id="${id}"]`);
+  if (!item) return;
+
+  item.classList.remove('highlight');
+  void item.offsetWidth; // Restart the animation
+  item.classList.add('highlight');
+}
+
+/**
+ * Format seconds as "4:05" or "1:02:30"
+ */
+function formatTimer(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function loadTimers() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TIMER_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveTimers() {
+  try {
+    if (timers.length) {
+      localStorage.setItem(TIMER_STORAGE_KEY, JSON.stringify(timers));
+    } else {
+      localStorage.removeItem(TIMER_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving timers:', error);
+  }
+}
+
+/**
+ * ALARM
+ * Browsers only play sound after a user action, so the audio context is created on a tap
+ */
+function unlockAlarm() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  if (!audioContext) audioContext = new AudioContextClass();
+  if (audioContext.state === 'suspended') audioContext.resume();
+}
+
+function startAlarm() {
+  alarmStartedAt = Date.now();
+  if (alarmInterval) return;
+
+  ringAlarm();
+  alarmInterval = setInterval(() => {
+    if (Date.now() - alarmStartedAt > ALARM_SECONDS * 1000) {
+      stopAlarm();
+      return;
+    }
+    ringAlarm();
+  }, 2000);
+}
+
+function stopAlarm() {
+  clearInterval(alarmInterval);
+  alarmInterval = null;
+  navigator.vibrate?.(0);
+}
+
+/**
+ * Three short beeps and a vibration
+ */
+function ringAlarm() {
+  navigator.vibrate?.([300, 150, 300, 150, 300]);
+
+  if (!audioContext || audioContext.state !== 'running') return;
+
+  for (let i = 0; i < 3; i++) {
+    const start = audioContext.currentTime + i * 0.35;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.25);
+  }
+}
+
+/**
+ * Show a system notification (if allowed) for a finished timer
+ */
+function notifyTimerDone(timer) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+  try {
+    new Notification('⏰ Timer klaar', {
+      body: `${timer.name} (${recipe.title})`,
+      tag: timer.id
+    });
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing notification:', error);
+  }
+}
+
+/**
+ * HANDS-FREE
+ * Reads the steps aloud (speech synthesis), listens for voice commands (Web Speech API)
+ * and keeps the screen on while cooking (Screen Wake Lock). The choices are kept in localStorage
+ */
+
+// localStorage key of the hands-free choices (the same for all recipes)
+const SPEECH_STORAGE_KEY = 'semorecepts.cookSpeech';
+
+// Voice commands in Dutch and English, checked in this order
+const VOICE_COMMANDS = [
+  { action: 'timer', pattern: /\b(?:start\w*\s+(?:de\s+|een\s+|the\s+|a\s+)?timer|timer\s+start\w*)\b/ },
+  { action: 'repeat', pattern: /\b(?:herhaal|herhalen|opnieuw|nog een keer|repeat|again)\b/ },
+  { action: 'previous', pattern: /\b(?:vorige|terug|previous|back)\b/ },
+  { action: 'next', pattern: /\b(?:volgende|verder|next)\b/ }
+];
+
+// What cook mode says, per speech language
+const SPEECH_TEXTS = {
+  'nl-NL': {
+    step: number => `Stap ${number}`,
+    timerStarted: 'Timer gestart',
+    timerRunning: 'De timer loopt al',
+    noTimer: 'Deze stap heeft geen timer',
+    hint: 'Zeg "volgende", "vorige", "herhaal" of "start timer"'
+  },
+  'en-US': {
+    step: number => `Step ${number}`,
+    timerStarted: 'Timer started',
+    timerRunning: 'The timer is already running',
+    noTimer: 'This step has no timer',
+    hint: 'Say "next", "previous", "repeat" or "start timer"'
+  }
+};
+
+const SpeechRecognitionClass = window.SpeechRecognition || window.webkitSpeechRecognition;
+const speechSettings = loadSpeechSettings();
+let recognition = null;
+let listening = false;
+let wakeLock = null;
+
+function speechText() {
+  return SPEECH_TEXTS[speechSettings.lang];
+}
+
+/**
+ * Say a text in the chosen language (stops what was being said)
+ */
+function speak(text) {
+  if (!('speechSynthesis' in window)) return;
+
+  speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = speechSettings.lang;
+
+  const language = speechSettings.lang.slice(0, 2);
+  const voice = speechSynthesis.getVoices().find(candidate => candidate.lang.toLowerCase().startsWith(language));
+  if (voice) utterance.voice = voice;
+
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * Read a step aloud ("Stap 2. Bak 25 minuten.")
+ * @param {number} stepIndex - Index of the step (0-based)
+ */
+function readStep(stepIndex) {
+  speak(`${speechText().step(stepIndex + 1)}. ${recipe.steps[stepIndex]}`);
+}
+
+function toggleReadAloud() {
+  speechSettings.readAloud = !speechSettings.readAloud;
+  saveSpeechSettings();
+  updateHandsFreeControls();
+
+  if (speechSettings.readAloud) {
+    readStep(currentStepIndex);
+  } else {
+    window.speechSynthesis?.cancel();
+  }
+}
+
+function toggleVoiceCommands() {
+  // Voice commands can start timers, so this tap also allows the alarm to sound
+  unlockAlarm();
+
+  speechSettings.voiceCommands = !speechSettings.voiceCommands;
+  saveSpeechSettings();
+  updateHandsFreeControls();
+
+  if (speechSettings.voiceCommands) {
+    startListening();
+  } else {
+    stopListening();
+  }
+}
+
+function changeSpeechLanguage(lang) {
+  if (!SPEECH_TEXTS[lang]) return;
+
+  speechSettings.lang = lang;
+  saveSpeechSettings();
+
+  // Recognition picks up the new language when it restarts (see startListening)
+  if (listening) {
+    recognition.lang = lang;
+    recognition.stop();
+    showVoiceStatus(`🎤 ${speechText().hint}`);
+  }
+}
+
+/**
+ * Listen for voice commands until stopListening
+ * Browsers end recognition after a silence, so it is restarted as long as we are listening
+ */
+function startListening() {
+  if (!SpeechRecognitionClass || listening) return;
+
+  if (!recognition) {
+    recognition = new SpeechRecognitionClass();
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.addEventListener('result', handleVoiceResult);
+    recognition.addEventListener('error', handleVoiceError);
+    recognition.addEventListener('end', () => {
+      if (!listening) return;
+      setTimeout(() => {
+        try {
+          if (listening) recognition.start();
+        } catch {
+          // Already started again
+        }
+      }, 300);
+    });
+  }
+
+  recognition.lang = speechSettings.lang;
+  listening = true;
+  try {
+    recognition.start();
+  } catch {
+    // Still running from before: the end handler keeps it going
+  }
+  showVoiceStatus(`🎤 ${speechText().hint}`);
+}
+
+function stopListening() {
+  listening = false;
+  recognition?.abort();
+  showVoiceStatus('');
+}
+
+/**
+ * Run the commands that were heard
+ * What is heard while a step is being read aloud is ignored, so the step text cannot trigger commands
+ */
+function handleVoiceResult(e) {
+  if (cookSteps.classList.contains('hidden') || window.speechSynthesis?.speaking) return;
+
+  for (let i = e.resultIndex; i < e.results.length; i++) {
+    if (e.results[i].isFinal) runVoiceCommand(e.results[i][0].transcript.trim().toLowerCase());
+  }
+}
+
+function runVoiceCommand(transcript) {
+  const command = VOICE_COMMANDS.find(candidate => candidate.pattern.test(transcript));
+  if (!command) {
+    showVoiceStatus(`🎤 Niet begrepen: "${transcript}". ${speechText().hint}`);
+    return;
+  }
+
+  showVoiceStatus(`🎤 "${transcript}"`);
+
+  if (command.action === 'next') nextStep();
+  if (command.action === 'previous') previousStep();
+  if (command.action === 'repeat') readStep(currentStepIndex);
+  if (command.action === 'timer') startStepTimer();
+}
+
+/**
+ * Start the first timer of the current step that is not running yet
+ */
+function startStepTimer() {
+  const chips = stepText.querySelectorAll('.cook-timer-chip');
+  const chip = [...chips].find(candidate => !candidate.classList.contains('active'));
+
+  if (chip) {
+    chip.click();
+    speak(speechText().timerStarted);
+  } else {
+    speak(chips.length ? speechText().timerRunning : speechText().noTimer);
+  }
+}
+
+function handleVoiceError(e) {
+  // No speech during a while, or stopped by us: recognition simply restarts
+  if (e.error === 'no-speech' || e.error === 'aborted') return;
+
+  console.error('Speech recognition error:', e.error);
+
+  if (e.error === 'not-allowed' || e.error === 'service-not-allowed') {
+    listening = false;
+    speechSettings.voiceCommands = false;
+    saveSpeechSettings();
+    updateHandsFreeControls();
+    showVoiceStatus('🎤 Geen toegang tot de microfoon: sta dit toe in je browser om met je stem te bedienen.');
+  }
+}
+
+function showVoiceStatus(message) {
+  voiceStatus.textContent = message;
+  voiceStatus.classList.toggle('hidden', !message);
+}
+
+/**
+ * Show the hands-free controls the browser supports, and which ones are switched on
+ */
+function updateHandsFreeControls() {
+  const canSpeak = 'speechSynthesis' in window;
+  const canListen = Boolean(SpeechRecognitionClass);
+
+  readAloudBtn.classList.toggle('hidden', !canSpeak);
+  voiceCommandsBtn.classList.toggle('hidden', !canListen);
+  speechLangSelect.classList.toggle('hidden', !canSpeak && !canListen);
+
+  readAloudBtn.setAttribute('aria-pressed', String(speechSettings.readAloud));
+  voiceCommandsBtn.setAttribute('aria-pressed', String(speechSettings.voiceCommands));
+  speechLangSelect.value = speechSettings.lang;
+}
+
+/**
+ * Keep the screen on while cooking
+ * The browser releases the lock when the page is hidden; it is requested again when it comes back
+ */
+async function requestWakeLock() {
+  if (!('wakeLock' in navigator) || wakeLock) return;
+
+  try {
+    wakeLock = await navigator.wakeLock.request('screen');
+    wakeLock.addEventListener('release', () => {
+      wakeLock = null;
+    });
+  } catch (error) {
+    // Refused, e.g. in battery saving mode
+    console.error('Error requesting wake lock:', error);
+  }
+}
+
+function releaseWakeLock() {
+  wakeLock?.release();
+  wakeLock = null;
+}
+
+function loadSpeechSettings() {
+  const defaults = {
+    readAloud: false,
+    voiceCommands: false,
+    lang: document.documentElement.lang === 'en' ? 'en-US' : 'nl-NL'
+  };
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(SPEECH_STORAGE_KEY)) || {};
+    return {
+      readAloud: stored.readAloud === true,
+      voiceCommands: stored.voiceCommands === true,
+      lang: SPEECH_TEXTS[stored.lang] ? stored.lang : defaults.lang
+    };
+  } catch {
+    return defaults;
+  }
+}
+
+function saveSpeechSettings() {
+  try {
+    localStorage.setItem(SPEECH_STORAGE_KEY, JSON.stringify(speechSettings));
+  } catch (error) {
+    console.error('Error saving speech settings:', error);
   }
 }
 
@@ -125,9 +1368,22 @@ function nextStep() {
  * EVENT LISTENERS
  */
 
+// Servings stepper
+servingsMinusBtn?.addEventListener('click', () => changeServings(-1));
+servingsPlusBtn?.addEventListener('click', () => changeServings(1));
+
+// Unit system select
+unitSystemSelect.addEventListener('change', () => changeUnitSystem(unitSystemSelect.value));
+
 // Start cooking button
 startCookingBtn.addEventListener('click', startCooking);
 
+// Unfinished cooking session: continue it or forget it
+resumeCookingBtn.addEventListener('click', resumeCooking);
+discardSessionBtn.addEventListener('click', discardSession);
+renderResumeBanner();
+renderCookHistory(recipe.cooked_count, recipe.last_cooked_at);
+
 // Exit cooking button
 exitCookBtn.addEventListener('click', exitCooking);
 
@@ -149,4 +1405,36 @@ document.addEventListener('keydown', (e) => {
       exitCooking();
     }
   }
-});
\ No newline at end of file
+});
+
+// Ingredient checklist: restore what was checked before
+renderIngredients(recipe.ingredients);
+cookIngredients?.addEventListener('change', (e) => {
+  toggleIngredient(Number(e.target.dataset.index), e.target.checked);
+});
+checklistResetBtn?.addEventListener('click', resetChecklist);
+
+// Hands-free controls
+readAloudBtn.addEventListener('click', toggleReadAloud);
+voiceCommandsBtn.addEventListener('click', toggleVoiceCommands);
+speechLangSelect.addEventListener('change', () => changeSpeechLanguage(speechLangSelect.value));
+updateHandsFreeControls();
+
+// The screen lock is released when the page is hidden: take it again when cooking continues
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && !cookSteps.classList.contains('hidden')) {
+    requestWakeLock();
+  }
+});
+
+// Timers: restore the timers of this recipe, then update them every second
+renderTimers();
+tickTimers();
+setInterval(tickTimers, 1000);
+
+// Timers started in another tab of the same recipe
+window.addEventListener('storage', (e) => {
+  if (e.key !== TIMER_STORAGE_KEY) return;
+  timers = loadTimers();
+  renderTimers();
+});
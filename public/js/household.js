@@ -0,0 +1,196 @@
+/**
+ * Household JavaScript
+ * Creates a household, invites members, changes roles and answers invitations
+ * Uses Fetch API for all server communication
+ */
+
+// Dutch labels for the roles returned by the API
+const ROLE_LABELS = {
+  owner: 'Eigenaar',
+  editor: 'Bewerker',
+  viewer: 'Kijker'
+};
+
+const currentUserId = Number(document.body.dataset.userId);
+
+// Global state
+let household = null;
+
+// DOM elements
+const myInvitations = document.getElementById('myInvitations');
+const createSection = document.getElementById('createSection');
+const householdSection = document.getElementById('householdSection');
+const memberList = document.getElementById('memberList');
+const invitationList = document.getElementById('invitationList');
+
+/**
+ * Fetch the household and the invitations for the current user
+ * GET /api/household
+ */
+async function loadHousehold() {
+  try {
+    const response = await fetch('/api/household');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      household = data.household;
+      renderMyInvitations(data.invitations);
+      renderHousehold();
+    } else {
+      console.error('Failed to load household:', data);
+    }
+  } catch (error) {
+    console.error('Error loading household:', error);
+  }
+}
+
+/**
+ * Render the invitations addressed to the current user
+ */
+function renderMyInvitations(invitations) {
+  myInvitations.classList.toggle('hidden', !invitations.length);
+
+  document.getElementById('myInvitationList').innerHTML = invitations.map(invitation => `
+    <li class="hh-item">
+      <span class="hh-name">
+        ${escapeHTML(invitation.household_name)}
+        <span class="small">als ${ROLE_LABELS[invitation.role]}${invitation.invited_by_name ? `, van ${escapeHTML(invitation.invited_by_name)}` : ''}</span>
+      </span>
+      <button class="btn primary" data-accept="${invitation.id}" ${household ? 'disabled title="Verlaat eerst je huidige huishouden"' : ''}>Aannemen</button>
+      <button class="btn" data-decline="${invitation.id}">Weigeren</button>
+    </li>
+  `).join('');
+}
+
+/**
+ * Render the current household, or the form to create one
+ */
+function renderHousehold() {
+  createSection.classList.toggle('hidden', Boolean(household));
+  householdSection.classList.toggle('hidden', !household);
+  if (!household) return;
+
+  const isOwner = household.role === 'owner';
+
+  document.getElementById('householdName').textContent = household.name;
+  document.getElementById('renameForm').classList.toggle('hidden', !isOwner);
+  document.getElementById('renameInput').value = household.name;
+  document.getElementById('inviteSection').classList.toggle('hidden', !isOwner);
+
+  memberList.innerHTML = household.members.map(member => {
+    const isSelf = member.user_id === currentUserId;
+    const role = isOwner
+      ? `<select class="input" data-role-for="${member.user_id}" aria-label="Rol van ${escapeHTML(member.name)}">
+          ${Object.entries(ROLE_LABELS).map(([value, label]) =>
+            `<option value="${value}" ${value === member.role ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>`
+      : `<span class="hh-role">${ROLE_LABELS[member.role]}</span>`;
+    const remove = isSelf
+      ? `<button class="btn" data-remove="${member.user_id}">Verlaten</button>`
+      : isOwner ? `<button class="btn" data-remove="${member.user_id}">Verwijderen</button>` : '';
+
+    return `
+      <li class="hh-item">
+        <span class="hh-name">${escapeHTML(member.name)}${isSelf ? ' (jij)' : ''} <span class="small">${escapeHTML(member.email)}</span></span>
+        ${role}
+        ${remove}
+      </li>
+    `;
+  }).join('');
+
+  invitationList.innerHTML = household.invitations.map(invitation => `
+    <li class="hh-item">
+      <span class="hh-name">${escapeHTML(invitation.email)} <span class="small">uitgenodigd als ${ROLE_LABELS[invitation.role]}</span></span>
+      <button class="btn" data-withdraw="${invitation.id}">Intrekken</button>
+    </li>
+  `).join('');
+}
+
+/**
+ * Send a household change and reload the page data
+ */
+async function sendRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Household request failed:', data);
+      alert('Huishouden bijwerken mislukt: ' + (data.message || data.errors?.[0]?.msg || data.error));
+    }
+
+    await loadHousehold();
+    return data;
+  } catch (error) {
+    console.error('Error updating household:', error);
+    alert('Connection error. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * EVENT LISTENERS
+ */
+
+document.getElementById('createForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  sendRequest('/api/household', 'POST', { name: document.getElementById('createName').value });
+});
+
+document.getElementById('renameForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  sendRequest('/api/household', 'PUT', { name: document.getElementById('renameInput').value });
+});
+
+document.getElementById('inviteForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const email = document.getElementById('inviteEmail');
+  const data = await sendRequest('/api/household/invitations', 'POST', {
+    email: email.value,
+    role: document.getElementById('inviteRole').value
+  });
+  if (data && data.success) email.value = '';
+});
+
+myInvitations.addEventListener('click', (e) => {
+  const accept = e.target.closest('[data-accept]');
+  const decline = e.target.closest('[data-decline]');
+  if (accept) sendRequest(`/api/household/invitations/${accept.dataset.accept}/accept`, 'POST');
+  if (decline) sendRequest(`/api/household/invitations/${decline.dataset.decline}/decline`, 'POST');
+});
+
+memberList.addEventListener('change', (e) => {
+  const select = e.target.closest('[data-role-for]');
+  if (select) sendRequest(`/api/household/members/${select.dataset.roleFor}`, 'PUT', { role: select.value });
+});
+
+memberList.addEventListener('click', (e) => {
+  const remove = e.target.closest('[data-remove]');
+  if (!remove) return;
+
+  const leaving = Number(remove.dataset.remove) === currentUserId;
+  const question = leaving
+    ? 'Wil je het huishouden verlaten? Je eigen recepten neem je mee.'
+    : 'Dit lid uit het huishouden verwijderen? Hun recepten blijven van hen.';
+  if (confirm(question)) sendRequest(`/api/household/members/${remove.dataset.remove}`, 'DELETE');
+});
+
+invitationList.addEventListener('click', (e) => {
+  const withdraw = e.target.closest('[data-withdraw]');
+  if (withdraw) sendRequest(`/api/household/invitations/${withdraw.dataset.withdraw}`, 'DELETE');
+});
+
+// Initialize on page load
+loadHousehold();
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
@@ -0,0 +1,360 @@
+/**
+ * Meal Planner JavaScript
+ * Shows a week grid (days × meal slots) and lets the user drag recipes into it
+ * Uses Fetch API for all server communication
+ */
+
+// Dutch labels for the meal slots returned by the API
+const SLOT_LABELS = {
+  breakfast: 'Ontbijt',
+  lunch: 'Lunch',
+  dinner: 'Diner',
+  snack: 'Snack'
+};
+
+const DAY_NAMES = ['ma', 'di', 'wo', 'do', 'vr', 'za', 'zo'];
+
+// Global state
+let weekStart = mondayOf(new Date());
+let slots = Object.keys(SLOT_LABELS);
+let entries = [];
+let recipesList = [];
+let selectedRecipeId = null; // Recipe picked by click (keyboard/touch alternative to dragging)
+
+// DOM elements
+const weekGrid = document.getElementById('weekGrid');
+const weekTitle = document.getElementById('weekTitle');
+const recipePins = document.getElementById('recipePins');
+
+/**
+ * DATE HELPERS
+ * Dates are exchanged with the API as YYYY-MM-DD strings in local time
+ */
+function toDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function mondayOf(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Fetch the planned meals of the current week
+ * GET /api/mealplan?start=YYYY-MM-DD
+ */
+async function loadWeek() {
+  try {
+    const response = await fetch(`/api/mealplan?start=${toDateString(weekStart)}&days=7`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      slots = data.slots;
+      entries = data.entries;
+      renderWeek();
+    } else {
+      console.error('Failed to load meal plan:', data);
+    }
+  } catch (error) {
+    console.error('Error loading meal plan:', error);
+  }
+}
+
+/**
+ * Fetch all recipes for the pin list
+ * GET /api/recipes
+ */
+async function loadRecipes() {
+  try {
+    const response = await fetch('/api/recipes');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      recipesList = data.recipes;
+      renderRecipes();
+    } else {
+      console.error('Failed to load recipes:', data);
+    }
+  } catch (error) {
+    console.error('Error loading recipes:', error);
+  }
+}
+
+/**
+ * Render the week grid
+ */
+function renderWeek() {
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  const today = toDateString(new Date());
+
+  weekTitle.textContent = `Week van ${days[0].toLocaleDateString('nl-BE', { day: 'numeric', month: 'long' })}`;
+
+  const header = days.map((day, i) => `
+    <div class="mp-day-header ${toDateString(day) === today ? 'today' : ''}">
+      ${DAY_NAMES[i]} ${day.getDate()}/${day.getMonth() + 1}
+    </div>
+  `).join('');
+
+  const rows = slots.map(slot => `
+    <div class="mp-slot-label">${SLOT_LABELS[slot] || slot}</div>
+    ${days.map(day => {
+      const date = toDateString(day);
+      const cellEntries = entries.filter(e => e.date === date && e.slot === slot);
+      return `
+        <div class="mp-cell" data-date="${date}" data-slot="${slot}">
+          ${cellEntries.map(entryHTML).join('')}
+        </div>
+      `;
+    }).join('')}
+  `).join('');
+
+  weekGrid.innerHTML = `<div class="mp-corner"></div>${header}${rows}`;
+}
+
+/**
+ * Generate HTML for a planned meal
+ */
+function entryHTML(entry) {
+  return `
+    <div class="mp-entry" draggable="true" data-entry-id="${entry.id}" title="${escapeAttr(entry.title)}">
+      <span class="mp-entry-title">${escapeHTML(entry.title)}</span>
+      <span class="mp-entry-meta">${entry.servings || '-'} p</span>
+      <button class="mp-entry-remove" data-entry-id="${entry.id}" title="Verwijderen" aria-label="Verwijderen">×</button>
+    </div>
+  `;
+}
+
+/**
+ * Render the draggable recipe pins
+ */
+function renderRecipes() {
+  recipePins.innerHTML = recipesList.length
+    ? recipesList.map(r => `
+        <article class="mp-pin ${String(r.id) === selectedRecipeId ? 'selected' : ''}" draggable="true" data-recipe-id="${r.id}" tabindex="0">
+          ${recipeImageSrc(r) ? `<img src="${recipeImageSrc(r)}" alt="" loading="lazy" onerror="this.remove()">` : ''}
+          <span>${escapeHTML(r.title)}</span>
+        </article>
+      `).join('')
+    : "<p class='small'>Nog geen recepten.</p>";
+}
+
+/**
+ * Schedule a recipe
+ * POST /api/mealplan
+ */
+async function addEntry(recipeId, date, slot) {
+  await sendRequest('/api/mealplan', 'POST', { recipeId, date, slot });
+}
+
+/**
+ * Move a planned meal
+ * PUT /api/mealplan/:id
+ */
+async function moveEntry(entryId, date, slot) {
+  await sendRequest(`/api/mealplan/${entryId}`, 'PUT', { date, slot });
+}
+
+/**
+ * Copy a planned meal
+ * POST /api/mealplan/:id/copy
+ */
+async function copyEntry(entryId, date, slot) {
+  await sendRequest(`/api/mealplan/${entryId}/copy`, 'POST', { date, slot });
+}
+
+/**
+ * Remove a planned meal
+ * DELETE /api/mealplan/:id
+ */
+async function removeEntry(entryId) {
+  await sendRequest(`/api/mealplan/${entryId}`, 'DELETE');
+}
+
+/**
+ * Add the ingredients of all meals planned this week to the shopping list
+ * POST /api/shopping-list/generate
+ */
+async function shopForWeek() {
+  try {
+    const response = await fetch('/api/shopping-list/generate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ start: toDateString(weekStart), end: toDateString(addDays(weekStart, 6)) })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      window.location.href = '/shopping-list';
+    } else if (response.status === 422) {
+      alert('Er zijn nog geen maaltijden gepland deze week.');
+    } else {
+      console.error('Failed to generate shopping list:', data);
+      alert('Boodschappenlijst maken mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error generating shopping list:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Send a meal plan change and reload the week
+ */
+async function sendRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Meal plan request failed:', data);
+      alert('Weekmenu bijwerken mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error updating meal plan:', error);
+    alert('Connection error. Please try again.');
+  }
+
+  await loadWeek();
+}
+
+/**
+ * EVENT LISTENERS
+ */
+
+// Week navigation
+document.getElementById('prevWeekBtn').addEventListener('click', () => {
+  weekStart = addDays(weekStart, -7);
+  loadWeek();
+});
+
+document.getElementById('nextWeekBtn').addEventListener('click', () => {
+  weekStart = addDays(weekStart, 7);
+  loadWeek();
+});
+
+document.getElementById('todayBtn').addEventListener('click', () => {
+  weekStart = mondayOf(new Date());
+  loadWeek();
+});
+
+document.getElementById('shoppingListBtn').addEventListener('click', shopForWeek);
+
+// Drag a recipe pin
+recipePins.addEventListener('dragstart', (e) => {
+  const pin = e.target.closest('.mp-pin');
+  if (!pin) return;
+  e.dataTransfer.setData('application/x-recipe-id', pin.dataset.recipeId);
+  e.dataTransfer.effectAllowed = 'copy';
+});
+
+// Drag a planned meal (move, or copy with Ctrl/Alt)
+weekGrid.addEventListener('dragstart', (e) => {
+  const entry = e.target.closest('.mp-entry');
+  if (!entry) return;
+  e.dataTransfer.setData('application/x-entry-id', entry.dataset.entryId);
+  e.dataTransfer.effectAllowed = 'copyMove';
+});
+
+weekGrid.addEventListener('dragover', (e) => {
+  const cell = e.target.closest('.mp-cell');
+  if (!cell) return;
+  e.preventDefault();
+
+  const isEntry = e.dataTransfer.types.includes('application/x-entry-id');
+  e.dataTransfer.dropEffect = isEntry && !(e.ctrlKey || e.altKey) ? 'move' : 'copy';
+  cell.classList.add('drag-over');
+});
+
+weekGrid.addEventListener('dragleave', (e) => {
+  const cell = e.target.closest('.mp-cell');
+  if (cell && !cell.contains(e.relatedTarget)) cell.classList.remove('drag-over');
+});
+
+weekGrid.addEventListener('drop', (e) => {
+  const cell = e.target.closest('.mp-cell');
+  if (!cell) return;
+  e.preventDefault();
+  cell.classList.remove('drag-over');
+
+  const { date, slot } = cell.dataset;
+  const recipeId = e.dataTransfer.getData('application/x-recipe-id');
+  const entryId = e.dataTransfer.getData('application/x-entry-id');
+
+  if (recipeId) {
+    addEntry(recipeId, date, slot);
+  } else if (entryId) {
+    if (e.ctrlKey || e.altKey) {
+      copyEntry(entryId, date, slot);
+    } else {
+      moveEntry(entryId, date, slot);
+    }
+  }
+});
+
+// Click alternative: select a recipe, then click a cell
+recipePins.addEventListener('click', (e) => {
+  const pin = e.target.closest('.mp-pin');
+  if (!pin) return;
+  selectedRecipeId = selectedRecipeId === pin.dataset.recipeId ? null : pin.dataset.recipeId;
+  renderRecipes();
+});
+
+recipePins.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && e.target.closest('.mp-pin')) e.target.click();
+});
+
+weekGrid.addEventListener('click', (e) => {
+  // Remove button
+  const removeBtn = e.target.closest('.mp-entry-remove');
+  if (removeBtn) {
+    removeEntry(removeBtn.dataset.entryId);
+    return;
+  }
+
+  // Place the selected recipe
+  const cell = e.target.closest('.mp-cell');
+  if (cell && selectedRecipeId && !e.target.closest('.mp-entry')) {
+    addEntry(selectedRecipeId, cell.dataset.date, cell.dataset.slot);
+    selectedRecipeId = null;
+    renderRecipes();
+  }
+});
+
+// Initialize on page load
+loadWeek();
+loadRecipes();
+
+/**
+ * UTILITY FUNCTIONS
+ */
+
+/**
+ * Get the thumbnail to show for a recipe
+ * Uploaded images take precedence over image URLs
+ */
+function recipeImageSrc(r) {
+  if (r.image_path) return `/uploads/thumbs/${r.image_path.replace(/\.[^.]+$/, '')}.webp`;
+  return (r.image_url && r.image_url.trim().length) ? r.image_url : null;
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,235 @@
+/**
+ * Pantry JavaScript
+ * Manages what the user has at home and shows which recipes can be cooked with it
+ * Missing ingredients of a recipe can be put on the shopping list in one go
+ * Uses Fetch API for all server communication
+ */
+
+// Global state
+let items = [];
+
+// DOM elements
+const pantryItems = document.getElementById('pantryItems');
+const pantryEmpty = document.getElementById('pantryEmpty');
+const pantryMatches = document.getElementById('pantryMatches');
+const maxMissingSelect = document.getElementById('maxMissingSelect');
+
+/**
+ * Fetch the pantry and the matching recipes
+ * GET /api/pantry
+ */
+async function loadPantry() {
+  try {
+    const response = await fetch('/api/pantry');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      items = data.items;
+      renderItems();
+      await loadMatches();
+    } else {
+      console.error('Failed to load pantry:', data);
+    }
+  } catch (error) {
+    console.error('Error loading pantry:', error);
+  }
+}
+
+/**
+ * Render the pantry items, soonest expiry first
+ */
+function renderItems() {
+  pantryEmpty.classList.toggle('hidden', items.length > 0);
+
+  pantryItems.innerHTML = items.map(item => {
+    const badge = item.status === 'expired'
+      ? '<span class="pt-badge expired">Over de datum</span>'
+      : item.status === 'expiring' ? '<span class="pt-badge expiring">Bijna over de datum</span>' : '';
+
+    return `
+      <li class="pt-item ${item.status || ''}">
+        <span class="pt-text">${escapeHTML(item.text)}</span>
+        ${badge}
+        <input class="input pt-date" type="date" data-id="${item.id}" value="${escapeAttr(item.expires_on || '')}" aria-label="Houdbaar tot"/>
+        <button class="pt-remove" data-id="${item.id}" title="Verwijderen" aria-label="Verwijderen">×</button>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Fetch the recipes ranked by ingredients in stock
+ * GET /api/pantry/matches?maxMissing=N
+ */
+async function loadMatches() {
+  const params = new URLSearchParams({ limit: 30 });
+  if (maxMissingSelect.value) params.set('maxMissing', maxMissingSelect.value);
+
+  try {
+    const response = await fetch(`/api/pantry/matches?${params}`);
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Failed to load matches:', data);
+      return;
+    }
+
+    if (!data.pantry_items) {
+      pantryMatches.innerHTML = "<p class='small'>Voeg eerst producten aan je voorraad toe.</p>";
+    } else if (!data.matches.length) {
+      pantryMatches.innerHTML = "<p class='small'>Geen recepten gevonden met deze voorraad.</p>";
+    } else {
+      pantryMatches.innerHTML = data.matches.map(matchHTML).join('');
+    }
+  } catch (error) {
+    console.error('Error loading matches:', error);
+  }
+}
+
+/**
+ * Generate HTML for a matching recipe
+ */
+function matchHTML(match) {
+  const r = match.recipe;
+  const img = recipeImageSrc(r);
+  const missing = match.missing.length
+    ? `<p class="pt-missing"><strong>Nog nodig:</strong> ${match.missing.map(item =>
+        escapeHTML(item.partial ? `${item.text} (extra)` : item.text)).join(', ')}</p>`
+    : '<p class="pt-missing complete">Alles in huis!</p>';
+  const expiring = match.expiring.length
+    ? `<p class="small">Gebruikt bijna verlopen: ${escapeHTML(match.expiring.join(', '))}</p>`
+    : '';
+
+  return `
+    <article class="pt-match">
+      ${img ? `<img class="pt-match-img" src="${escapeAttr(img)}" alt="" loading="lazy"/>` : ''}
+      <div class="pt-match-body">
+        <a class="pt-match-title" href="/recipes/${encodeURIComponent(r.id)}/cook">${escapeHTML(r.title)}</a>
+        <div class="small">${match.in_stock} van ${match.total} ingrediënten in huis</div>
+        <div class="pt-progress"><span style="width: ${Math.round(match.score * 100)}%"></span></div>
+        ${missing}
+        ${expiring}
+        ${match.missing.length ? `<button class="btn" data-missing="${escapeAttr(r.id)}">🛒 Ontbrekende op lijst</button>` : ''}
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Send a pantry change and reload the pantry
+ */
+async function sendRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Pantry request failed:', data);
+      alert('Voorraad bijwerken mislukt: ' + (data.message || data.error));
+    }
+
+    await loadPantry();
+    return data;
+  } catch (error) {
+    console.error('Error updating pantry:', error);
+    alert('Connection error. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Put the missing ingredients of a recipe on the shopping list
+ * POST /api/pantry/missing
+ */
+async function addMissing(recipeId, button) {
+  button.disabled = true;
+
+  try {
+    const response = await fetch('/api/pantry/missing', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recipeIds: [recipeId] })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      button.textContent = '✓ Op de boodschappenlijst';
+    } else {
+      console.error('Failed to add missing ingredients:', data);
+      alert('Toevoegen mislukt: ' + (data.message || data.error));
+      button.disabled = false;
+    }
+  } catch (error) {
+    console.error('Error adding missing ingredients:', error);
+    alert('Connection error. Please try again.');
+    button.disabled = false;
+  }
+}
+
+/**
+ * EVENT LISTENERS
+ */
+
+document.getElementById('addItemForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('newItem');
+  const expiry = document.getElementById('newItemExpiry');
+  const text = input.value.trim();
+  if (!text) return;
+
+  const data = await sendRequest('/api/pantry/items', 'POST', { text, expiresOn: expiry.value || null });
+  if (data && data.success) {
+    input.value = '';
+    expiry.value = '';
+  }
+  input.focus();
+});
+
+pantryItems.addEventListener('click', (e) => {
+  const removeBtn = e.target.closest('.pt-remove');
+  if (removeBtn) sendRequest(`/api/pantry/items/${removeBtn.dataset.id}`, 'DELETE');
+});
+
+pantryItems.addEventListener('change', (e) => {
+  if (e.target.matches('.pt-date')) {
+    sendRequest(`/api/pantry/items/${e.target.dataset.id}`, 'PUT', { expiresOn: e.target.value || null });
+  }
+});
+
+pantryMatches.addEventListener('click', (e) => {
+  const missingBtn = e.target.closest('[data-missing]');
+  if (missingBtn) addMissing(missingBtn.dataset.missing, missingBtn);
+});
+
+maxMissingSelect.addEventListener('change', loadMatches);
+
+document.getElementById('clearExpiredBtn').addEventListener('click', () => {
+  sendRequest('/api/pantry/expired', 'DELETE');
+});
+
+// Initialize on page load
+loadPantry();
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function recipeImageSrc(r) {
+  if (r.image_path) {
+    return `/uploads/thumbs/${r.image_path.replace(/\.[^.]+$/, '')}.webp`;
+  }
+  return (r.image_url && r.image_url.trim().length) ? r.image_url : null;
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,6 @@
+/**
+ * Printable Recipe Card JavaScript
+ * Opens the browser's print dialog (the toolbar is hidden when printing)
+ */
+
+document.getElementById('printBtn').addEventListener('click', () => window.print());
@@ -8,20 +8,77 @@
 let recipesList = [];
 let favoriteIds = [];
 let editingRecipeId = null; // Track which recipe is being edited
+let searchResults = null; // Results of the full-text search, null when the search box is empty
+let searchTimer = null;
+let nextCursor = null; // Cursor of the next page of recipes, null when all are loaded
+let loadingPage = false;
+let allTags = []; // Tags of the user with recipe counts ({ id, name, recipe_count })
+let selectedTags = []; // Tag names chosen in the chips bar
+let editTags = []; // Tags of the recipe in the add/edit modal
+let tagSuggestTimer = null;
+
+// Number of recipes loaded per page (infinite scroll)
+const PAGE_SIZE = 24;
+
+// Logged in user, to tell own recipes from those of household members
+const currentUserId = Number(document.body.dataset.userId);
+
+// Dutch names of the recipe fields in the version history
+const FIELD_LABELS = {
+  title: 'Titel',
+  time: 'Tijd',
+  servings: 'Porties',
+  source_url: 'Bron',
+  image_url: 'Afbeelding URL',
+  notes: 'Notities',
+  ingredients: 'Ingrediënten',
+  steps: 'Stappen',
+  tags: 'Tags'
+};
+
+/**
+ * Build the query string for the recipe grid from the tag chips and filter bar
+ */
+function recipeQueryParams(cursor) {
+  const params = new URLSearchParams({ limit: PAGE_SIZE, sort: document.getElementById('sortSelect').value });
+
+  if (selectedTags.length) {
+    params.set('tags', selectedTags.join(','));
+    params.set('match', document.getElementById('tagMatch').value);
+  }
+
+  const maxTime = document.getElementById('maxTimeSelect').value;
+  if (maxTime) params.set('maxTime', maxTime);
+
+  const minRating = document.getElementById('minRatingSelect').value;
+  if (minRating) params.set('minRating', minRating);
+
+  const source = document.getElementById('sourceSelect').value;
+  if (source) params.set('source', source);
+
+  if (document.getElementById('favoritesOnly').checked) params.set('favorites', 'true');
+  if (cursor) params.set('cursor', cursor);
+
+  return params;
+}
 
 /**
- * Fetch all recipes from server
- * GET /api/recipes
+ * Fetch the first page of recipes from server (and the tags, which may have changed)
+ * GET /api/recipes?limit=N&sort=...&tags=...
  */
 async function loadRecipes() {
+  await loadTags();
+
   try {
-    const response = await fetch('/api/recipes');
+    const response = await fetch(`/api/recipes?${recipeQueryParams()}`);
     const data = await response.json();
     
     if (response.ok && data.success) {
       recipesList = data.recipes;
+      nextCursor = data.nextCursor;
       await loadFavorites(); // Load favorites after recipes
-      renderRecipes();
+      await searchRecipes(); // Refresh search results, renders the grid
+      checkGridEnd();
     } else {
       console.error('Failed to load recipes:', data);
     }
@@ -30,6 +87,127 @@ async function loadRecipes() {
   }
 }
 
+/**
+ * Load the next page when the end of the grid is (still) in view
+ * The IntersectionObserver only fires on changes, so a short first page on a tall screen needs this check
+ */
+function checkGridEnd() {
+  const gridEnd = document.getElementById('gridEnd');
+  if (gridEnd.getBoundingClientRect().top < window.innerHeight + 600) loadMoreRecipes();
+}
+
+/**
+ * Fetch the next page of recipes (infinite scroll)
+ * GET /api/recipes?...&cursor=...
+ */
+async function loadMoreRecipes() {
+  if (!nextCursor || loadingPage || searchResults) return;
+  loadingPage = true;
+
+  try {
+    const response = await fetch(`/api/recipes?${recipeQueryParams(nextCursor)}`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      recipesList = recipesList.concat(data.recipes);
+      nextCursor = data.nextCursor;
+      renderRecipes();
+      setTimeout(checkGridEnd);
+    } else {
+      console.error('Failed to load more recipes:', data);
+      nextCursor = null;
+    }
+  } catch (error) {
+    console.error('Error loading more recipes:', error);
+  } finally {
+    loadingPage = false;
+  }
+}
+
+/**
+ * Search recipes on the server (title, ingredients, steps and notes)
+ * GET /api/recipes/search?q=query&in=field
+ */
+async function searchRecipes() {
+  const q = document.getElementById('q').value.trim();
+  const field = document.getElementById('searchField').value;
+
+  if (!q) {
+    searchResults = null;
+    renderRecipes();
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ q });
+    if (field) params.set('in', field);
+
+    const response = await fetch(`/api/recipes/search?${params}`);
+    const data = await response.json();
+
+    // Ignore results of a query that has been typed over in the meantime
+    if (q !== document.getElementById('q').value.trim()) return;
+
+    if (response.ok && data.success) {
+      searchResults = data.recipes;
+      renderRecipes();
+    } else {
+      console.error('Failed to search recipes:', data);
+    }
+  } catch (error) {
+    console.error('Error searching recipes:', error);
+  }
+}
+
+/**
+ * Fetch the tags of the user with recipe counts
+ * GET /api/tags
+ */
+async function loadTags() {
+  try {
+    const response = await fetch('/api/tags');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      allTags = data.tags;
+      // Forget chosen tags that were renamed, merged or deleted
+      selectedTags = selectedTags.filter(name => allTags.some(tag => tag.name === name));
+      renderTagChips();
+    } else {
+      console.error('Failed to load tags:', data);
+    }
+  } catch (error) {
+    console.error('Error loading tags:', error);
+  }
+}
+
+/**
+ * Render the tag chips above the grid
+ * Several tags can be chosen; the match select decides between all or any of them
+ */
+function renderTagChips() {
+  const chips = allTags.map(tag => `
+    <button class="p-chip ${selectedTags.includes(tag.name) ? 'active' : ''}" type="button" data-tag="${escapeAttr(tag.name)}">
+      ${escapeHTML(tag.name)} <span class="p-chip-count">${tag.recipe_count}</span>
+    </button>
+  `);
+
+  document.getElementById('chips').innerHTML =
+    `<button class="p-chip ${selectedTags.length ? '' : 'active'}" type="button">Alle</button>${chips.join('')}`;
+  document.getElementById('tagMatch').classList.toggle('hidden', selectedTags.length < 2);
+}
+
+/**
+ * Check whether a recipe has the chosen tags (all or any of them, like the server does)
+ */
+function hasSelectedTags(r) {
+  if (!selectedTags.length) return true;
+
+  const tags = (r.tags || []).map(tag => tag.toLowerCase());
+  const matches = selectedTags.filter(name => tags.includes(name.toLowerCase()));
+  return document.getElementById('tagMatch').value === 'any' ? matches.length > 0 : matches.length === selectedTags.length;
+}
+
 /**
  * Fetch favorite recipe IDs
  * GET /api/favorites
@@ -72,8 +250,12 @@ async function toggleFavorite(recipeId) {
       } else {
         favoriteIds = favoriteIds.filter(id => id !== recipeId);
       }
-      // Re-render to update heart icon
-      renderRecipes();
+      // Reload when only favorites are shown, otherwise re-render to update heart icon
+      if (document.getElementById('favoritesOnly').checked) {
+        await loadRecipes();
+      } else {
+        renderRecipes();
+      }
     } else {
       console.error('Failed to toggle favorite:', data);
     }
@@ -120,12 +302,72 @@ function arrayToNumberedList(arr) {
   return arr.map((item, index) => `${index + 1}. ${item}`).join('\n');
 }
 
+/**
+ * Generate the star rating of a recipe card: the average of everyone who rated it
+ */
+function ratingHTML(r) {
+  if (!r.rating_count) return "";
+
+  const label = `Gemiddeld ${formatRating(r.rating_average)} van 5 (${r.rating_count} ${r.rating_count === 1 ? "beoordeling" : "beoordelingen"})`;
+  return `
+    <p class="p-rating" title="${label}">
+      <span class="p-stars" aria-hidden="true">${starsText(r.rating_average)}</span>
+      ${formatRating(r.rating_average)} <span class="small">(${r.rating_count})</span>
+    </p>`;
+}
+
+/**
+ * "★★★★☆" for a rating (rounded to whole stars)
+ */
+function starsText(rating) {
+  const stars = Math.round(rating);
+  return "★".repeat(stars) + "☆".repeat(5 - stars);
+}
+
+function formatRating(rating) {
+  return rating.toLocaleString("nl-BE", { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Generate the cooking line of a recipe card: an unfinished cooking session
+ * ("bezig: stap 3") and how often and when the user cooked the recipe
+ */
+function cookedHTML(r) {
+  const lines = [];
+
+  if (r.cooking_step !== null && r.cooking_step !== undefined) {
+    lines.push(`👨‍🍳 Bezig: stap ${r.cooking_step + 1}`);
+  }
+
+  if (r.cooked_count) {
+    lines.push(`🍳 ${r.cooked_count} keer gekookt · laatst gekookt ${formatCookedDate(r.last_cooked_at)}`);
+  }
+
+  return lines.length ? `<p class="p-cooked">${lines.join("<br>")}</p>` : "";
+}
+
+/**
+ * "vandaag", "gisteren" or the date ("op 3 okt. 2026")
+ * @param {number} unix - Unix time in seconds
+ */
+function formatCookedDate(unix) {
+  const date = new Date(unix * 1000);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = Math.round((today - new Date(date).setHours(0, 0, 0, 0)) / 86400000);
+
+  if (days === 0) return "vandaag";
+  if (days === 1) return "gisteren";
+  return `op ${date.toLocaleDateString("nl-BE", { day: "numeric", month: "short", year: "numeric" })}`;
+}
+
 /**
  * Generate HTML for a single recipe card with icon buttons
  */
 function pinHTML(r) {
-  const img = (r.image_url && r.image_url.trim().length)
-    ? `<img src="${r.image_url}" alt="${r.title}" onerror="this.remove()">`
+  const src = recipeImageSrc(r, true);
+  const img = src
+    ? `<img src="${src}" alt="${escapeAttr(r.title)}" loading="lazy" onerror="this.remove()">`
     : "";
 
   const ingCount = Array.isArray(r.ingredients) ? r.ingredients.length : 0;
@@ -136,6 +378,11 @@ function pinHTML(r) {
 
   const isFavorited = favoriteIds.includes(r.id);
 
+  // Recipes of other household members show who added them; viewers cannot change them
+  const author = r.user_id !== currentUserId && r.author_name
+    ? `<p class="p-author">👤 ${escapeHTML(r.author_name)}</p>`
+    : "";
+
   return `
     <article class="p-pin" data-id="${r.id}">
       <div class="p-media">
@@ -143,10 +390,14 @@ function pinHTML(r) {
       </div>
 
       <div class="p-body">
-        <p class="p-title">${escapeHTML(r.title)}</p>
+        <p class="p-title">${r.title_html || escapeHTML(r.title)}</p>
+        ${ratingHTML(r)}
         <p class="p-meta">
-          ${r.category ? r.category + " • " : ""}${r.time || "-"} • ${r.servings || "-"} p${extra ? " • " + extra : ""}
+          ${r.tags.length ? escapeHTML(r.tags.join(", ")) + " • " : ""}${escapeHTML(r.time || "-")} • ${r.servings || "-"} p${extra ? " • " + extra : ""}
         </p>
+        ${r.snippet ? `<p class="p-snippet">${r.snippet}</p>` : ""}
+        ${author}
+        ${cookedHTML(r)}
 
         <div class="p-actions-row">
           <button class="p-icon-btn favorite ${isFavorited ? 'favorited' : ''}" 
@@ -161,19 +412,19 @@ function pinHTML(r) {
             👨‍🍳
           </button>
           
-          <button class="p-icon-btn edit" 
+          ${r.can_edit ? `<button class="p-icon-btn edit" 
                   data-id="${r.id}" 
                   title="Bewerken">
             ✏️
-          </button>
+          </button>` : ""}
           
           ${r.source_url ? `<button class="p-icon-btn link" data-url="${r.source_url}" title="Open bron">🔗</button>` : ""}
           
-          <button class="p-icon-btn delete" 
+          ${r.can_edit ? `<button class="p-icon-btn delete" 
                   data-id="${r.id}" 
                   title="Verwijderen">
             🗑️
-          </button>
+          </button>` : ""}
         </div>
       </div>
     </article>
@@ -182,26 +433,22 @@ function pinHTML(r) {
 
 /**
  * Render recipes to the grid
- * Applies search and category filters
+ * The loaded pages are already filtered and sorted by the server
+ * Search results (best match first) are filtered by the chosen tag chips here
+ * title_html and snippet come from the server already HTML-escaped, with matches in <mark>
  */
 function renderRecipes() {
-  const q = (document.getElementById('q').value || "").toLowerCase();
-  const activeChip = document.querySelector('.p-chip.active')?.textContent || "Alle";
-
-  const filtered = recipesList.filter(r => {
-    const matchQ = !q || (r.title || "").toLowerCase().includes(q);
-    const matchC = activeChip === "Alle" || (r.category || "").toLowerCase() === activeChip.toLowerCase();
-    return matchQ && matchC;
-  });
+  const filtered = searchResults ? searchResults.filter(hasSelectedTags) : recipesList;
 
   document.getElementById('grid').innerHTML = filtered.length
     ? filtered.map(r => pinHTML(r)).join("")
-    : "<p class='small' style='padding:.75rem'>Nog geen recepten.</p>";
+    : `<p class='small' style='padding:.75rem'>${searchResults ? "Geen recepten gevonden." : "Nog geen recepten."}</p>`;
 }
 
 /**
  * Create a new recipe
  * POST /api/recipes
+ * @returns {string|boolean} - ID of the new recipe, or false on failure
  */
 async function createRecipe(recipeData) {
   try {
@@ -217,8 +464,7 @@ async function createRecipe(recipeData) {
 
     if (response.ok && data.success) {
       console.log('Recipe created:', data.recipeId);
-      await loadRecipes();
-      return true;
+      return data.recipeId;
     } else {
       console.error('Failed to create recipe:', data);
       alert('Failed to create recipe: ' + (data.message || data.error));
@@ -249,7 +495,6 @@ async function updateRecipe(recipeId, recipeData) {
 
     if (response.ok && data.success) {
       console.log('Recipe updated:', recipeId);
-      await loadRecipes();
       return true;
     } else {
       console.error('Failed to update recipe:', data);
@@ -264,13 +509,69 @@ async function updateRecipe(recipeId, recipeData) {
 }
 
 /**
- * Delete a recipe
+ * Upload an image for a recipe
+ * POST /api/recipes/:id/image
+ */
+async function uploadRecipeImage(recipeId, file) {
+  const formData = new FormData();
+  formData.append('image', file);
+
+  try {
+    const response = await fetch(`/api/recipes/${recipeId}/image`, {
+      method: 'POST',
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      console.log('Recipe image uploaded:', data.image_path);
+      return true;
+    } else {
+      console.error('Failed to upload image:', data);
+      alert('Foto uploaden mislukt: ' + (data.message || data.error));
+      return false;
+    }
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    alert('Connection error. Please try again.');
+    return false;
+  }
+}
+
+/**
+ * Remove the uploaded image of a recipe
+ * DELETE /api/recipes/:id/image
+ */
+async function removeRecipeImage(recipeId) {
+  try {
+    const response = await fetch(`/api/recipes/${recipeId}/image`, {
+      method: 'DELETE'
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      console.log('Recipe image removed:', recipeId);
+      return true;
+    } else {
+      console.error('Failed to remove image:', data);
+      alert('Foto verwijderen mislukt: ' + (data.message || data.error));
+      return false;
+    }
+  } catch (error) {
+    console.error('Error removing image:', error);
+    alert('Connection error. Please try again.');
+    return false;
+  }
+}
+
+/**
+ * Delete a recipe: it moves to the trash and can be restored with the undo bar
  * DELETE /api/recipes/:id
  */
 async function deleteRecipe(id) {
-  if (!confirm('Weet je zeker dat je dit recept wilt verwijderen?')) {
-    return;
-  }
+  const recipe = findLoadedRecipe(id);
 
   try {
     const response = await fetch(`/api/recipes/${id}`, {
@@ -280,8 +581,9 @@ async function deleteRecipe(id) {
     const data = await response.json();
 
     if (response.ok && data.success) {
-      console.log('Recipe deleted:', id);
+      console.log('Recipe moved to trash:', id);
       await loadRecipes();
+      showUndoToast(id, recipe ? recipe.title : 'Recept');
     } else {
       console.error('Failed to delete recipe:', data);
       alert('Failed to delete recipe: ' + (data.message || data.error));
@@ -292,11 +594,46 @@ async function deleteRecipe(id) {
   }
 }
 
+/**
+ * Import a recipe from a URL
+ * POST /api/recipes/import
+ * @returns {object|null} - The imported recipe, or null on failure
+ */
+async function importRecipe(url) {
+  try {
+    const response = await fetch('/api/recipes/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ url })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      console.log('Recipe imported:', data.recipeId);
+      await loadRecipes();
+      return data.recipe;
+    } else {
+      console.error('Failed to import recipe:', data);
+      const message = data.errors ? data.errors[0].msg : (data.message || data.error);
+      alert('Recept scrapen mislukt: ' + message);
+      return null;
+    }
+  } catch (error) {
+    console.error('Error importing recipe:', error);
+    alert('Connection error. Please try again.');
+    return null;
+  }
+}
+
 /**
  * Open edit modal with recipe data
+ * @param {string} recipeId - Recipe ID
+ * @param {object} recipe - Recipe object, when it is not in the loaded pages (e.g. just imported)
  */
-function openEditModal(recipeId) {
-  const recipe = recipesList.find(r => r.id === recipeId);
+function openEditModal(recipeId, recipe = findLoadedRecipe(recipeId)) {
   if (!recipe) return;
 
   // Set editing mode
@@ -309,9 +646,11 @@ function openEditModal(recipeId) {
   document.getElementById('title').value = recipe.title || '';
   document.getElementById('time').value = recipe.time || '';
   document.getElementById('servings').value = recipe.servings || 2;
-  document.getElementById('tag').value = recipe.category || '';
+  editTags = [...(recipe.tags || [])];
+  renderEditTags();
   document.getElementById('source').value = recipe.source_url || '';
   document.getElementById('image').value = recipe.image_url || '';
+  showCurrentImage(recipe);
   document.getElementById('ingredients').value = arrayToBulletedList(recipe.ingredients || []);
   document.getElementById('steps').value = arrayToNumberedList(recipe.steps || []);
   document.getElementById('notes').value = recipe.notes || '';
@@ -342,17 +681,37 @@ function clearModalInputs() {
   document.getElementById('time').value = "";
   document.getElementById('source').value = "";
   document.getElementById('image').value = "";
-  document.getElementById('tag').value = "";
+  editTags = [];
+  tagInput.value = "";
+  renderEditTags();
   document.getElementById('servings').value = 2;
   document.getElementById('ingredients').value = "";
   document.getElementById('steps').value = "";
   document.getElementById('notes').value = "";
+  document.getElementById('imageFile').value = "";
+  showCurrentImage(null);
   
   // Remove error message if exists
   const errorMsg = document.getElementById('titleError');
   if (errorMsg) errorMsg.remove();
 }
 
+/**
+ * Show the uploaded image of the recipe being edited (or hide the preview)
+ */
+function showCurrentImage(recipe) {
+  const container = document.getElementById('currentImage');
+  const src = recipe && recipe.image_path ? recipeImageSrc(recipe, true) : null;
+
+  if (src) {
+    document.getElementById('currentImagePreview').src = src;
+    container.classList.remove('hidden');
+  } else {
+    document.getElementById('currentImagePreview').removeAttribute('src');
+    container.classList.add('hidden');
+  }
+}
+
 /**
  * Validate title field
  */
@@ -400,6 +759,30 @@ async function logout() {
   }
 }
 
+/**
+ * Save user preferences
+ * PUT /api/auth/preferences
+ */
+async function savePreferences(preferences) {
+  try {
+    const response = await fetch('/api/auth/preferences', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(preferences)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Failed to save preferences:', data);
+    }
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+  }
+}
+
 // Initialize on page load
 loadRecipes();
 
@@ -407,21 +790,48 @@ loadRecipes();
  * EVENT LISTENERS
  */
 
-// Search input
-document.getElementById('q').addEventListener('input', () => renderRecipes());
+// Search input (waits until the user stops typing)
+document.getElementById('q').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(searchRecipes, 250);
+});
+
+// Search everywhere or only in ingredients
+document.getElementById('searchField').addEventListener('change', searchRecipes);
 
-// Category chips
+// Sorting and filters (reload from the first page)
+['sortSelect', 'maxTimeSelect', 'minRatingSelect', 'sourceSelect', 'favoritesOnly', 'tagMatch'].forEach(id => {
+  document.getElementById(id).addEventListener('change', loadRecipes);
+});
+
+// Infinite scroll: load the next page when the end of the grid comes into view
+new IntersectionObserver(entries => {
+  if (entries.some(entry => entry.isIntersecting)) loadMoreRecipes();
+}, { rootMargin: '600px' }).observe(document.getElementById('gridEnd'));
+
+// Tag chips: "Alle" clears the choice, other chips are toggled
 document.getElementById('chips').addEventListener('click', e => {
-  if (e.target.classList.contains('p-chip')) {
-    document.querySelectorAll('.p-chip').forEach(c => c.classList.remove('active'));
-    e.target.classList.add('active');
-    renderRecipes();
+  const chip = e.target.closest('.p-chip');
+  if (!chip) return;
+
+  const tag = chip.dataset.tag;
+  if (!tag) {
+    selectedTags = [];
+  } else if (selectedTags.includes(tag)) {
+    selectedTags = selectedTags.filter(name => name !== tag);
+  } else {
+    selectedTags.push(tag);
   }
+  loadRecipes();
 });
 
 // Logout button
 document.getElementById('logoutBtn').onclick = logout;
 
+// Preferred unit system
+const unitSystemSelect = document.getElementById('unitSystem');
+unitSystemSelect.addEventListener('change', () => savePreferences({ unit_system: unitSystemSelect.value }));
+
 /**
  * DROPDOWN MENU FOR "NIEUW RECEPT"
  */
@@ -458,7 +868,85 @@ btnAddOwn.addEventListener('click', () => {
 });
 
 /**
- * SCRAP URL MODAL (placeholder for future LLM integration)
+ * EXPORT MENU
+ * The JSON, Markdown and ZIP items are plain download links to /api/recipes/export,
+ * the PDF cookbook is fetched first so a failure can be shown
+ */
+const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+
+function closeExportMenu() {
+  exportMenu.classList.add('hidden');
+  exportBtn.setAttribute('aria-expanded', 'false');
+}
+
+exportBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  exportMenu.classList.toggle('hidden');
+  exportBtn.setAttribute('aria-expanded', exportMenu.classList.contains('hidden') ? 'false' : 'true');
+});
+
+exportMenu.addEventListener('click', closeExportMenu);
+
+document.getElementById('exportPdfAllBtn').addEventListener('click', () => downloadCookbook(new URLSearchParams()));
+
+// Cookbook of the recipes matching the tag chips and filter bar, sorted by title
+document.getElementById('exportPdfFilteredBtn').addEventListener('click', () => {
+  const params = recipeQueryParams();
+  params.delete('limit');
+  params.delete('sort');
+
+  const title = selectedTags.length
+    ? selectedTags.join(', ')
+    : (params.get('favorites') ? 'Mijn favorieten' : '');
+  if (title) params.set('title', title);
+
+  downloadCookbook(params);
+});
+
+/**
+ * Download a PDF cookbook
+ * GET /api/recipes/export/pdf?...
+ * @param {URLSearchParams} params - Selection (filters of the recipe list) and title
+ */
+async function downloadCookbook(params) {
+  exportBtn.disabled = true;
+  exportBtn.textContent = '⏳ Kookboek maken…';
+
+  try {
+    const response = await fetch(`/api/recipes/export/pdf?${params}`);
+
+    if (!response.ok) {
+      const data = await response.json();
+      console.error('Failed to create cookbook:', data);
+      alert('Kookboek maken mislukt: ' + (data.errors ? data.errors[0].msg : (data.message || data.error)));
+      return;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'kookboek.pdf';
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('Error creating cookbook:', error);
+    alert('Connection error. Please try again.');
+  } finally {
+    exportBtn.disabled = false;
+    exportBtn.textContent = '⬇️ Exporteren ▾';
+  }
+}
+
+window.addEventListener('click', (e) => {
+  if (!e.target.closest('.p-export-menu')) closeExportMenu();
+});
+
+/**
+ * SCRAP URL MODAL
  */
 const scrapBackdrop = document.getElementById('scrapBackdrop');
 const scrapUrlInput = document.getElementById('scrapUrl');
@@ -485,50 +973,164 @@ scrapCancelBtn.addEventListener('click', () => {
   document.body.classList.remove('no-scroll');
 });
 
-scrapSaveBtn.addEventListener('click', () => {
+scrapSaveBtn.addEventListener('click', async () => {
   const url = (scrapUrlInput.value || "").trim();
   if (!url) {
     scrapUrlInput.focus();
     return;
   }
-  
-  // TODO: Implement LLM scraping in later phase
-  alert('URL scraping will be implemented in a later phase using LLM API');
-  
-  scrapUrlInput.value = "";
-  scrapBackdrop.classList.remove('show');
-  document.body.classList.remove('no-scroll');
-});
 
-/**
- * ADD/EDIT RECIPE MODAL
- */
-document.getElementById('cancelBtn').onclick = () => {
-  modal.classList.remove('show');
-  document.body.classList.remove('no-scroll');
-  resetModal();
-};
+  scrapSaveBtn.disabled = true;
+  scrapSaveBtn.textContent = 'Bezig…';
 
-modal.addEventListener('click', e => {
-  if (e.target === modal) {
-    modal.classList.remove('show');
+  const recipe = await importRecipe(url);
+
+  scrapSaveBtn.disabled = false;
+  scrapSaveBtn.textContent = 'Scrap';
+
+  if (recipe) {
+    scrapUrlInput.value = "";
+    scrapBackdrop.classList.remove('show');
     document.body.classList.remove('no-scroll');
-    resetModal();
+
+    // Let the user review the imported recipe
+    openEditModal(recipe.id, recipe);
   }
 });
 
-// Save or update recipe
-document.getElementById('saveBtn').onclick = async () => {
-  // Validate title (ONLY MANDATORY FIELD)
+/**
+ * BULK IMPORT MODAL
+ * POST /api/recipes/import/bulk with the chosen file, then lists the result per recipe
+ */
+const importBackdrop = document.getElementById('importBackdrop');
+const importFileInput = document.getElementById('importFile');
+const importStartBtn = document.getElementById('importStartBtn');
+const importSummary = document.getElementById('importSummary');
+const importResults = document.getElementById('importResults');
+
+const IMPORT_STATUS_LABELS = {
+  imported: '✅ Geïmporteerd',
+  duplicate: '⏭️ Al aanwezig',
+  failed: '⚠️ Mislukt'
+};
+
+document.getElementById('btnImportFile').addEventListener('click', () => {
+  addMenu.classList.add('hidden');
+  addBtn.setAttribute('aria-expanded', 'false');
+  importFileInput.value = '';
+  importSummary.classList.add('hidden');
+  importResults.innerHTML = '';
+  importBackdrop.classList.add('show');
+  document.body.classList.add('no-scroll');
+});
+
+function closeImportModal() {
+  importBackdrop.classList.remove('show');
+  document.body.classList.remove('no-scroll');
+}
+
+document.getElementById('importCloseBtn').addEventListener('click', closeImportModal);
+
+importBackdrop.addEventListener('click', e => {
+  if (e.target === importBackdrop) closeImportModal();
+});
+
+importStartBtn.addEventListener('click', async () => {
+  const file = importFileInput.files[0];
+  if (!file) {
+    importFileInput.focus();
+    return;
+  }
+
+  const formData = new FormData();
+  formData.append('file', file);
+
+  importStartBtn.disabled = true;
+  importStartBtn.textContent = 'Bezig…';
+
+  try {
+    const response = await fetch('/api/recipes/import/bulk', {
+      method: 'POST',
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      console.log('Recipes imported:', data.imported);
+      renderImportResults(data);
+      if (data.imported) await loadRecipes();
+    } else {
+      console.error('Failed to import recipes:', data);
+      alert('Importeren mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error importing recipes:', error);
+    alert('Connection error. Please try again.');
+  } finally {
+    importStartBtn.disabled = false;
+    importStartBtn.textContent = 'Importeren';
+  }
+});
+
+/**
+ * Show the summary and the result of every recipe in the file
+ * @param {object} data - Response of POST /api/recipes/import/bulk
+ */
+function renderImportResults(data) {
+  importSummary.textContent = `${data.imported} geïmporteerd, ${data.duplicates} al aanwezig, ${data.failed} mislukt`;
+  importSummary.classList.remove('hidden');
+
+  importResults.innerHTML = data.results.map(result => `
+    <li class="p-import-result ${result.status}">
+      <span class="p-import-title">${escapeHTML(result.title)}</span>
+      <span class="p-import-status">${IMPORT_STATUS_LABELS[result.status]}</span>
+      ${result.error ? `<span class="p-import-error small">${escapeHTML(result.error)}</span>` : ''}
+    </li>
+  `).join('');
+}
+
+/**
+ * ADD/EDIT RECIPE MODAL
+ */
+document.getElementById('cancelBtn').onclick = () => {
+  modal.classList.remove('show');
+  document.body.classList.remove('no-scroll');
+  resetModal();
+};
+
+modal.addEventListener('click', e => {
+  if (e.target === modal) {
+    modal.classList.remove('show');
+    document.body.classList.remove('no-scroll');
+    resetModal();
+  }
+});
+
+// Remove the uploaded photo of the recipe being edited
+document.getElementById('removeImageBtn').onclick = async () => {
+  if (!editingRecipeId) return;
+  if (await removeRecipeImage(editingRecipeId)) {
+    showCurrentImage(null);
+    await loadRecipes();
+  }
+};
+
+// Save or update recipe
+document.getElementById('saveBtn').onclick = async () => {
+  // Validate title (ONLY MANDATORY FIELD)
   if (!validateTitle()) {
     return;
   }
 
+  // A tag that was typed but not confirmed with Enter still counts
+  addEditTag(tagInput.value);
+
   const recipeData = {
     title: document.getElementById('title').value.trim(),
     time: document.getElementById('time').value || null,
     servings: parseInt(document.getElementById('servings').value) || 2,
-    category: document.getElementById('tag').value || null,
+    tags: editTags,
     source_url: document.getElementById('source').value || null,
     image_url: document.getElementById('image').value || null,
     ingredients: parseBulletedList(document.getElementById('ingredients').value),
@@ -536,16 +1138,24 @@ document.getElementById('saveBtn').onclick = async () => {
     notes: document.getElementById('notes').value.trim() || null
   };
 
-  let success;
+  let recipeId;
   if (editingRecipeId) {
     // Update existing recipe
-    success = await updateRecipe(editingRecipeId, recipeData);
+    recipeId = await updateRecipe(editingRecipeId, recipeData) ? editingRecipeId : null;
   } else {
     // Create new recipe
-    success = await createRecipe(recipeData);
+    recipeId = await createRecipe(recipeData);
+  }
+
+  // Upload the selected photo once the recipe exists
+  const imageFile = document.getElementById('imageFile').files[0];
+  if (recipeId && imageFile) {
+    await uploadRecipeImage(recipeId, imageFile);
   }
 
-  if (success) {
+  if (recipeId) {
+    await loadRecipes();
+
     // Close modal
     modal.classList.remove('show');
     document.body.classList.remove('no-scroll');
@@ -553,12 +1163,203 @@ document.getElementById('saveBtn').onclick = async () => {
   }
 };
 
+/**
+ * TAG EDITOR (add/edit modal)
+ * Enter or a comma turns the typed text into a tag, suggestions come from GET /api/tags?q=
+ */
+const tagInput = document.getElementById('tagInput');
+
+function renderEditTags() {
+  document.getElementById('tagEditorChips').innerHTML = editTags
+    .map((tag, index) => `
+      <span class="p-tag">
+        ${escapeHTML(tag)}
+        <button type="button" class="p-tag-remove" data-index="${index}" title="Tag verwijderen" aria-label="Tag verwijderen">×</button>
+      </span>
+    `)
+    .join('');
+}
+
+function addEditTag(text) {
+  for (const name of text.split(',').map(s => s.trim()).filter(Boolean)) {
+    if (!editTags.some(tag => tag.toLowerCase() === name.toLowerCase())) editTags.push(name);
+  }
+  tagInput.value = '';
+  renderEditTags();
+}
+
+/**
+ * Fill the autocomplete list with existing tags starting with the typed text
+ * GET /api/tags?q=prefix
+ */
+async function suggestTags() {
+  const q = tagInput.value.trim();
+  const datalist = document.getElementById('tagSuggestions');
+  if (!q) {
+    datalist.innerHTML = '';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/tags?${new URLSearchParams({ q, limit: 8 })}`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      datalist.innerHTML = data.tags
+        .filter(tag => !editTags.some(name => name.toLowerCase() === tag.name.toLowerCase()))
+        .map(tag => `<option value="${escapeAttr(tag.name)}"></option>`)
+        .join('');
+    }
+  } catch (error) {
+    console.error('Error loading tag suggestions:', error);
+  }
+}
+
+tagInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter' || e.key === ',') {
+    e.preventDefault();
+    addEditTag(tagInput.value);
+  } else if (e.key === 'Backspace' && !tagInput.value && editTags.length) {
+    editTags.pop();
+    renderEditTags();
+  }
+});
+
+tagInput.addEventListener('input', e => {
+  // Picking a suggestion inserts it without typing
+  if (!e.inputType || e.inputType === 'insertReplacementText') {
+    addEditTag(tagInput.value);
+    return;
+  }
+  clearTimeout(tagSuggestTimer);
+  tagSuggestTimer = setTimeout(suggestTags, 150);
+});
+
+document.getElementById('tagEditor').addEventListener('click', e => {
+  const removeBtn = e.target.closest('.p-tag-remove');
+  if (removeBtn) {
+    editTags.splice(Number(removeBtn.dataset.index), 1);
+    renderEditTags();
+  }
+  tagInput.focus();
+});
+
+/**
+ * MANAGE TAGS MODAL
+ * Rename, merge and delete tags across all recipes
+ */
+const tagsBackdrop = document.getElementById('tagsBackdrop');
+const tagList = document.getElementById('tagList');
+
+function renderTagList() {
+  tagList.innerHTML = allTags.length
+    ? allTags.map(tag => `
+        <li class="p-tag-row">
+          <input type="checkbox" data-id="${tag.id}" aria-label="Selecteer ${escapeAttr(tag.name)}"/>
+          <input class="input" value="${escapeAttr(tag.name)}" data-id="${tag.id}" maxlength="50" aria-label="Naam van de tag"/>
+          <span class="small">${tag.recipe_count} ${tag.recipe_count === 1 ? 'recept' : 'recepten'}</span>
+          <button class="p-icon-btn" data-delete="${tag.id}" title="Tag verwijderen" aria-label="Tag verwijderen">🗑️</button>
+        </li>
+      `).join('')
+    : "<li class='small'>Nog geen tags. Voeg tags toe bij het bewerken van een recept.</li>";
+}
+
+/**
+ * Send a tag change and reload tags and recipes
+ * PUT /api/tags/:id, POST /api/tags/merge, DELETE /api/tags/:id
+ */
+async function sendTagRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Tag request failed:', data);
+      alert('Tag bijwerken mislukt: ' + (data.errors?.[0]?.msg || data.message || data.error));
+    }
+
+    await loadRecipes();
+    renderTagList();
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+document.getElementById('manageTagsBtn').addEventListener('click', () => {
+  renderTagList();
+  tagsBackdrop.classList.add('show');
+  document.body.classList.add('no-scroll');
+});
+
+function closeTagsModal() {
+  tagsBackdrop.classList.remove('show');
+  document.body.classList.remove('no-scroll');
+}
+
+document.getElementById('tagsCloseBtn').addEventListener('click', closeTagsModal);
+tagsBackdrop.addEventListener('click', e => {
+  if (e.target === tagsBackdrop) closeTagsModal();
+});
+
+// Rename (renaming to an existing name merges the tags)
+tagList.addEventListener('change', e => {
+  if (!e.target.matches('input.input')) return;
+
+  const name = e.target.value.trim();
+  const tag = allTags.find(t => String(t.id) === e.target.dataset.id);
+  if (!tag || !name || name === tag.name) {
+    e.target.value = tag ? tag.name : '';
+    return;
+  }
+
+  const other = allTags.find(t => t.id !== tag.id && t.name.toLowerCase() === name.toLowerCase());
+  if (other && !confirm(`"${tag.name}" samenvoegen met "${other.name}"?`)) {
+    e.target.value = tag.name;
+    return;
+  }
+
+  sendTagRequest(`/api/tags/${tag.id}`, 'PUT', { name });
+});
+
+tagList.addEventListener('click', e => {
+  const deleteBtn = e.target.closest('[data-delete]');
+  if (!deleteBtn) return;
+
+  const tag = allTags.find(t => String(t.id) === deleteBtn.dataset.delete);
+  if (tag && confirm(`Tag "${tag.name}" verwijderen van ${tag.recipe_count} recept(en)? De recepten zelf blijven bestaan.`)) {
+    sendTagRequest(`/api/tags/${tag.id}`, 'DELETE');
+  }
+});
+
+document.getElementById('mergeTagsBtn').addEventListener('click', () => {
+  const tagIds = [...tagList.querySelectorAll('input[type="checkbox"]:checked')].map(input => Number(input.dataset.id));
+  if (tagIds.length < 2) {
+    alert('Kies minstens twee tags om samen te voegen.');
+    return;
+  }
+
+  const first = allTags.find(tag => tag.id === tagIds[0]);
+  const name = prompt('Naam van de samengevoegde tag:', first ? first.name : '');
+  if (name && name.trim()) {
+    sendTagRequest('/api/tags/merge', 'POST', { tagIds, name: name.trim() });
+  }
+});
+
 /**
  * RECIPE DETAIL MODAL
  */
 const gridEl = document.getElementById('grid');
 const detailBackdrop = document.getElementById('detailBackdrop');
 const detailModal = document.getElementById('detailModal');
+let detailServings = 2; // Servings currently shown in the detail modal
+let detailNutrition = null; // Nutrition estimate of the recipe in the detail modal
+let nutritionFoods = null; // Foods of the nutrient table, loaded when an ingredient is matched by hand
 
 // Delegate clicks inside the grid
 gridEl.addEventListener('click', (e) => {
@@ -575,7 +1376,7 @@ gridEl.addEventListener('click', (e) => {
   const cookBtn = e.target.closest('.p-icon-btn.cook');
   if (cookBtn) {
     const id = cookBtn.getAttribute('data-id');
-    const recipe = recipesList.find(r => r.id === id);
+    const recipe = findLoadedRecipe(id);
     
     // Validate recipe has ingredients and steps
     const hasIngredients = recipe.ingredients && recipe.ingredients.length > 0;
@@ -627,26 +1428,21 @@ gridEl.addEventListener('click', (e) => {
   if (!card) return;
 
   const id = card.getAttribute('data-id');
-  const recipe = recipesList.find(r => r.id === id);
+  const recipe = findLoadedRecipe(id);
   if (recipe) openRecipeDetail(recipe);
 });
 
 function openRecipeDetail(r) {
-  const hasImg = r.image_url && r.image_url.trim().length;
+  const imgSrc = recipeImageSrc(r, false);
   const ing = Array.isArray(r.ingredients) ? r.ingredients : [];
   const steps = Array.isArray(r.steps) ? r.steps : [];
-  const tagPart = r.category ? r.category + " • " : "";
-  const meta = `${tagPart}${r.time || "-"} • ${r.servings || "-"} p`;
+  const tagPart = r.tags.length ? escapeHTML(r.tags.join(", ")) + " • " : "";
+  const meta = `${tagPart}${escapeHTML(r.time || "-")} • ${r.servings || "-"} p`;
 
-  const ingredientsHTML =
-    ing.length
-      ? `<ul class="p-detail-list">${ing.map(x => `<li>${escapeHTML(x)}</li>`).join("")}</ul>`
-      : `<p class="small">Geen ingrediënten toegevoegd.</p>`;
+  const ingredientsHTML = detailIngredientsHTML(ing);
+  detailServings = r.servings || 2;
 
-  const stepsHTML =
-    steps.length
-      ? `<ol class="p-detail-list">${steps.map(x => `<li>${escapeHTML(x)}</li>`).join("")}</ol>`
-      : `<p class="small">Geen stappen toegevoegd.</p>`;
+  const stepsHTML = detailStepsHTML(steps);
 
   const notesHTML =
     (r.notes && r.notes.trim().length)
@@ -656,59 +1452,1060 @@ function openRecipeDetail(r) {
   detailModal.innerHTML = `
     <h2>${escapeHTML(r.title)}</h2>
     <div class="p-detail-content">
-      ${hasImg ? `<div class="p-detail-media"><img src="${r.image_url}" alt="${escapeAttr(r.title)}" onerror="this.remove()"></div>` : ""}
+      ${imgSrc ? `<div class="p-detail-media"><img src="${imgSrc}" alt="${escapeAttr(r.title)}" onerror="this.remove()"></div>` : ""}
       <div class="p-detail-meta">${meta}</div>
 
+      <div class="p-detail-rating">
+        <div class="p-star-input" id="detailStars" role="group" aria-label="Jouw beoordeling">
+          ${[1, 2, 3, 4, 5].map(n => `<button type="button" class="p-star" data-rating="${n}" title="${n} ${n === 1 ? "ster" : "sterren"}" aria-label="${n} ${n === 1 ? "ster" : "sterren"}">★</button>`).join("")}
+        </div>
+        <span class="small" id="detailRatingSummary"></span>
+      </div>
+
       <div class="p-detail-sections">
+        <section class="p-detail-section hidden" id="detailBoards">
+          <h3>Bewaren op borden</h3>
+          <ul class="p-board-list" id="detailBoardList"></ul>
+          <div class="p-share-row">
+            <input class="input" id="detailNewBoard" maxlength="50" placeholder="Nieuw bord, bv. Kerst" aria-label="Naam van een nieuw bord"/>
+            <button class="btn" id="detailNewBoardBtn">Aanmaken en bewaren</button>
+          </div>
+        </section>
+
+        <section class="p-detail-section hidden" id="detailShare">
+          <h3>Delen</h3>
+          <p class="small" id="detailShareStatus"></p>
+          <div class="p-share-row">
+            <select id="detailShareExpiry" class="input" aria-label="Geldigheid van de link">
+              <option value="">Link verloopt niet</option>
+              <option value="1">Geldig voor 1 dag</option>
+              <option value="7">Geldig voor 7 dagen</option>
+              <option value="30">Geldig voor 30 dagen</option>
+            </select>
+            <button class="btn primary" id="detailShareCreateBtn">Link maken</button>
+          </div>
+          <div class="p-share-row hidden" id="detailShareLink">
+            <input class="input" id="detailShareUrl" readonly aria-label="Deellink"/>
+            <button class="btn" id="detailShareCopyBtn">Kopiëren</button>
+            <button class="btn" id="detailUnshareBtn">Stop met delen</button>
+          </div>
+        </section>
+
+        <section class="p-detail-section hidden" id="detailHistory">
+          <h3>Geschiedenis</h3>
+          <div id="detailHistoryList"></div>
+        </section>
+
         <section class="p-detail-section">
-          <h3>Ingrediënten</h3>
-          ${ingredientsHTML}
+          <div class="p-detail-section-head">
+            <h3>Ingrediënten</h3>
+            ${ing.length ? `
+            <div class="p-servings-stepper">
+              <button class="p-icon-btn" id="detailServingsMinus" title="Minder porties" aria-label="Minder porties">−</button>
+              <span id="detailServingsValue">${detailServings} p</span>
+              <button class="p-icon-btn" id="detailServingsPlus" title="Meer porties" aria-label="Meer porties">+</button>
+            </div>` : ""}
+          </div>
+          <div id="detailIngredients">${ingredientsHTML}</div>
         </section>
 
+        ${ing.length ? `
+        <section class="p-detail-section">
+          <div class="p-detail-section-head">
+            <h3>Voedingswaarde</h3>
+            <span class="small">geschat</span>
+          </div>
+          <div id="detailNutrition"><p class="small">Berekenen…</p></div>
+        </section>` : ""}
+
         <section class="p-detail-section">
           <h3>Stappen</h3>
-          ${stepsHTML}
+          <div id="detailSteps">${stepsHTML}</div>
         </section>
 
         <section class="p-detail-section">
           <h3>Notities</h3>
           ${notesHTML}
         </section>
+
+        <section class="p-detail-section">
+          <h3>Mijn reviews</h3>
+          <div class="p-review-form">
+            <textarea class="input" id="detailReviewText" rows="2" maxlength="1000" placeholder="Bv. te zout, volgende keer minder" aria-label="Nieuwe review"></textarea>
+            <button class="btn primary" id="detailReviewAddBtn">Toevoegen</button>
+          </div>
+          <ul class="p-review-list" id="detailReviewList"></ul>
+        </section>
       </div>
     </div>
     <div class="p-modal-footer">
       <button class="btn" id="detailCloseBtn">Sluiten</button>
+      <button class="btn" id="detailBoardsBtn">📌 Bewaren</button>
+      ${r.can_edit ? `<button class="btn" id="detailShareBtn">📤 Delen</button>` : ""}
+      <button class="btn" id="detailHistoryBtn">🕘 Geschiedenis</button>
+      <button class="btn" id="detailPrintBtn">🖨️ Afdrukken</button>
+      ${ing.length ? `<button class="btn" id="detailShoppingBtn">🛒 Op boodschappenlijst</button>` : ""}
       ${r.source_url ? `<button class="btn primary" id="detailOpenSourceBtn">🔗 Open bron</button>` : ""}
     </div>
   `;
 
+  detailModal.querySelector('#detailServingsMinus')?.addEventListener('click', () => changeDetailServings(r, -1));
+  detailModal.querySelector('#detailServingsPlus')?.addEventListener('click', () => changeDetailServings(r, 1));
   detailModal.querySelector('#detailCloseBtn')?.addEventListener('click', closeRecipeDetail);
+  detailModal.querySelector('#detailShoppingBtn')?.addEventListener('click', () => addToShoppingList(r));
+  detailModal.querySelector('#detailShareBtn')?.addEventListener('click', () => openSharePanel(r));
+  detailModal.querySelector('#detailBoardsBtn').addEventListener('click', () => openBoardsPanel(r));
+  detailModal.querySelector('#detailBoardList').addEventListener('change', (e) => {
+    if (e.target.matches('[data-board]')) toggleBoardPin(r, e.target);
+  });
+  detailModal.querySelector('#detailNewBoardBtn').addEventListener('click', () => createBoardWithRecipe(r));
+  detailModal.querySelector('#detailHistoryBtn').addEventListener('click', () => openHistoryPanel(r));
+  detailModal.querySelector('#detailPrintBtn').addEventListener('click', () => {
+    // Print the servings shown in the detail view
+    window.open(`/recipes/${r.id}/print?servings=${detailServings}`, '_blank');
+  });
+  detailModal.querySelector('#detailHistoryList').addEventListener('click', (e) => {
+    const restoreBtn = e.target.closest('[data-restore]');
+    if (restoreBtn) restoreRevision(r, restoreBtn.dataset.restore);
+  });
+  detailModal.querySelector('#detailStars').addEventListener('click', (e) => {
+    const star = e.target.closest('[data-rating]');
+    if (star) rateRecipe(r, Number(star.dataset.rating));
+  });
+  detailModal.querySelector('#detailReviewAddBtn').addEventListener('click', () => addReview(r));
+  detailModal.querySelector('#detailReviewList').addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('[data-delete-review]');
+    if (deleteBtn) deleteReview(r, deleteBtn.dataset.deleteReview);
+  });
+  detailModal.querySelector('#detailNutrition')?.addEventListener('click', (e) => {
+    const saveBtn = e.target.closest('[data-nutrition-save], [data-nutrition-reset]');
+    if (saveBtn) saveNutritionMatch(r, saveBtn.closest('[data-index]'), saveBtn.matches('[data-nutrition-reset]'));
+  });
+  detailModal.querySelector('#detailShareCreateBtn').addEventListener('click', () => shareDetailRecipe(r));
+  detailModal.querySelector('#detailUnshareBtn').addEventListener('click', () => unshareDetailRecipe(r));
+  detailModal.querySelector('#detailShareCopyBtn').addEventListener('click', async () => {
+    const url = document.getElementById('detailShareUrl');
+    try {
+      await navigator.clipboard.writeText(url.value);
+    } catch {
+      url.select();
+    }
+  });
   detailModal.querySelector('#detailOpenSourceBtn')?.addEventListener('click', () => {
     if (r.source_url) window.open(r.source_url, '_blank', 'noopener');
   });
 
   detailBackdrop.classList.add('show');
   document.body.classList.add('no-scroll');
+
+  renderDetailRating(r);
+  loadReviews(r);
+  detailNutrition = null;
+  if (ing.length) loadNutrition(r);
+
+  // Show ingredients and temperatures in the preferred units
+  if (unitSystemSelect.value !== 'original') {
+    loadDetailRecipe(r, detailServings);
+  }
 }
 
-detailBackdrop.addEventListener('click', (e) => {
-  if (e.target === detailBackdrop) closeRecipeDetail();
-});
+/**
+ * Build the ingredient list of the detail modal
+ */
+function detailIngredientsHTML(ing) {
+  return ing.length
+    ? `<ul class="p-detail-list">${ing.map(x => `<li>${escapeHTML(x)}</li>`).join("")}</ul>`
+    : `<p class="small">Geen ingrediënten toegevoegd.</p>`;
+}
 
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape' && detailBackdrop.classList.contains('show')) {
-    closeRecipeDetail();
+/**
+ * Build the step list of the detail modal
+ */
+function detailStepsHTML(steps) {
+  return steps.length
+    ? `<ol class="p-detail-list">${steps.map(x => `<li>${escapeHTML(x)}</li>`).join("")}</ol>`
+    : `<p class="small">Geen stappen toegevoegd.</p>`;
+}
+
+/**
+ * Load ingredients and steps of the detail modal for a number of servings
+ * GET /api/recipes/:id?servings=N (converted to the user's preferred units)
+ * @returns {boolean} - True if the recipe was loaded
+ */
+async function loadDetailRecipe(r, servings) {
+  try {
+    const response = await fetch(`/api/recipes/${r.id}?servings=${servings}`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      document.getElementById('detailIngredients').innerHTML = detailIngredientsHTML(data.recipe.ingredients);
+      document.getElementById('detailSteps').innerHTML = detailStepsHTML(data.recipe.steps);
+      return true;
+    } else {
+      console.error('Failed to load recipe:', data);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error loading recipe:', error);
+    return false;
   }
-});
+}
 
-function closeRecipeDetail() {
-  detailBackdrop.classList.remove('show');
-  document.body.classList.remove('no-scroll');
+/**
+ * Change the number of servings in the detail modal
+ */
+async function changeDetailServings(r, delta) {
+  const servings = detailServings + delta;
+  if (servings < 1 || servings > 100) return;
+
+  if (await loadDetailRecipe(r, servings)) {
+    detailServings = servings;
+    document.getElementById('detailServingsValue').textContent = `${servings} p`;
+    renderNutrition(r);
+  }
 }
 
 /**
- * UTILITY FUNCTIONS
+ * Add the ingredients of a recipe (for the servings shown) to the shopping list
+ * POST /api/shopping-list/generate
+ */
+async function addToShoppingList(r) {
+  try {
+    const response = await fetch('/api/shopping-list/generate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recipeIds: [r.id], servings: detailServings })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      const button = document.getElementById('detailShoppingBtn');
+      if (button) {
+        button.textContent = '✓ Op boodschappenlijst';
+        button.disabled = true;
+      }
+    } else {
+      console.error('Failed to add to shopping list:', data);
+      alert('Toevoegen aan boodschappenlijst mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error adding to shopping list:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Show the user's stars and the average rating in the detail modal
+ */
+function renderDetailRating(r) {
+  document.querySelectorAll('#detailStars [data-rating]').forEach(star => {
+    const on = Number(star.dataset.rating) <= (r.my_rating || 0);
+    star.classList.toggle('on', on);
+    star.setAttribute('aria-pressed', String(Number(star.dataset.rating) === r.my_rating));
+  });
+
+  document.getElementById('detailRatingSummary').textContent = r.rating_count
+    ? `Gemiddeld ${formatRating(r.rating_average)} van 5 (${r.rating_count} ${r.rating_count === 1 ? 'beoordeling' : 'beoordelingen'})`
+    : 'Nog niet beoordeeld';
+}
+
+/**
+ * Rate a recipe; choosing the current rating again removes it
+ * PUT /api/recipes/:id/rating, DELETE /api/recipes/:id/rating
+ */
+async function rateRecipe(r, rating) {
+  const remove = rating === r.my_rating;
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/rating`, remove
+      ? { method: 'DELETE' }
+      : {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rating: rating })
+      });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      r.rating_average = data.rating_average;
+      r.rating_count = data.rating_count;
+      r.my_rating = data.my_rating;
+      renderDetailRating(r);
+      renderRecipes();
+    } else {
+      console.error('Failed to rate recipe:', data);
+      alert('Beoordelen mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error rating recipe:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Load the user's reviews of a recipe into the detail modal
+ * GET /api/recipes/:id/reviews
+ */
+async function loadReviews(r) {
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/reviews`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      renderReviews(data.reviews);
+    } else {
+      console.error('Failed to load reviews:', data);
+    }
+  } catch (error) {
+    console.error('Error loading reviews:', error);
+  }
+}
+
+function renderReviews(reviews) {
+  const list = document.getElementById('detailReviewList');
+  if (!list) return;
+
+  const date = unix => new Date(unix * 1000).toLocaleDateString('nl-BE', { day: 'numeric', month: 'long', year: 'numeric' });
+
+  list.innerHTML = reviews.length
+    ? reviews.map(review => `
+        <li class="p-review">
+          <div class="p-review-head">
+            <span class="small">${date(review.created_at)}</span>
+            <button class="p-icon-btn" data-delete-review="${review.id}" title="Review verwijderen" aria-label="Review verwijderen">🗑️</button>
+          </div>
+          <p class="p-review-text">${escapeHTML(review.text)}</p>
+        </li>`).join('')
+    : `<li class="small">Nog geen reviews. Noteer wat je de volgende keer anders doet.</li>`;
+}
+
+/**
+ * Add a review
+ * POST /api/recipes/:id/reviews
  */
+async function addReview(r) {
+  const textarea = document.getElementById('detailReviewText');
+  const text = textarea.value.trim();
+  if (!text) return;
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/reviews`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: text })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      textarea.value = '';
+      await loadReviews(r);
+    } else {
+      console.error('Failed to add review:', data);
+      alert('Review toevoegen mislukt: ' + (data.errors ? data.errors[0].msg : (data.message || data.error)));
+    }
+  } catch (error) {
+    console.error('Error adding review:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Delete a review
+ * DELETE /api/recipes/:id/reviews/:reviewId
+ */
+async function deleteReview(r, reviewId) {
+  if (!confirm('Deze review verwijderen?')) return;
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/reviews/${reviewId}`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      await loadReviews(r);
+    } else {
+      console.error('Failed to delete review:', data);
+    }
+  } catch (error) {
+    console.error('Error deleting review:', error);
+  }
+}
+
+// Nutrients of the estimate with their labels and units
+const NUTRIENT_LABELS = [
+  { key: 'kcal', label: 'Energie', unit: 'kcal' },
+  { key: 'protein', label: 'Eiwit', unit: 'g' },
+  { key: 'fat', label: 'Vet', unit: 'g' },
+  { key: 'carbs', label: 'Koolhydraten', unit: 'g' },
+  { key: 'fiber', label: 'Vezels', unit: 'g' }
+];
+
+// Why an ingredient is not counted (or counts as nothing)
+const NUTRITION_STATUS_LABELS = {
+  no_amount: 'geen hoeveelheid',
+  unknown_amount: 'hoeveelheid onbekend, vul grammen in',
+  unmatched: 'niet gevonden',
+  excluded: 'niet meegeteld'
+};
+
+/**
+ * Load the nutrition estimate into the detail modal
+ * GET /api/recipes/:id/nutrition
+ */
+async function loadNutrition(r) {
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/nutrition`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      detailNutrition = data.nutrition;
+      renderNutrition(r);
+    } else {
+      console.error('Failed to load nutrition:', data);
+    }
+  } catch (error) {
+    console.error('Error loading nutrition:', error);
+  }
+}
+
+/**
+ * Render the nutrition table (per serving and for the servings shown) and the ingredient matches
+ */
+function renderNutrition(r) {
+  const container = document.getElementById('detailNutrition');
+  if (!container || !detailNutrition) return;
+
+  const n = detailNutrition;
+  // The total follows the servings stepper; without servings only the whole recipe is known
+  const shown = n.per_serving
+    ? Object.fromEntries(NUTRIENT_LABELS.map(({ key }) => [key, n.per_serving[key] * detailServings]))
+    : n.total;
+  const amount = (value, unit) => `${unit === 'kcal' ? Math.round(value) : formatNutrient(value)} ${unit}`;
+
+  container.innerHTML = `
+    <table class="p-nutrition-table">
+      <thead>
+        <tr><th></th>${n.per_serving ? '<th>Per portie</th>' : ''}<th>${n.per_serving ? `Totaal (${detailServings} p)` : 'Heel recept'}</th></tr>
+      </thead>
+      <tbody>
+        ${NUTRIENT_LABELS.map(({ key, label, unit }) => `
+          <tr>
+            <th>${label}</th>
+            ${n.per_serving ? `<td>${amount(n.per_serving[key], unit)}</td>` : ''}
+            <td>${amount(shown[key], unit)}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    ${n.complete ? '' : `<p class="small p-nutrition-warning">Niet alle ingrediënten konden worden meegeteld, de echte waarden liggen hoger.</p>`}
+    <details class="p-nutrition-matches">
+      <summary class="small">Ingrediënten en gekoppelde voedingsmiddelen</summary>
+      <ul class="p-nutrition-list">${n.ingredients.map(item => nutritionIngredientHTML(r, item)).join('')}</ul>
+    </details>
+  `;
+
+  // The food list is only needed to change a match
+  if (r.can_edit && !nutritionFoods) {
+    container.querySelector('details').addEventListener('toggle', () => loadFoods(r), { once: true });
+  }
+}
+
+/**
+ * Generate HTML for one ingredient and its matched food
+ */
+function nutritionIngredientHTML(r, item) {
+  const status = item.status === 'counted'
+    ? `${formatNutrient(item.grams)} g`
+    : NUTRITION_STATUS_LABELS[item.status];
+
+  if (!r.can_edit) {
+    return `
+      <li class="p-nutrition-item">
+        <span>${escapeHTML(item.text)}</span>
+        <span class="small">${item.food ? escapeHTML(item.food.name) + ' · ' : ''}${escapeHTML(status)}</span>
+      </li>`;
+  }
+
+  const selected = item.status === 'excluded' ? '' : (item.food ? item.food.id : '');
+  const options = (nutritionFoods || (item.food ? [item.food] : []))
+    .map(food => `<option value="${escapeAttr(food.id)}" ${food.id === selected ? 'selected' : ''}>${escapeHTML(food.name)}</option>`)
+    .join('');
+
+  return `
+    <li class="p-nutrition-item" data-index="${item.index}">
+      <span>${escapeHTML(item.text)}</span>
+      <span class="small">${escapeHTML(status)}</span>
+      <div class="p-nutrition-edit">
+        <select class="input" data-nutrition-food aria-label="Voedingsmiddel">
+          <option value="" ${selected ? '' : 'selected'}>— niet meetellen —</option>
+          ${options}
+        </select>
+        <input class="input" type="number" min="0" step="any" data-nutrition-grams placeholder="gram"
+          value="${item.manual && item.status === 'counted' ? item.grams : ''}" aria-label="Gewicht in gram"/>
+        <button class="btn" data-nutrition-save>Opslaan</button>
+        ${item.manual ? `<button class="btn" data-nutrition-reset title="Terug naar de automatische koppeling">Automatisch</button>` : ''}
+      </div>
+    </li>`;
+}
+
+/**
+ * Load the foods of the nutrient table for the match selects
+ * GET /api/recipes/nutrition/foods
+ */
+async function loadFoods(r) {
+  try {
+    const response = await fetch('/api/recipes/nutrition/foods');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      nutritionFoods = data.foods;
+      const list = document.querySelector('#detailNutrition .p-nutrition-list');
+      if (list) list.innerHTML = detailNutrition.ingredients.map(item => nutritionIngredientHTML(r, item)).join('');
+    } else {
+      console.error('Failed to load foods:', data);
+    }
+  } catch (error) {
+    console.error('Error loading foods:', error);
+  }
+}
+
+/**
+ * Save the match of an ingredient, or go back to the automatic match
+ * PUT|DELETE /api/recipes/:id/nutrition/ingredients/:index
+ */
+async function saveNutritionMatch(r, row, reset) {
+  const url = `/api/recipes/${r.id}/nutrition/ingredients/${row.dataset.index}`;
+  const grams = row.querySelector('[data-nutrition-grams]').value;
+  const options = reset
+    ? { method: 'DELETE' }
+    : {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          foodId: row.querySelector('[data-nutrition-food]').value || null,
+          grams: grams === '' ? null : Number(grams)
+        })
+      };
+
+  try {
+    const response = await fetch(url, options);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      detailNutrition = data.nutrition;
+      renderNutrition(r);
+      document.querySelector('#detailNutrition details').open = true;
+    } else {
+      console.error('Failed to save nutrition match:', data);
+      alert('Koppeling opslaan mislukt: ' + (data.errors ? data.errors[0].msg : (data.message || data.error)));
+    }
+  } catch (error) {
+    console.error('Error saving nutrition match:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Format a nutrient amount with at most one decimal ("12,5")
+ */
+function formatNutrient(value) {
+  return (Math.round(value * 10) / 10).toLocaleString('nl-BE');
+}
+
+/**
+ * Show the boards panel of the detail modal: which boards the recipe is pinned to
+ * GET /api/favorites/boards?recipeId=...
+ */
+async function openBoardsPanel(r) {
+  const panel = document.getElementById('detailBoards');
+  panel.classList.remove('hidden');
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+  try {
+    const response = await fetch(`/api/favorites/boards?recipeId=${encodeURIComponent(r.id)}`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      renderBoardsPanel(data.boards);
+    } else {
+      console.error('Failed to load boards:', data);
+    }
+  } catch (error) {
+    console.error('Error loading boards:', error);
+  }
+}
+
+/**
+ * Render a checkbox per board, checked when the recipe is on it
+ */
+function renderBoardsPanel(boards) {
+  document.getElementById('detailBoardList').innerHTML = boards.map(board => `
+    <li>
+      <label class="p-board-option">
+        <input type="checkbox" data-board="${board.id}" ${board.is_default ? 'data-default="true"' : ''} ${board.has_recipe ? 'checked' : ''}>
+        <span>${board.is_default ? '❤️ ' : ''}${escapeHTML(board.name)}</span>
+        <span class="small">${board.recipe_count}</span>
+      </label>
+    </li>`).join('');
+}
+
+/**
+ * Pin the recipe to a board or take it off, as the checkbox says
+ * The default board is the favorites: it goes through the heart toggle so the cards follow
+ * POST /api/favorites/boards/:id/recipes, DELETE /api/favorites/boards/:id/recipes/:recipeId
+ */
+async function toggleBoardPin(r, checkbox) {
+  if (checkbox.dataset.default) {
+    await toggleFavorite(r.id);
+    await openBoardsPanel(r);
+    return;
+  }
+
+  const boardId = checkbox.dataset.board;
+
+  try {
+    const response = await fetch(checkbox.checked
+      ? `/api/favorites/boards/${boardId}/recipes`
+      : `/api/favorites/boards/${boardId}/recipes/${r.id}`, checkbox.checked
+      ? {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ recipeId: r.id })
+      }
+      : { method: 'DELETE' });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Failed to update board:', data);
+      alert('Bewaren mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error updating board:', error);
+    alert('Connection error. Please try again.');
+  }
+
+  await openBoardsPanel(r);
+}
+
+/**
+ * Create a board with the recipe on it
+ * POST /api/favorites/boards
+ */
+async function createBoardWithRecipe(r) {
+  const input = document.getElementById('detailNewBoard');
+  const name = input.value.trim();
+  if (!name) return;
+
+  try {
+    const response = await fetch('/api/favorites/boards', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name, recipeId: r.id })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      input.value = '';
+      await openBoardsPanel(r);
+    } else {
+      console.error('Failed to create board:', data);
+      alert('Bord aanmaken mislukt: ' + (data.errors ? data.errors[0].msg : (data.message || data.error)));
+    }
+  } catch (error) {
+    console.error('Error creating board:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Show the share panel of the detail modal with the current link
+ * GET /api/recipes/:id/share
+ */
+async function openSharePanel(r) {
+  const panel = document.getElementById('detailShare');
+  panel.classList.remove('hidden');
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/share`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      renderSharePanel(data.share);
+    } else {
+      console.error('Failed to load share link:', data);
+    }
+  } catch (error) {
+    console.error('Error loading share link:', error);
+  }
+}
+
+/**
+ * Show the share link (and until when it works), or that the recipe is not shared
+ */
+function renderSharePanel(share) {
+  const active = share && !share.expired;
+  const status = document.getElementById('detailShareStatus');
+
+  if (active) {
+    document.getElementById('detailShareUrl').value = `${window.location.origin}${share.share_url}`;
+    status.textContent = share.expires_at
+      ? `Iedereen met de link kan dit recept bekijken tot ${new Date(share.expires_at * 1000).toLocaleString('nl-BE')}.`
+      : 'Iedereen met de link kan dit recept bekijken.';
+  } else {
+    status.textContent = share ? 'De link is verlopen. Maak een nieuwe link om opnieuw te delen.' : 'Dit recept is niet gedeeld.';
+  }
+
+  document.getElementById('detailShareLink').classList.toggle('hidden', !active);
+  document.getElementById('detailShareCreateBtn').textContent = active ? 'Geldigheid bijwerken' : 'Link maken';
+}
+
+/**
+ * Create the share link (or change its expiry)
+ * POST /api/recipes/:id/share
+ */
+async function shareDetailRecipe(r) {
+  const days = document.getElementById('detailShareExpiry').value;
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/share`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ expiresInDays: days ? Number(days) : null })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      renderSharePanel(data);
+    } else {
+      console.error('Failed to share recipe:', data);
+      alert('Delen mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error sharing recipe:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Revoke the share link, the old link stops working
+ * DELETE /api/recipes/:id/share
+ */
+async function unshareDetailRecipe(r) {
+  if (!confirm('De gedeelde link werkt daarna niet meer. Doorgaan?')) return;
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/share`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      renderSharePanel(null);
+    } else {
+      console.error('Failed to stop sharing:', data);
+      alert('Stoppen met delen mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error stopping sharing:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * TRASH
+ * Deleted recipes stay in the trash for 30 days: restore them or delete them permanently
+ */
+const trashBackdrop = document.getElementById('trashBackdrop');
+const trashList = document.getElementById('trashList');
+const undoToast = document.getElementById('undoToast');
+let undoRecipeId = null;
+let undoTimer = null;
+
+/**
+ * Fetch and show the recipes in the trash
+ * GET /api/recipes/trash
+ */
+async function loadTrash() {
+  try {
+    const response = await fetch('/api/recipes/trash');
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      renderTrash(data.recipes);
+    } else {
+      console.error('Failed to load trash:', data);
+    }
+  } catch (error) {
+    console.error('Error loading trash:', error);
+  }
+}
+
+function renderTrash(recipes) {
+  const date = unix => new Date(unix * 1000).toLocaleDateString('nl-BE');
+
+  document.getElementById('emptyTrashBtn').disabled = !recipes.length;
+  trashList.innerHTML = recipes.length
+    ? recipes.map(r => `
+        <li class="p-trash-row">
+          <span class="p-trash-title">
+            ${escapeHTML(r.title)}
+            <span class="small">Verwijderd op ${date(r.deleted_at)}, definitief weg op ${date(r.purge_at)}</span>
+          </span>
+          <button class="btn" data-restore="${r.id}">Terugzetten</button>
+          <button class="p-icon-btn" data-purge="${r.id}" title="Definitief verwijderen" aria-label="Definitief verwijderen">🗑️</button>
+        </li>
+      `).join('')
+    : "<li class='small'>De prullenbak is leeg.</li>";
+}
+
+/**
+ * Restore a recipe from the trash
+ * POST /api/recipes/trash/:id/restore
+ * @returns {boolean} - True if restored
+ */
+async function restoreRecipe(id) {
+  try {
+    const response = await fetch(`/api/recipes/trash/${id}/restore`, { method: 'POST' });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      await loadRecipes();
+      return true;
+    } else {
+      console.error('Failed to restore recipe:', data);
+      alert('Terugzetten mislukt: ' + (data.message || data.error));
+      return false;
+    }
+  } catch (error) {
+    console.error('Error restoring recipe:', error);
+    alert('Connection error. Please try again.');
+    return false;
+  }
+}
+
+/**
+ * Permanently delete one recipe, or all recipes in the trash
+ * DELETE /api/recipes/trash/:id, DELETE /api/recipes/trash
+ */
+async function purgeTrash(id) {
+  try {
+    const response = await fetch(id ? `/api/recipes/trash/${id}` : '/api/recipes/trash', { method: 'DELETE' });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Failed to purge trash:', data);
+      alert('Definitief verwijderen mislukt: ' + (data.message || data.error));
+    }
+
+    await loadTrash();
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+/**
+ * Show the undo bar for a deleted recipe for a few seconds
+ */
+function showUndoToast(id, title) {
+  undoRecipeId = id;
+  document.getElementById('undoToastText').textContent = `"${title}" is naar de prullenbak verplaatst.`;
+  undoToast.classList.remove('hidden');
+
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(hideUndoToast, 8000);
+}
+
+function hideUndoToast() {
+  undoToast.classList.add('hidden');
+  undoRecipeId = null;
+}
+
+document.getElementById('undoBtn').addEventListener('click', async () => {
+  const id = undoRecipeId;
+  hideUndoToast();
+  if (id) await restoreRecipe(id);
+});
+
+document.getElementById('trashBtn').addEventListener('click', () => {
+  trashList.innerHTML = "<li class='small'>Laden…</li>";
+  trashBackdrop.classList.add('show');
+  document.body.classList.add('no-scroll');
+  loadTrash();
+});
+
+function closeTrashModal() {
+  trashBackdrop.classList.remove('show');
+  document.body.classList.remove('no-scroll');
+}
+
+document.getElementById('trashCloseBtn').addEventListener('click', closeTrashModal);
+trashBackdrop.addEventListener('click', e => {
+  if (e.target === trashBackdrop) closeTrashModal();
+});
+
+trashList.addEventListener('click', async e => {
+  const restoreBtn = e.target.closest('[data-restore]');
+  const purgeBtn = e.target.closest('[data-purge]');
+
+  if (restoreBtn && await restoreRecipe(restoreBtn.dataset.restore)) {
+    await loadTrash();
+  }
+  if (purgeBtn && confirm('Dit recept definitief verwijderen? Dit kan niet ongedaan gemaakt worden.')) {
+    purgeTrash(purgeBtn.dataset.purge);
+  }
+});
+
+document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+  if (confirm('Alle recepten in de prullenbak definitief verwijderen? Dit kan niet ongedaan gemaakt worden.')) {
+    purgeTrash(null);
+  }
+});
+
+/**
+ * VERSION HISTORY
+ * Earlier versions of a recipe with what each edit changed, and restoring them
+ */
+
+/**
+ * Open the history section of the detail modal and load the revisions
+ * GET /api/recipes/:id/revisions
+ */
+async function openHistoryPanel(r) {
+  const panel = document.getElementById('detailHistory');
+  const list = document.getElementById('detailHistoryList');
+  panel.classList.remove('hidden');
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  list.innerHTML = '<p class="small">Geschiedenis laden…</p>';
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/revisions`);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      list.innerHTML = data.revisions.length
+        ? data.revisions.map(revision => revisionHTML(revision, r.can_edit)).join('')
+        : '<p class="small">Dit recept is nog niet bewerkt.</p>';
+    } else {
+      console.error('Failed to load revisions:', data);
+      list.innerHTML = '<p class="small">Geschiedenis laden mislukt.</p>';
+    }
+  } catch (error) {
+    console.error('Error loading revisions:', error);
+  }
+}
+
+/**
+ * Build one entry of the version history: who changed what, and a restore button
+ */
+function revisionHTML(revision, canRestore) {
+  const date = new Date(revision.created_at * 1000).toLocaleString('nl-BE');
+  const editor = revision.edited_by_name ? ` door ${escapeHTML(revision.edited_by_name)}` : '';
+
+  return `
+    <div class="p-revision">
+      <div class="p-revision-head">
+        <span class="small">Bewerkt op ${date}${editor}</span>
+        ${canRestore ? `<button class="btn" data-restore="${revision.id}" title="Zet het recept terug naar de versie van vóór deze bewerking">Terugzetten</button>` : ''}
+      </div>
+      ${revision.changes.map(changeHTML).join('') || '<p class="small">Geen inhoudelijke wijzigingen.</p>'}
+    </div>
+  `;
+}
+
+/**
+ * Build the diff of one changed field
+ */
+function changeHTML(change) {
+  const label = `<strong>${FIELD_LABELS[change.field]}</strong>`;
+
+  if (change.type === 'lines') {
+    const lines = change.lines.map(line => {
+      const sign = line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' ';
+      return `<li class="p-diff-${line.type}"><span class="p-diff-sign">${sign}</span>${escapeHTML(line.text)}</li>`;
+    });
+    return `<div class="p-diff">${label}<ul class="p-diff-lines">${lines.join('')}</ul></div>`;
+  }
+
+  if (change.type === 'tags') {
+    const added = change.added.map(tag => `<ins>${escapeHTML(tag)}</ins>`);
+    const removed = change.removed.map(tag => `<del>${escapeHTML(tag)}</del>`);
+    return `<div class="p-diff">${label}: ${[...removed, ...added].join(' ')}</div>`;
+  }
+
+  const before = change.before === null ? '<em>leeg</em>' : `<del>${escapeHTML(change.before)}</del>`;
+  const after = change.after === null ? '<em>leeg</em>' : `<ins>${escapeHTML(change.after)}</ins>`;
+  return `<div class="p-diff">${label}: ${before} → ${after}</div>`;
+}
+
+/**
+ * Restore an earlier version and show it
+ * POST /api/recipes/:id/revisions/:revisionId/restore
+ */
+async function restoreRevision(r, revisionId) {
+  if (!confirm('Het recept terugzetten naar deze versie? De huidige versie blijft in de geschiedenis.')) return;
+
+  try {
+    const response = await fetch(`/api/recipes/${r.id}/revisions/${revisionId}/restore`, { method: 'POST' });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      await loadRecipes();
+      openRecipeDetail(data.recipe);
+      openHistoryPanel(data.recipe);
+    } else {
+      console.error('Failed to restore recipe:', data);
+      alert('Terugzetten mislukt: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error restoring recipe:', error);
+    alert('Connection error. Please try again.');
+  }
+}
+
+detailBackdrop.addEventListener('click', (e) => {
+  if (e.target === detailBackdrop) closeRecipeDetail();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && detailBackdrop.classList.contains('show')) {
+    closeRecipeDetail();
+  }
+});
+
+function closeRecipeDetail() {
+  detailBackdrop.classList.remove('show');
+  document.body.classList.remove('no-scroll');
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+
+/**
+ * Find a recipe in the loaded pages or the search results
+ */
+function findLoadedRecipe(id) {
+  return recipesList.find(r => r.id === id) || (searchResults || []).find(r => r.id === id);
+}
+
+/**
+ * Get the image to show for a recipe
+ * Uploaded images take precedence over image URLs
+ * @param {object} r - Recipe
+ * @param {boolean} thumbnail - Use the small WebP thumbnail (pin grid)
+ */
+function recipeImageSrc(r, thumbnail) {
+  if (r.image_path) {
+    return thumbnail
+      ? `/uploads/thumbs/${r.image_path.replace(/\.[^.]+$/, '')}.webp`
+      : `/uploads/${r.image_path}`;
+  }
+  return (r.image_url && r.image_url.trim().length) ? r.image_url : null;
+}
 function escapeHTML(s) {
   return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
 }
@@ -0,0 +1,43 @@
+/**
+ * Shared Recipe JavaScript
+ * Saves a copy of a shared recipe in the user's own recipes
+ * Uses Fetch API for all server communication
+ */
+
+const shareToken = document.body.dataset.shareToken;
+const saveSharedBtn = document.getElementById('saveSharedBtn');
+
+/**
+ * Save a copy of the shared recipe
+ * POST /api/recipes/shared/:token/save
+ */
+async function saveSharedRecipe() {
+  const msgEl = document.getElementById('saveSharedMsg');
+  saveSharedBtn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/recipes/shared/${encodeURIComponent(shareToken)}/save`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      saveSharedBtn.textContent = '✅ Bewaard';
+      msgEl.innerHTML = 'Het recept staat nu bij <a href="/recipes">je recepten</a>.';
+    } else {
+      console.error('Failed to save shared recipe:', data);
+      msgEl.textContent = 'Bewaren mislukt: ' + (data.message || data.error);
+      saveSharedBtn.disabled = false;
+    }
+  } catch (error) {
+    console.error('Error saving shared recipe:', error);
+    msgEl.textContent = 'Connection error. Please try again.';
+    saveSharedBtn.disabled = false;
+  }
+}
+
+// Only logged-in users get the save button
+if (saveSharedBtn) {
+  saveSharedBtn.addEventListener('click', saveSharedRecipe);
+}
@@ -0,0 +1,198 @@
+/**
+ * Shopping List JavaScript
+ * Shows the shopping list grouped by aisle, ticks items off and manages sharing
+ * The same page is used for shared lists (no login, only ticking off)
+ * Uses Fetch API for all server communication
+ */
+
+// Share token of a shared list, empty on the owner's own page
+const shareToken = document.body.dataset.shareToken;
+const apiBase = shareToken ? `/api/shopping-list/shared/${encodeURIComponent(shareToken)}` : '/api/shopping-list';
+
+// Global state
+let categories = [];
+let items = [];
+
+// DOM elements
+const shoppingList = document.getElementById('shoppingList');
+
+/**
+ * Fetch the shopping list
+ * GET /api/shopping-list (or /api/shopping-list/shared/:token)
+ */
+async function loadList() {
+  try {
+    const response = await fetch(apiBase);
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      categories = data.categories;
+      items = data.items;
+      renderList();
+      if (!shareToken) showShareLink(data.share_token);
+    } else {
+      console.error('Failed to load shopping list:', data);
+      shoppingList.innerHTML = `<p class="small">${escapeHTML(data.message || 'Boodschappenlijst niet gevonden.')}</p>`;
+    }
+  } catch (error) {
+    console.error('Error loading shopping list:', error);
+  }
+}
+
+/**
+ * Render the items grouped by aisle category
+ */
+function renderList() {
+  if (!items.length) {
+    shoppingList.innerHTML = "<p class='small'>De boodschappenlijst is leeg. Voeg recepten toe vanuit een recept of het weekmenu.</p>";
+    return;
+  }
+
+  shoppingList.innerHTML = categories
+    .map(category => {
+      const categoryItems = items.filter(item => item.category === category.key);
+      if (!categoryItems.length) return '';
+
+      return `
+        <section class="sl-category">
+          <h2>${escapeHTML(category.label)}</h2>
+          <ul class="sl-items">${categoryItems.map(itemHTML).join('')}</ul>
+        </section>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Generate HTML for a single item
+ */
+function itemHTML(item) {
+  const sources = item.recipes.length ? `<span class="sl-sources">${escapeHTML(item.recipes.join(', '))}</span>` : '';
+
+  return `
+    <li class="sl-item ${item.checked ? 'checked' : ''}">
+      <label>
+        <input type="checkbox" data-id="${item.id}" ${item.checked ? 'checked' : ''}/>
+        <span class="sl-text">${escapeHTML(item.text)}</span>
+        ${sources}
+      </label>
+      ${shareToken ? '' : `<button class="sl-remove" data-id="${item.id}" title="Verwijderen" aria-label="Verwijderen">×</button>`}
+    </li>
+  `;
+}
+
+/**
+ * Tick an item off (or back on)
+ * PUT /api/shopping-list/items/:id
+ */
+async function setChecked(itemId, checked) {
+  await sendRequest(`${apiBase}/items/${itemId}`, 'PUT', { checked });
+}
+
+/**
+ * Send a shopping list change and reload the list
+ */
+async function sendRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Shopping list request failed:', data);
+      alert('Boodschappenlijst bijwerken mislukt: ' + (data.message || data.error));
+    }
+
+    await loadList();
+    return data;
+  } catch (error) {
+    console.error('Error updating shopping list:', error);
+    alert('Connection error. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Show or hide the share link
+ */
+function showShareLink(token) {
+  const panel = document.getElementById('sharePanel');
+  if (token) {
+    document.getElementById('shareUrl').value = `${window.location.origin}/shopping-list/shared/${token}`;
+    panel.classList.remove('hidden');
+  } else {
+    panel.classList.add('hidden');
+  }
+}
+
+/**
+ * EVENT LISTENERS
+ */
+
+shoppingList.addEventListener('change', (e) => {
+  if (e.target.matches('input[type="checkbox"]')) {
+    setChecked(e.target.dataset.id, e.target.checked);
+  }
+});
+
+// Owner-only controls
+if (!shareToken) {
+  shoppingList.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.sl-remove');
+    if (removeBtn) sendRequest(`/api/shopping-list/items/${removeBtn.dataset.id}`, 'DELETE');
+  });
+
+  document.getElementById('addItemForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('newItem');
+    const text = input.value.trim();
+    if (!text) return;
+
+    const data = await sendRequest('/api/shopping-list/items', 'POST', { text });
+    if (data && data.success) input.value = '';
+    input.focus();
+  });
+
+  document.getElementById('clearCheckedBtn').addEventListener('click', () => {
+    sendRequest('/api/shopping-list/checked', 'DELETE');
+  });
+
+  document.getElementById('clearAllBtn').addEventListener('click', () => {
+    if (confirm('Weet je zeker dat je de hele lijst wilt leegmaken?')) {
+      sendRequest('/api/shopping-list', 'DELETE');
+    }
+  });
+
+  document.getElementById('shareBtn').addEventListener('click', () => {
+    sendRequest('/api/shopping-list/share', 'POST');
+  });
+
+  document.getElementById('unshareBtn').addEventListener('click', () => {
+    if (confirm('De gedeelde link werkt daarna niet meer. Doorgaan?')) {
+      sendRequest('/api/shopping-list/share', 'DELETE');
+    }
+  });
+
+  document.getElementById('copyShareBtn').addEventListener('click', async () => {
+    const url = document.getElementById('shareUrl');
+    try {
+      await navigator.clipboard.writeText(url.value);
+    } catch {
+      url.select();
+    }
+  });
+}
+
+// Initialize on page load
+loadList();
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
@@ -1,5 +1,5 @@
 import express from "express";
-import { register, login, logout, getCurrentUser } from "../controllers/authController.js";
+import { register, login, logout, getCurrentUser, updatePreferences } from "../controllers/authController.js";
 import { requireAuth } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -21,4 +21,7 @@ router.post("/logout", logout);
 // GET /api/auth/me - Get current user info (requires authentication)
 router.get("/me", requireAuth, getCurrentUser);
 
+// PUT /api/auth/preferences - Update preferences such as the unit system (requires authentication)
+router.put("/preferences", requireAuth, updatePreferences);
+
 export default router;
\ No newline at end of file
@@ -1,5 +1,19 @@
 import express from "express";
 import { toggleFavorite, getFavorites, getFavoriteRecipes } from "../controllers/favoriteController.js";
+import {
+  getBoards,
+  getBoard,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  reorderBoards,
+  pinRecipe,
+  unpinRecipe,
+  reorderBoardRecipes,
+  shareBoard,
+  unshareBoard,
+  getSharedBoard
+} from "../controllers/boardController.js";
 import { requireAuth } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -7,13 +21,17 @@ const router = express.Router();
 /**
  * Favorite Routes
  * Base path: /api/favorites
- * All routes require authentication
+ * Reading a shared board is public (the secret token is the authorization),
+ * all other routes require authentication
  */
 
-// Apply authentication middleware to all favorite routes
+// GET /api/favorites/boards/shared/:token - Get a shared board with its recipes
+router.get("/boards/shared/:token", getSharedBoard);
+
+// Apply authentication middleware to all routes below
 router.use(requireAuth);
 
-// POST /api/favorites/toggle - Toggle favorite status
+// POST /api/favorites/toggle - Toggle favorite status (on the default board)
 router.post("/toggle", toggleFavorite);
 
 // GET /api/favorites - Get favorite recipe IDs
@@ -22,4 +40,37 @@ router.get("/", getFavorites);
 // GET /api/favorites/recipes - Get favorite recipes with full details
 router.get("/recipes", getFavoriteRecipes);
 
-export default router;
\ No newline at end of file
+// GET /api/favorites/boards - Get all boards
+router.get("/boards", getBoards);
+
+// POST /api/favorites/boards - Create a board
+router.post("/boards", createBoard);
+
+// PUT /api/favorites/boards/order - Reorder the boards
+router.put("/boards/order", reorderBoards);
+
+// GET /api/favorites/boards/:id - Get a board with its recipes
+router.get("/boards/:id", getBoard);
+
+// PUT /api/favorites/boards/:id - Rename a board or choose its cover
+router.put("/boards/:id", updateBoard);
+
+// DELETE /api/favorites/boards/:id - Delete a board
+router.delete("/boards/:id", deleteBoard);
+
+// POST /api/favorites/boards/:id/recipes - Pin a recipe to a board
+router.post("/boards/:id/recipes", pinRecipe);
+
+// PUT /api/favorites/boards/:id/recipes/order - Reorder the recipes of a board
+router.put("/boards/:id/recipes/order", reorderBoardRecipes);
+
+// DELETE /api/favorites/boards/:id/recipes/:recipeId - Remove a recipe from a board
+router.delete("/boards/:id/recipes/:recipeId", unpinRecipe);
+
+// POST /api/favorites/boards/:id/share - Create the share link of a board
+router.post("/boards/:id/share", shareBoard);
+
+// DELETE /api/favorites/boards/:id/share - Revoke the share link of a board
+router.delete("/boards/:id/share", unshareBoard);
+
+export default router;
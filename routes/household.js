@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  getHousehold,
+  createHousehold,
+  renameHousehold,
+  inviteMember,
+  deleteInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+} from "../controllers/householdController.js";
+import { requireAuth, requireHouseholdRole } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Household Routes
+ * Base path: /api/household
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all household routes
+router.use(requireAuth);
+
+// GET /api/household - Get the user's household and the invitations waiting for them
+router.get("/", getHousehold);
+
+// POST /api/household - Create a household (the user becomes owner)
+router.post("/", createHousehold);
+
+// PUT /api/household - Rename the household (owner)
+router.put("/", requireHouseholdRole("owner"), renameHousehold);
+
+// POST /api/household/invitations - Invite someone by email address (owner)
+router.post("/invitations", requireHouseholdRole("owner"), inviteMember);
+
+// DELETE /api/household/invitations/:id - Withdraw an invitation (owner)
+router.delete("/invitations/:id", requireHouseholdRole("owner"), deleteInvitation);
+
+// POST /api/household/invitations/:id/accept - Join a household
+router.post("/invitations/:id/accept", acceptInvitation);
+
+// POST /api/household/invitations/:id/decline - Decline an invitation
+router.post("/invitations/:id/decline", declineInvitation);
+
+// PUT /api/household/members/:userId - Change a member's role (owner)
+router.put("/members/:userId", requireHouseholdRole("owner"), updateMemberRole);
+
+// DELETE /api/household/members/:userId - Remove a member (owner) or leave (yourself)
+router.delete("/members/:userId", requireHouseholdRole("owner", "editor", "viewer"), removeMember);
+
+export default router;
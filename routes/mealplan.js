@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  getMealPlan,
+  addMealPlanEntry,
+  updateMealPlanEntry,
+  copyMealPlanEntry,
+  deleteMealPlanEntry
+} from "../controllers/mealPlanController.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Meal Plan Routes
+ * Base path: /api/mealplan
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all meal plan routes
+router.use(requireAuth);
+
+// GET /api/mealplan?start=YYYY-MM-DD&days=7 - Get planned meals (default: current week)
+router.get("/", getMealPlan);
+
+// POST /api/mealplan - Schedule a recipe on a date and slot
+router.post("/", addMealPlanEntry);
+
+// PUT /api/mealplan/:id - Move an entry or change its servings
+router.put("/:id", updateMealPlanEntry);
+
+// POST /api/mealplan/:id/copy - Copy an entry to another date/slot
+router.post("/:id/copy", copyMealPlanEntry);
+
+// DELETE /api/mealplan/:id - Remove an entry
+router.delete("/:id", deleteMealPlanEntry);
+
+export default router;
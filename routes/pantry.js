@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  getPantry,
+  addPantryItem,
+  updatePantryItem,
+  deletePantryItem,
+  clearExpiredItems,
+  getPantryMatches,
+  addMissingToShoppingList
+} from "../controllers/pantryController.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Pantry Routes
+ * Base path: /api/pantry
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all pantry routes
+router.use(requireAuth);
+
+// GET /api/pantry - Get the pantry of the current user
+router.get("/", getPantry);
+
+// POST /api/pantry/items - Add an item
+router.post("/items", addPantryItem);
+
+// PUT /api/pantry/items/:id - Change an item or its expiry date
+router.put("/items/:id", updatePantryItem);
+
+// DELETE /api/pantry/items/:id - Remove an item
+router.delete("/items/:id", deletePantryItem);
+
+// DELETE /api/pantry/expired - Remove expired items
+router.delete("/expired", clearExpiredItems);
+
+// GET /api/pantry/matches?limit=N&maxMissing=N - Recipes ranked by ingredients in stock
+router.get("/matches", getPantryMatches);
+
+// POST /api/pantry/missing - Add ingredients that are not in stock to the shopping list
+router.post("/missing", addMissingToShoppingList);
+
+export default router;
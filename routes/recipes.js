@@ -5,27 +5,103 @@ import {
   createRecipe, 
   updateRecipe, 
   deleteRecipe,
-  searchRecipes 
+  getTrash,
+  restoreRecipe,
+  purgeRecipe,
+  emptyTrash,
+  searchRecipes,
+  importRecipe,
+  uploadRecipeImage,
+  deleteRecipeImage
 } from "../controllers/recipeController.js";
+import {
+  getRecipeShare,
+  shareRecipe,
+  unshareRecipe,
+  getSharedRecipe,
+  saveSharedRecipe
+} from "../controllers/recipeShareController.js";
+import {
+  getRecipeRevisions,
+  restoreRecipeRevision
+} from "../controllers/recipeRevisionController.js";
+import {
+  getCookingSession,
+  startCookingSession,
+  updateCookingSession,
+  completeCookingSession,
+  discardCookingSession
+} from "../controllers/cookingSessionController.js";
+import {
+  setRecipeRating,
+  removeRecipeRating,
+  getRecipeReviews,
+  addRecipeReview,
+  updateRecipeReview,
+  deleteRecipeReview
+} from "../controllers/recipeReviewController.js";
+import {
+  getFoods,
+  getRecipeNutrition,
+  setNutritionMatch,
+  resetNutritionMatch
+} from "../controllers/recipeNutritionController.js";
+import { exportRecipes, exportCookbookPdf } from "../controllers/recipeExportController.js";
+import { bulkImportRecipes } from "../controllers/recipeImportController.js";
 import { requireAuth } from "../middleware/auth.js";
+import { uploadImage, uploadImportFile } from "../middleware/upload.js";
 
 const router = express.Router();
 
 /**
  * Recipe Routes
  * Base path: /api/recipes
- * All routes require authentication
+ * Reading a shared recipe is public (the secret token is the authorization),
+ * all other routes require authentication
  */
 
-// Apply authentication middleware to all recipe routes
+// GET /api/recipes/shared/:token - Get a shared recipe
+router.get("/shared/:token", getSharedRecipe);
+
+// Apply authentication middleware to all routes below
 router.use(requireAuth);
 
+// POST /api/recipes/shared/:token/save - Save a copy of a shared recipe
+router.post("/shared/:token/save", saveSharedRecipe);
+
 // GET /api/recipes - Get all recipes for current user
 router.get("/", getAllRecipes);
 
 // GET /api/recipes/search?q=query - Search recipes
 router.get("/search", searchRecipes);
 
+// POST /api/recipes/import - Import a recipe from a URL
+router.post("/import", importRecipe);
+
+// POST /api/recipes/import/bulk - Import all recipes of an export file (multipart field "file")
+router.post("/import/bulk", uploadImportFile, bulkImportRecipes);
+
+// GET /api/recipes/export?format=json|markdown|zip - Download all own recipes
+router.get("/export", exportRecipes);
+
+// GET /api/recipes/export/pdf - Download a selection of recipes as a PDF cookbook
+router.get("/export/pdf", exportCookbookPdf);
+
+// GET /api/recipes/trash - Get the recipes in the trash
+router.get("/trash", getTrash);
+
+// DELETE /api/recipes/trash - Empty the trash (permanently)
+router.delete("/trash", emptyTrash);
+
+// POST /api/recipes/trash/:id/restore - Restore a recipe from the trash
+router.post("/trash/:id/restore", restoreRecipe);
+
+// DELETE /api/recipes/trash/:id - Permanently delete a recipe from the trash
+router.delete("/trash/:id", purgeRecipe);
+
+// GET /api/recipes/nutrition/foods - Get the foods of the nutrient table
+router.get("/nutrition/foods", getFoods);
+
 // GET /api/recipes/:id - Get single recipe by ID
 router.get("/:id", getRecipeById);
 
@@ -35,7 +111,70 @@ router.post("/", createRecipe);
 // PUT /api/recipes/:id - Update existing recipe
 router.put("/:id", updateRecipe);
 
-// DELETE /api/recipes/:id - Delete recipe
+// DELETE /api/recipes/:id - Delete recipe (moves it to the trash)
 router.delete("/:id", deleteRecipe);
 
+// POST /api/recipes/:id/image - Upload recipe image (multipart field "image")
+router.post("/:id/image", uploadImage, uploadRecipeImage);
+
+// DELETE /api/recipes/:id/image - Remove uploaded recipe image
+router.delete("/:id/image", deleteRecipeImage);
+
+// GET /api/recipes/:id/share - Get the share link of a recipe
+router.get("/:id/share", getRecipeShare);
+
+// POST /api/recipes/:id/share - Share a recipe (optional expiresInDays)
+router.post("/:id/share", shareRecipe);
+
+// DELETE /api/recipes/:id/share - Revoke the share link
+router.delete("/:id/share", unshareRecipe);
+
+// GET /api/recipes/:id/revisions - Get the version history of a recipe
+router.get("/:id/revisions", getRecipeRevisions);
+
+// POST /api/recipes/:id/revisions/:revisionId/restore - Restore an earlier version
+router.post("/:id/revisions/:revisionId/restore", restoreRecipeRevision);
+
+// PUT /api/recipes/:id/rating - Rate a recipe (1-5 stars)
+router.put("/:id/rating", setRecipeRating);
+
+// DELETE /api/recipes/:id/rating - Remove your rating
+router.delete("/:id/rating", removeRecipeRating);
+
+// GET /api/recipes/:id/reviews - Get your reviews of a recipe
+router.get("/:id/reviews", getRecipeReviews);
+
+// POST /api/recipes/:id/reviews - Add a review
+router.post("/:id/reviews", addRecipeReview);
+
+// PUT /api/recipes/:id/reviews/:reviewId - Change a review
+router.put("/:id/reviews/:reviewId", updateRecipeReview);
+
+// DELETE /api/recipes/:id/reviews/:reviewId - Delete a review
+router.delete("/:id/reviews/:reviewId", deleteRecipeReview);
+
+// GET /api/recipes/:id/nutrition - Get the nutrition estimate (total and per serving)
+router.get("/:id/nutrition", getRecipeNutrition);
+
+// PUT /api/recipes/:id/nutrition/ingredients/:index - Match an ingredient to a food by hand
+router.put("/:id/nutrition/ingredients/:index", setNutritionMatch);
+
+// DELETE /api/recipes/:id/nutrition/ingredients/:index - Go back to the automatic match
+router.delete("/:id/nutrition/ingredients/:index", resetNutritionMatch);
+
+// GET /api/recipes/:id/cooking-session - Get the unfinished cooking session and the cooking history
+router.get("/:id/cooking-session", getCookingSession);
+
+// POST /api/recipes/:id/cooking-session - Start cooking (replaces an unfinished session)
+router.post("/:id/cooking-session", startCookingSession);
+
+// PUT /api/recipes/:id/cooking-session - Save the current step and servings
+router.put("/:id/cooking-session", updateCookingSession);
+
+// POST /api/recipes/:id/cooking-session/complete - Finish cooking: the recipe counts as cooked
+router.post("/:id/cooking-session/complete", completeCookingSession);
+
+// DELETE /api/recipes/:id/cooking-session - Stop cooking without counting it
+router.delete("/:id/cooking-session", discardCookingSession);
+
 export default router;
\ No newline at end of file
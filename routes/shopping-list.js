@@ -0,0 +1,62 @@
+import express from "express";
+import {
+  getShoppingList,
+  generateShoppingList,
+  addShoppingListItem,
+  updateShoppingListItem,
+  deleteShoppingListItem,
+  clearCheckedItems,
+  clearShoppingList,
+  shareShoppingList,
+  unshareShoppingList,
+  getSharedShoppingList,
+  updateSharedShoppingListItem
+} from "../controllers/shoppingListController.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Shopping List Routes
+ * Base path: /api/shopping-list
+ * Shared list routes are public (the secret token is the authorization),
+ * all other routes require authentication
+ */
+
+// GET /api/shopping-list/shared/:token - Get a shared list
+router.get("/shared/:token", getSharedShoppingList);
+
+// PUT /api/shopping-list/shared/:token/items/:id - Tick an item off on a shared list
+router.put("/shared/:token/items/:id", updateSharedShoppingListItem);
+
+// Apply authentication middleware to all routes below
+router.use(requireAuth);
+
+// GET /api/shopping-list - Get the shopping list of the current user
+router.get("/", getShoppingList);
+
+// POST /api/shopping-list/generate - Add ingredients of recipes or planned meals
+router.post("/generate", generateShoppingList);
+
+// POST /api/shopping-list/items - Add a manual item
+router.post("/items", addShoppingListItem);
+
+// PUT /api/shopping-list/items/:id - Tick an item off (or back on)
+router.put("/items/:id", updateShoppingListItem);
+
+// DELETE /api/shopping-list/items/:id - Remove an item
+router.delete("/items/:id", deleteShoppingListItem);
+
+// DELETE /api/shopping-list/checked - Remove ticked items
+router.delete("/checked", clearCheckedItems);
+
+// DELETE /api/shopping-list - Empty the list
+router.delete("/", clearShoppingList);
+
+// POST /api/shopping-list/share - Create a share link
+router.post("/share", shareShoppingList);
+
+// DELETE /api/shopping-list/share - Revoke the share link
+router.delete("/share", unshareShoppingList);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  getTags,
+  renameTag,
+  mergeTags,
+  deleteTag
+} from "../controllers/tagController.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Tag Routes
+ * Base path: /api/tags
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all tag routes
+router.use(requireAuth);
+
+// GET /api/tags?q=prefix - Get tags with recipe counts (autocomplete with q)
+router.get("/", getTags);
+
+// POST /api/tags/merge - Merge several tags into one
+router.post("/merge", mergeTags);
+
+// PUT /api/tags/:id - Rename a tag (merges with an existing tag of that name)
+router.put("/:id", renameTag);
+
+// DELETE /api/tags/:id - Delete a tag from all recipes
+router.delete("/:id", deleteTag);
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * Aisles Service
+ * Sorts ingredients into supermarket aisle categories for the shopping list
+ *
+ * Categories are listed in the order a typical (Belgian/Dutch) supermarket is walked through.
+ * Keywords are matched like densities in the unit converter: single words also match
+ * Dutch compounds ("kippenfilet" → "filet"), and the longest matching keyword wins
+ * ("kokosmelk" is canned food, not dairy).
+ */
+export const AISLES = [
+  {
+    key: "produce",
+    label: "Groenten & fruit",
+    keywords: [
+      "aardappel", "aardappelen", "ui", "uien", "sjalot", "sjalotten", "knoflook", "prei", "wortel", "wortelen", "wortels",
+      "tomaat", "tomaten", "paprika", "paprika's", "courgette", "aubergine", "komkommer", "sla", "spinazie", "rucola",
+      "kool", "bloemkool", "broccoli", "spruitjes", "witloof", "selder", "selderij", "venkel", "champignon", "champignons",
+      "paddenstoelen", "boon", "bonen", "erwten", "mais", "maïs", "avocado", "citroen", "citroenen", "limoen", "appel",
+      "appels", "peer", "peren", "banaan", "bananen", "sinaasappel", "aardbeien", "frambozen", "bessen", "druiven",
+      "citroensap", "limoensap", "gember", "peterselie", "koriander", "basilicum", "bieslook", "munt", "dille", "lente-ui",
+      "lenteui", "pompoen", "biet", "bietjes", "radijs", "asperges", "potato", "onion", "garlic", "carrot", "tomato",
+      "lemon", "lime", "apple", "banana", "spinach", "lettuce", "mushroom", "mushrooms", "ginger", "parsley", "cilantro",
+      "basil", "bell pepper"
+    ]
+  },
+  {
+    key: "bakery",
+    label: "Brood & bakkerij",
+    keywords: [
+      "brood", "stokbrood", "pistolets", "wraps", "tortilla", "tortilla's", "pitabroodjes", "croissants", "bread", "buns"
+    ]
+  },
+  {
+    key: "meat_fish",
+    label: "Vlees & vis",
+    keywords: [
+      "kip", "kippenfilet", "kippenbouten", "filet", "gehakt", "rundvlees", "varkensvlees", "lamsvlees", "spek", "spekjes",
+      "ham", "worst", "worsten", "chorizo", "biefstuk", "steak", "vis", "zalm", "kabeljauw", "tonijn", "garnalen",
+      "mosselen", "scampi", "chicken", "beef", "pork", "bacon", "sausage", "salmon", "shrimp", "fish"
+    ]
+  },
+  {
+    key: "dairy",
+    label: "Zuivel & eieren",
+    keywords: [
+      "melk", "room", "kookroom", "slagroom", "boter", "roomboter", "yoghurt", "kwark", "kaas", "parmezaan", "mozzarella",
+      "feta", "ricotta", "mascarpone", "crème fraîche", "creme fraiche", "ei", "eieren", "eidooier", "eidooiers", "eiwit",
+      "milk", "cream", "butter", "cheese", "egg", "eggs", "yogurt"
+    ]
+  },
+  {
+    key: "pantry",
+    label: "Voorraadkast",
+    keywords: [
+      "bloem", "meel", "zelfrijzend", "suiker", "basterdsuiker", "poedersuiker", "bakpoeder", "gist", "rijst", "pasta",
+      "spaghetti", "penne", "macaroni", "lasagnebladen", "noedels", "couscous", "bulgur", "quinoa", "havermout", "olie",
+      "olijfolie", "azijn", "balsamico", "bouillon", "bouillonblokje", "sojasaus", "ketjap", "mosterd", "mayonaise",
+      "ketchup", "pindakaas", "honing", "siroop", "chocolade", "cacao", "noten", "amandelen", "walnoten", "pinda's",
+      "rozijnen", "paneermeel", "maizena", "vanille", "vanillesuiker", "flour", "sugar", "rice", "oil", "vinegar", "stock",
+      "honey"
+    ]
+  },
+  {
+    key: "spices",
+    label: "Kruiden & specerijen",
+    keywords: [
+      "zout", "peper", "paprikapoeder", "komijn", "kaneel", "nootmuskaat", "kerrie", "currypoeder", "kurkuma", "oregano",
+      "tijm", "rozemarijn", "laurier", "laurierblad", "laurierblaadjes", "chilipoeder", "chilivlokken", "kruidnagel",
+      "salt", "pepper", "cumin", "cinnamon", "nutmeg", "thyme", "rosemary"
+    ]
+  },
+  {
+    key: "canned",
+    label: "Conserven & sauzen",
+    keywords: [
+      "tomatenpuree", "passata", "tomatenblokjes", "kokosmelk", "kikkererwten", "linzen", "kidneybonen", "olijven",
+      "kappertjes", "augurken", "pesto", "currypasta", "tomatensaus", "puree"
+    ]
+  },
+  {
+    key: "frozen",
+    label: "Diepvries",
+    keywords: ["diepvries", "diepvriesgroenten", "bladerdeeg", "ijs", "frozen"]
+  },
+  {
+    key: "drinks",
+    label: "Dranken",
+    keywords: ["wijn", "witte wijn", "rode wijn", "bier", "sap", "water", "bruiswater", "wine", "beer", "juice"]
+  },
+  {
+    key: "other",
+    label: "Overige",
+    keywords: []
+  }
+];
+
+// Keyword lookup, longest keywords first
+const KEYWORDS = AISLES
+  .flatMap(aisle => aisle.keywords.map(keyword => ({ keyword, key: aisle.key })))
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+/**
+ * Find the aisle category of an ingredient
+ * @param {string} name - Ingredient name ("kippenfilet", "verse basilicum")
+ * @returns {string} - Category key, "other" if no keyword matches
+ */
+export function categorize(name) {
+  const lower = String(name || "").toLowerCase();
+  const words = lower.split(/[^\p{L}'-]+/u).filter(Boolean);
+
+  const match = KEYWORDS.find(({ keyword }) =>
+    keyword.includes(" ")
+      ? lower.includes(keyword)
+      : words.some(word => word === keyword || word.endsWith(keyword))
+  );
+
+  return match ? match.key : "other";
+}
@@ -0,0 +1,35 @@
+/**
+ * Cursor Service
+ * Opaque cursors for keyset pagination
+ *
+ * A cursor holds the sort value and id of the last item of a page, so the next page
+ * starts right after it, even when recipes are added or removed in the meantime
+ */
+
+/**
+ * Create a cursor
+ * @param {string|number|null} value - Sort value of the last item
+ * @param {string} id - ID of the last item (tie-breaker)
+ * @returns {string} - URL-safe cursor
+ */
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+/**
+ * Read a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {object|null} - { value, id }, or null if the cursor is invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Array.isArray(decoded) || decoded.length !== 2 || typeof decoded[1] !== "string") return null;
+
+    const [value, id] = decoded;
+    if (value !== null && typeof value !== "string" && typeof value !== "number") return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Duration Service
+ * Reads the free-text cooking time of a recipe ("20 min", "1 u 30 min", "1,5 uur", "PT45M")
+ * as a number of minutes, so recipes can be filtered and sorted by time,
+ * and writes minutes back in the app's time format ("1 u 30 min")
+ */
+
+// Unit words and their length in minutes
+const DURATION_UNITS = [
+  { pattern: /^(?:d|dag|dagen|day|days)$/, minutes: 1440 },
+  { pattern: /^(?:u|uur|uren|h|hr|hrs|hour|hours)$/, minutes: 60 },
+  { pattern: /^(?:m|min|mins|minuut|minuten|minute|minutes)$/, minutes: 1 },
+  { pattern: /^(?:s|sec|secs|seconde|seconden|second|seconds)$/, minutes: 1 / 60 }
+];
+
+/**
+ * Parse a cooking time to minutes
+ * A number without a unit is read as minutes ("45")
+ * Ranges count with the upper end ("20-30 min" → 30)
+ * @param {string|null} text - Time as entered or imported
+ * @returns {number|null} - Minutes (rounded up), or null if the text holds no duration
+ */
+export function parseMinutes(text) {
+  if (!text || typeof text !== "string") return null;
+  const value = text.trim().toLowerCase();
+
+  // ISO 8601 ("PT1H30M"), as found in imported schema.org data
+  const iso = value.match(/^p(?:(\d+)d)?(?:t(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?)?$/);
+  if (iso) {
+    const [, days, hours, minutes] = iso;
+    const total = (Number(days) || 0) * 1440 + (Number(hours) || 0) * 60 + (Number(minutes) || 0);
+    return total || null;
+  }
+
+  // "1 u 30 min", "1,5 uur", "1h30", "20-30 min", "90"
+  const parts = [...value.matchAll(/(\d+(?:[.,]\d+)?)(?:\s*[-–]\s*(\d+(?:[.,]\d+)?))?\s*([a-z]*)/g)];
+  if (!parts.length) return null;
+
+  let total = 0;
+  let previousUnit = null;
+  for (const [, from, to, unitWord] of parts) {
+    const amount = Number((to || from).replace(",", "."));
+    let unit = DURATION_UNITS.find(candidate => candidate.pattern.test(unitWord));
+
+    // "1h30": a bare number after hours means minutes
+    if (!unit && previousUnit && previousUnit.minutes === 60) unit = DURATION_UNITS[2];
+    if (!unit && unitWord) continue;
+
+    total += amount * (unit ? unit.minutes : 1);
+    previousUnit = unit;
+  }
+
+  return total > 0 ? Math.ceil(total) : null;
+}
+
+/**
+ * Format a number of minutes in the app's time format ("45 min", "2 u", "1 u 30 min")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string|null} - Formatted time, or null for zero or invalid durations
+ */
+export function formatMinutes(minutes) {
+  const total = Math.round(Number(minutes));
+  if (!Number.isFinite(total) || total <= 0) return null;
+
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  if (h && m) return `${h} u ${m} min`;
+  if (h) return `${h} u`;
+  return `${m} min`;
+}
@@ -0,0 +1,178 @@
+/**
+ * Foods Service
+ * Offline nutrient table of common kitchen ingredients, a subset of the Dutch NEVO and USDA
+ * FoodData Central tables (rounded values for raw or as-sold products)
+ *
+ * Every food has:
+ * - id: stable key (stored in manual ingredient matches, never change it)
+ * - name: Dutch display name
+ * - names: names recognised in ingredient lines (lowercase); more specific foods come first
+ *   ("kokosmelk" before "melk", "pindakaas" before "kaas")
+ * - kcal, protein, fat, carbs, fiber: per 100 g
+ * - density: grams per millilitre, to count "250 ml melk" or "2 el olie" (default 1)
+ * - piece: grams of one piece, clove or slice ("2 uien", "3 teentjes knoflook")
+ * - can: grams in a can, when it differs from a 400 g can ("1 blik tonijn")
+ */
+export const FOODS = [
+  // Grains, bread and dough
+  { id: "wholemeal_flour", name: "Volkorenmeel", names: ["volkorenmeel", "volkorenbloem", "whole wheat flour"], kcal: 340, protein: 13, fat: 2.5, carbs: 61, fiber: 10, density: 0.51 },
+  { id: "cornstarch", name: "Maizena", names: ["maizena", "maïzena", "maïszetmeel", "cornstarch", "corn starch"], kcal: 381, protein: 0.3, fat: 0.1, carbs: 91, fiber: 0.9, density: 0.54 },
+  { id: "breadcrumbs", name: "Paneermeel", names: ["paneermeel", "panko", "breadcrumbs", "bread crumbs"], kcal: 395, protein: 13, fat: 5, carbs: 72, fiber: 4.5, density: 0.46 },
+  { id: "flour", name: "Tarwebloem", names: ["tarwebloem", "bloem", "meel", "flour"], kcal: 350, protein: 10, fat: 1.2, carbs: 72, fiber: 3, density: 0.53 },
+  { id: "rice", name: "Rijst (ongekookt)", names: ["rijst", "rice"], kcal: 360, protein: 7, fat: 0.6, carbs: 79, fiber: 1.3, density: 0.78 },
+  { id: "pasta", name: "Pasta (droog)", names: ["spaghetti", "penne", "macaroni", "tagliatelle", "fusilli", "farfalle", "lasagnebladen", "lasagne", "pasta", "noedels", "mie", "noodles"], kcal: 355, protein: 12.5, fat: 1.5, carbs: 71, fiber: 3 },
+  { id: "couscous", name: "Couscous (droog)", names: ["couscous", "bulgur"], kcal: 376, protein: 12.8, fat: 0.6, carbs: 77, fiber: 5, density: 0.6 },
+  { id: "quinoa", name: "Quinoa (droog)", names: ["quinoa"], kcal: 368, protein: 14, fat: 6, carbs: 64, fiber: 7, density: 0.72 },
+  { id: "oats", name: "Havermout", names: ["havermout", "havervlokken", "oats", "rolled oats"], kcal: 372, protein: 13.5, fat: 7, carbs: 59, fiber: 10, density: 0.38 },
+  { id: "puff_pastry", name: "Bladerdeeg", names: ["bladerdeeg", "puff pastry"], kcal: 400, protein: 5.5, fat: 25, carbs: 38, fiber: 1.5, piece: 45 },
+  { id: "tortilla", name: "Tortilla/wrap", names: ["tortilla", "tortilla's", "tortillas", "wraps", "wrap"], kcal: 310, protein: 8.5, fat: 7.5, carbs: 51, fiber: 3.5, piece: 60 },
+  { id: "bread", name: "Brood", names: ["stokbrood", "brood", "boterhammen", "bread"], kcal: 250, protein: 9, fat: 3.2, carbs: 45, fiber: 6, piece: 35 },
+
+  // Potatoes and vegetables
+  { id: "sweet_potato", name: "Zoete aardappel", names: ["zoete aardappel", "zoete aardappelen", "bataat", "sweet potato", "sweet potatoes"], kcal: 86, protein: 1.6, fat: 0.1, carbs: 20, fiber: 3, piece: 200 },
+  { id: "potato", name: "Aardappel", names: ["aardappel", "aardappelen", "aardappels", "krieltjes", "potato", "potatoes"], kcal: 77, protein: 2, fat: 0.1, carbs: 17, fiber: 2.2, piece: 150 },
+  { id: "spring_onion", name: "Lente-ui", names: ["lente-ui", "lente-uitjes", "lenteui", "lente ui", "bosui", "bosuitjes", "spring onion", "spring onions", "scallions"], kcal: 32, protein: 1.8, fat: 0.2, carbs: 7, fiber: 2.6, piece: 15 },
+  { id: "shallot", name: "Sjalot", names: ["sjalot", "sjalotten", "sjalotjes", "shallot", "shallots"], kcal: 72, protein: 2.5, fat: 0.1, carbs: 17, fiber: 3.2, piece: 30 },
+  { id: "onion", name: "Ui", names: ["ui", "uien", "uitje", "uitjes", "onion", "onions"], kcal: 40, protein: 1.1, fat: 0.1, carbs: 9, fiber: 1.7, piece: 110 },
+  { id: "garlic", name: "Knoflook", names: ["knoflook", "knoflookteentjes", "garlic"], kcal: 149, protein: 6.4, fat: 0.5, carbs: 33, fiber: 2.1, piece: 5 },
+  { id: "leek", name: "Prei", names: ["prei", "preien", "leek", "leeks"], kcal: 61, protein: 1.5, fat: 0.3, carbs: 14, fiber: 1.8, piece: 200 },
+  { id: "carrot", name: "Wortel", names: ["wortel", "wortelen", "wortels", "worteltjes", "carrot", "carrots"], kcal: 41, protein: 0.9, fat: 0.2, carbs: 10, fiber: 2.8, piece: 80 },
+  { id: "tomato_paste", name: "Tomatenpuree", names: ["tomatenpuree", "tomato paste"], kcal: 82, protein: 4.3, fat: 0.5, carbs: 19, fiber: 4.1, density: 1.1 },
+  { id: "passata", name: "Passata", names: ["passata", "tomatensaus", "tomato sauce"], kcal: 30, protein: 1.4, fat: 0.2, carbs: 5.5, fiber: 1.5, density: 1.03 },
+  { id: "cherry_tomato", name: "Cherrytomaat", names: ["cherrytomaatjes", "cherrytomaten", "kerstomaatjes", "cherry tomatoes"], kcal: 18, protein: 0.9, fat: 0.2, carbs: 3.9, fiber: 1.2, piece: 15 },
+  { id: "tomato", name: "Tomaat", names: ["tomaat", "tomaten", "tomaatjes", "tomatenblokjes", "tomato", "tomatoes"], kcal: 18, protein: 0.9, fat: 0.2, carbs: 3.9, fiber: 1.2, piece: 120 },
+  { id: "spices", name: "Gedroogde kruiden en specerijen", names: ["paprikapoeder", "chilipoeder", "cayennepeper", "kerriepoeder", "currypoeder", "kerrie", "kaneel", "komijn", "kurkuma", "nootmuskaat", "oregano", "gedroogde kruiden", "italiaanse kruiden", "provençaalse kruiden", "ras el hanout", "garam masala", "paprika powder", "cinnamon", "cumin", "turmeric", "nutmeg"], kcal: 300, protein: 12, fat: 10, carbs: 50, fiber: 30, density: 0.5 },
+  { id: "bell_pepper", name: "Paprika", names: ["paprika", "paprika's", "paprikas", "bell pepper", "bell peppers"], kcal: 31, protein: 1, fat: 0.3, carbs: 6, fiber: 2.1, piece: 160 },
+  { id: "chili", name: "Chilipeper", names: ["rode peper", "groene peper", "rode pepers", "chilipeper", "chilipepers", "jalapeño", "jalapeno", "chili", "chili pepper"], kcal: 40, protein: 1.9, fat: 0.4, carbs: 9, fiber: 1.5, piece: 10 },
+  { id: "black_pepper", name: "Peper", names: ["zwarte peper", "peper", "pepper"], kcal: 251, protein: 10, fat: 3.3, carbs: 64, fiber: 25, density: 0.5 },
+  { id: "zucchini", name: "Courgette", names: ["courgette", "courgettes", "zucchini"], kcal: 17, protein: 1.2, fat: 0.3, carbs: 3.1, fiber: 1, piece: 250 },
+  { id: "eggplant", name: "Aubergine", names: ["aubergine", "aubergines", "eggplant"], kcal: 25, protein: 1, fat: 0.2, carbs: 6, fiber: 3, piece: 300 },
+  { id: "mushrooms", name: "Champignons", names: ["champignon", "champignons", "paddenstoelen", "mushroom", "mushrooms"], kcal: 22, protein: 3.1, fat: 0.3, carbs: 3.3, fiber: 1, piece: 15 },
+  { id: "spinach", name: "Spinazie", names: ["spinazie", "spinach"], kcal: 23, protein: 2.9, fat: 0.4, carbs: 3.6, fiber: 2.2 },
+  { id: "lettuce", name: "Sla", names: ["sla", "kropsla", "ijsbergsla", "rucola", "veldsla", "lettuce", "arugula"], kcal: 15, protein: 1.4, fat: 0.2, carbs: 2.9, fiber: 1.3, piece: 300 },
+  { id: "broccoli", name: "Broccoli", names: ["broccoli"], kcal: 34, protein: 2.8, fat: 0.4, carbs: 7, fiber: 2.6, piece: 400 },
+  { id: "cauliflower", name: "Bloemkool", names: ["bloemkool", "cauliflower"], kcal: 25, protein: 1.9, fat: 0.3, carbs: 5, fiber: 2, piece: 600 },
+  { id: "sprouts", name: "Spruitjes", names: ["spruitjes", "spruiten", "brussels sprouts"], kcal: 43, protein: 3.4, fat: 0.3, carbs: 9, fiber: 3.8 },
+  { id: "cabbage", name: "Kool", names: ["spitskool", "rodekool", "rode kool", "witte kool", "savooiekool", "kool", "cabbage"], kcal: 25, protein: 1.3, fat: 0.1, carbs: 6, fiber: 2.5, piece: 800 },
+  { id: "green_beans", name: "Sperziebonen", names: ["sperziebonen", "boontjes", "prinsessenbonen", "green beans"], kcal: 31, protein: 1.8, fat: 0.2, carbs: 7, fiber: 2.7 },
+  { id: "chickpeas", name: "Kikkererwten (gekookt)", names: ["kikkererwten", "chickpeas"], kcal: 140, protein: 7, fat: 2.5, carbs: 20, fiber: 6, can: 265 },
+  { id: "peas", name: "Erwten", names: ["doperwten", "doperwtjes", "erwtjes", "erwten", "peas"], kcal: 81, protein: 5.4, fat: 0.4, carbs: 14, fiber: 5 },
+  { id: "corn", name: "Maïs", names: ["maïs", "mais", "maiskorrels", "corn"], kcal: 86, protein: 3.3, fat: 1.4, carbs: 19, fiber: 2.7, can: 285 },
+  { id: "cucumber", name: "Komkommer", names: ["komkommer", "komkommers", "cucumber"], kcal: 15, protein: 0.7, fat: 0.1, carbs: 3.6, fiber: 0.5, piece: 400 },
+  { id: "celery", name: "Selder", names: ["bleekselderij", "selderij", "selder", "celery"], kcal: 16, protein: 0.7, fat: 0.2, carbs: 3, fiber: 1.6, piece: 40 },
+  { id: "avocado", name: "Avocado", names: ["avocado", "avocado's", "avocados"], kcal: 160, protein: 2, fat: 15, carbs: 9, fiber: 6.7, piece: 150 },
+  { id: "pumpkin", name: "Pompoen", names: ["flespompoen", "pompoen", "butternut", "pumpkin", "squash"], kcal: 26, protein: 1, fat: 0.1, carbs: 6.5, fiber: 0.5, piece: 1000 },
+  { id: "fennel", name: "Venkel", names: ["venkel", "fennel"], kcal: 31, protein: 1.2, fat: 0.2, carbs: 7.3, fiber: 3.1, piece: 250 },
+  { id: "beetroot", name: "Rode biet", names: ["rode biet", "rode bieten", "bieten", "biet", "beetroot", "beets"], kcal: 43, protein: 1.6, fat: 0.2, carbs: 9.6, fiber: 2.8, piece: 100 },
+  { id: "ginger", name: "Gember", names: ["gember", "ginger"], kcal: 80, protein: 1.8, fat: 0.8, carbs: 18, fiber: 2, piece: 15 },
+  { id: "fresh_herbs", name: "Verse kruiden", names: ["peterselie", "basilicum", "koriander", "bieslook", "dille", "munt", "dragon", "kervel", "tijm", "rozemarijn", "salie", "parsley", "basil", "cilantro", "coriander", "chives", "dill", "mint", "thyme", "rosemary"], kcal: 40, protein: 3, fat: 0.7, carbs: 6, fiber: 4, piece: 1 },
+
+  // Fruit
+  { id: "lemon_juice", name: "Citroensap", names: ["citroensap", "limoensap", "lemon juice", "lime juice"], kcal: 22, protein: 0.4, fat: 0.2, carbs: 6.9, fiber: 0.3, density: 1.03 },
+  { id: "lemon", name: "Citroen", names: ["citroen", "citroenen", "limoen", "limoenen", "lemon", "lemons", "lime", "limes"], kcal: 29, protein: 1.1, fat: 0.3, carbs: 9, fiber: 2.8, piece: 100 },
+  { id: "orange_juice", name: "Sinaasappelsap", names: ["sinaasappelsap", "jus d'orange", "orange juice"], kcal: 45, protein: 0.7, fat: 0.2, carbs: 10, fiber: 0.2, density: 1.04 },
+  { id: "orange", name: "Sinaasappel", names: ["sinaasappel", "sinaasappels", "appelsien", "appelsienen", "orange", "oranges"], kcal: 47, protein: 0.9, fat: 0.1, carbs: 12, fiber: 2.4, piece: 200 },
+  { id: "apple", name: "Appel", names: ["appel", "appels", "apple", "apples"], kcal: 52, protein: 0.3, fat: 0.2, carbs: 14, fiber: 2.4, piece: 180 },
+  { id: "banana", name: "Banaan", names: ["banaan", "bananen", "banana", "bananas"], kcal: 89, protein: 1.1, fat: 0.3, carbs: 23, fiber: 2.6, piece: 120 },
+  { id: "strawberries", name: "Aardbeien", names: ["aardbei", "aardbeien", "strawberries"], kcal: 32, protein: 0.7, fat: 0.3, carbs: 7.7, fiber: 2, piece: 12 },
+  { id: "berries", name: "Bessen", names: ["blauwe bessen", "frambozen", "bosbessen", "bessen", "blueberries", "raspberries", "berries"], kcal: 57, protein: 0.7, fat: 0.3, carbs: 14, fiber: 2.4 },
+  { id: "raisins", name: "Rozijnen", names: ["rozijnen", "raisins"], kcal: 299, protein: 3.1, fat: 0.5, carbs: 79, fiber: 3.7, density: 0.63 },
+
+  // Meat, fish, eggs and legumes
+  { id: "chicken_thigh", name: "Kippendij", names: ["kippendijen", "kippendij", "kipdijfilet", "kipdijen", "chicken thighs"], kcal: 177, protein: 18, fat: 11, carbs: 0, fiber: 0, piece: 100 },
+  { id: "chicken_breast", name: "Kipfilet", names: ["kipfilet", "kippenfilet", "kippenborst", "kipblokjes", "kipreepjes", "kip", "chicken breast", "chicken"], kcal: 110, protein: 23, fat: 1.5, carbs: 0, fiber: 0, piece: 150 },
+  { id: "minced_meat", name: "Gehakt", names: ["rundergehakt", "gehakt", "ground beef", "minced meat"], kcal: 250, protein: 17, fat: 20, carbs: 0, fiber: 0 },
+  { id: "beef", name: "Rundvlees", names: ["biefstuk", "rundvlees", "stoofvlees", "runderlappen", "steak", "beef"], kcal: 150, protein: 21, fat: 7, carbs: 0, fiber: 0, piece: 150 },
+  { id: "pork", name: "Varkensvlees", names: ["varkenshaas", "varkensvlees", "karbonade", "karbonades", "varkenslapjes", "pork"], kcal: 200, protein: 19, fat: 14, carbs: 0, fiber: 0, piece: 150 },
+  { id: "bacon", name: "Spek", names: ["spekblokjes", "spekjes", "ontbijtspek", "pancetta", "spek", "bacon"], kcal: 400, protein: 14, fat: 38, carbs: 0, fiber: 0, piece: 15 },
+  { id: "ham", name: "Ham", names: ["hamblokjes", "ham"], kcal: 115, protein: 18, fat: 4, carbs: 1.5, fiber: 0, piece: 20 },
+  { id: "sausage", name: "Worst", names: ["chorizo", "salami", "rookworst", "worstjes", "worst", "sausage", "sausages"], kcal: 450, protein: 24, fat: 38, carbs: 2, fiber: 0, piece: 100 },
+  { id: "salmon", name: "Zalm", names: ["zalmfilet", "zalm", "salmon"], kcal: 208, protein: 20, fat: 13, carbs: 0, fiber: 0, piece: 125 },
+  { id: "tuna", name: "Tonijn (blik)", names: ["tonijn", "tuna"], kcal: 116, protein: 26, fat: 1, carbs: 0, fiber: 0, can: 120 },
+  { id: "white_fish", name: "Witvis", names: ["kabeljauw", "koolvis", "pangasius", "tilapia", "witvis", "vis", "cod", "fish"], kcal: 82, protein: 18, fat: 0.7, carbs: 0, fiber: 0, piece: 125 },
+  { id: "shrimp", name: "Garnalen", names: ["scampi's", "scampi", "garnalen", "gamba's", "shrimp", "prawns"], kcal: 85, protein: 20, fat: 0.5, carbs: 0, fiber: 0, piece: 15 },
+  { id: "egg_yolk", name: "Eidooier", names: ["eidooier", "eidooiers", "eigeel", "egg yolk", "egg yolks"], kcal: 322, protein: 16, fat: 27, carbs: 3.6, fiber: 0, piece: 17 },
+  { id: "egg", name: "Ei", names: ["ei", "eieren", "egg", "eggs"], kcal: 143, protein: 12.6, fat: 9.5, carbs: 0.7, fiber: 0, piece: 55 },
+  { id: "tofu", name: "Tofu", names: ["tofu"], kcal: 120, protein: 12, fat: 7, carbs: 2, fiber: 0.5 },
+  { id: "beans", name: "Bonen (gekookt)", names: ["kidneybonen", "witte bonen", "zwarte bonen", "bruine bonen", "bonen", "beans"], kcal: 120, protein: 8, fat: 0.5, carbs: 19, fiber: 6.5, can: 250 },
+  { id: "lentils", name: "Linzen (droog)", names: ["linzen", "lentils"], kcal: 352, protein: 25, fat: 1, carbs: 60, fiber: 11, density: 0.8 },
+
+  // Dairy
+  { id: "coconut_milk", name: "Kokosmelk", names: ["kokosmelk", "coconut milk"], kcal: 197, protein: 2, fat: 21, carbs: 2.8, fiber: 0 },
+  { id: "buttermilk", name: "Karnemelk", names: ["karnemelk", "buttermilk"], kcal: 36, protein: 3.3, fat: 0.5, carbs: 4.2, fiber: 0, density: 1.03 },
+  { id: "milk", name: "Melk", names: ["melk", "milk"], kcal: 61, protein: 3.3, fat: 3.3, carbs: 4.7, fiber: 0, density: 1.03 },
+  { id: "sour_cream", name: "Crème fraîche", names: ["crème fraîche", "creme fraiche", "zure room", "sour cream"], kcal: 290, protein: 2.4, fat: 30, carbs: 3, fiber: 0 },
+  { id: "cream", name: "Room", names: ["slagroom", "kookroom", "room", "cream", "heavy cream"], kcal: 340, protein: 2.1, fat: 35, carbs: 3, fiber: 0 },
+  { id: "greek_yogurt", name: "Griekse yoghurt", names: ["griekse yoghurt", "greek yogurt"], kcal: 120, protein: 6, fat: 10, carbs: 4, fiber: 0, density: 1.05 },
+  { id: "yogurt", name: "Yoghurt", names: ["yoghurt", "yogurt"], kcal: 61, protein: 3.5, fat: 3.3, carbs: 4.7, fiber: 0, density: 1.03 },
+  { id: "quark", name: "Kwark", names: ["kwark", "platte kaas", "quark"], kcal: 70, protein: 9, fat: 0.2, carbs: 4, fiber: 0, density: 1.05 },
+  { id: "peanut_butter", name: "Pindakaas", names: ["pindakaas", "peanut butter"], kcal: 588, protein: 25, fat: 50, carbs: 20, fiber: 6, density: 1.1 },
+  { id: "mascarpone", name: "Mascarpone", names: ["mascarpone"], kcal: 430, protein: 4.5, fat: 44, carbs: 4, fiber: 0 },
+  { id: "cream_cheese", name: "Roomkaas", names: ["roomkaas", "philadelphia", "cream cheese"], kcal: 340, protein: 6, fat: 34, carbs: 4, fiber: 0 },
+  { id: "parmesan", name: "Parmezaanse kaas", names: ["parmezaanse kaas", "parmezaan", "parmigiano", "grana padano", "parmesan"], kcal: 392, protein: 36, fat: 26, carbs: 0, fiber: 0, density: 0.4 },
+  { id: "mozzarella", name: "Mozzarella", names: ["mozzarella", "burrata"], kcal: 250, protein: 18, fat: 19, carbs: 1, fiber: 0, piece: 125 },
+  { id: "feta", name: "Feta", names: ["feta", "fetakaas"], kcal: 264, protein: 14, fat: 21, carbs: 4, fiber: 0, piece: 200 },
+  { id: "goat_cheese", name: "Geitenkaas", names: ["geitenkaas", "goat cheese"], kcal: 300, protein: 19, fat: 24, carbs: 2, fiber: 0 },
+  { id: "cheese", name: "Kaas", names: ["geraspte kaas", "gouda", "cheddar", "emmentaler", "gruyère", "gruyere", "kaas", "cheese"], kcal: 380, protein: 25, fat: 31, carbs: 0, fiber: 0, density: 0.48, piece: 20 },
+  { id: "butter", name: "Boter", names: ["roomboter", "boter", "margarine", "butter"], kcal: 745, protein: 0.7, fat: 82, carbs: 0.7, fiber: 0, density: 0.96 },
+
+  // Oils, sweeteners and baking
+  { id: "oil", name: "Olie", names: ["olijfolie", "zonnebloemolie", "arachideolie", "sesamolie", "olie", "olive oil", "oil"], kcal: 884, protein: 0, fat: 100, carbs: 0, fiber: 0, density: 0.92 },
+  { id: "sugar", name: "Suiker", names: ["kristalsuiker", "basterdsuiker", "bruine suiker", "poedersuiker", "rietsuiker", "suiker", "sugar"], kcal: 400, protein: 0, fat: 0, carbs: 100, fiber: 0, density: 0.85 },
+  { id: "honey", name: "Honing", names: ["honing", "honey"], kcal: 304, protein: 0.3, fat: 0, carbs: 82, fiber: 0.2, density: 1.42 },
+  { id: "syrup", name: "Siroop", names: ["ahornsiroop", "agavesiroop", "siroop", "maple syrup", "syrup"], kcal: 260, protein: 0, fat: 0.1, carbs: 67, fiber: 0, density: 1.33 },
+  { id: "chocolate", name: "Chocolade", names: ["chocoladestukjes", "pure chocolade", "chocolade", "chocola", "chocolate", "chocolate chips"], kcal: 546, protein: 4.9, fat: 31, carbs: 61, fiber: 7, density: 0.72 },
+  { id: "cocoa", name: "Cacaopoeder", names: ["cacaopoeder", "cacao", "cocoa"], kcal: 228, protein: 20, fat: 14, carbs: 58, fiber: 33, density: 0.36 },
+  { id: "baking_powder", name: "Bakpoeder", names: ["bakpoeder", "zuiveringszout", "baking powder", "baking soda"], kcal: 53, protein: 0, fat: 0, carbs: 28, fiber: 0.2, density: 0.9 },
+  { id: "yeast", name: "Gist", names: ["gedroogde gist", "gist", "yeast"], kcal: 325, protein: 40, fat: 7.6, carbs: 41, fiber: 27, piece: 7 },
+  { id: "almonds", name: "Amandelen", names: ["amandelen", "amandelschaafsel", "almonds"], kcal: 579, protein: 21, fat: 50, carbs: 22, fiber: 12.5, density: 0.6 },
+  { id: "pine_nuts", name: "Pijnboompitten", names: ["pijnboompitten", "pine nuts"], kcal: 673, protein: 14, fat: 68, carbs: 13, fiber: 3.7, density: 0.6 },
+  { id: "peanuts", name: "Pinda's", names: ["pinda's", "pindas", "pinda", "peanuts"], kcal: 567, protein: 26, fat: 49, carbs: 16, fiber: 8.5, density: 0.6 },
+  { id: "nuts", name: "Noten", names: ["walnoten", "pecannoten", "hazelnoten", "cashewnoten", "noten", "walnuts", "pecans", "nuts"], kcal: 654, protein: 15, fat: 65, carbs: 14, fiber: 6.7, density: 0.51 },
+  { id: "seeds", name: "Zaden", names: ["sesamzaad", "sesamzaadjes", "zonnebloempitten", "pompoenpitten", "lijnzaad", "sesame seeds"], kcal: 573, protein: 18, fat: 50, carbs: 23, fiber: 12, density: 0.6 },
+
+  // Sauces, stock and drinks
+  { id: "stock_cube", name: "Bouillonblokje", names: ["bouillonblokje", "bouillonblokjes", "bouillontablet", "stock cube", "stock cubes"], kcal: 250, protein: 10, fat: 18, carbs: 20, fiber: 0, piece: 10 },
+  { id: "stock", name: "Bouillon", names: ["bouillon", "fond", "stock", "broth"], kcal: 5, protein: 0.5, fat: 0.2, carbs: 0.5, fiber: 0 },
+  { id: "soy_sauce", name: "Sojasaus", names: ["sojasaus", "ketjap", "tamari", "soy sauce"], kcal: 53, protein: 8, fat: 0.6, carbs: 5, fiber: 0.8, density: 1.15 },
+  { id: "mayonnaise", name: "Mayonaise", names: ["mayonaise", "mayo", "mayonnaise"], kcal: 680, protein: 1, fat: 75, carbs: 0.6, fiber: 0, density: 0.95 },
+  { id: "mustard", name: "Mosterd", names: ["mosterd", "mustard"], kcal: 66, protein: 4.4, fat: 4, carbs: 5.8, fiber: 3.3, density: 1.05 },
+  { id: "ketchup", name: "Ketchup", names: ["ketchup"], kcal: 100, protein: 1.2, fat: 0.1, carbs: 24, fiber: 0.3, density: 1.15 },
+  { id: "pesto", name: "Pesto", names: ["pesto"], kcal: 450, protein: 5, fat: 45, carbs: 6, fiber: 2 },
+  { id: "balsamic", name: "Balsamicoazijn", names: ["balsamicoazijn", "balsamico", "balsamic vinegar"], kcal: 88, protein: 0.5, fat: 0, carbs: 17, fiber: 0, density: 1.06 },
+  { id: "vinegar", name: "Azijn", names: ["azijn", "wijnazijn", "vinegar"], kcal: 18, protein: 0, fat: 0, carbs: 0.04, fiber: 0 },
+  { id: "wine", name: "Wijn", names: ["witte wijn", "rode wijn", "wijn", "wine"], kcal: 83, protein: 0.1, fat: 0, carbs: 2.6, fiber: 0 },
+  { id: "beer", name: "Bier", names: ["bier", "beer"], kcal: 43, protein: 0.5, fat: 0, carbs: 3.6, fiber: 0 },
+  { id: "salt", name: "Zout", names: ["zeezout", "zout", "salt"], kcal: 0, protein: 0, fat: 0, carbs: 0, fiber: 0, density: 1.22 },
+  { id: "water", name: "Water", names: ["kraanwater", "water"], kcal: 0, protein: 0, fat: 0, carbs: 0, fiber: 0 }
+];
+
+// Lookup by id
+const FOODS_BY_ID = new Map(FOODS.map(food => [food.id, food]));
+
+/**
+ * Get a food by id
+ * @param {string} id - Food id ("flour")
+ * @returns {object|null} - Food or null if unknown
+ */
+export function getFood(id) {
+  return FOODS_BY_ID.get(id) || null;
+}
+
+/**
+ * Find the food of an ingredient by name
+ * Names of more than three letters also match Dutch compounds ("tarwebloem", "kastanjechampignons")
+ * but not prefixes ("bloemkool"); short names ("ui", "ei") only match whole words so "prei" is no egg
+ * @param {string} name - Ingredient name
+ * @returns {object|null} - Food or null if no food matches
+ */
+export function findFood(name) {
+  const lower = String(name || "").toLowerCase();
+  const words = lower.split(/[^\p{L}'-]+/u).filter(Boolean).flatMap(word => [word, ...word.split("-")]);
+
+  return FOODS.find(food => food.names.some(candidate =>
+    /[\s-]/.test(candidate)
+      ? lower.includes(candidate)
+      : words.some(word => word === candidate || (candidate.length > 3 && word.endsWith(candidate)))
+  )) || null;
+}
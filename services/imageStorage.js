@@ -0,0 +1,163 @@
+import sharp from "sharp";
+import { randomUUID } from "crypto";
+import { existsSync, mkdirSync, rmSync } from "fs";
+import { copyFile, readFile, writeFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Image Storage Service
+ * Stores uploaded recipe images under data/uploads with a WebP thumbnail in data/uploads/thumbs
+ *
+ * recipes.image_path holds only the file name (e.g. "3f2c...e1.jpg").
+ * Files are served at /uploads/<file> and /uploads/thumbs/<name>.webp
+ */
+
+export const UPLOAD_DIR = "./data/uploads";
+export const THUMBNAIL_DIR = "./data/uploads/thumbs";
+
+// Thumbnail width used by the pin grid (2x the column width for sharp screens)
+const THUMBNAIL_WIDTH = 480;
+
+// Accepted MIME types and the extension used on disk
+export const ALLOWED_IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif"
+};
+
+// Maximum upload size: 5 MB
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Ensure upload directories exist (they live inside the persistent data volume)
+for (const dir of [UPLOAD_DIR, THUMBNAIL_DIR]) {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Get the thumbnail file name for an image file name
+ * @param {string} imagePath - Stored image file name
+ * @returns {string} - Thumbnail file name
+ */
+export function thumbnailName(imagePath) {
+  return `${path.parse(imagePath).name}.webp`;
+}
+
+/**
+ * Detect the type of an image from its first bytes (for images without a trusted MIME type, e.g. in imports)
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - One of the ALLOWED_IMAGE_TYPES, or null if not recognised
+ */
+export function detectImageType(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") return "image/webp";
+  if (buffer.toString("latin1", 0, 4) === "GIF8") return "image/gif";
+  return null;
+}
+
+/**
+ * Store an uploaded image and generate its thumbnail
+ * The extension comes from the file contents, never from the reported MIME type alone, and the image is
+ * re-encoded so EXIF and other metadata (e.g. GPS location) are not published
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} mimeType - MIME type reported by the upload
+ * @returns {Promise<string>} - File name to store in recipes.image_path
+ * @throws {Error} - If the file is not a decodable image or its contents do not match the MIME type
+ */
+export async function saveRecipeImage(buffer, mimeType) {
+  if (!ALLOWED_IMAGE_TYPES[mimeType]) {
+    throw new Error("Unsupported image type");
+  }
+
+  const detectedType = detectImageType(buffer);
+  if (detectedType !== mimeType) {
+    throw new Error("Image contents do not match the image type");
+  }
+
+  // Decoding the metadata verifies the file really is an image of that type
+  const metadata = await sharp(buffer).metadata();
+  if (`image/${metadata.format}` !== detectedType) {
+    throw new Error("Image contents do not match the image type");
+  }
+
+  const extension = ALLOWED_IMAGE_TYPES[detectedType];
+  const fileName = `${randomUUID()}.${extension}`;
+
+  // Output drops all metadata, so apply the EXIF orientation to the pixels first
+  const original = await sharp(buffer, { animated: true })
+    .rotate()
+    .toFormat(metadata.format, { quality: 90 })
+    .toBuffer();
+
+  const thumbnail = await sharp(buffer, { animated: false })
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  await writeFile(path.join(UPLOAD_DIR, fileName), original);
+  await writeFile(path.join(THUMBNAIL_DIR, thumbnailName(fileName)), thumbnail);
+
+  return fileName;
+}
+
+/**
+ * Copy a stored image and its thumbnail under a new name
+ * Used when a recipe is copied, so both recipes can delete their own image
+ * @param {string|null} imagePath - File name from recipes.image_path
+ * @returns {Promise<string|null>} - File name of the copy, or null if there is no image (anymore)
+ */
+export async function copyRecipeImage(imagePath) {
+  if (!imagePath) return null;
+
+  const fileName = path.basename(imagePath);
+  const copyName = `${randomUUID()}${path.extname(fileName)}`;
+
+  try {
+    await copyFile(path.join(UPLOAD_DIR, fileName), path.join(UPLOAD_DIR, copyName));
+    await copyFile(path.join(THUMBNAIL_DIR, thumbnailName(fileName)), path.join(THUMBNAIL_DIR, thumbnailName(copyName)));
+    return copyName;
+  } catch (error) {
+    console.error("Copy image error:", error);
+    deleteRecipeImage(copyName);
+    return null;
+  }
+}
+
+/**
+ * Read a stored image (used for exports)
+ * @param {string|null} imagePath - File name from recipes.image_path
+ * @returns {Promise<Buffer|null>} - File contents, or null if there is no image (anymore)
+ */
+export async function readRecipeImage(imagePath) {
+  if (!imagePath) return null;
+
+  try {
+    return await readFile(path.join(UPLOAD_DIR, path.basename(imagePath)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete a stored image and its thumbnail
+ * Missing files are ignored
+ * @param {string|null} imagePath - File name from recipes.image_path
+ */
+export function deleteRecipeImage(imagePath) {
+  if (!imagePath) return;
+
+  // Only plain file names are ever stored, never follow paths
+  const fileName = path.basename(imagePath);
+
+  try {
+    rmSync(path.join(UPLOAD_DIR, fileName), { force: true });
+    rmSync(path.join(THUMBNAIL_DIR, thumbnailName(fileName)), { force: true });
+  } catch (error) {
+    console.error("Delete image error:", error);
+  }
+}
@@ -0,0 +1,157 @@
+import { matchUnit } from "./units.js";
+
+/**
+ * Ingredient Parser Service
+ * Turns free-text ingredient lines into structured objects
+ *
+ * "250 g bloem"                 → { quantity: 250, unit: "g", name: "bloem" }
+ * "1½ el olijfolie"             → { quantity: 1.5, unit: "tbsp", name: "olijfolie" }
+ * "2-3 teentjes knoflook, geperst" → { quantity: 2, quantity_max: 3, unit: "clove", name: "knoflook", note: "geperst" }
+ */
+
+// Unicode vulgar fractions
+const FRACTIONS = {
+  "½": 1 / 2, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 1 / 4, "¾": 3 / 4,
+  "⅕": 1 / 5, "⅖": 2 / 5, "⅗": 3 / 5, "⅘": 4 / 5, "⅙": 1 / 6,
+  "⅚": 5 / 6, "⅛": 1 / 8, "⅜": 3 / 8, "⅝": 5 / 8, "⅞": 7 / 8
+};
+const FRACTION_CHARS = Object.keys(FRACTIONS).join("");
+
+// Number words that can stand in for a quantity ("een snufje zout", "half blikje")
+const NUMBER_WORDS = {
+  "een": 1, "één": 1, "a": 1, "an": 1, "one": 1,
+  "twee": 2, "two": 2, "drie": 3, "three": 3, "vier": 4, "four": 4,
+  "half": 0.5, "halve": 0.5
+};
+
+// A single amount: "1", "1,5", "1.5", "1/2", "1 1/2", "1½", "½"
+const AMOUNT = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?\\s*[${FRACTION_CHARS}]?|[${FRACTION_CHARS}])`;
+
+// Amount or range ("2-3", "2 tot 3", "2 to 3") at the start of a line
+const QUANTITY_PATTERN = new RegExp(`^(${AMOUNT})(?:\\s*(?:-|–|tot|to)\\s*(${AMOUNT}))?\\s*`, "i");
+
+// Multiplied amount after a quantity: "3 x 200 g kipfilet"
+const MULTIPLIER_PATTERN = new RegExp(`^[x×]\\s*(${AMOUNT})\\s*`, "i");
+
+// Phrases that belong in the note rather than the name
+const NOTE_SUFFIX_PATTERN = /\s+(naar smaak|to taste|optioneel|optional)$/i;
+
+/**
+ * Parse a single amount string into a number
+ * @param {string} amount - Amount text ("1 1/2", "1,5", "1½")
+ * @returns {number|null} - Numeric value or null
+ */
+export function parseAmount(amount) {
+  if (!amount) return null;
+  const text = amount.trim();
+
+  // Mixed number with a slash fraction: "1 1/2"
+  let match = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (match) return Number(match[1]) + Number(match[2]) / Number(match[3]);
+
+  // Slash fraction: "1/2"
+  match = text.match(/^(\d+)\/(\d+)$/);
+  if (match) return Number(match[2]) ? Number(match[1]) / Number(match[2]) : null;
+
+  // Decimal with optional unicode fraction: "1,5", "1½", "½"
+  match = text.match(new RegExp(`^(\\d+(?:[.,]\\d+)?)?\\s*([${FRACTION_CHARS}])?$`));
+  if (match && (match[1] || match[2])) {
+    const whole = match[1] ? Number(match[1].replace(",", ".")) : 0;
+    return whole + (match[2] ? FRACTIONS[match[2]] : 0);
+  }
+
+  return null;
+}
+
+/**
+ * Parse one ingredient line
+ * @param {string} line - Free-text ingredient ("250 g bloem")
+ * @returns {object} - { text, quantity, quantity_max, unit, unit_text, name, note }
+ */
+export function parseIngredient(line) {
+  const text = String(line || "").trim();
+  const result = {
+    text,
+    quantity: null,
+    quantity_max: null,
+    unit: null,
+    unit_text: null,
+    name: text,
+    note: null
+  };
+
+  if (!text) return result;
+
+  let rest = text;
+  const notes = [];
+
+  // Text in parentheses is a note: "1 blik tomaten (400 g)"
+  rest = rest.replace(/\s*\(([^)]*)\)\s*/g, (match, note) => {
+    if (note.trim()) notes.push(note.trim());
+    return " ";
+  }).trim();
+
+  // Quantity (number, fraction or range)
+  const quantityMatch = rest.match(QUANTITY_PATTERN);
+  if (quantityMatch) {
+    result.quantity = parseAmount(quantityMatch[1]);
+    result.quantity_max = quantityMatch[2] ? parseAmount(quantityMatch[2]) : null;
+    rest = rest.slice(quantityMatch[0].length);
+
+    const multiplierMatch = rest.match(MULTIPLIER_PATTERN);
+    if (multiplierMatch && !result.quantity_max) {
+      result.quantity *= parseAmount(multiplierMatch[1]);
+      rest = rest.slice(multiplierMatch[0].length);
+    }
+
+    // "4x tortilla"
+    rest = rest.replace(/^[x×]\s+/i, "");
+  } else {
+    // Number word, only when a unit follows ("een snufje zout", but not "a few leaves")
+    const wordMatch = rest.match(/^(\p{L}+)\s+/u);
+    const word = wordMatch && wordMatch[1].toLowerCase();
+    if (word in NUMBER_WORDS && matchUnit(rest.slice(wordMatch[0].length))) {
+      result.quantity = NUMBER_WORDS[word];
+      rest = rest.slice(wordMatch[0].length);
+    }
+  }
+
+  // Unit, only directly after a quantity
+  if (result.quantity !== null) {
+    const unitMatch = matchUnit(rest);
+    if (unitMatch) {
+      result.unit = unitMatch.key;
+      result.unit_text = unitMatch.text;
+      rest = unitMatch.rest;
+    }
+    // "2 cups of flour"
+    rest = rest.replace(/^of\s+/i, "");
+  }
+
+  // Everything after the first comma is a note: "ui, fijngesneden"
+  const commaIndex = rest.indexOf(",");
+  if (commaIndex !== -1) {
+    notes.push(rest.slice(commaIndex + 1).trim());
+    rest = rest.slice(0, commaIndex);
+  }
+
+  // Trailing "naar smaak" / "to taste"
+  rest = rest.replace(NOTE_SUFFIX_PATTERN, (match, note) => {
+    notes.push(note);
+    return "";
+  });
+
+  result.name = rest.replace(/\s+/g, " ").trim() || text;
+  result.note = notes.filter(Boolean).join(", ") || null;
+
+  return result;
+}
+
+/**
+ * Parse a list of ingredient lines
+ * @param {array} lines - Array of ingredient strings
+ * @returns {array} - Array of parsed ingredient objects
+ */
+export function parseIngredients(lines) {
+  return (Array.isArray(lines) ? lines : []).map(parseIngredient);
+}
@@ -0,0 +1,175 @@
+import { getUnit, unitLabel } from "./units.js";
+
+/**
+ * Ingredient Scaler Service
+ * Scales parsed ingredients to another number of servings and formats them as text again
+ *
+ * - Metric weights and volumes are shown as decimals ("1,5 kg", "330 ml")
+ * - Spoons, cups and counts are shown as kitchen fractions ("1½ el", "⅔ cup")
+ * - Units are promoted or demoted when the amount gets large or small (1000 g → 1 kg, 0,5 l → 500 ml)
+ */
+
+// Units shown as decimals instead of fractions
+const DECIMAL_UNITS = new Set(["mg", "g", "kg", "ml", "cl", "dl", "l", "ons"]);
+
+// Fractions used for spoons, cups and counts
+const KITCHEN_FRACTIONS = [
+  [0, ""], [1 / 8, "⅛"], [1 / 4, "¼"], [1 / 3, "⅓"], [1 / 2, "½"],
+  [2 / 3, "⅔"], [3 / 4, "¾"], [1, ""]
+];
+
+// Unit promotion: [from, to, threshold in "from" units]
+const PROMOTIONS = [
+  ["mg", "g", 1000],
+  ["g", "kg", 1000],
+  ["ml", "l", 1000],
+  ["cl", "l", 100],
+  ["dl", "l", 10],
+  ["tsp", "tbsp", 3],
+  ["oz", "lb", 16]
+];
+
+// Unit demotion: [from, to, below this amount in "from" units]
+const DEMOTIONS = [
+  ["kg", "g", 1],
+  ["l", "ml", 1],
+  ["g", "mg", 1],
+  ["tbsp", "tsp", 1],
+  ["lb", "oz", 1]
+];
+
+/**
+ * Round a number to a number of decimals
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Format an amount for display
+ * @param {number} value - Amount
+ * @param {string|null} unit - Unit key
+ * @returns {string} - Formatted amount ("1½", "250", "1,25")
+ */
+export function formatQuantity(value, unit) {
+  if (value === null || value === undefined) return "";
+
+  if (DECIMAL_UNITS.has(unit)) {
+    let rounded;
+    if (value >= 100) rounded = Math.round(value / 5) * 5;
+    else if (value >= 10) rounded = Math.round(value);
+    else rounded = round(value, value >= 1 ? 2 : 3);
+    return String(rounded).replace(".", ",");
+  }
+
+  // Kitchen fractions
+  const whole = Math.floor(value);
+  const remainder = value - whole;
+  const [fraction, symbol] = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+  );
+
+  if (fraction === 1) return String(whole + 1);
+  if (whole === 0 && symbol) return symbol;
+  if (whole === 0) return String(round(value, 2)).replace(".", ",");
+  return `${whole}${symbol}`;
+}
+
+/**
+ * Move an amount to a better fitting unit of the same type
+ * @param {number} quantity - Amount
+ * @param {string} unit - Unit key
+ * @returns {object} - { quantity, unit, changed }
+ */
+export function normalizeUnit(quantity, unit) {
+  let current = { quantity, unit, changed: false };
+
+  // Repeat so 1 000 000 mg ends up as 1 kg
+  for (let i = 0; i < 3; i++) {
+    const promotion = PROMOTIONS.find(([from, , threshold]) => from === current.unit && current.quantity >= threshold);
+    const demotion = DEMOTIONS.find(([from, , below]) => from === current.unit && current.quantity > 0 && current.quantity < below);
+    const [from, to] = promotion || demotion || [];
+    if (!from) break;
+
+    current = {
+      quantity: current.quantity * getUnit(from).base / getUnit(to).base,
+      unit: to,
+      changed: true
+    };
+  }
+
+  return current;
+}
+
+/**
+ * Build the text of a parsed ingredient
+ * @param {object} item - Parsed ingredient
+ * @returns {string} - Text such as "1½ el olijfolie, extra vierge"
+ */
+export function formatIngredient(item) {
+  if (item.quantity === null || item.quantity === undefined) return item.text;
+
+  const amount = formatQuantity(item.quantity, item.unit) +
+    (item.quantity_max ? `-${formatQuantity(item.quantity_max, item.unit)}` : "");
+
+  return [amount, item.unit_text, item.name].filter(Boolean).join(" ") +
+    (item.note ? `, ${item.note}` : "");
+}
+
+/**
+ * Scale one parsed ingredient
+ * Ingredients without a quantity ("zout naar smaak") are returned unchanged
+ * @param {object} item - Parsed ingredient
+ * @param {number} factor - Scale factor (e.g. 1.5 for 4 → 6 servings)
+ * @returns {object} - Scaled parsed ingredient with updated text
+ */
+export function scaleIngredient(item, factor) {
+  if (item.quantity === null || item.quantity === undefined || factor === 1) return { ...item };
+
+  let quantity = item.quantity * factor;
+  let quantityMax = item.quantity_max ? item.quantity_max * factor : null;
+  let unit = item.unit;
+  let unitText = item.unit_text;
+
+  if (unit) {
+    const normalized = normalizeUnit(quantity, unit);
+    if (normalized.changed) {
+      quantityMax = quantityMax ? quantityMax * normalized.quantity / quantity : null;
+      quantity = normalized.quantity;
+      unit = normalized.unit;
+      unitText = unitLabel(unit, quantity);
+    }
+  }
+
+  const scaled = {
+    ...item,
+    quantity,
+    quantity_max: quantityMax,
+    unit,
+    unit_text: unitText
+  };
+  scaled.text = formatIngredient(scaled);
+
+  return scaled;
+}
+
+/**
+ * Scale a recipe to a number of servings
+ * @param {object} recipe - Recipe object (from Recipe.fromRow)
+ * @param {number} servings - Desired number of servings
+ * @returns {object} - Recipe with scaled ingredients, servings and base_servings (original servings)
+ */
+export function scaleRecipe(recipe, servings) {
+  const baseServings = recipe.servings || 2;
+  const factor = servings / baseServings;
+  const ingredientsParsed = recipe.ingredients_parsed.map(item => scaleIngredient(item, factor));
+
+  return {
+    ...recipe,
+    servings,
+    base_servings: baseServings,
+    ingredients: ingredientsParsed.map(item => item.text),
+    ingredients_parsed: ingredientsParsed
+  };
+}
@@ -0,0 +1,117 @@
+import { getUnit } from "./units.js";
+import { findFood, getFood } from "./foods.js";
+import { nameKey } from "./shoppingList.js";
+
+/**
+ * Nutrition Service
+ * Estimates calories, protein, fat, carbohydrates and fiber of a recipe from its parsed ingredients
+ *
+ * - Every ingredient is matched to a food of the offline table (services/foods.js) by name
+ * - Amounts are turned into grams: weights directly, volumes through the density of the food,
+ *   pieces ("2 uien", "3 teentjes knoflook") through the weight of one piece
+ * - Ranges ("2-3 uien") count the middle of the range
+ * - Ingredients without an amount ("zout naar smaak") count as nothing
+ * - A manual match (per recipe and ingredient name) can pick another food, leave the
+ *   ingredient out (food null) and/or set the grams
+ */
+
+// Nutrients in the order they are shown
+export const NUTRIENTS = ["kcal", "protein", "fat", "carbs", "fiber"];
+
+// Grams of count units that do not depend on the food (a pinch of salt or of pepper weighs the same)
+const COUNT_GRAMS = {
+  pinch: 0.4,
+  knifepoint: 0.5,
+  dash: 5,
+  sprig: 1,
+  bunch: 25,
+  handful: 30,
+  bag: 100,
+  glass: 200,
+  jar: 250,
+  package: 250,
+  can: 400
+};
+
+// Count units that weigh one piece of the food
+const PIECE_UNITS = new Set(["piece", "clove", "slice", "stick"]);
+
+/**
+ * Work out the weight of an ingredient
+ * @param {object} item - Parsed ingredient
+ * @param {object} food - Matched food
+ * @returns {number|null} - Grams, 0 without an amount, or null if the amount cannot be weighed
+ */
+export function ingredientGrams(item, food) {
+  if (item.quantity === null || item.quantity === undefined) return 0;
+
+  const quantity = item.quantity_max ? (item.quantity + item.quantity_max) / 2 : item.quantity;
+
+  if (!item.unit) return food.piece ? quantity * food.piece : null;
+
+  const unit = getUnit(item.unit);
+  if (unit.type === "mass") return quantity * unit.base;
+  if (unit.type === "volume") return quantity * unit.base * (food.density || 1);
+
+  if (PIECE_UNITS.has(item.unit)) return food.piece ? quantity * food.piece : null;
+  if (item.unit === "can" && food.can) return quantity * food.can;
+  return COUNT_GRAMS[item.unit] !== undefined ? quantity * COUNT_GRAMS[item.unit] : null;
+}
+
+/**
+ * Round the nutrients of a total (kcal to whole calories, the rest to one decimal)
+ */
+function roundNutrients(totals) {
+  return Object.fromEntries(NUTRIENTS.map(key => [
+    key,
+    key === "kcal" ? Math.round(totals[key]) : Math.round(totals[key] * 10) / 10
+  ]));
+}
+
+/**
+ * Estimate the nutrients of a recipe
+ * @param {object} recipe - Recipe object (from Recipe.fromRow)
+ * @param {array} matches - Manual matches { ingredient_key, food_id, grams } of the recipe
+ * @returns {object} - { servings, total, per_serving, complete, ingredients }
+ *   per_serving is null when the recipe has no servings; complete is false when an ingredient
+ *   could not be matched or weighed. Each ingredient: { index, text, key, food, grams, manual, status }
+ *   with status "counted", "no_amount", "unknown_amount", "unmatched" or "excluded"
+ */
+export function estimateNutrition(recipe, matches = []) {
+  const manual = new Map(matches.map(match => [match.ingredient_key, match]));
+  const totals = Object.fromEntries(NUTRIENTS.map(key => [key, 0]));
+
+  const ingredients = recipe.ingredients_parsed.map((item, index) => {
+    const key = nameKey(item.name);
+    const match = manual.get(key);
+    const food = match ? getFood(match.food_id) : findFood(item.name);
+    const result = { index, text: item.text, key, food: null, grams: null, manual: Boolean(match), status: "unmatched" };
+
+    if (match && match.food_id === null) return { ...result, status: "excluded" };
+    if (!food) return result;
+
+    const grams = match && match.grams !== null ? match.grams : ingredientGrams(item, food);
+    result.food = { id: food.id, name: food.name };
+
+    if (grams === null) return { ...result, status: "unknown_amount" };
+
+    NUTRIENTS.forEach(nutrient => { totals[nutrient] += food[nutrient] * grams / 100; });
+    return {
+      ...result,
+      grams: Math.round(grams * 10) / 10,
+      status: grams === 0 && !(match && match.grams !== null) ? "no_amount" : "counted"
+    };
+  });
+
+  const servings = recipe.servings || null;
+
+  return {
+    servings,
+    total: roundNutrients(totals),
+    per_serving: servings
+      ? roundNutrients(Object.fromEntries(NUTRIENTS.map(key => [key, totals[key] / servings])))
+      : null,
+    complete: ingredients.every(item => ["counted", "no_amount", "excluded"].includes(item.status)),
+    ingredients
+  };
+}
@@ -0,0 +1,119 @@
+import { getUnit } from "./units.js";
+import { normalizeUnit } from "./ingredientScaler.js";
+import { nameKey, sameIngredient, recipeToEntries, mergeEntries } from "./shoppingList.js";
+
+/**
+ * Pantry Service
+ * Compares the ingredients of recipes with what a user has at home
+ *
+ * - A pantry item covers an ingredient with the same name, also when the recipe is more specific:
+ *   "ui" covers "rode ui" and "verse basilicum" is covered by "basilicum"
+ * - Amounts are compared when the units are compatible (500 g bloem covers 250 g, not 1 kg);
+ *   the difference is what is missing ("250 g bloem")
+ * - A pantry item without an amount, or with a unit that cannot be compared (a bag of onions
+ *   for "3 uien"), counts as enough
+ * - Expired items are left out by the caller
+ */
+
+// Items that expire within this many days are "expiring soon"
+export const EXPIRING_DAYS = 3;
+
+/**
+ * Get today's date as YYYY-MM-DD (server local time)
+ * @param {number} days - Days to add (default 0)
+ * @returns {string} - Date
+ */
+export function localDate(days = 0) {
+  const now = new Date();
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check whether a pantry item covers an ingredient
+ * The pantry name has to match the whole ingredient name or its last words
+ * @param {string} pantryKey - Pantry item name normalised with nameKey
+ * @param {string} ingredientKey - Ingredient name normalised with nameKey
+ * @returns {boolean} - True if the pantry item is the ingredient
+ */
+export function coversIngredient(pantryKey, ingredientKey) {
+  const words = ingredientKey.split(" ");
+  // "verse rode ui" → "verse rode ui", "rode ui", "ui"
+  return words.some((word, i) => sameIngredient(pantryKey, words.slice(i).join(" ")));
+}
+
+/**
+ * Get the kind of amount a unit measures, units of the same kind can be added up
+ * @returns {string} - "mass", "volume", the count unit ("clove", "can") or "none"
+ */
+function dimension(unit) {
+  if (!unit) return "none";
+  const type = getUnit(unit).type;
+  return type === "count" ? unit : type;
+}
+
+/**
+ * Work out how much of an ingredient is missing
+ * @param {object} need - Ingredient { name, quantity, unit }
+ * @param {array} stock - Pantry items covering the ingredient
+ * @returns {object|null} - Missing { quantity, unit }, or null if there is enough
+ */
+function shortfall(need, stock) {
+  if (need.quantity === null || need.quantity === undefined) return null;
+  if (stock.some(item => item.quantity === null)) return null;
+
+  const kind = dimension(need.unit);
+  const comparable = stock.filter(item => dimension(item.unit) === kind);
+  if (!comparable.length) return null;
+
+  const base = unit => (unit ? getUnit(unit).base : 1);
+  const have = comparable.reduce((sum, item) => sum + item.quantity * base(item.unit), 0);
+  const missing = need.quantity - have / base(need.unit);
+  if (missing <= 1e-9) return null;
+
+  // Nobody buys half an onion
+  if (kind === "none" || getUnit(need.unit).type === "count") {
+    return { quantity: Math.ceil(missing - 1e-9), unit: need.unit || null };
+  }
+  const normalized = normalizeUnit(missing, need.unit);
+  return { quantity: normalized.quantity, unit: normalized.unit };
+}
+
+/**
+ * Compare a recipe with the pantry
+ * @param {object} recipe - Recipe object (from Recipe.fromRow)
+ * @param {array} pantry - Usable pantry items { name, quantity, unit, expires_on }
+ * @param {number|null} servings - Number of servings to cook (null = recipe servings)
+ * @returns {object} - { total, in_stock, missing, expiring }
+ *   missing entries have the shape of shopping list entries plus partial (some is at home)
+ *   expiring lists the pantry items expiring soon that the recipe uses
+ */
+export function matchRecipe(recipe, pantry, servings = null) {
+  const needs = mergeEntries(recipeToEntries(recipe, servings));
+  const soon = localDate(EXPIRING_DAYS);
+  const missing = [];
+  const expiring = new Set();
+
+  for (const need of needs) {
+    const key = nameKey(need.name);
+    const stock = pantry.filter(item => coversIngredient(nameKey(item.name), key));
+
+    if (!stock.length) {
+      missing.push({ name: need.name, quantity: need.quantity, unit: need.unit, recipes: need.recipes, partial: false });
+      continue;
+    }
+
+    stock.filter(item => item.expires_on && item.expires_on <= soon).forEach(item => expiring.add(item.name));
+
+    const short = shortfall(need, stock);
+    if (short) missing.push({ name: need.name, ...short, recipes: need.recipes, partial: true });
+  }
+
+  return {
+    total: needs.length,
+    in_stock: needs.length - missing.length,
+    missing,
+    expiring: [...expiring]
+  };
+}
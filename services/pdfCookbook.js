@@ -0,0 +1,300 @@
+import PDFDocument from "pdfkit";
+import sharp from "sharp";
+import { readRecipeImage } from "./imageStorage.js";
+
+/**
+ * PDF Cookbook Service
+ * Renders recipes into an A4 PDF cookbook: cover, table of contents (with links),
+ * one recipe per page (with its uploaded photo) and page numbers
+ *
+ * Uses the PDF standard fonts, which only cover Western European characters:
+ * other characters (e.g. emoji) are left out
+ */
+
+// Maximum number of recipes in one cookbook
+export const MAX_COOKBOOK_RECIPES = 200;
+
+// A4 with 2 cm margins
+const PAGE_SIZE = "A4";
+const MARGIN = 56;
+
+// Table of contents entries per page
+const TOC_ENTRIES_PER_PAGE = 30;
+const TOC_LINE_HEIGHT = 20;
+
+// Largest size of a photo on a recipe page, in points
+const IMAGE_MAX_HEIGHT = 240;
+
+// Photos are embedded as JPEG of at most this many pixels wide/high
+const IMAGE_MAX_PIXELS = 1200;
+
+const COLORS = {
+  text: "#111827",
+  muted: "#6b7280",
+  brand: "#e60023"
+};
+
+const FONTS = {
+  regular: "Helvetica",
+  bold: "Helvetica-Bold",
+  italic: "Helvetica-Oblique"
+};
+
+/**
+ * Render a cookbook
+ * @param {array} recipes - Recipe objects (from Recipe.fromRow), in cookbook order
+ * @param {object} options - { title: cookbook title }
+ * @returns {Promise<Buffer>} - PDF file
+ */
+export async function renderCookbook(recipes, options = {}) {
+  const title = pdfText(options.title || "Mijn kookboek");
+  const images = await loadImages(recipes);
+
+  const doc = new PDFDocument({
+    size: PAGE_SIZE,
+    margin: MARGIN,
+    bufferPages: true,
+    autoFirstPage: false,
+    info: { Title: title, Creator: "SeMoRecepts" }
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  writeCover(doc, title, recipes.length);
+
+  // Reserve the table of contents, it is filled in once the page numbers are known
+  const tocStart = doc.bufferedPageRange().count;
+  const tocPages = Math.max(1, Math.ceil(recipes.length / TOC_ENTRIES_PER_PAGE));
+  for (let i = 0; i < tocPages; i++) doc.addPage();
+
+  const startPages = recipes.map((recipe, i) => {
+    doc.addPage();
+    doc.addNamedDestination(destination(i));
+    writeRecipe(doc, recipe, images.get(recipe.id));
+    return doc.bufferedPageRange().count - 1;
+  });
+
+  writeTableOfContents(doc, recipes, startPages, tocStart);
+  writePageNumbers(doc, title);
+
+  doc.end();
+  return finished;
+}
+
+/**
+ * Read and shrink the uploaded photos of the recipes (one at a time, to limit memory use)
+ * Recipes with only an image URL get no photo: the cookbook is made without fetching other sites
+ * @returns {Promise<Map>} - Map of recipe ID to { data: JPEG Buffer, width, height }
+ */
+async function loadImages(recipes) {
+  const images = new Map();
+
+  for (const recipe of recipes) {
+    const file = await readRecipeImage(recipe.image_path);
+    if (!file) continue;
+
+    try {
+      const { data, info } = await sharp(file, { animated: false })
+        .rotate()
+        .resize({ width: IMAGE_MAX_PIXELS, height: IMAGE_MAX_PIXELS, fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      images.set(recipe.id, { data, width: info.width, height: info.height });
+    } catch (error) {
+      console.error("Cookbook image error:", error);
+    }
+  }
+
+  return images;
+}
+
+/**
+ * PAGES
+ */
+
+function writeCover(doc, title, recipeCount) {
+  doc.addPage();
+  const width = contentWidth(doc);
+  const date = new Date().toLocaleDateString("nl-BE", { day: "numeric", month: "long", year: "numeric" });
+
+  doc.rect(MARGIN, 250, 60, 4).fill(COLORS.brand);
+  doc.font(FONTS.bold).fontSize(32).fillColor(COLORS.text)
+    .text(title, MARGIN, 275, { width: width });
+  doc.moveDown(0.5);
+  doc.font(FONTS.regular).fontSize(14).fillColor(COLORS.muted)
+    .text(`${recipeCount} ${recipeCount === 1 ? "recept" : "recepten"}`, { width: width })
+    .text(date, { width: width });
+
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted)
+    .text("SeMoRecepts", MARGIN, doc.page.height - MARGIN - 12, { width: width, lineBreak: false });
+}
+
+function writeTableOfContents(doc, recipes, startPages, tocStart) {
+  const width = contentWidth(doc);
+
+  recipes.forEach((recipe, i) => {
+    const line = i % TOC_ENTRIES_PER_PAGE;
+
+    if (line === 0) {
+      doc.switchToPage(tocStart + i / TOC_ENTRIES_PER_PAGE);
+      doc.font(FONTS.bold).fontSize(22).fillColor(COLORS.text)
+        .text(i === 0 ? "Inhoud" : "Inhoud (vervolg)", MARGIN, MARGIN, { width: width });
+    }
+
+    const y = MARGIN + 50 + line * TOC_LINE_HEIGHT;
+    const pageNumber = String(startPages[i] + 1);
+
+    doc.font(FONTS.regular).fontSize(12).fillColor(COLORS.text)
+      .text(pdfText(recipe.title), MARGIN, y, {
+        width: width - 50,
+        height: TOC_LINE_HEIGHT,
+        lineBreak: false,
+        ellipsis: true,
+        goTo: destination(i)
+      });
+    doc.fillColor(COLORS.muted)
+      .text(pageNumber, MARGIN, y, { width: width, align: "right", lineBreak: false, goTo: destination(i) });
+  });
+}
+
+function writeRecipe(doc, recipe, image) {
+  const width = contentWidth(doc);
+
+  doc.font(FONTS.bold).fontSize(22).fillColor(COLORS.text)
+    .text(pdfText(recipe.title), { width: width });
+
+  const meta = [
+    recipe.time && `Tijd: ${recipe.time}`,
+    recipe.servings && `${recipe.servings} ${recipe.servings === 1 ? "portie" : "porties"}`,
+    recipe.tags.length && `Tags: ${recipe.tags.join(", ")}`
+  ].filter(Boolean);
+  if (meta.length) {
+    doc.moveDown(0.3);
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted)
+      .text(pdfText(meta.join(" · ")), { width: width });
+  }
+
+  if (recipe.source_url) {
+    doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted)
+      .text(pdfText(recipe.source_url), { width: width, link: recipe.source_url });
+  }
+
+  if (image) {
+    const scale = Math.min(width / image.width, IMAGE_MAX_HEIGHT / image.height, 1);
+    const imageWidth = image.width * scale;
+    const imageHeight = image.height * scale;
+    const y = doc.y + 12;
+
+    doc.image(image.data, MARGIN + (width - imageWidth) / 2, y, { width: imageWidth, height: imageHeight });
+    doc.x = MARGIN;
+    doc.y = y + imageHeight;
+  }
+
+  writeHeading(doc, "Ingrediënten");
+  if (recipe.ingredients.length) {
+    recipe.ingredients.forEach(ingredient => writeListItem(doc, "•", ingredient));
+  } else {
+    writeEmpty(doc, "Geen ingrediënten.");
+  }
+
+  writeHeading(doc, "Bereiding");
+  if (recipe.steps.length) {
+    recipe.steps.forEach((step, i) => writeListItem(doc, `${i + 1}.`, step));
+  } else {
+    writeEmpty(doc, "Geen stappen.");
+  }
+
+  if (recipe.notes) {
+    writeHeading(doc, "Notities");
+    doc.font(FONTS.regular).fontSize(11).fillColor(COLORS.text)
+      .text(pdfText(recipe.notes), { width: width });
+  }
+}
+
+/**
+ * Put the page number (and the cookbook title) at the bottom of every page but the cover
+ */
+function writePageNumbers(doc, title) {
+  const width = contentWidth(doc);
+  const { count } = doc.bufferedPageRange();
+
+  for (let i = 1; i < count; i++) {
+    doc.switchToPage(i);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - MARGIN / 2 - 9;
+    doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted)
+      .text(title, MARGIN, y, { width: width - 50, lineBreak: false, ellipsis: true })
+      .text(String(i + 1), MARGIN, y, { width: width, align: "right", lineBreak: false });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function writeHeading(doc, text) {
+  // Keep a heading together with at least its first lines
+  if (doc.y + 80 > maxY(doc)) doc.addPage();
+
+  doc.moveDown(1);
+  doc.font(FONTS.bold).fontSize(14).fillColor(COLORS.brand)
+    .text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.3);
+}
+
+/**
+ * Write a list item with a hanging marker ("•" or "3."), moving it to the next page as a whole when needed
+ */
+function writeListItem(doc, marker, text) {
+  const indent = 22;
+  const width = contentWidth(doc) - indent;
+  const content = pdfText(text);
+
+  doc.font(FONTS.regular).fontSize(11).fillColor(COLORS.text);
+  if (doc.y + doc.heightOfString(content, { width: width }) > maxY(doc)) doc.addPage();
+
+  const y = doc.y;
+  doc.text(marker, MARGIN, y, { width: indent, lineBreak: false });
+  doc.text(content, MARGIN + indent, y, { width: width });
+  doc.x = MARGIN;
+  doc.moveDown(0.25);
+}
+
+function writeEmpty(doc, text) {
+  doc.font(FONTS.italic).fontSize(11).fillColor(COLORS.muted)
+    .text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+}
+
+function contentWidth(doc) {
+  return doc.page.width - 2 * MARGIN;
+}
+
+function maxY(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function destination(index) {
+  return `recipe-${index}`;
+}
+
+/**
+ * Leave out characters the standard fonts cannot show (outside Latin-1 and common punctuation)
+ */
+function pdfText(value) {
+  return String(value)
+    .replace(/[^\n\x20-\x7e\xa0-\xff–—‘’“”•…€™]/gu, "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
@@ -0,0 +1,87 @@
+/**
+ * Recipe Diff Service
+ * Compares two versions of a recipe field by field,
+ * with line diffs for the ingredient and step lists
+ */
+
+// Fields compared as a single value
+export const VALUE_FIELDS = ["title", "time", "servings", "source_url", "image_url", "notes"];
+
+// Fields compared line by line
+export const LINE_FIELDS = ["ingredients", "steps"];
+
+/**
+ * Line diff of two lists (longest common subsequence)
+ * @param {array} before - Lines of the older version
+ * @param {array} after - Lines of the newer version
+ * @returns {array} - Array of { type: "same" | "removed" | "added", text }, in reading order
+ */
+export function diffLines(before, after) {
+  // lengths[i][j]: length of the longest common subsequence of before[i..] and after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      lines.push({ type: "same", text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "removed", text: before[i++] });
+    } else {
+      lines.push({ type: "added", text: after[j++] });
+    }
+  }
+  while (i < before.length) lines.push({ type: "removed", text: before[i++] });
+  while (j < after.length) lines.push({ type: "added", text: after[j++] });
+
+  return lines;
+}
+
+/**
+ * Compare two versions of a recipe
+ * Only changed fields are listed
+ * @param {object} before - Older version (title, time, servings, source_url, image_url, notes, ingredients, steps, tags)
+ * @param {object} after - Newer version, same fields
+ * @returns {array} - Array of changes:
+ *   { field, type: "value", before, after } for VALUE_FIELDS,
+ *   { field, type: "lines", lines } for LINE_FIELDS (see diffLines),
+ *   { field: "tags", type: "tags", added, removed }
+ */
+export function diffRecipes(before, after) {
+  const changes = [];
+
+  for (const field of VALUE_FIELDS) {
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+    if (oldValue !== newValue) {
+      changes.push({ field, type: "value", before: oldValue, after: newValue });
+    }
+  }
+
+  for (const field of LINE_FIELDS) {
+    const lines = diffLines(before[field] || [], after[field] || []);
+    if (lines.some(line => line.type !== "same")) {
+      changes.push({ field, type: "lines", lines });
+    }
+  }
+
+  const oldTags = new Set((before.tags || []).map(tag => tag.toLowerCase()));
+  const newTags = new Set((after.tags || []).map(tag => tag.toLowerCase()));
+  const added = (after.tags || []).filter(tag => !oldTags.has(tag.toLowerCase()));
+  const removed = (before.tags || []).filter(tag => !newTags.has(tag.toLowerCase()));
+  if (added.length || removed.length) {
+    changes.push({ field: "tags", type: "tags", added, removed });
+  }
+
+  return changes;
+}
@@ -0,0 +1,143 @@
+import AdmZip from "adm-zip";
+import path from "path";
+import { readRecipeImage } from "./imageStorage.js";
+
+/**
+ * Recipe Export Service
+ * Turns a recipe collection into a versioned JSON document, a Markdown cookbook or a ZIP archive
+ *
+ * The JSON document is the stable exchange format (also used to import recipes again):
+ * {
+ *   format: "semorecepts", version: 1, exported_at: ISO date,
+ *   recipes: [{ id, title, time, servings, tags, source_url, image_url, image_file,
+ *               ingredients, steps, notes, is_scraped, favorite, created_at, updated_at }]
+ * }
+ * image_file is the path of the uploaded image inside the ZIP archive ("images/<file>"), otherwise null.
+ * New fields may be added within a version; a change that breaks readers gets a new version number.
+ */
+
+export const EXPORT_FORMAT = "semorecepts";
+export const EXPORT_VERSION = 1;
+export const EXPORT_FORMATS = ["json", "markdown", "zip"];
+
+// Folder of the uploaded images inside the ZIP archive
+const IMAGE_FOLDER = "images";
+
+/**
+ * Build the export document
+ * @param {array} recipes - Recipe objects (from Recipe.fromRow)
+ * @param {array} favoriteIds - IDs of the user's favorite recipes
+ * @param {object} options - { withImages: set image_file for recipes with an uploaded image (ZIP) }
+ * @returns {object} - Export document (see above)
+ */
+export function buildExport(recipes, favoriteIds, options = {}) {
+  const favorites = new Set(favoriteIds);
+  const isoDate = unix => new Date(unix * 1000).toISOString();
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    recipes: recipes.map(recipe => ({
+      id: recipe.id,
+      title: recipe.title,
+      time: recipe.time,
+      servings: recipe.servings,
+      tags: recipe.tags,
+      source_url: recipe.source_url,
+      image_url: recipe.image_url,
+      image_file: options.withImages && recipe.image_path
+        ? `${IMAGE_FOLDER}/${path.basename(recipe.image_path)}`
+        : null,
+      ingredients: recipe.ingredients,
+      steps: recipe.steps,
+      notes: recipe.notes,
+      is_scraped: recipe.is_scraped,
+      favorite: favorites.has(recipe.id),
+      created_at: isoDate(recipe.created_at),
+      updated_at: isoDate(recipe.updated_at)
+    }))
+  };
+}
+
+/**
+ * Write an export document as a Markdown cookbook (one section per recipe)
+ * @param {object} data - Export document from buildExport
+ * @returns {string} - Markdown text
+ */
+export function toMarkdown(data) {
+  const lines = [
+    "# SeMoRecepts",
+    "",
+    `_${data.recipes.length} recept(en), geëxporteerd op ${data.exported_at.slice(0, 10)}_`
+  ];
+
+  for (const recipe of data.recipes) {
+    lines.push("", "---", "", `## ${markdownText(recipe.title)}${recipe.favorite ? " ❤️" : ""}`, "");
+
+    const image = recipe.image_file || recipe.image_url;
+    if (image) lines.push(`![${markdownText(recipe.title)}](${encodeURI(image)})`, "");
+
+    const facts = [
+      recipe.time && `- **Tijd:** ${markdownText(recipe.time)}`,
+      recipe.servings && `- **Porties:** ${recipe.servings}`,
+      recipe.tags.length && `- **Tags:** ${recipe.tags.map(markdownText).join(", ")}`,
+      recipe.source_url && `- **Bron:** <${recipe.source_url}>`
+    ].filter(Boolean);
+    if (facts.length) lines.push(...facts, "");
+
+    lines.push("### Ingrediënten", "");
+    lines.push(...(recipe.ingredients.length
+      ? recipe.ingredients.map(ingredient => `- ${markdownText(ingredient)}`)
+      : ["_Geen ingrediënten._"]));
+
+    lines.push("", "### Stappen", "");
+    lines.push(...(recipe.steps.length
+      ? recipe.steps.map((step, i) => `${i + 1}. ${markdownText(step)}`)
+      : ["_Geen stappen._"]));
+
+    if (recipe.notes) {
+      lines.push("", "### Notities", "", markdownText(recipe.notes));
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Pack an export document in a ZIP archive:
+ * recipes.json (the export document), recipes.md (Markdown cookbook) and images/ (uploaded images)
+ * @param {array} recipes - Recipe objects (from Recipe.fromRow), to read their uploaded images
+ * @param {array} favoriteIds - IDs of the user's favorite recipes
+ * @returns {Promise<Buffer>} - ZIP file
+ */
+export async function toZip(recipes, favoriteIds) {
+  const zip = new AdmZip();
+  const images = new Map();
+
+  for (const recipe of recipes) {
+    const image = await readRecipeImage(recipe.image_path);
+    if (image) images.set(recipe.id, image);
+  }
+
+  // Only point to images that could be read
+  const data = buildExport(recipes, favoriteIds, { withImages: true });
+  for (const recipe of data.recipes) {
+    if (!images.has(recipe.id)) recipe.image_file = null;
+    else zip.addFile(recipe.image_file, images.get(recipe.id));
+  }
+
+  zip.addFile("recipes.json", Buffer.from(JSON.stringify(data, null, 2)));
+  zip.addFile("recipes.md", Buffer.from(toMarkdown(data)));
+
+  return zip.toBuffer();
+}
+
+/**
+ * Escape text so Markdown shows it literally (lines starting with "#" or "1." and inline markup)
+ */
+function markdownText(text) {
+  return String(text)
+    .replace(/([\\`*_[\]<>|])/g, "\\$1")
+    .replace(/^(\s*)([#+-]|\d+\.)(\s)/gm, "$1\\$2$3");
+}
@@ -0,0 +1,481 @@
+import AdmZip from "adm-zip";
+import path from "path";
+import { gunzipSync } from "zlib";
+import { EXPORT_FORMAT, EXPORT_VERSION } from "./recipeExport.js";
+import { findRecipeNode, fromRecipeNode, parseServings } from "./recipeScraper.js";
+import { formatMinutes, parseMinutes } from "./duration.js";
+
+/**
+ * Recipe Import Service
+ * Reads recipe files exported by SeMoRecepts or other recipe managers into the fields used by Recipe.create
+ *
+ * Supported files:
+ * - SeMoRecepts export: recipes.json (see services/recipeExport.js) or the ZIP with images
+ * - Paprika: .paprikarecipes (ZIP of gzipped JSON recipes) or a single .paprikarecipe
+ * - Mealie: recipe JSON, or the export ZIP (recipes/<slug>/<slug>.json with images)
+ * - Tandoor: recipe.json, or the export ZIP (one ZIP per recipe with recipe.json and image)
+ * - schema.org Recipe as JSON-LD (.json / .jsonld)
+ * JSON files may also hold an array of recipes.
+ */
+
+// Maximum size of an uploaded import file: 50 MB
+export const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+// Maximum number of recipes in one import
+export const MAX_IMPORT_RECIPES = 500;
+
+// Refuse archives that unpack to more than 200 MB in total
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+
+// Image file names found next to recipes in export archives
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".gif"];
+
+/**
+ * Read an import file into recipes
+ * Recipes that cannot be read do not stop the import: they are returned with an error
+ * @param {Buffer} buffer - File contents
+ * @returns {array} - Array of { format, title, recipe, favorite, image, error }:
+ *   recipe is the data for Recipe.create (null when error is set),
+ *   favorite is true for favorites in a SeMoRecepts export,
+ *   image is a Buffer with the recipe's photo from the file, or null
+ * @throws {Error} - If the file is not in a supported format
+ */
+export function readImportFile(buffer) {
+  const archive = new Archive();
+  const items = archive.isZip(buffer)
+    ? readZip(archive, buffer)
+    : readDocument(archive.decode(buffer), new Map());
+
+  if (items.length === 0) {
+    throw new Error("The file contains no recipes");
+  }
+  if (items.length > MAX_IMPORT_RECIPES) {
+    throw new Error(`A file may contain at most ${MAX_IMPORT_RECIPES} recipes`);
+  }
+
+  return items;
+}
+
+/**
+ * Keeps track of the recipes a user already has, to skip duplicates
+ * A recipe is a duplicate when an existing recipe has the same source URL,
+ * or the same title (case-insensitive) without a different source URL
+ */
+export class DuplicateIndex {
+  /**
+   * @param {array} recipes - Existing recipes ({ title, source_url })
+   */
+  constructor(recipes) {
+    this.sources = new Set();
+    this.titles = new Map();
+    recipes.forEach(recipe => this.add(recipe));
+  }
+
+  /**
+   * Check if a recipe is already in the index
+   * @param {object} recipe - Recipe data ({ title, source_url })
+   * @returns {boolean}
+   */
+  has(recipe) {
+    if (recipe.source_url && this.sources.has(recipe.source_url)) return true;
+
+    const sources = this.titles.get(titleKey(recipe.title));
+    if (!sources) return false;
+    return !recipe.source_url || sources.has(null);
+  }
+
+  /**
+   * Add a recipe, so later recipes of the same import are checked against it too
+   * @param {object} recipe - Recipe data ({ title, source_url })
+   */
+  add(recipe) {
+    const key = titleKey(recipe.title);
+    if (!this.titles.has(key)) this.titles.set(key, new Set());
+    this.titles.get(key).add(recipe.source_url || null);
+    if (recipe.source_url) this.sources.add(recipe.source_url);
+  }
+}
+
+/**
+ * Unpacks archives while counting the unpacked size
+ */
+class Archive {
+  constructor() {
+    this.unpackedBytes = 0;
+  }
+
+  isZip(buffer) {
+    return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  }
+
+  isGzip(buffer) {
+    return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  }
+
+  /**
+   * Get the files of a ZIP archive by name (directories left out)
+   * @returns {Map} - Map of entry name to a function that reads the entry into a Buffer
+   */
+  entries(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch {
+      throw new Error("The ZIP file is damaged");
+    }
+
+    const files = new Map();
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+      files.set(entry.entryName, () => this.unpack(entry));
+    }
+    return files;
+  }
+
+  /**
+   * Unpack a ZIP entry, refusing it before inflating when it would not fit in the remaining size
+   * adm-zip inflates at most the size in the entry header, except for a size of 0: those entries
+   * are empty (or lie), so they are never inflated
+   */
+  unpack(entry) {
+    if (entry.header.size > MAX_UNPACKED_BYTES - this.unpackedBytes) {
+      throw new Error("The file is too large when unpacked");
+    }
+    if (entry.header.size === 0) return Buffer.alloc(0);
+
+    return this.count(entry.getData());
+  }
+
+  /**
+   * Parse a (gzipped) JSON file
+   */
+  decode(buffer) {
+    const data = this.isGzip(buffer) ? this.count(gunzipSync(buffer, { maxOutputLength: MAX_UNPACKED_BYTES })) : buffer;
+
+    try {
+      return JSON.parse(data.toString("utf8").replace(/^\uFEFF/, ""));
+    } catch {
+      throw new Error("The file is not a supported recipe export (no valid JSON or ZIP)");
+    }
+  }
+
+  count(buffer) {
+    this.unpackedBytes += buffer.length;
+    if (this.unpackedBytes > MAX_UNPACKED_BYTES) {
+      throw new Error("The file is too large when unpacked");
+    }
+    return buffer;
+  }
+}
+
+/**
+ * Read the recipes of a ZIP archive, by the layout of the recipe manager that made it
+ */
+function readZip(archive, buffer) {
+  const files = archive.entries(buffer);
+  const names = [...files.keys()];
+
+  // SeMoRecepts export: recipes.json with images/
+  if (files.has("recipes.json")) {
+    return readDocument(archive.decode(files.get("recipes.json")()), files);
+  }
+
+  // Paprika: one gzipped JSON file per recipe
+  const paprika = names.filter(name => name.endsWith(".paprikarecipe"));
+  if (paprika.length) {
+    return paprika.map(name => readItem("paprika", name, () => archive.decode(files.get(name)()), fromPaprika));
+  }
+
+  // Tandoor: one ZIP per recipe with recipe.json and image.*
+  const nested = names.filter(name => name.endsWith(".zip"));
+  if (nested.length) {
+    return nested.map(name => readItem("tandoor", name, () => {
+      const recipeFiles = archive.entries(files.get(name)());
+      if (!recipeFiles.has("recipe.json")) throw new Error("recipe.json is missing");
+      return { data: archive.decode(recipeFiles.get("recipe.json")()), files: recipeFiles };
+    }, ({ data, files: recipeFiles }) => ({ ...fromTandoor(data), image: findImage(recipeFiles, "image") })));
+  }
+
+  // Mealie (recipes/<slug>/<slug>.json) and other JSON files
+  const documents = names.filter(name => /\.(json|jsonld)$/i.test(name));
+  if (documents.length) {
+    return documents.flatMap(name => {
+      let data;
+      try {
+        data = archive.decode(files.get(name)());
+      } catch (error) {
+        return [{ format: null, title: name, recipe: null, favorite: false, image: null, error: error.message }];
+      }
+
+      const folder = path.posix.dirname(name);
+      return readDocument(data, files).map(item => ({
+        ...item,
+        image: item.recipe && item.format === "mealie" ? findImage(files, `${folder}/images/original`) : item.image
+      }));
+    });
+  }
+
+  throw new Error("The ZIP file contains no supported recipes");
+}
+
+/**
+ * Read the recipes of a parsed JSON document
+ * @param {*} data - Parsed JSON
+ * @param {Map} files - Files of the surrounding archive (for images of SeMoRecepts exports)
+ */
+function readDocument(data, files) {
+  if (data && data.format === EXPORT_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+      throw new Error(`Export version ${data.version} is not supported (newest: ${EXPORT_VERSION})`);
+    }
+    if (!Array.isArray(data.recipes)) {
+      throw new Error("The export has no recipe list");
+    }
+
+    return data.recipes.map((recipe, i) => readItem(EXPORT_FORMAT, `#${i + 1}`, () => recipe, recipe => ({
+      ...fromSemorecepts(recipe),
+      image: recipe && typeof recipe.image_file === "string" && files.has(recipe.image_file)
+        ? files.get(recipe.image_file)()
+        : null
+    })));
+  }
+
+  const recipes = Array.isArray(data) ? data : [data];
+  return recipes.map((recipe, i) => {
+    const format = detectFormat(recipe);
+    if (!format) {
+      return { format: null, title: `#${i + 1}`, recipe: null, favorite: false, image: null, error: "Unknown recipe format" };
+    }
+    return readItem(format, `#${i + 1}`, () => recipe, READERS[format]);
+  });
+}
+
+/**
+ * Recognise the recipe manager of a single recipe object by its fields
+ * @returns {string|null} - Format name (a key of READERS), or null
+ */
+function detectFormat(recipe) {
+  if (!recipe || typeof recipe !== "object" || Array.isArray(recipe)) return null;
+
+  if (recipe["@context"] || recipe["@type"] || recipe["@graph"]) return "json-ld";
+  if ("directions" in recipe || "photo_data" in recipe) return "paprika";
+  if (Array.isArray(recipe.steps) && recipe.steps.some(step => step && typeof step === "object")) return "tandoor";
+  if ("recipeIngredient" in recipe || "recipe_ingredient" in recipe || "recipeInstructions" in recipe) return "mealie";
+  if ("title" in recipe && ("ingredients" in recipe || "steps" in recipe)) return EXPORT_FORMAT;
+
+  return null;
+}
+
+/**
+ * Read one recipe; errors are kept on the item instead of stopping the import
+ * @param {string} format - Format name
+ * @param {string} label - Name used in errors when the recipe has no title (file name or position)
+ * @param {function} load - Returns the raw recipe data
+ * @param {function} read - Maps raw data to { fields, favorite, image }
+ */
+function readItem(format, label, load, read) {
+  try {
+    const { favorite = false, image = null, ...fields } = read(load());
+    const recipe = toRecipeData(fields);
+    return { format, title: recipe.title, recipe, favorite: Boolean(favorite), image, error: null };
+  } catch (error) {
+    return { format, title: label, recipe: null, favorite: false, image: null, error: error.message };
+  }
+}
+
+/**
+ * FORMAT READERS
+ * Each maps a recipe of its format to { title, time, servings, tags, source_url, image_url,
+ * ingredients, steps, notes, is_scraped } (plus favorite and image where the format has them)
+ */
+
+function fromSemorecepts(recipe) {
+  if (!recipe || typeof recipe !== "object") throw new Error("Recipe is not an object");
+
+  return {
+    title: recipe.title,
+    time: recipe.time,
+    servings: recipe.servings,
+    tags: recipe.tags,
+    source_url: recipe.source_url,
+    image_url: recipe.image_url,
+    ingredients: recipe.ingredients,
+    steps: recipe.steps,
+    notes: recipe.notes,
+    is_scraped: recipe.is_scraped,
+    favorite: recipe.favorite === true
+  };
+}
+
+function fromPaprika(recipe) {
+  return {
+    title: recipe.name,
+    time: recipe.total_time || recipe.cook_time || recipe.prep_time,
+    servings: parseServings(recipe.servings),
+    tags: recipe.categories,
+    source_url: recipe.source_url,
+    image_url: recipe.image_url,
+    ingredients: recipe.ingredients,
+    steps: recipe.directions,
+    notes: [recipe.description, recipe.notes].filter(Boolean).join("\n\n"),
+    image: recipe.photo_data ? Buffer.from(recipe.photo_data, "base64") : null
+  };
+}
+
+function fromMealie(recipe) {
+  const ingredients = toArray(recipe.recipeIngredient ?? recipe.recipe_ingredient).map(ingredient => {
+    if (typeof ingredient === "string") return ingredient;
+    return ingredient.originalText || ingredient.display || [
+      ingredient.quantity || null,
+      ingredient.unit?.name,
+      ingredient.food?.name,
+      ingredient.note
+    ].filter(Boolean).join(" ");
+  });
+
+  const steps = toArray(recipe.recipeInstructions ?? recipe.recipe_instructions)
+    .map(step => typeof step === "string" ? step : step.text);
+
+  const notes = toArray(recipe.notes)
+    .map(note => typeof note === "string" ? note : [note.title, note.text].filter(Boolean).join(": "));
+
+  return {
+    title: recipe.name,
+    time: recipe.totalTime ?? recipe.total_time ?? recipe.performTime ?? recipe.cookTime,
+    servings: recipe.recipeServings || parseServings(recipe.recipeYield ?? recipe.recipe_yield),
+    tags: [...toArray(recipe.recipeCategory ?? recipe.recipe_category), ...toArray(recipe.tags)]
+      .map(tag => typeof tag === "string" ? tag : tag.name),
+    source_url: recipe.orgURL ?? recipe.org_url,
+    ingredients: ingredients,
+    steps: steps,
+    notes: [recipe.description, ...notes].filter(Boolean).join("\n\n")
+  };
+}
+
+function fromTandoor(recipe) {
+  const steps = toArray(recipe.steps);
+
+  const ingredients = steps.flatMap(step => toArray(step.ingredients)).map(ingredient => {
+    if (ingredient.is_header) return `${ingredient.note || ingredient.food?.name || ""}:`;
+    return ingredient.original_text || [
+      !ingredient.no_amount && Number(ingredient.amount) ? String(Number(ingredient.amount)) : null,
+      ingredient.unit?.name,
+      ingredient.food?.name,
+      ingredient.note
+    ].filter(Boolean).join(" ");
+  });
+
+  return {
+    title: recipe.name,
+    time: formatMinutes((Number(recipe.working_time) || 0) + (Number(recipe.waiting_time) || 0)),
+    servings: recipe.servings,
+    tags: toArray(recipe.keywords).map(keyword => typeof keyword === "string" ? keyword : keyword.name),
+    source_url: recipe.source_url,
+    ingredients: ingredients,
+    steps: steps.flatMap(step => splitLines(step.instruction)),
+    notes: recipe.description
+  };
+}
+
+function fromJsonLd(data) {
+  const node = findRecipeNode(data);
+  if (!node) throw new Error("No schema.org Recipe found");
+
+  const { image, ...recipe } = fromRecipeNode(node);
+  const page = node.mainEntityOfPage;
+  return {
+    ...recipe,
+    source_url: node.url || (typeof page === "string" ? page : page?.["@id"]),
+    image_url: image
+  };
+}
+
+const READERS = {
+  [EXPORT_FORMAT]: fromSemorecepts,
+  paprika: fromPaprika,
+  mealie: fromMealie,
+  tandoor: fromTandoor,
+  "json-ld": fromJsonLd
+};
+
+/**
+ * Check and clean the fields of a read recipe into data for Recipe.create
+ * @throws {Error} - If the recipe has no title
+ */
+function toRecipeData(fields) {
+  const title = text(fields.title).replace(/\s+/g, " ").slice(0, 200);
+  if (!title) throw new Error("Recipe has no title");
+
+  const servings = Math.round(Number(fields.servings));
+  const sourceUrl = httpUrl(fields.source_url);
+
+  return {
+    title: title,
+    time: readTime(fields.time),
+    servings: servings >= 1 && servings <= 100 ? servings : 2,
+    tags: [...new Set(toArray(fields.tags).map(tag => text(tag)).filter(Boolean))],
+    source_url: sourceUrl,
+    image_url: httpUrl(fields.image_url),
+    ingredients: toLines(fields.ingredients),
+    steps: toLines(fields.steps),
+    notes: text(fields.notes) || null,
+    is_scraped: fields.is_scraped === undefined ? Boolean(sourceUrl) : Boolean(fields.is_scraped)
+  };
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+  if (value === undefined || value === null || typeof value === "object") return "";
+  return String(value).trim();
+}
+
+function splitLines(value) {
+  return text(value).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// A list as array or as newline separated text
+function toLines(value) {
+  return Array.isArray(value) ? value.flatMap(splitLines) : splitLines(value);
+}
+
+// Times are kept as written, except ISO 8601 durations and bare minutes
+function readTime(value) {
+  if (typeof value === "number") return formatMinutes(value);
+
+  const time = text(value).slice(0, 50);
+  if (/^P/i.test(time) || /^\d+$/.test(time)) return formatMinutes(parseMinutes(time));
+  return time || null;
+}
+
+function httpUrl(value) {
+  try {
+    const url = new URL(text(value));
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function titleKey(title) {
+  return String(title).trim().toLowerCase();
+}
+
+/**
+ * Find an image in archive files by its name without extension
+ * @returns {Buffer|null}
+ */
+function findImage(files, baseName) {
+  for (const extension of IMAGE_EXTENSIONS) {
+    const read = files.get(baseName + extension);
+    if (read) return read();
+  }
+  return null;
+}
@@ -0,0 +1,499 @@
+import * as cheerio from "cheerio";
+import { lookup } from "dns";
+import { BlockList, isIP } from "net";
+import { Agent, fetch } from "undici";
+import { formatMinutes } from "./duration.js";
+
+/**
+ * Recipe Scraper Service
+ * Fetches a recipe page and extracts the recipe into the fields used by Recipe.create
+ *
+ * Extraction strategies (in order):
+ * 1. schema.org Recipe as JSON-LD (<script type="application/ld+json">)
+ * 2. schema.org Recipe as microdata (itemtype="https://schema.org/Recipe")
+ * 3. Heuristics based on common class names and Open Graph tags
+ */
+
+// Abort requests to slow sites after 10 seconds
+const FETCH_TIMEOUT_MS = 10000;
+
+// Refuse pages larger than 5 MB
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// Follow at most 5 redirects
+const MAX_REDIRECTS = 5;
+
+// Addresses the server must never fetch for a user: "this network", private networks, carrier-grade NAT,
+// loopback, link-local (incl. cloud metadata at 169.254.169.254), documentation, benchmarking, multicast
+// and reserved. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges;
+// IPv4-compatible (::127.0.0.1), NAT64 and 6to4 addresses can tunnel to any IPv4 address
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 96], ["64:ff9b::", 96], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+// Redirect status codes that carry a Location header
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Create an error for a URL the scraper refuses to fetch
+ * The controller answers these with 400 instead of 502
+ */
+function notAllowed(message) {
+  const error = new Error(message);
+  error.code = "URL_NOT_ALLOWED";
+  return error;
+}
+
+function isPrivateAddress(address, family) {
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * DNS lookup for outgoing connections that refuses hosts with a private address
+ * Runs when the socket connects, so the address that is checked is the address that is used
+ * (a host cannot pass a separate check and then resolve to 127.0.0.1, i.e. DNS rebinding)
+ * Same signature as dns.lookup
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return callback(notAllowed(`Host is not publicly reachable: ${hostname}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connections of imports go through publicLookup; local fixtures (allowPrivateHosts) use a plain agent
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+const privateAgent = new Agent();
+
+/**
+ * Check that a URL may be fetched: http(s) only, and no private IP address as host
+ * Host names are checked when connecting (see publicLookup), IP addresses are connected to without a lookup
+ * @param {URL} url - URL to check
+ * @param {boolean} allowPrivateHosts - Skip the address check (local test fixtures)
+ * @throws {Error} - With code URL_NOT_ALLOWED if the URL may not be fetched
+ */
+function assertPublicUrl(url, allowPrivateHosts) {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw notAllowed(`Unsupported protocol: ${url.protocol}`);
+  }
+  if (allowPrivateHosts) return;
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  const family = isIP(hostname);
+
+  if (family && isPrivateAddress(hostname, family)) {
+    throw notAllowed(`Host is not publicly reachable: ${hostname}`);
+  }
+}
+
+/**
+ * Request a URL, following redirects by hand so every hop is checked like the URL itself
+ * @param {URL} url - URL to request
+ * @param {boolean} allowPrivateHosts - Skip the address check (local test fixtures)
+ * @param {AbortSignal} signal - Aborts the requests
+ * @returns {Promise<Response>} - Response of the last hop, body not read yet
+ */
+async function requestPage(url, allowPrivateHosts, signal) {
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    assertPublicUrl(current, allowPrivateHosts);
+
+    let response;
+    try {
+      response = await fetch(current, {
+        headers: {
+          "User-Agent": "Mozilla/5.0 (compatible; SeMoRecepts/1.0; +recipe-import)",
+          "Accept": "text/html,application/xhtml+xml"
+        },
+        redirect: "manual",
+        dispatcher: allowPrivateHosts ? privateAgent : publicAgent,
+        signal
+      });
+    } catch (error) {
+      // fetch wraps connection errors, including the ones of publicLookup
+      if (error.cause?.code === "URL_NOT_ALLOWED") throw error.cause;
+      if (error.cause?.code === "ENOTFOUND") throw new Error(`Host not found: ${current.hostname}`);
+      throw error;
+    }
+
+    const location = response.headers.get("location");
+    if (!REDIRECT_STATUSES.has(response.status) || !location) return response;
+
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) {
+      throw new Error("Too many redirects");
+    }
+    current = new URL(location, current);
+  }
+}
+
+/**
+ * Read a response body as text, counting bytes while they arrive
+ * Chunked responses have no Content-Length, so the size is only known by reading
+ * @param {Response} response - Response with an unread body
+ * @param {number} maxBytes - Stop reading (and cancel the download) above this size
+ * @returns {Promise<string>} - Body decoded as UTF-8
+ * @throws {Error} - If the body is larger than maxBytes
+ */
+async function readText(response, maxBytes) {
+  if (!response.body) return "";
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw new Error("Page is too large");
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+
+  return text + decoder.decode();
+}
+
+/**
+ * Fetch a page and return its HTML
+ * @param {string} url - Absolute http(s) URL
+ * @param {object} options - Optional: { allowPrivateHosts, timeoutMs, maxBytes }
+ *   allowPrivateHosts defaults to the SCRAPER_ALLOW_PRIVATE_HOSTS=1 environment variable and is only meant
+ *   for fetching local fixtures; timeoutMs and maxBytes default to 10 seconds and 5 MB
+ * @returns {Promise<string>} - Page HTML
+ * @throws {Error} - If the page cannot be fetched, is not HTML or is not allowed (code URL_NOT_ALLOWED)
+ */
+export async function fetchPage(url, options = {}) {
+  const allowPrivateHosts = options.allowPrivateHosts ?? process.env.SCRAPER_ALLOW_PRIVATE_HOSTS === "1";
+  const maxBytes = options.maxBytes ?? MAX_PAGE_BYTES;
+  const signal = AbortSignal.timeout(options.timeoutMs ?? FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await requestPage(new URL(url), allowPrivateHosts, signal);
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`Page responded with HTTP ${response.status}`);
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (contentType && !contentType.includes("html")) {
+      await response.body?.cancel();
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    // Refuse early when the size is announced, readText enforces it either way
+    if (Number(response.headers.get("content-length") || 0) > maxBytes) {
+      await response.body?.cancel();
+      throw new Error("Page is too large");
+    }
+
+    return await readText(response, maxBytes);
+  } catch (error) {
+    if (signal.aborted) {
+      throw new Error("Page took too long to respond");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch a URL and extract its recipe
+ * @param {string} url - Absolute http(s) URL of the recipe page
+ * @param {object} options - Options for fetchPage
+ * @returns {Promise<object|null>} - Recipe data for Recipe.create, or null if no recipe was found
+ */
+export async function scrapeRecipe(url, options = {}) {
+  const html = await fetchPage(url, options);
+  return extractRecipe(html, url);
+}
+
+/**
+ * Extract a recipe from an HTML document
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page (used to resolve relative image URLs)
+ * @returns {object|null} - Recipe data for Recipe.create, or null if no recipe was found
+ */
+export function extractRecipe(html, pageUrl) {
+  const $ = cheerio.load(html);
+
+  const recipe = fromJsonLd($) || fromMicrodata($) || fromHeuristics($);
+  if (!recipe || !recipe.title) return null;
+
+  // A page without ingredients and steps is not a usable recipe
+  if (recipe.ingredients.length === 0 && recipe.steps.length === 0) return null;
+
+  return {
+    title: recipe.title.slice(0, 200),
+    time: recipe.time || null,
+    servings: recipe.servings || 2,
+    tags: recipe.tags,
+    source_url: pageUrl,
+    image_url: resolveUrl(recipe.image, pageUrl),
+    ingredients: recipe.ingredients,
+    steps: recipe.steps,
+    notes: recipe.notes || null,
+    is_scraped: true
+  };
+}
+
+/**
+ * STRATEGY 1: JSON-LD
+ */
+function fromJsonLd($) {
+  const scripts = $('script[type="application/ld+json"]').toArray();
+
+  for (const script of scripts) {
+    let data;
+    try {
+      data = JSON.parse($(script).text());
+    } catch {
+      // Ignore malformed JSON-LD blocks, other blocks may still be valid
+      continue;
+    }
+
+    const node = findRecipeNode(data);
+    if (node) return fromRecipeNode(node);
+  }
+
+  return null;
+}
+
+/**
+ * Map a schema.org Recipe node to the intermediate recipe fields used by extractRecipe
+ * Also used by the bulk import for JSON-LD files
+ * @param {object} node - JSON-LD node with @type Recipe
+ * @returns {object} - { title, time, servings, tags, image, ingredients, steps, notes }
+ */
+export function fromRecipeNode(node) {
+  return {
+    title: cleanText(node.name),
+    time: formatDuration(node.totalTime) || formatDuration(node.cookTime),
+    servings: parseServings(node.recipeYield),
+    tags: toArray(node.recipeCategory).map(value => cleanText(value)).filter(Boolean),
+    image: imageUrl(node.image),
+    ingredients: toArray(node.recipeIngredient || node.ingredients).map(cleanText).filter(Boolean),
+    steps: flattenInstructions(node.recipeInstructions),
+    notes: cleanText(node.description)
+  };
+}
+
+/**
+ * Find the first node with @type Recipe in (nested) JSON-LD data
+ * Handles arrays, @graph containers and @type arrays
+ */
+export function findRecipeNode(data) {
+  if (!data || typeof data !== "object") return null;
+
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const node = findRecipeNode(item);
+      if (node) return node;
+    }
+    return null;
+  }
+
+  const types = toArray(data["@type"]);
+  if (types.some(t => String(t).toLowerCase() === "recipe")) return data;
+
+  if (data["@graph"]) return findRecipeNode(data["@graph"]);
+  if (data.mainEntity) return findRecipeNode(data.mainEntity);
+
+  return null;
+}
+
+/**
+ * Flatten recipeInstructions into an array of step strings
+ * Supports plain text, string arrays, HowToStep and HowToSection objects
+ */
+function flattenInstructions(instructions) {
+  if (!instructions) return [];
+
+  if (typeof instructions === "string") {
+    return splitLines(cleanText(instructions, true));
+  }
+
+  return toArray(instructions).flatMap(item => {
+    if (typeof item === "string") return splitLines(cleanText(item, true));
+    if (!item || typeof item !== "object") return [];
+
+    // HowToSection contains its own list of steps
+    if (item.itemListElement) return flattenInstructions(item.itemListElement);
+
+    const text = cleanText(item.text || item.name);
+    return text ? [text] : [];
+  });
+}
+
+/**
+ * STRATEGY 2: Microdata
+ */
+function fromMicrodata($) {
+  const scope = $('[itemscope][itemtype*="schema.org/Recipe"]').first();
+  if (!scope.length) return null;
+
+  // Only properties that belong to the recipe itself, not to nested items
+  const props = name => scope.find(`[itemprop="${name}"]`).filter((i, el) =>
+    $(el).parentsUntil(scope).filter("[itemscope]").length === 0
+  );
+  const propValue = el => {
+    const $el = $(el);
+    return $el.attr("content") || $el.attr("datetime") || $el.attr("src") || $el.attr("href") || $el.text();
+  };
+
+  const ingredients = [...props("recipeIngredient").toArray(), ...props("ingredients").toArray()]
+    .map(el => cleanText($(el).text()))
+    .filter(Boolean);
+
+  const steps = props("recipeInstructions").toArray().flatMap(el => {
+    const $el = $(el);
+
+    // Nested HowToStep items or list items each become a step
+    const children = $el.find('[itemprop="text"], li');
+    if (children.length) {
+      return children.toArray().map(child => cleanText($(child).text())).filter(Boolean);
+    }
+    return splitLines(cleanText($el.text(), true));
+  });
+
+  return {
+    title: cleanText(propValue(props("name").first())),
+    time: formatDuration(propValue(props("totalTime").first())) ||
+      formatDuration(propValue(props("cookTime").first())),
+    servings: parseServings(propValue(props("recipeYield").first())),
+    tags: props("recipeCategory").toArray().map(el => cleanText(propValue(el))).filter(Boolean),
+    image: propValue(props("image").first()) || null,
+    ingredients,
+    steps,
+    notes: cleanText(propValue(props("description").first()))
+  };
+}
+
+/**
+ * STRATEGY 3: Heuristics
+ * Looks for lists inside elements whose class or id mentions ingredients or instructions
+ */
+function fromHeuristics($) {
+  const listItems = pattern => {
+    const containers = $("[class], [id]").filter((i, el) =>
+      pattern.test(`${$(el).attr("class") || ""} ${$(el).attr("id") || ""}`)
+    );
+    const items = containers.find("li").toArray().map(el => cleanText($(el).text())).filter(Boolean);
+    return [...new Set(items)];
+  };
+
+  const title = $('meta[property="og:title"]').attr("content") || $("h1").first().text() || $("title").text();
+
+  return {
+    title: cleanText(title),
+    time: null,
+    servings: null,
+    tags: [],
+    image: $('meta[property="og:image"]').attr("content") || null,
+    ingredients: listItems(/ingredi/i),
+    steps: listItems(/instruction|direction|method|preparation|bereiding|werkwijze/i),
+    notes: cleanText($('meta[name="description"]').attr("content"))
+  };
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function first(value) {
+  return toArray(value)[0];
+}
+
+/**
+ * Strip HTML tags, decode entities and collapse whitespace
+ * @param {*} value - Raw value from the page
+ * @param {boolean} keepNewlines - Keep line breaks (used before splitting into steps)
+ */
+function cleanText(value, keepNewlines = false) {
+  if (value === undefined || value === null) return "";
+
+  const html = String(value).replace(/<br\s*\/?>|<\/p>|<\/li>/gi, "\n");
+  const text = cheerio.load(`<body>${html}</body>`)("body").text();
+
+  if (keepNewlines) {
+    return text.split("\n").map(line => line.replace(/\s+/g, " ").trim()).join("\n").trim();
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function splitLines(text) {
+  return text.split("\n").map(s => s.trim()).filter(s => s.length > 0);
+}
+
+/**
+ * Get an image URL from a schema.org image value
+ * Can be a string, an array or an ImageObject
+ */
+function imageUrl(image) {
+  const img = first(image);
+  if (!img) return null;
+  if (typeof img === "string") return img;
+  return img.url || img.contentUrl || null;
+}
+
+function resolveUrl(url, base) {
+  if (!url) return null;
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert an ISO 8601 duration (e.g. "PT1H30M") to the app's time format ("1 u 30 min")
+ * @param {string} duration - ISO 8601 duration
+ * @returns {string|null} - Formatted time or null if not parseable
+ */
+function formatDuration(duration) {
+  if (!duration || typeof duration !== "string") return null;
+
+  const match = duration.trim().match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!match) return null;
+
+  const [, days, hours, minutes] = match;
+  return formatMinutes((Number(days) || 0) * 1440 + (Number(hours) || 0) * 60 + (Number(minutes) || 0));
+}
+
+/**
+ * Get the number of servings from a recipeYield value ("4", 4, "4 porties", ["4", "4 servings"])
+ * @returns {number|null} - Servings between 1 and 100, or null
+ */
+export function parseServings(recipeYield) {
+  for (const value of toArray(recipeYield)) {
+    const match = String(value).match(/\d+/);
+    if (match) {
+      const servings = parseInt(match[0], 10);
+      if (servings >= 1 && servings <= 100) return servings;
+    }
+  }
+  return null;
+}
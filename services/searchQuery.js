@@ -0,0 +1,62 @@
+/**
+ * Search Query Service
+ * Turns what users type in the search box into safe SQLite FTS5 queries
+ * and turns FTS5 snippets into HTML
+ *
+ * - Every word is matched as a prefix ("courg" finds "courgette")
+ * - FTS5 operators typed by users (quotes, *, NEAR, column filters) are never passed through
+ * - Ingredient search takes a comma separated list and finds recipes with any of the ingredients,
+ *   recipes using more of them rank higher
+ */
+
+// Columns of recipes_fts that can be searched separately
+export const SEARCH_FIELDS = ["title", "ingredients", "steps", "notes"];
+
+// Private use characters mark highlighted terms until the snippet is HTML-escaped
+export const MARK_START = "\uE000";
+export const MARK_END = "\uE001";
+
+/**
+ * Build a prefix query for the words of a text
+ * @returns {string|null} - e.g. '"rode"* "ui"*', or null if the text has no words
+ */
+function wordsQuery(text) {
+  const words = String(text || "").match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map(word => `"${word}"*`).join(" ");
+}
+
+/**
+ * Build an FTS5 MATCH expression
+ * @param {string} text - Search text as typed by the user
+ * @param {string|null} field - Only search this column (see SEARCH_FIELDS)
+ * @returns {string|null} - MATCH expression, or null if there is nothing to search for
+ */
+export function buildMatchQuery(text, field = null) {
+  if (field === "ingredients") {
+    // "courgette, rode ui" → any of the ingredients
+    const ingredients = String(text || "").split(/[,;]|\s+(?:en|and|of|or)\s+/i)
+      .map(wordsQuery)
+      .filter(Boolean);
+    if (!ingredients.length) return null;
+    return `{ingredients} : (${ingredients.map(query => `(${query})`).join(" OR ")})`;
+  }
+
+  const query = wordsQuery(text);
+  if (!query) return null;
+  return field ? `{${field}} : (${query})` : query;
+}
+
+/**
+ * Convert an FTS5 snippet with MARK_START/MARK_END markers to HTML with <mark> elements
+ * @param {string|null} snippet - Snippet or highlight from FTS5
+ * @returns {string|null} - Escaped HTML
+ */
+export function snippetToHTML(snippet) {
+  if (!snippet) return null;
+
+  return snippet
+    .replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]))
+    .replaceAll(MARK_START, "<mark>")
+    .replaceAll(MARK_END, "</mark>");
+}
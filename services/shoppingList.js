@@ -0,0 +1,148 @@
+import { getUnit, unitLabel } from "./units.js";
+import { formatQuantity, normalizeUnit, scaleIngredient } from "./ingredientScaler.js";
+import { categorize } from "./aisles.js";
+
+/**
+ * Shopping List Service
+ * Turns parsed recipe ingredients into shopping list items
+ *
+ * - Ingredients with the same name are merged when their units are compatible:
+ *   weights with weights, volumes with volumes, counts only with the same unit ("teentje", "blik")
+ * - Mixed units are added up in grams/millilitres and shown in a readable unit (250 g + 1 kg → 1,25 kg)
+ * - Counts are rounded up to whole pieces ("5½ uien" → "6 uien")
+ * - An ingredient without an amount ("zout naar smaak") disappears when the same ingredient
+ *   is also needed with an amount
+ */
+
+// Ingredients nobody has to buy
+const SKIPPED_NAMES = /^(?:(?:lauw|koud|warm|heet|kokend)e?\s+)?(?:kraan)?water$/i;
+
+/**
+ * Normalise an ingredient name for comparison
+ * @param {string} name - Ingredient name
+ * @returns {string} - Lowercase name with single spaces
+ */
+export function nameKey(name) {
+  return String(name || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Check whether two normalised names are the same ingredient
+ * Recognises simple Dutch and English plurals ("ui"/"uien", "tomaat"/"tomaten", "appel"/"appels")
+ * @param {string} a - Name normalised with nameKey
+ * @param {string} b - Name normalised with nameKey
+ * @returns {boolean} - True if both names are the same ingredient
+ */
+export function sameIngredient(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+
+  // "tomaat" → "tomat" + "en"
+  const stem = short.replace(/([aeou])\1([^aeiou])$/, "$1$2");
+  return ["s", "'s", "en"].some(suffix => long === short + suffix || long === stem + suffix);
+}
+
+/**
+ * Get the shopping list entries for a recipe
+ * @param {object} recipe - Recipe object (from Recipe.fromRow)
+ * @param {number|null} servings - Number of servings to shop for (null = recipe servings)
+ * @returns {array} - Entries { name, quantity, unit, recipes }
+ */
+export function recipeToEntries(recipe, servings) {
+  const factor = servings ? servings / (recipe.servings || 2) : 1;
+
+  return recipe.ingredients_parsed
+    .filter(item => item.name && !SKIPPED_NAMES.test(item.name.trim()))
+    .map(item => {
+      const scaled = scaleIngredient(item, factor);
+      return {
+        name: scaled.name,
+        // Buy enough for the upper end of a range ("2-3 uien")
+        quantity: scaled.quantity_max ?? scaled.quantity,
+        unit: scaled.unit,
+        recipes: [recipe.title]
+      };
+    });
+}
+
+/**
+ * Merge entries with the same name and compatible units
+ * @param {array} entries - Entries { name, quantity, unit, recipes } (stored items have the same shape)
+ * @returns {array} - Merged items { name, quantity, unit, category, recipes }
+ */
+export function mergeEntries(entries) {
+  const groups = [];
+
+  for (const entry of entries) {
+    const unit = entry.unit ? getUnit(entry.unit) : null;
+    const dimension = !unit ? "none" : unit.type === "count" ? entry.unit : unit.type;
+    const key = nameKey(entry.name);
+
+    let group = groups.find(candidate => candidate.dimension === dimension && sameIngredient(candidate.key, key));
+    if (!group) {
+      group = { key, dimension, name: entry.name, entries: [], recipes: new Set() };
+      groups.push(group);
+    }
+
+    // Keep the plural ("uien" rather than "ui")
+    if (entry.name.length > group.name.length) group.name = entry.name;
+
+    group.entries.push(entry);
+    (entry.recipes || []).forEach(title => group.recipes.add(title));
+  }
+
+  const items = groups.map(group => ({
+    name: group.name,
+    ...sumQuantities(group.entries),
+    category: categorize(group.name),
+    recipes: [...group.recipes]
+  }));
+
+  // Drop "zout naar smaak" when "1 tl zout" is on the list too
+  return items.filter(item => item.quantity !== null || !items.some(other =>
+    other !== item && other.quantity !== null && sameIngredient(nameKey(other.name), nameKey(item.name))
+  ));
+}
+
+/**
+ * Add up the amounts of entries with compatible units
+ * @returns {object} - { quantity, unit } (quantity is null when no entry has an amount)
+ */
+function sumQuantities(entries) {
+  const measured = entries.filter(entry => entry.quantity !== null && entry.quantity !== undefined);
+  if (!measured.length) return { quantity: null, unit: null };
+
+  const units = new Set(measured.map(entry => entry.unit || null));
+
+  // Same unit everywhere: keep it ("2 el" + "1 el" → "3 el")
+  if (units.size === 1) {
+    const [unit] = units;
+    const total = measured.reduce((sum, entry) => sum + entry.quantity, 0);
+    // Nobody sells half an onion or half a can
+    if (!unit || getUnit(unit).type === "count") return { quantity: Math.ceil(total - 1e-9), unit };
+
+    const normalized = normalizeUnit(total, unit);
+    return { quantity: normalized.quantity, unit: normalized.unit };
+  }
+
+  // Mixed units of one type: add up in grams or millilitres
+  const type = getUnit(measured[0].unit).type;
+  const total = measured.reduce((sum, entry) => sum + entry.quantity * getUnit(entry.unit).base, 0);
+  const normalized = normalizeUnit(total, type === "mass" ? "g" : "ml");
+  return { quantity: normalized.quantity, unit: normalized.unit };
+}
+
+/**
+ * Build the text of a shopping list item
+ * @param {object} item - Item { name, quantity, unit }
+ * @returns {string} - Text such as "1,25 kg bloem" or "2 teentjes knoflook"
+ */
+export function formatItem(item) {
+  if (item.quantity === null || item.quantity === undefined) return item.name;
+
+  return [
+    formatQuantity(item.quantity, item.unit),
+    item.unit ? unitLabel(item.unit, item.quantity) : null,
+    item.name
+  ].filter(Boolean).join(" ");
+}
@@ -0,0 +1,176 @@
+import { getUnit, unitLabel } from "./units.js";
+import { formatIngredient, normalizeUnit } from "./ingredientScaler.js";
+
+/**
+ * Unit Converter Service
+ * Converts parsed ingredients and oven temperatures between metric and imperial
+ *
+ * - "original": leave the recipe as written
+ * - "metric":   cups/oz/lb → g or ml, °F → °C
+ * - "imperial": g/ml → cups, oz or lb, °C → °F
+ *
+ * Dry ingredients with a known density are converted between volume and weight
+ * (1 cup flour → 125 g). Spoons (el/tl) are used in both systems and are never converted.
+ */
+
+export const UNIT_SYSTEMS = ["original", "metric", "imperial"];
+
+const IMPERIAL_UNITS = new Set(["oz", "lb", "fl_oz", "cup", "pint", "quart", "gallon"]);
+const METRIC_UNITS = new Set(["mg", "g", "ons", "kg", "ml", "cl", "dl", "l"]);
+
+/**
+ * Densities of dry ingredients in grams per millilitre
+ * More specific names come first ("poedersuiker" before "suiker")
+ */
+export const DENSITIES = [
+  { names: ["volkorenmeel", "volkorenbloem", "whole wheat flour"], density: 0.51 },
+  { names: ["bloem", "meel", "flour"], density: 0.53 },
+  { names: ["poedersuiker", "powdered sugar", "icing sugar", "confectioners sugar"], density: 0.51 },
+  { names: ["bruine suiker", "basterdsuiker", "brown sugar"], density: 0.93 },
+  { names: ["suiker", "sugar"], density: 0.85 },
+  { names: ["boter", "butter"], density: 0.96 },
+  { names: ["rijst", "rice"], density: 0.78 },
+  { names: ["havermout", "oats", "rolled oats"], density: 0.38 },
+  { names: ["cacaopoeder", "cacao", "cocoa"], density: 0.36 },
+  { names: ["maizena", "maïszetmeel", "cornstarch", "corn starch"], density: 0.54 },
+  { names: ["paneermeel", "breadcrumbs", "bread crumbs"], density: 0.46 },
+  { names: ["amandelen", "almonds"], density: 0.6 },
+  { names: ["walnoten", "noten", "walnuts", "nuts", "pecans"], density: 0.51 },
+  { names: ["chocoladestukjes", "chocolate chips"], density: 0.72 },
+  { names: ["rozijnen", "raisins"], density: 0.63 },
+  { names: ["kokosrasp", "shredded coconut", "coconut"], density: 0.36 },
+  { names: ["geraspte kaas", "kaas", "shredded cheese", "cheese"], density: 0.48 },
+  { names: ["zout", "salt"], density: 1.22 }
+];
+
+/**
+ * Find the density of an ingredient by name
+ * Single-word names also match Dutch compounds ("tarwebloem", "roomboter") but not prefixes ("bloemkool")
+ * @param {string} name - Ingredient name
+ * @returns {number|null} - Density in g/ml, or null if unknown
+ */
+export function findDensity(name) {
+  const lower = String(name || "").toLowerCase();
+  const words = lower.split(/[^\p{L}]+/u).filter(Boolean);
+
+  for (const entry of DENSITIES) {
+    const match = entry.names.some(candidate =>
+      candidate.includes(" ")
+        ? lower.includes(candidate)
+        : words.some(word => word === candidate || word.endsWith(candidate))
+    );
+    if (match) return entry.density;
+  }
+
+  return null;
+}
+
+/**
+ * Pick a readable imperial volume unit for an amount in millilitres
+ */
+function imperialVolume(ml) {
+  if (ml >= getUnit("cup").base / 4) return { quantity: ml / getUnit("cup").base, unit: "cup" };
+  if (ml >= getUnit("tbsp").base) return { quantity: ml / getUnit("tbsp").base, unit: "tbsp" };
+  return { quantity: ml / getUnit("tsp").base, unit: "tsp" };
+}
+
+/**
+ * Pick a readable imperial weight unit for an amount in grams
+ */
+function imperialMass(grams) {
+  const oz = grams / getUnit("oz").base;
+  return oz >= 16
+    ? { quantity: grams / getUnit("lb").base, unit: "lb" }
+    : { quantity: oz, unit: "oz" };
+}
+
+/**
+ * Convert an amount (already in grams or millilitres) to the target system
+ * @returns {object|null} - { quantity, unit } or null if no conversion applies
+ */
+function convertBaseAmount(amount, type, density, system) {
+  if (system === "metric") {
+    // Dry goods are weighed in metric kitchens
+    if (type === "volume" && density) return normalizeUnit(amount * density, "g");
+    return normalizeUnit(amount, type === "mass" ? "g" : "ml");
+  }
+
+  // Imperial kitchens measure dry goods by volume
+  if (type === "mass" && density) return imperialVolume(amount / density);
+  return type === "mass" ? imperialMass(amount) : imperialVolume(amount);
+}
+
+/**
+ * Convert one parsed ingredient to a unit system
+ * @param {object} item - Parsed ingredient
+ * @param {string} system - "metric" or "imperial"
+ * @returns {object} - Converted parsed ingredient (unchanged if no conversion applies)
+ */
+export function convertIngredient(item, system) {
+  if (item.quantity === null || item.quantity === undefined || !item.unit) return { ...item };
+
+  const needsConversion = system === "metric" ? IMPERIAL_UNITS.has(item.unit) : METRIC_UNITS.has(item.unit);
+  if (!needsConversion) return { ...item };
+
+  const unit = getUnit(item.unit);
+  const density = findDensity(item.name);
+  const converted = convertBaseAmount(item.quantity * unit.base, unit.type, density, system);
+  const ratio = converted.quantity / item.quantity;
+
+  const result = {
+    ...item,
+    quantity: converted.quantity,
+    quantity_max: item.quantity_max ? item.quantity_max * ratio : null,
+    unit: converted.unit,
+    unit_text: unitLabel(converted.unit, converted.quantity)
+  };
+  result.text = formatIngredient(result);
+
+  return result;
+}
+
+/**
+ * Convert temperatures in a text ("180°C", "350 °F", "200 graden")
+ * Results are rounded to 5 degrees, as oven dials are
+ * @param {string} text - Step text
+ * @param {string} system - "metric" or "imperial"
+ * @returns {string} - Text with converted temperatures
+ */
+export function convertTemperatures(text, system) {
+  const pattern = /(\d{2,3})\s*(?:°\s*([CF])\b|graden(?:\s+(celsius|fahrenheit))?|degrees\s+(celsius|fahrenheit|[CF]\b))/gi;
+
+  return String(text).replace(pattern, (match, value, symbol, dutchScale, englishScale) => {
+    const scale = (symbol || dutchScale || englishScale || "c")[0].toUpperCase();
+    const degrees = Number(value);
+
+    if (system === "metric" && scale === "F") {
+      return `${Math.round((degrees - 32) * 5 / 9 / 5) * 5}°C`;
+    }
+    if (system === "imperial" && scale === "C") {
+      return `${Math.round((degrees * 9 / 5 + 32) / 5) * 5}°F`;
+    }
+    return match;
+  });
+}
+
+/**
+ * Convert a recipe to a unit system
+ * @param {object} recipe - Recipe object (from Recipe.fromRow, optionally scaled)
+ * @param {string} system - "original", "metric" or "imperial"
+ * @returns {object} - Recipe with converted ingredients and steps, and unit_system set
+ */
+export function convertRecipe(recipe, system) {
+  if (!system || system === "original") {
+    return { ...recipe, unit_system: "original" };
+  }
+
+  const ingredientsParsed = recipe.ingredients_parsed.map(item => convertIngredient(item, system));
+
+  return {
+    ...recipe,
+    unit_system: system,
+    ingredients: ingredientsParsed.map(item => item.text),
+    ingredients_parsed: ingredientsParsed,
+    steps: recipe.steps.map(step => convertTemperatures(step, system))
+  };
+}
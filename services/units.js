@@ -0,0 +1,103 @@
+/**
+ * Units Service
+ * Table of the (Dutch and English) kitchen units the app understands
+ *
+ * Every unit has:
+ * - type: "mass", "volume" or "count" (units of the same type can be converted)
+ * - base: amount in the base unit of its type (grams, millilitres or 1 for counts)
+ * - label: short label used when the app writes the unit itself
+ * - plural: label for amounts above 1 (only where it differs)
+ * - aliases: spellings recognised in ingredient lines (lowercase)
+ */
+export const UNITS = {
+  // Mass
+  mg: { type: "mass", base: 0.001, label: "mg", aliases: ["mg", "milligram", "milligrams", "milligrammen"] },
+  g: { type: "mass", base: 1, label: "g", aliases: ["g", "gr", "gram", "grams", "grammen", "gramme"] },
+  ons: { type: "mass", base: 100, label: "ons", aliases: ["ons"] },
+  kg: { type: "mass", base: 1000, label: "kg", aliases: ["kg", "kilo", "kilos", "kilogram", "kilograms", "kilogrammen"] },
+  oz: { type: "mass", base: 28.3495, label: "oz", aliases: ["oz", "ounce", "ounces"] },
+  lb: { type: "mass", base: 453.592, label: "lb", aliases: ["lb", "lbs", "pound", "pounds"] },
+
+  // Volume
+  ml: { type: "volume", base: 1, label: "ml", aliases: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"] },
+  cl: { type: "volume", base: 10, label: "cl", aliases: ["cl", "centiliter", "centiliters"] },
+  dl: { type: "volume", base: 100, label: "dl", aliases: ["dl", "deciliter", "deciliters"] },
+  l: { type: "volume", base: 1000, label: "l", aliases: ["l", "liter", "liters", "litre", "litres"] },
+  tsp: { type: "volume", base: 5, label: "tl", aliases: ["tl", "theelepel", "theelepels", "tsp", "teaspoon", "teaspoons"] },
+  tbsp: { type: "volume", base: 15, label: "el", aliases: ["el", "eetlepel", "eetlepels", "tbsp", "tbs", "tablespoon", "tablespoons"] },
+  fl_oz: { type: "volume", base: 29.5735, label: "fl oz", aliases: ["fl oz", "fl. oz", "fluid ounce", "fluid ounces"] },
+  cup: { type: "volume", base: 236.588, label: "cup", plural: "cups", aliases: ["cup", "cups", "kopje", "kopjes", "kop"] },
+  pint: { type: "volume", base: 473.176, label: "pint", plural: "pints", aliases: ["pint", "pints", "pt"] },
+  quart: { type: "volume", base: 946.353, label: "quart", plural: "quarts", aliases: ["quart", "quarts", "qt"] },
+  gallon: { type: "volume", base: 3785.41, label: "gallon", plural: "gallons", aliases: ["gallon", "gallons", "gal"] },
+
+  // Counts (not convertible to each other)
+  pinch: { type: "count", base: 1, label: "snufje", aliases: ["snuf", "snufje", "snufjes", "pinch", "pinches"] },
+  dash: { type: "count", base: 1, label: "scheutje", aliases: ["scheut", "scheutje", "scheutjes", "dash", "dashes", "splash"] },
+  knifepoint: { type: "count", base: 1, label: "mespuntje", aliases: ["mespunt", "mespuntje", "mespuntjes"] },
+  clove: { type: "count", base: 1, label: "teentje", plural: "teentjes", aliases: ["teen", "teentje", "teentjes", "tenen", "clove", "cloves"] },
+  piece: { type: "count", base: 1, label: "stuk", aliases: ["stuk", "stuks", "st", "piece", "pieces", "pc", "pcs"] },
+  slice: { type: "count", base: 1, label: "plakje", plural: "plakjes", aliases: ["plak", "plakken", "plakje", "plakjes", "slice", "slices"] },
+  can: { type: "count", base: 1, label: "blik", aliases: ["blik", "blikken", "blikje", "blikjes", "can", "cans", "tin", "tins"] },
+  package: { type: "count", base: 1, label: "pak", aliases: ["pak", "pakken", "pakje", "pakjes", "package", "packages", "pack", "packs"] },
+  bag: { type: "count", base: 1, label: "zakje", aliases: ["zak", "zakken", "zakje", "zakjes", "bag", "bags", "sachet", "sachets"] },
+  bunch: { type: "count", base: 1, label: "bosje", aliases: ["bos", "bossen", "bosje", "bosjes", "bunch", "bunches"] },
+  sprig: { type: "count", base: 1, label: "takje", plural: "takjes", aliases: ["takje", "takjes", "tak", "takken", "sprig", "sprigs"] },
+  handful: { type: "count", base: 1, label: "handvol", aliases: ["handvol", "handje", "handjes", "handful", "handfuls"] },
+  stick: { type: "count", base: 1, label: "stick", aliases: ["stick", "sticks", "staaf", "staafje", "staafjes"] },
+  glass: { type: "count", base: 1, label: "glas", aliases: ["glas", "glazen", "glaasje", "glass", "glasses"] },
+  jar: { type: "count", base: 1, label: "pot", aliases: ["pot", "potje", "potjes", "jar", "jars"] }
+};
+
+// Alias lookup, longest aliases first so "fl oz" wins over "oz"
+const ALIASES = Object.entries(UNITS)
+  .flatMap(([key, unit]) => unit.aliases.map(alias => ({ alias, key })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+/**
+ * Match a unit at the start of a text
+ * @param {string} text - Text that may start with a unit ("g bloem", "eetlepels olie")
+ * @returns {object|null} - { key, text, rest } or null if the text does not start with a known unit
+ */
+export function matchUnit(text) {
+  const lower = text.toLowerCase();
+
+  for (const { alias, key } of ALIASES) {
+    if (!lower.startsWith(alias)) continue;
+
+    // The unit must be a whole word, optionally followed by a dot ("el.", "tbsp.")
+    let end = alias.length;
+    if (lower[end] === ".") end++;
+    const next = lower[end];
+    if (next !== undefined && /[\p{L}\d]/u.test(next)) continue;
+
+    return {
+      key,
+      text: text.slice(0, alias.length),
+      rest: text.slice(end).trim()
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the definition of a unit
+ * @param {string} key - Unit key (e.g. "g", "tbsp")
+ * @returns {object|undefined} - Unit definition
+ */
+export function getUnit(key) {
+  return UNITS[key];
+}
+
+/**
+ * Get the label to write for an amount of a unit
+ * @param {string} key - Unit key
+ * @param {number} quantity - Amount (labels are pluralised above 1)
+ * @returns {string} - Label such as "el" or "cups"
+ */
+export function unitLabel(key, quantity) {
+  const unit = UNITS[key];
+  if (!unit) return "";
+  return quantity > 1 && unit.plural ? unit.plural : unit.label;
+}
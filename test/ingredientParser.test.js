@@ -0,0 +1,89 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount, parseIngredient, parseIngredients } from "../services/ingredientParser.js";
+
+/**
+ * Ingredient Parser Tests
+ * Each row: line → { quantity, quantity_max, unit, name, note }
+ */
+
+const LINES = [
+  // Dutch
+  ["250 g bloem", { quantity: 250, quantity_max: null, unit: "g", name: "bloem", note: null }],
+  ["500 gram gehakt", { quantity: 500, quantity_max: null, unit: "g", name: "gehakt", note: null }],
+  ["1,5 kg aardappelen", { quantity: 1.5, quantity_max: null, unit: "kg", name: "aardappelen", note: null }],
+  ["1½ el olijfolie", { quantity: 1.5, quantity_max: null, unit: "tbsp", name: "olijfolie", note: null }],
+  ["2 el. suiker", { quantity: 2, quantity_max: null, unit: "tbsp", name: "suiker", note: null }],
+  ["½ tl zout", { quantity: 0.5, quantity_max: null, unit: "tsp", name: "zout", note: null }],
+  ["2-3 teentjes knoflook, geperst", { quantity: 2, quantity_max: 3, unit: "clove", name: "knoflook", note: "geperst" }],
+  ["2 tot 3 uien", { quantity: 2, quantity_max: 3, unit: null, name: "uien", note: null }],
+  ["een snufje zout", { quantity: 1, quantity_max: null, unit: "pinch", name: "zout", note: null }],
+  ["half blikje mais", { quantity: 0.5, quantity_max: null, unit: "can", name: "mais", note: null }],
+  ["1 blik tomaten (400 g)", { quantity: 1, quantity_max: null, unit: "can", name: "tomaten", note: "400 g" }],
+  ["200 ml room (of melk), lauw", { quantity: 200, quantity_max: null, unit: "ml", name: "room", note: "of melk, lauw" }],
+  ["3 x 200 g kipfilet", { quantity: 600, quantity_max: null, unit: "g", name: "kipfilet", note: null }],
+  ["4x tortilla", { quantity: 4, quantity_max: null, unit: null, name: "tortilla", note: null }],
+  ["1 bloemkool", { quantity: 1, quantity_max: null, unit: null, name: "bloemkool", note: null }],
+  ["zout naar smaak", { quantity: null, quantity_max: null, unit: null, name: "zout", note: "naar smaak" }],
+  ["peper", { quantity: null, quantity_max: null, unit: null, name: "peper", note: null }],
+
+  // English
+  ["1 1/2 cups of flour", { quantity: 1.5, quantity_max: null, unit: "cup", name: "flour", note: null }],
+  ["2 to 3 tbsp olive oil, optional", { quantity: 2, quantity_max: 3, unit: "tbsp", name: "olive oil", note: "optional" }],
+  ["1 fl oz rum", { quantity: 1, quantity_max: null, unit: "fl_oz", name: "rum", note: null }],
+  ["a pinch of salt", { quantity: 1, quantity_max: null, unit: "pinch", name: "salt", note: null }],
+  ["2 eggs", { quantity: 2, quantity_max: null, unit: null, name: "eggs", note: null }],
+  // A number word only counts when a unit follows
+  ["a few basil leaves", { quantity: null, quantity_max: null, unit: null, name: "a few basil leaves", note: null }]
+];
+
+const AMOUNTS = [
+  ["1", 1],
+  ["1,5", 1.5],
+  ["1.5", 1.5],
+  ["1/2", 0.5],
+  ["1 1/2", 1.5],
+  ["1½", 1.5],
+  ["½", 0.5],
+  ["3/0", null],
+  ["abc", null],
+  ["", null]
+];
+
+describe("parseIngredient", () => {
+  for (const [line, expected] of LINES) {
+    it(`parses "${line}"`, () => {
+      const { quantity, quantity_max, unit, name, note } = parseIngredient(line);
+      assert.deepEqual({ quantity, quantity_max, unit, name, note }, expected);
+    });
+  }
+
+  it("keeps the unit as written and the original text", () => {
+    const item = parseIngredient("2-3 teentjes knoflook, geperst");
+
+    assert.equal(item.unit_text, "teentjes");
+    assert.equal(item.text, "2-3 teentjes knoflook, geperst");
+  });
+
+  it("keeps the text of a line it cannot parse as the name", () => {
+    assert.equal(parseIngredient("1/0 kopje").quantity, null);
+    assert.deepEqual(parseIngredient("  "), {
+      text: "", quantity: null, quantity_max: null, unit: null, unit_text: null, name: "", note: null
+    });
+  });
+});
+
+describe("parseAmount", () => {
+  for (const [amount, expected] of AMOUNTS) {
+    it(`reads "${amount}" as ${expected}`, () => {
+      assert.equal(parseAmount(amount), expected);
+    });
+  }
+});
+
+describe("parseIngredients", () => {
+  it("parses every line and treats a missing list as empty", () => {
+    assert.deepEqual(parseIngredients(["1 ui", "peper"]).map(item => item.name), ["ui", "peper"]);
+    assert.deepEqual(parseIngredients(null), []);
+  });
+});
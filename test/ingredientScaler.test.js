@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseIngredient } from "../services/ingredientParser.js";
+import { formatQuantity, normalizeUnit, scaleIngredient, scaleRecipe } from "../services/ingredientScaler.js";
+
+/**
+ * Ingredient Scaler Tests
+ * Each row: line, factor → scaled text
+ */
+
+const SCALED = [
+  // Metric amounts are decimals and move to a better fitting unit
+  ["250 g bloem", 2, "500 g bloem"],
+  ["250 g bloem", 4, "1 kg bloem"],
+  ["600 g gehakt", 2, "1,2 kg gehakt"],
+  ["1 kg aardappelen", 0.25, "250 g aardappelen"],
+  ["1 l melk", 0.5, "500 ml melk"],
+  ["33 cl bier", 4, "1,32 l bier"],
+  ["125 g boter", 1 / 3, "42 g boter"],
+
+  // Spoons and counts are kitchen fractions
+  ["1 el olie", 0.5, "1½ tl olie"],
+  ["1 tl zout", 3, "1 el zout"],
+  ["1 tl zout", 1.5, "1½ tl zout"],
+  ["1 ui", 1.5, "1½ ui"],
+  ["1 cup flour", 0.5, "½ cup flour"],
+  ["8 oz cheese", 2, "1 lb cheese"],
+
+  // Ranges scale both ends, notes stay
+  ["2-3 teentjes knoflook, geperst", 1.5, "3-4½ teentjes knoflook, geperst"],
+  ["1 blik tomaten (400 g)", 2, "2 blik tomaten, 400 g"],
+
+  // Lines without an amount are left alone
+  ["zout naar smaak", 3, "zout naar smaak"],
+  ["500 g bloem", 1, "500 g bloem"]
+];
+
+const FORMATTED = [
+  [1.5, "tbsp", "1½"],
+  [0.333, "cup", "⅓"],
+  [2.66, null, "2⅔"],
+  [0.1, null, "⅛"],
+  [0.95, "tsp", "1"],
+  [1250, "g", "1250"],
+  [12.4, "g", "12"],
+  [1.25, "kg", "1,25"],
+  [0.125, "l", "0,125"],
+  [null, "g", ""]
+];
+
+describe("scaleIngredient", () => {
+  for (const [line, factor, expected] of SCALED) {
+    it(`scales "${line}" by ${factor.toFixed(2)}`, () => {
+      assert.equal(scaleIngredient(parseIngredient(line), factor).text, expected);
+    });
+  }
+
+  it("updates the structured fields with the text", () => {
+    const item = scaleIngredient(parseIngredient("1 kg aardappelen"), 0.25);
+
+    assert.equal(item.quantity, 250);
+    assert.equal(item.unit, "g");
+    assert.equal(item.unit_text, "g");
+    assert.equal(item.name, "aardappelen");
+  });
+});
+
+describe("formatQuantity", () => {
+  for (const [value, unit, expected] of FORMATTED) {
+    it(`writes ${value} ${unit ?? "(no unit)"} as "${expected}"`, () => {
+      assert.equal(formatQuantity(value, unit), expected);
+    });
+  }
+});
+
+describe("normalizeUnit", () => {
+  it("promotes and demotes within the same unit type", () => {
+    assert.deepEqual(normalizeUnit(1000000, "mg"), { quantity: 1, unit: "kg", changed: true });
+    assert.deepEqual(normalizeUnit(0.5, "l"), { quantity: 500, unit: "ml", changed: true });
+    assert.deepEqual(normalizeUnit(6, "tsp"), { quantity: 2, unit: "tbsp", changed: true });
+    assert.deepEqual(normalizeUnit(20, "oz"), { quantity: 1.25, unit: "lb", changed: true });
+  });
+
+  it("keeps amounts that fit their unit", () => {
+    assert.deepEqual(normalizeUnit(500, "g"), { quantity: 500, unit: "g", changed: false });
+    assert.deepEqual(normalizeUnit(3, "pinch"), { quantity: 3, unit: "pinch", changed: false });
+  });
+});
+
+describe("scaleRecipe", () => {
+  const recipe = servings => ({
+    servings,
+    ingredients: ["200 g pasta", "peper"],
+    ingredients_parsed: ["200 g pasta", "peper"].map(parseIngredient)
+  });
+
+  it("scales the ingredients to the servings and keeps the original servings", () => {
+    const scaled = scaleRecipe(recipe(4), 6);
+
+    assert.equal(scaled.servings, 6);
+    assert.equal(scaled.base_servings, 4);
+    assert.deepEqual(scaled.ingredients, ["300 g pasta", "peper"]);
+  });
+
+  it("counts recipes without servings as 2 servings", () => {
+    const scaled = scaleRecipe(recipe(null), 4);
+
+    assert.equal(scaled.base_servings, 2);
+    assert.deepEqual(scaled.ingredients, ["400 g pasta", "peper"]);
+  });
+});
@@ -0,0 +1,257 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import zlib from "zlib";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { DuplicateIndex, MAX_IMPORT_RECIPES, readImportFile } from "../services/recipeImport.js";
+
+/**
+ * Recipe Import Tests
+ * Reads the export files in fixtures/import like uploaded import files
+ */
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "import");
+
+const fixture = name => readFileSync(path.join(FIXTURES, name));
+
+// Find an imported item by title (entries of ZIP archives have no guaranteed order)
+const byTitle = (items, title) => items.find(item => item.title === title);
+
+describe("readImportFile formats", () => {
+  it("reads a SeMoRecepts export with favorites and keeps failing recipes as errors", () => {
+    const items = readImportFile(fixture("semorecepts.json"));
+
+    assert.equal(items.length, 3);
+    assert.deepEqual(items[0], {
+      format: "semorecepts",
+      title: "Spaghetti bolognese",
+      recipe: {
+        title: "Spaghetti bolognese",
+        time: "45 min",
+        servings: 4,
+        tags: ["Pasta", "Italiaans"],
+        source_url: null,
+        image_url: null,
+        ingredients: ["400 g spaghetti", "500 g gehakt", "1 ui"],
+        steps: ["Bak het gehakt.", "Kook de spaghetti."],
+        notes: "Lekker met parmezaan.",
+        is_scraped: false
+      },
+      favorite: true,
+      image: null,
+      error: null
+    });
+
+    // ISO 8601 durations are written the app's way
+    assert.equal(items[1].recipe.time, "1 u 30 min");
+    assert.equal(items[1].recipe.is_scraped, true);
+    assert.equal(items[1].favorite, false);
+
+    assert.equal(items[2].recipe, null);
+    assert.equal(items[2].title, "#3");
+    assert.equal(items[2].error, "Recipe has no title");
+  });
+
+  it("reads the images of a SeMoRecepts ZIP export", () => {
+    const items = readImportFile(fixture("semorecepts.zip"));
+
+    assert.equal(items.length, 2);
+    assert.ok(Buffer.isBuffer(byTitle(items, "Spaghetti bolognese").image));
+    // image_file points to a file that is not in the archive
+    assert.equal(byTitle(items, "Appeltaart").image, null);
+  });
+
+  it("reads a Paprika archive of gzipped recipes", () => {
+    const items = readImportFile(fixture("paprika.paprikarecipes"));
+    const curry = byTitle(items, "Kip curry");
+
+    assert.equal(items.length, 3);
+    assert.equal(curry.format, "paprika");
+    assert.deepEqual(curry.recipe, {
+      title: "Kip curry",
+      time: "40 min",
+      servings: 4,
+      tags: ["Hoofdgerecht", "Indisch"],
+      source_url: "https://paprika.example/kip-curry",
+      image_url: "https://paprika.example/kip-curry.jpg",
+      ingredients: ["500 g kipfilet", "1 blik kokosmelk", "2 el currypasta"],
+      steps: ["Bak de kip.", "Voeg de kokosmelk toe."],
+      notes: "Snel en pittig.\n\nLekker met rijst.",
+      is_scraped: true
+    });
+    assert.ok(Buffer.isBuffer(curry.image));
+
+    const pancakes = byTitle(items, "Pannenkoeken");
+    assert.equal(pancakes.recipe.time, "20 min");
+    assert.equal(pancakes.recipe.servings, 2);
+    assert.equal(pancakes.image, null);
+
+    assert.match(byTitle(items, "Kapot.paprikarecipe").error, /no valid JSON/);
+  });
+
+  it("reads a single Paprika recipe", () => {
+    const [item] = readImportFile(fixture("kip-curry.paprikarecipe"));
+
+    assert.equal(item.format, "paprika");
+    assert.equal(item.title, "Kip curry");
+    assert.ok(Buffer.isBuffer(item.image));
+  });
+
+  it("reads a Mealie recipe with structured ingredients and notes", () => {
+    const [item] = readImportFile(fixture("mealie.json"));
+
+    assert.equal(item.format, "mealie");
+    assert.deepEqual(item.recipe, {
+      title: "Pasta pesto",
+      time: "25 min",
+      servings: 2,
+      tags: ["Pasta", "Vegetarisch", "Snel"],
+      source_url: "https://mealie.example/pasta-pesto",
+      image_url: null,
+      ingredients: ["200 g penne", "1 potje pesto", "2 el pijnboompitten"],
+      steps: ["Kook de pasta.", "Meng met de pesto.", "Strooi de pijnboompitten erover."],
+      notes: "Groen en snel.\n\nTip: Rooster de pitten.",
+      is_scraped: true
+    });
+  });
+
+  it("reads a Mealie export ZIP with images and snake_case recipes", () => {
+    const items = readImportFile(fixture("mealie.zip"));
+
+    assert.equal(items.length, 3);
+    assert.ok(Buffer.isBuffer(byTitle(items, "Pasta pesto").image));
+
+    const soup = byTitle(items, "Tomatensoep");
+    assert.equal(soup.format, "mealie");
+    assert.equal(soup.recipe.servings, 4);
+    assert.deepEqual(soup.recipe.ingredients, ["1 kg tomaten"]);
+    assert.equal(soup.image, null);
+
+    assert.match(byTitle(items, "recipes/kapot/kapot.json").error, /no valid JSON/);
+  });
+
+  it("reads a Tandoor recipe with headers, amounts and notes", () => {
+    const [item] = readImportFile(fixture("tandoor.json"));
+
+    assert.equal(item.format, "tandoor");
+    assert.deepEqual(item.recipe, {
+      title: "Groentesoep",
+      time: "1 u",
+      servings: 6,
+      tags: ["Soep", "Winter"],
+      source_url: "https://tandoor.example/groentesoep",
+      image_url: null,
+      ingredients: ["Soep:", "1.5 l bouillon", "2 wortels in blokjes", "zout", "1 el peterselie"],
+      steps: ["Snij de groenten.", "Stoof ze aan.", "Serveer warm."],
+      notes: "Met balletjes.",
+      is_scraped: true
+    });
+  });
+
+  it("reads a Tandoor export of nested ZIPs", () => {
+    const items = readImportFile(fixture("tandoor.zip"));
+
+    assert.equal(items.length, 2);
+    assert.ok(Buffer.isBuffer(byTitle(items, "Groentesoep").image));
+    assert.equal(byTitle(items, "2.zip").error, "recipe.json is missing");
+  });
+
+  it("reads schema.org JSON-LD in @graph containers and arrays", () => {
+    const items = readImportFile(fixture("jsonld.json"));
+
+    assert.equal(items.length, 4);
+    assert.deepEqual(items[0].recipe, {
+      title: "Stoofvlees",
+      time: "3 u",
+      servings: 4,
+      tags: ["Hoofdgerecht"],
+      source_url: "https://blog.example/stoofvlees",
+      image_url: "https://blog.example/stoofvlees.jpg",
+      ingredients: ["1 kg stoofvlees", "33 cl bruin bier"],
+      steps: ["Stoof 3 uur."],
+      notes: null,
+      is_scraped: true
+    });
+    assert.equal(items[1].recipe.source_url, "https://blog.example/wafels");
+    assert.equal(items[2].error, "No schema.org Recipe found");
+    assert.equal(items[3].format, null);
+    assert.equal(items[3].error, "Unknown recipe format");
+  });
+});
+
+describe("readImportFile errors", () => {
+  const cases = [
+    ["not-json.txt", /not a supported recipe export/],
+    ["damaged.zip", /ZIP file is damaged/],
+    ["unsupported.zip", /contains no supported recipes/],
+    ["empty.json", /contains no recipes/],
+    ["semorecepts-version-2.json", /Export version 2 is not supported/]
+  ];
+
+  for (const [name, message] of cases) {
+    it(`refuses ${name}`, () => {
+      assert.throws(() => readImportFile(fixture(name)), message);
+    });
+  }
+
+  it(`refuses more than ${MAX_IMPORT_RECIPES} recipes`, () => {
+    const recipes = Array.from({ length: MAX_IMPORT_RECIPES + 1 }, (_, i) => ({ title: `Recept ${i}`, ingredients: [], steps: [] }));
+    assert.throws(() => readImportFile(Buffer.from(JSON.stringify(recipes))), /at most 500 recipes/);
+  });
+});
+
+describe("readImportFile limits", () => {
+  it("refuses an entry that unpacks beyond the limit before inflating it", (t) => {
+    // recipes.json unpacks from 210 KB to 210 MB
+    const inflate = t.mock.method(zlib, "inflateRawSync");
+
+    assert.throws(() => readImportFile(fixture("unpacks-too-large.zip")), /too large when unpacked/);
+    assert.equal(inflate.mock.callCount(), 0);
+  });
+
+  it("refuses a nested Tandoor ZIP that unpacks beyond the limit", (t) => {
+    const inflate = t.mock.method(zlib, "inflateRawSync");
+    const [item] = readImportFile(fixture("tandoor-unpacks-too-large.zip"));
+
+    assert.equal(item.format, "tandoor");
+    assert.equal(item.recipe, null);
+    assert.match(item.error, /too large when unpacked/);
+
+    // Only the outer ZIP's entry is inflated, not the recipe.json inside it
+    assert.equal(inflate.mock.callCount(), 1);
+  });
+});
+
+describe("DuplicateIndex", () => {
+  const index = () => new DuplicateIndex([
+    { title: "Appeltaart", source_url: "https://recepten.example/appeltaart" },
+    { title: "Pannenkoeken", source_url: null }
+  ]);
+
+  it("finds recipes with the same source URL, whatever their title", () => {
+    assert.equal(index().has({ title: "Oma's appeltaart", source_url: "https://recepten.example/appeltaart" }), true);
+  });
+
+  it("finds recipes with the same title without a source URL, ignoring case and spaces", () => {
+    assert.equal(index().has({ title: "  pannenkoeken ", source_url: null }), true);
+    assert.equal(index().has({ title: "APPELTAART", source_url: null }), true);
+  });
+
+  it("keeps recipes with the same title from another source", () => {
+    assert.equal(index().has({ title: "Appeltaart", source_url: "https://andere-site.example/appeltaart" }), false);
+  });
+
+  it("finds recipes with a source URL that have the title of a recipe without one", () => {
+    assert.equal(index().has({ title: "Pannenkoeken", source_url: "https://recepten.example/pannenkoeken" }), true);
+  });
+
+  it("checks later recipes of the same import against added ones", () => {
+    const duplicates = index();
+    const recipe = { title: "Wafels", source_url: null };
+
+    assert.equal(duplicates.has(recipe), false);
+    duplicates.add(recipe);
+    assert.equal(duplicates.has({ title: "wafels", source_url: null }), true);
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { encodeCursor, decodeCursor } from "../services/cursor.js";
+import { parseMinutes } from "../services/duration.js";
+
+/**
+ * Recipe Pagination Tests
+ * Pages through the recipes of an in-memory database with every sort order
+ * Each row: title, time, created_at and updated_at (offsets), ratings
+ */
+
+// The models open the database when they are imported, so it is pointed to memory first
+process.env.DATABASE_PATH = ":memory:";
+const { default: db, InitializeDatabase } = await import("../db.js");
+const { Recipe, RECIPE_SORTS } = await import("../models/Recipe.js");
+const { RecipeRating } = await import("../models/RecipeRating.js");
+const { User } = await import("../models/User.js");
+
+// Many ties on the sort values, recipes without a time and without ratings
+const RECIPES = [
+  ["Appeltaart", "1 u", 0, 5, [5]],
+  ["appeltaart", "1 u", 0, 5, [4, 5]],
+  ["Bami", "45 min", 0, 4, []],
+  ["Chili", null, 1, 4, [3]],
+  ["Dahl", null, 1, 3, []],
+  ["Erwtensoep", "2 u", 1, 3, [4]],
+  ["Frietjes", "30 min", 2, 2, [5, 4]],
+  ["Gado gado", "30 min", 2, 2, []],
+  ["Hutspot", "45 min", 2, 1, [4]],
+  ["Kapsalon", null, 3, 1, [3]],
+  ["Lasagne", "1 u", 3, 0, []]
+];
+
+const CREATED = 1760000000;
+
+// Sort key of a seeded recipe and direction, as the recipe grid sorts
+const average = ratings => ratings.length ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : 0;
+const SORT_KEYS = {
+  created: [recipe => recipe.created, "DESC"],
+  updated: [recipe => recipe.updated, "DESC"],
+  title: [recipe => recipe.title.toLowerCase(), "ASC"],
+  time: [recipe => parseMinutes(recipe.time) ?? Infinity, "ASC"],
+  rating: [recipe => average(recipe.ratings), "DESC"]
+};
+
+let rater;
+
+/**
+ * Create a user with the seeded recipes
+ * Every test that changes recipes seeds its own user, whose recipes no other user can read
+ * @param {string} name - Name of the user
+ * @returns {object} - { userId, recipes } with the id and sort values of each recipe
+ */
+function seed(name) {
+  const userId = User.create(name, `${name}@semorecepts.test`, "geheim123");
+  const recipes = RECIPES.map(([title, time, created, updated, ratings]) => {
+    const id = Recipe.create(userId, { title, time, ingredients: [], steps: [] });
+    db.prepare("UPDATE recipes SET created_at = ?, updated_at = ? WHERE id = ?")
+      .run(CREATED + created, CREATED + updated, id);
+    ratings.forEach((rating, i) => RecipeRating.set(i === 0 ? userId : rater, id, rating));
+
+    return { id, title, time, created: CREATED + created, updated: CREATED + updated, ratings };
+  });
+
+  return { userId, recipes };
+}
+
+/**
+ * Order the seeded recipes like findPage should: by sort key, then by id in the same direction
+ * @param {array} recipes - Seeded recipes
+ * @param {string} sort - Sort order
+ * @returns {array} - Recipe IDs
+ */
+function expectedOrder(recipes, sort) {
+  const [key, direction] = SORT_KEYS[sort];
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const sign = direction === "ASC" ? 1 : -1;
+
+  return [...recipes]
+    .sort((a, b) => sign * (compare(key(a), key(b)) || compare(a.id, b.id)))
+    .map(recipe => recipe.id);
+}
+
+/**
+ * Follow the cursors until the last page
+ * @param {number} userId - User ID
+ * @param {object} options - findPage options, with the cursor to start from
+ * @returns {array} - Recipe IDs of each page
+ */
+function allPages(userId, options) {
+  const pages = [];
+  let cursor = options.cursor ?? null;
+
+  do {
+    const page = Recipe.findPage(userId, { ...options, cursor });
+    pages.push(page.recipes.map(recipe => recipe.id));
+    cursor = page.nextCursor;
+  } while (cursor && pages.length <= RECIPES.length);
+
+  return pages;
+}
+
+before(() => {
+  InitializeDatabase();
+  rater = User.create("Proever", "proever@semorecepts.test", "geheim123");
+});
+
+describe("Recipe.findPage", () => {
+  let userId;
+  let recipes;
+
+  before(() => {
+    ({ userId, recipes } = seed("lezer"));
+  });
+
+  for (const sort of RECIPE_SORTS) {
+    for (const limit of [1, 3, 4]) {
+      it(`pages by ${sort}, ${limit} at a time, without skipping or repeating recipes`, () => {
+        const pages = allPages(userId, { sort, limit });
+
+        assert.equal(pages.length, Math.ceil(RECIPES.length / limit));
+        assert.ok(pages.every(page => page.length <= limit));
+        assert.deepEqual(pages.flat(), expectedOrder(recipes, sort));
+      });
+    }
+  }
+
+  it("returns every recipe and no cursor without a limit", () => {
+    const page = Recipe.findPage(userId, { sort: "title" });
+
+    assert.deepEqual(page.recipes.map(recipe => recipe.id), expectedOrder(recipes, "title"));
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("has no next page when the last page is exactly full", () => {
+    const first = Recipe.findPage(userId, { sort: "created", limit: RECIPES.length - 1 });
+    const last = Recipe.findPage(userId, { sort: "created", limit: 1, cursor: first.nextCursor });
+
+    assert.equal(last.recipes.length, 1);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it("pages through the recipes that match a filter", () => {
+    const pages = allPages(userId, { sort: "time", limit: 2, maxMinutes: 45 });
+    const quick = recipes.filter(recipe => parseMinutes(recipe.time) !== null && parseMinutes(recipe.time) <= 45);
+
+    assert.deepEqual(pages.flat(), expectedOrder(quick, "time"));
+  });
+});
+
+describe("Recipe.findPage with a cursor that no longer matches a recipe", () => {
+  // Moved to the trash, or purged with its ratings (so its rating no longer exists either)
+  const removals = {
+    trashed: (id, userId) => assert.equal(Recipe.delete(id, userId), true),
+    purged: id => db.prepare("DELETE FROM recipes WHERE id = ?").run(id)
+  };
+
+  for (const sort of RECIPE_SORTS) {
+    for (const [removal, remove] of Object.entries(removals)) {
+      it(`continues by ${sort} after the last recipe of the page was ${removal}`, () => {
+        const { userId, recipes } = seed(`${removal}-${sort}`);
+        const first = Recipe.findPage(userId, { sort, limit: 4 });
+
+        remove(first.recipes[3].id, userId);
+
+        const rest = allPages(userId, { sort, limit: 4, cursor: first.nextCursor });
+        assert.deepEqual(rest.flat(), expectedOrder(recipes, sort).slice(4));
+      });
+    }
+  }
+
+  it("does not repeat a recipe that moved before the cursor", () => {
+    const { userId, recipes } = seed("bijgewerkt");
+    const expected = expectedOrder(recipes, "updated");
+
+    const first = Recipe.findPage(userId, { sort: "updated", limit: 4 });
+    // The next recipe is edited and becomes the most recently updated one
+    db.prepare("UPDATE recipes SET updated_at = ? WHERE id = ?").run(CREATED + 10, expected[4]);
+
+    const second = Recipe.findPage(userId, { sort: "updated", limit: 4, cursor: first.nextCursor });
+    assert.deepEqual(second.recipes.map(recipe => recipe.id), expected.slice(5, 9));
+  });
+
+  it("does not repeat recipes when a recipe is added while paging", () => {
+    const { userId, recipes } = seed("toegevoegd");
+    const expected = expectedOrder(recipes, "created");
+
+    const first = Recipe.findPage(userId, { sort: "created", limit: 4 });
+    Recipe.create(userId, { title: "Nieuw recept", ingredients: [], steps: [] });
+
+    const second = Recipe.findPage(userId, { sort: "created", limit: 4, cursor: first.nextCursor });
+    assert.deepEqual(second.recipes.map(recipe => recipe.id), expected.slice(4, 8));
+  });
+});
+
+describe("cursor", () => {
+  it("returns the sort value and id it was created with", () => {
+    for (const value of ["appeltaart", 1760000000, 4.5, 0, null]) {
+      assert.deepEqual(decodeCursor(encodeCursor(value, "a1b2")), { value, id: "a1b2" });
+    }
+  });
+
+  it("is URL-safe", () => {
+    assert.match(encodeCursor("Crème brûlée?/+", "a1b2"), /^[A-Za-z0-9_-]+$/);
+  });
+
+  const invalid = [
+    ["an empty string", ""],
+    ["text that is not a cursor", "niet-een-cursor"],
+    ["an object", Buffer.from(JSON.stringify({ value: 1, id: "a1b2" })).toString("base64url")],
+    ["an array of three values", Buffer.from(JSON.stringify([1, "a1b2", 3])).toString("base64url")],
+    ["an id that is not a string", Buffer.from(JSON.stringify([1, 2])).toString("base64url")],
+    ["a value that is not a string or number", Buffer.from(JSON.stringify([{}, "a1b2"])).toString("base64url")]
+  ];
+
+  for (const [description, cursor] of invalid) {
+    it(`refuses ${description}`, () => {
+      assert.equal(decodeCursor(cursor), null);
+    });
+  }
+});
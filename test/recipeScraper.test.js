@@ -0,0 +1,255 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import path from "path";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { scrapeRecipe, extractRecipe, fetchPage } from "../services/recipeScraper.js";
+
+/**
+ * Recipe Scraper Tests
+ * Serves the HTML fixtures from a local stand-in server and imports them like real recipe pages
+ * The server listens on 127.0.0.1, so every fetch opts in with allowPrivateHosts
+ */
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const fixture = name => readFileSync(path.join(FIXTURES, name), "utf8");
+
+// Local fixtures live on a private address, which the scraper refuses by default
+const LOCAL = { allowPrivateHosts: true };
+
+let server;
+let baseUrl;
+let requestCount = 0;
+
+/**
+ * Stand-in recipe site
+ * /recepten/<fixture>.html serves a fixture, the other paths serve the error cases
+ */
+function handleRequest(req, res) {
+  requestCount++;
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (pathname.startsWith("/recepten/")) {
+    try {
+      const html = fixture(path.basename(pathname));
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      return res.end(html);
+    } catch {
+      res.writeHead(404, { "Content-Type": "text/html" });
+      return res.end("<h1>Niet gevonden</h1>");
+    }
+  }
+
+  switch (pathname) {
+    case "/oud-adres":
+      res.writeHead(301, { Location: "/recepten/microdata.html" });
+      return res.end();
+
+    case "/rondje":
+      res.writeHead(302, { Location: "/rondje" });
+      return res.end();
+
+    case "/naar-ftp":
+      res.writeHead(302, { Location: "ftp://127.0.0.1/recept.html" });
+      return res.end();
+
+    case "/foto.jpg":
+      res.writeHead(200, { "Content-Type": "image/jpeg" });
+      return res.end(Buffer.alloc(64));
+
+    case "/groot":
+      // Announces its size, so it can be refused before reading
+      res.writeHead(200, { "Content-Type": "text/html", "Content-Length": 4096 });
+      return res.end("x".repeat(4096));
+
+    case "/groot-chunked": {
+      // No Content-Length: keeps sending until the client gives up
+      res.writeHead(200, { "Content-Type": "text/html" });
+      const chunk = `<p>${"x".repeat(1020)}</p>`;
+      const send = () => {
+        if (res.destroyed) return;
+        res.write(chunk);
+        setImmediate(send);
+      };
+      return send();
+    }
+
+    case "/traag":
+      // Never answers
+      return;
+
+    default:
+      res.writeHead(404, { "Content-Type": "text/html" });
+      res.end("<h1>Niet gevonden</h1>");
+  }
+}
+
+before(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+describe("scrapeRecipe", () => {
+  it("reads JSON-LD inside a @graph with HowToSections and ImageObjects", async () => {
+    const url = `${baseUrl}/recepten/jsonld-graph.html`;
+    const recipe = await scrapeRecipe(url, LOCAL);
+
+    assert.deepEqual(recipe, {
+      title: "Vlaams stoofvlees",
+      time: "3 u 15 min",
+      servings: 4,
+      tags: ["Hoofdgerecht", "Belgisch"],
+      source_url: url,
+      image_url: `${baseUrl}/images/stoofvlees.jpg`,
+      ingredients: ["1 kg runderstoofvlees", "2 uien", "33 cl bruin bier", "2 sneden bruin brood & mosterd"],
+      steps: [
+        "Snij de uien in ringen.",
+        "Bak het vlees bruin in boter.",
+        "Blus met het bier en laat 3 uur sudderen."
+      ],
+      notes: "Stoofvlees met bruin bier, zoals bij oma.",
+      is_scraped: true
+    });
+  });
+
+  it("reads JSON-LD arrays and skips malformed blocks", async () => {
+    const recipe = await scrapeRecipe(`${baseUrl}/recepten/jsonld-array.html`, LOCAL);
+
+    assert.equal(recipe.title, "Pannenkoeken");
+    assert.equal(recipe.time, "45 min");
+    assert.equal(recipe.servings, 12);
+    assert.equal(recipe.image_url, "https://cdn.example/pannenkoeken.jpg");
+    assert.deepEqual(recipe.ingredients, ["250 g bloem", "500 ml melk", "3 eieren"]);
+    assert.deepEqual(recipe.steps, ["Meng de bloem met de melk.", "Klop de eieren erdoor.", "Bak dunne pannenkoeken."]);
+  });
+
+  it("reads microdata without the properties of nested items", async () => {
+    const url = `${baseUrl}/recepten/microdata.html`;
+    const recipe = await scrapeRecipe(url, LOCAL);
+
+    assert.equal(recipe.title, "Tomatensoep met balletjes");
+    assert.equal(recipe.time, "1 u");
+    assert.equal(recipe.servings, 6);
+    assert.deepEqual(recipe.tags, ["Soep"]);
+    assert.equal(recipe.image_url, `${baseUrl}/recepten/img/tomatensoep.jpg`);
+    assert.deepEqual(recipe.ingredients, ["1 kg tomaten", "1 ui", "250 g gehakt"]);
+    assert.deepEqual(recipe.steps, [
+      "Stoof de ui en de tomaten.",
+      "Draai balletjes van het gehakt.",
+      "Mix de soep en gaar de balletjes erin."
+    ]);
+    assert.equal(recipe.notes, "Een klassieker voor koude dagen.");
+  });
+
+  it("falls back to class names and Open Graph tags", async () => {
+    const recipe = await scrapeRecipe(`${baseUrl}/recepten/heuristic.html`, LOCAL);
+
+    assert.equal(recipe.title, "Snelle chocomousse");
+    assert.equal(recipe.time, null);
+    assert.equal(recipe.servings, 2);
+    assert.equal(recipe.image_url, "https://dessertjes.example/chocomousse.jpg");
+    assert.deepEqual(recipe.ingredients, ["200 g pure chocolade", "4 eieren", "2 el suiker"]);
+    assert.deepEqual(recipe.steps, [
+      "Smelt de chocolade au bain-marie.",
+      "Klop de eiwitten stijf met de suiker.",
+      "Spatel alles luchtig door elkaar."
+    ]);
+  });
+
+  it("returns null when the page has no recipe", async () => {
+    assert.equal(await scrapeRecipe(`${baseUrl}/recepten/no-recipe.html`, LOCAL), null);
+  });
+
+  it("follows redirects and keeps the requested URL as source", async () => {
+    const recipe = await scrapeRecipe(`${baseUrl}/oud-adres`, LOCAL);
+
+    assert.equal(recipe.title, "Tomatensoep met balletjes");
+    assert.equal(recipe.source_url, `${baseUrl}/oud-adres`);
+  });
+});
+
+describe("extractRecipe", () => {
+  it("resolves relative images against the page URL", () => {
+    const recipe = extractRecipe(fixture("microdata.html"), "https://recepten.example/soep/tomaat");
+
+    assert.equal(recipe.image_url, "https://recepten.example/soep/img/tomatensoep.jpg");
+    assert.equal(recipe.source_url, "https://recepten.example/soep/tomaat");
+  });
+
+  it("returns null for a page without a title, ingredients or steps", () => {
+    assert.equal(extractRecipe(fixture("no-recipe.html"), "https://recepten.example/messen"), null);
+    assert.equal(extractRecipe("<html><body></body></html>", "https://recepten.example/"), null);
+  });
+});
+
+describe("fetchPage", () => {
+  it("refuses pages that are not HTML", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/foto.jpg`, LOCAL), /Unsupported content type: image\/jpeg/);
+  });
+
+  it("refuses error responses", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/recepten/bestaat-niet.html`, LOCAL), /HTTP 404/);
+  });
+
+  it("refuses pages that announce a size above the limit", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/groot`, { ...LOCAL, maxBytes: 1024 }), /Page is too large/);
+  });
+
+  it("stops reading chunked pages above the limit", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/groot-chunked`, { ...LOCAL, maxBytes: 64 * 1024 }), /Page is too large/);
+  });
+
+  it("gives up on slow pages", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/traag`, { ...LOCAL, timeoutMs: 200 }), /Page took too long to respond/);
+  });
+
+  it("stops after too many redirects", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/rondje`, LOCAL), /Too many redirects/);
+  });
+
+  it("checks the protocol of every redirect", async () => {
+    await assert.rejects(fetchPage(`${baseUrl}/naar-ftp`, LOCAL), { code: "URL_NOT_ALLOWED" });
+  });
+
+  it("refuses loopback, private and link-local hosts by default", async () => {
+    const urls = [
+      `${baseUrl}/recepten/microdata.html`,
+      "http://localhost/",
+      "http://[::1]/",
+      "http://[::ffff:127.0.0.1]/",
+      "http://10.0.0.1/",
+      "http://192.168.1.1/",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://[::7f00:1]/",
+      "http://[2002:7f00:1::]/",
+      "http://192.0.2.1/",
+      "http://198.51.100.1/",
+      "http://203.0.113.1/"
+    ];
+
+    for (const url of urls) {
+      await assert.rejects(fetchPage(url, { allowPrivateHosts: false }), { code: "URL_NOT_ALLOWED" }, url);
+    }
+  });
+
+  it("checks the address of host names when connecting, before sending anything", async () => {
+    // localhost resolves to the stand-in server, which must not receive the request
+    const before = requestCount;
+    const url = `http://localhost:${server.address().port}/recepten/microdata.html`;
+
+    await assert.rejects(fetchPage(url, { allowPrivateHosts: false }), { code: "URL_NOT_ALLOWED" });
+    assert.equal(requestCount, before);
+  });
+
+  it("refuses other protocols than http(s)", async () => {
+    await assert.rejects(fetchPage("file:///etc/passwd"), { code: "URL_NOT_ALLOWED" });
+  });
+});
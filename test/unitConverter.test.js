@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseIngredient } from "../services/ingredientParser.js";
+import { convertIngredient, convertRecipe, convertTemperatures, findDensity } from "../services/unitConverter.js";
+
+/**
+ * Unit Converter Tests
+ * Each row: line, unit system → converted text
+ */
+
+const CONVERTED = [
+  // Imperial to metric, dry goods with a known density are weighed
+  ["1 cup flour", "metric", "125 g flour"],
+  ["1 cup tarwebloem", "metric", "125 g tarwebloem"],
+  ["1-2 cups sugar", "metric", "200-400 g sugar"],
+  ["2 cups milk", "metric", "475 ml milk"],
+  ["1 lb ground beef", "metric", "455 g ground beef"],
+  ["8 oz cheese", "metric", "225 g cheese"],
+  ["1 fl oz rum", "metric", "30 ml rum"],
+
+  // Metric to imperial, dry goods with a known density are measured by volume
+  ["250 g bloem", "imperial", "2 cups bloem"],
+  ["100 g boter", "imperial", "½ cup boter"],
+  ["200 g bloemkool", "imperial", "7 oz bloemkool"],
+  ["1 kg aardappelen", "imperial", "2¼ lb aardappelen"],
+  ["500 ml melk", "imperial", "2⅛ cups melk"],
+  ["10 ml vanille", "imperial", "2 tl vanille"],
+
+  // Spoons are used in both systems, counts and lines without an amount have nothing to convert
+  ["2 el suiker", "metric", "2 el suiker"],
+  ["2 tbsp butter", "imperial", "2 tbsp butter"],
+  ["1 snufje zout", "imperial", "1 snufje zout"],
+  ["2 eieren", "metric", "2 eieren"],
+  ["zout naar smaak", "imperial", "zout naar smaak"],
+
+  // Already in the target system
+  ["250 g bloem", "metric", "250 g bloem"]
+];
+
+const TEMPERATURES = [
+  ["Bak 25 minuten op 180°C.", "imperial", "Bak 25 minuten op 355°F."],
+  ["Oven op 200 graden", "imperial", "Oven op 390°F"],
+  ["Oven 220 graden celsius", "imperial", "Oven 430°F"],
+  ["Bake at 180 degrees celsius", "imperial", "Bake at 355°F"],
+  ["Preheat to 350 °F", "metric", "Preheat to 175°C"],
+  ["Bake at 425 degrees F", "metric", "Bake at 220°C"],
+  ["Bake at 350°F and 400°F", "metric", "Bake at 175°C and 205°C"],
+  ["180°C", "metric", "180°C"],
+  ["Laat 10 minuten rusten", "imperial", "Laat 10 minuten rusten"]
+];
+
+describe("convertIngredient", () => {
+  for (const [line, system, expected] of CONVERTED) {
+    it(`converts "${line}" to ${system}`, () => {
+      assert.equal(convertIngredient(parseIngredient(line), system).text, expected);
+    });
+  }
+});
+
+describe("convertTemperatures", () => {
+  for (const [text, system, expected] of TEMPERATURES) {
+    it(`converts "${text}" to ${system}`, () => {
+      assert.equal(convertTemperatures(text, system), expected);
+    });
+  }
+});
+
+describe("findDensity", () => {
+  it("matches Dutch compounds but not words that only start with a name", () => {
+    assert.equal(findDensity("tarwebloem"), 0.53);
+    assert.equal(findDensity("roomboter"), 0.96);
+    assert.equal(findDensity("bloemkool"), null);
+  });
+
+  it("prefers the more specific name", () => {
+    assert.equal(findDensity("Poedersuiker"), 0.51);
+    assert.equal(findDensity("bruine suiker"), 0.93);
+    assert.equal(findDensity("water"), null);
+  });
+});
+
+describe("convertRecipe", () => {
+  const recipe = {
+    servings: 2,
+    ingredients: ["1 cup flour"],
+    ingredients_parsed: [parseIngredient("1 cup flour")],
+    steps: ["Bake at 350°F"]
+  };
+
+  it("converts the ingredients and the temperatures in the steps", () => {
+    const converted = convertRecipe(recipe, "metric");
+
+    assert.equal(converted.unit_system, "metric");
+    assert.deepEqual(converted.ingredients, ["125 g flour"]);
+    assert.deepEqual(converted.steps, ["Bake at 175°C"]);
+  });
+
+  it("leaves the recipe as written for the original system", () => {
+    for (const system of ["original", undefined]) {
+      const converted = convertRecipe(recipe, system);
+
+      assert.equal(converted.unit_system, "original");
+      assert.deepEqual(converted.ingredients, ["1 cup flour"]);
+      assert.deepEqual(converted.steps, ["Bake at 350°F"]);
+    }
+  });
+});